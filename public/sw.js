@@ -1,6 +1,13 @@
 /* Service Worker for News & Weather App */
 const CACHE_NAME = 'news-weather-app-v1';
+// Background sync config/state (kept across cache cleanups)
+const STATE_CACHE = 'news-weather-bg-state-v1';
 const BASE_PATH = '/News-Weather-App/';
+const SYNC_TAG = 'content-refresh';
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_SEEN_PER_KEY = 100;
+const BREAKING_WINDOW_MS = 60 * 60 * 1000;
+const BREAKING_SIMILARITY = 0.7;
 
 // Assets to cache immediately
 const PRECACHE_URLS = [
@@ -26,7 +33,7 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (cacheName !== CACHE_NAME && cacheName !== STATE_CACHE) {
                         return caches.delete(cacheName);
                     }
                 })
@@ -62,6 +69,9 @@ self.addEventListener('fetch', (event) => {
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
 
+    // Deep link (hash route) set by whoever showed the notification
+    const route = event.notification.data?.route || '/';
+
     // Focus existing window or open new one
     event.waitUntil(
         clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
@@ -70,15 +80,279 @@ self.addEventListener('notificationclick', (event) => {
                 const client = windowClients[i];
                 // Check if it's our app
                 if (client.url.includes(BASE_PATH) && 'focus' in client) {
-                    // Send a message to the client to trigger a specific view/refresh if needed
-                    client.postMessage({ type: 'NOTIFICATION_CLICK', action: event.action });
+                    // The page switches to the route (see services/backgroundSync.js)
+                    client.postMessage({ type: 'NOTIFICATION_CLICK', action: event.action, route });
                     return client.focus();
                 }
             }
             // If no window is open, open one
             if (clients.openWindow) {
-                return clients.openWindow(BASE_PATH);
+                return clients.openWindow(`${BASE_PATH}#${route}`);
             }
         })
     );
 });
+
+/* ---------- Background refresh (Periodic Background Sync) ---------- */
+
+async function readState(key, fallback) {
+    try {
+        const cache = await caches.open(STATE_CACHE);
+        const response = await cache.match(`${BASE_PATH}__bg/${key}`);
+        return response ? await response.json() : fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+async function writeState(key, value) {
+    const cache = await caches.open(STATE_CACHE);
+    await cache.put(`${BASE_PATH}__bg/${key}`, new Response(JSON.stringify(value), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+function fetchWithTimeout(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    return fetch(url, { signal: controller.signal }).finally(() => clearTimeout(timer));
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function tagText(block, tag) {
+    const match = block.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? decodeEntities(match[1]) : '';
+}
+
+/**
+ * Minimal RSS/Atom/RDF item extraction (no DOMParser in workers).
+ * Only what's needed to spot new items: id, title, link.
+ */
+function parseFeedItems(xml) {
+    const blocks = xml.match(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi) || [];
+    return blocks.map(block => {
+        const hrefMatch = block.match(/<link[^>]*href="([^"]+)"/i);
+        const link = hrefMatch ? hrefMatch[1] : tagText(block, 'link');
+        const title = tagText(block, 'title');
+        const published = tagText(block, 'pubDate') || tagText(block, 'published') ||
+            tagText(block, 'updated') || tagText(block, 'dc:date');
+        return {
+            id: tagText(block, 'guid') || tagText(block, 'id') || link || title,
+            title,
+            link,
+            publishedAt: published ? new Date(published).getTime() : Date.now()
+        };
+    }).filter(item => item.title);
+}
+
+/** Tries each proxy from the page's config in order */
+async function fetchFeed(feedUrl, proxies) {
+    for (const proxy of proxies) {
+        const url = proxy.template
+            .replace('{url}', encodeURIComponent(feedUrl))
+            .replace('{rawUrl}', feedUrl);
+        try {
+            const response = await fetchWithTimeout(url);
+            if (!response.ok) continue;
+
+            if (proxy.bodyFormat === 'rss2json') {
+                const data = await response.json();
+                if (data.status !== 'ok') continue;
+                return (data.items || []).map(item => ({
+                    id: item.guid || item.link || item.title,
+                    title: item.title,
+                    link: item.link,
+                    publishedAt: item.pubDate ? new Date(item.pubDate.replace(' ', 'T') + 'Z').getTime() : Date.now()
+                }));
+            }
+
+            const text = proxy.bodyFormat === 'allorigins'
+                ? (await response.json()).contents
+                : await response.text();
+            if (text) return parseFeedItems(text);
+        } catch {
+            // try next proxy
+        }
+    }
+    throw new Error(`All proxies failed for ${feedUrl}`);
+}
+
+/** Notify only when the app isn't on screen; the page shows updates itself */
+async function isAppVisible() {
+    const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    return windowClients.some(client => client.visibilityState === 'visible');
+}
+
+function notify(title, body, tag, route) {
+    return self.registration.showNotification(title, {
+        body,
+        tag,
+        icon: `${BASE_PATH}vite.svg`,
+        badge: `${BASE_PATH}vite.svg`,
+        data: { route }
+    });
+}
+
+function rememberSeen(seen, key, ids) {
+    seen[key] = [...new Set([...ids, ...(seen[key] || [])])].slice(0, MAX_SEEN_PER_KEY);
+}
+
+async function checkTopics(config, seen, notifications) {
+    for (const topic of config.topics || []) {
+        try {
+            const items = await fetchFeed(topic.feedUrl, config.proxies);
+            const key = `topic:${topic.id}`;
+            const known = new Set(seen[key] || []);
+            const fresh = items.filter(item => !known.has(item.id));
+
+            // First run only seeds the seen list
+            if (seen[key] && fresh.length > 0) {
+                notifications.push({
+                    title: `New update for ${topic.name}`,
+                    body: fresh[0].title,
+                    tag: `topic-${topic.id}`,
+                    route: `/following/${topic.id}`
+                });
+            }
+            rememberSeen(seen, key, items.map(item => item.id));
+        } catch (error) {
+            console.warn(`[SW] Topic check failed for ${topic.name}:`, error);
+        }
+    }
+}
+
+function titleWords(title) {
+    return new Set(title.toLowerCase().replace(/\s+-\s+[^-]+$/, '').replace(/[^\w\s]/g, '').split(/\s+/).filter(Boolean));
+}
+
+function similarity(a, b) {
+    const intersection = [...a].filter(w => b.has(w)).length;
+    const union = new Set([...a, ...b]).size;
+    return union === 0 ? 0 : intersection / union;
+}
+
+/**
+ * Same rule as the in-app breaking detector: a story carried by at least two
+ * feeds and published within the last hour.
+ */
+async function checkBreaking(config, seen, notifications) {
+    const feeds = config.breakingFeeds || [];
+    if (feeds.length < 2) return;
+
+    const results = await Promise.allSettled(feeds.map(url => fetchFeed(url, config.proxies)));
+    const now = Date.now();
+    const recentByFeed = results
+        .filter(r => r.status === 'fulfilled')
+        .map(r => r.value.filter(item => now - item.publishedAt < BREAKING_WINDOW_MS)
+            .map(item => ({ ...item, words: titleWords(item.title) })));
+
+    const known = new Set(seen.breaking || []);
+    const breaking = [];
+    recentByFeed.forEach((items, feedIndex) => {
+        items.forEach(item => {
+            const corroborated = recentByFeed.some((other, otherIndex) =>
+                otherIndex !== feedIndex && other.some(o => similarity(item.words, o.words) >= BREAKING_SIMILARITY));
+            const key = [...item.words].sort().join(' ');
+            if (corroborated && !known.has(key) && !breaking.some(b => b.key === key)) {
+                breaking.push({ key, item });
+            }
+        });
+    });
+
+    if (breaking.length > 0) {
+        notifications.push({
+            title: '⚡ Breaking News',
+            body: breaking[0].item.title,
+            tag: 'breaking-news',
+            route: '/'
+        });
+        rememberSeen(seen, 'breaking', breaking.map(b => b.key));
+    }
+}
+
+async function checkWeather(config, seen, notifications) {
+    const weather = config.weather || {};
+    if (!weather.enabled || !weather.rules?.length) return;
+
+    const metrics = [...new Set(weather.rules.map(rule => rule.metric))].join(',');
+    for (const location of weather.locations || []) {
+        try {
+            const params = new URLSearchParams({
+                latitude: location.lat,
+                longitude: location.lon,
+                daily: metrics,
+                forecast_days: '2',
+                timezone: 'auto'
+            });
+            const response = await fetchWithTimeout(`https://api.open-meteo.com/v1/forecast?${params}`);
+            if (!response.ok) continue;
+            const { daily } = await response.json();
+            if (!daily) continue;
+
+            daily.time.forEach((date, dayIndex) => {
+                weather.rules.forEach(rule => {
+                    if (rule.cities?.length && !rule.cities.includes(location.id)) return;
+                    const threshold = rule.cityThresholds?.[location.id] ?? rule.threshold;
+                    const value = daily[rule.metric]?.[dayIndex];
+                    const key = `${location.id}:${rule.id}:${date}`;
+                    if (value == null || value <= threshold || (seen.weather || []).includes(key)) return;
+
+                    notifications.push({
+                        title: `⚠️ ${rule.label} - ${location.name}`,
+                        body: `${dayIndex === 0 ? 'Today' : 'Tomorrow'}: ${Math.round(value)}${rule.unit} (threshold ${threshold}${rule.unit})`,
+                        tag: `weather-${location.id}-${rule.id}`,
+                        route: '/weather'
+                    });
+                    rememberSeen(seen, 'weather', [key]);
+                });
+            });
+        } catch (error) {
+            console.warn(`[SW] Weather check failed for ${location.name}:`, error);
+        }
+    }
+}
+
+async function runBackgroundRefresh() {
+    const config = await readState('config', null);
+    if (!config || config.enabled === false) return;
+
+    const seen = await readState('seen', {});
+    const notifications = [];
+
+    await checkTopics(config, seen, notifications);
+    await checkBreaking(config, seen, notifications);
+    await checkWeather(config, seen, notifications);
+
+    await writeState('seen', seen);
+
+    if (notifications.length > 0 && !(await isAppVisible())) {
+        await Promise.all(notifications.map(n => notify(n.title, n.body, n.tag, n.route)));
+    }
+    console.log(`[SW] Background refresh done: ${notifications.length} update(s)`);
+}
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(runBackgroundRefresh());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const { type, config } = event.data || {};
+    if (type === 'SYNC_CONFIG') {
+        event.waitUntil(writeState('config', config));
+    } else if (type === 'RUN_BACKGROUND_REFRESH') {
+        event.waitUntil(runBackgroundRefresh());
+    }
+});
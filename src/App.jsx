@@ -10,6 +10,11 @@ import SettingsPage from './pages/SettingsPage';
 import RefreshPage from './pages/RefreshPage';
 import FollowingPage from './pages/FollowingPage';
 import TopicDetail from './pages/TopicDetail';
+import ArchivePage from './pages/ArchivePage';
+import StoryPage from './pages/StoryPage';
+import ForecastPage from './pages/ForecastPage';
+import ChartPage from './pages/ChartPage';
+import MarketNewsPage from './pages/MarketNewsPage';
 import BottomNav from './components/BottomNav';
 import ScrollToTop from './components/ScrollToTop';
 import { WeatherProvider } from './context/WeatherContext';
@@ -18,9 +23,12 @@ import { MarketProvider } from './context/MarketContext';
 import { SettingsProvider } from './context/SettingsContext';
 import { SegmentProvider } from './context/SegmentContext';
 import { TopicProvider } from './context/TopicContext';
+import { useDwellTracking } from './hooks/useDwellTracking';
 import './index.css';
 
 function App() {
+  useDwellTracking();
+
   return (
     <SettingsProvider>
       <SegmentProvider>
@@ -35,13 +43,18 @@ function App() {
                     <Route path="/" element={<MainPage />} />
                     <Route path="/up-ahead" element={<UpAheadPage />} />
                     <Route path="/weather" element={<WeatherPage />} />
+                    <Route path="/weather/forecast/:cityId?" element={<ForecastPage />} />
                     <Route path="/markets" element={<MarketPage />} />
+                    <Route path="/markets/chart/:kind/:symbol" element={<ChartPage />} />
+                    <Route path="/markets/news/:symbol" element={<MarketNewsPage />} />
                     <Route path="/tech-social" element={<TechSocialPage />} />
                     <Route path="/newspaper" element={<NewspaperPage />} />
                     <Route path="/settings" element={<SettingsPage />} />
                     <Route path="/refresh" element={<RefreshPage />} />
                     <Route path="/following" element={<FollowingPage />} />
                     <Route path="/following/:topicId" element={<TopicDetail />} />
+                    <Route path="/archive" element={<ArchivePage />} />
+                    <Route path="/story/:storyId" element={<StoryPage />} />
                   </Routes>
                   <BottomNav />
                 </div>
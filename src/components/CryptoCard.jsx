@@ -0,0 +1,64 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMarket } from '../context/MarketContext';
+import { getChartPath } from '../services/chartService';
+import { addToWatchlist, removeFromWatchlist } from '../utils/marketWatchlist';
+import './CryptoCard.css';
+
+/**
+ * Crypto Card
+ * CoinGecko prices for the coins in settings.market.cryptoCoins.
+ * Tap a coin for its chart; ☆ follows its INR pair in the watchlist.
+ */
+function CryptoCard({ coins, style }) {
+    const { watchlist, updateWatchlist } = useMarket();
+    const navigate = useNavigate();
+
+    if (!coins || coins.length === 0) {
+        return <p className="crypto-card__empty">Crypto prices unavailable</p>;
+    }
+
+    const toggleWatch = (e, coin) => {
+        e.stopPropagation();
+        const watched = watchlist.some(entry => entry.symbol === coin.symbol);
+        updateWatchlist(watched
+            ? removeFromWatchlist(watchlist, coin.symbol)
+            : addToWatchlist(watchlist, { symbol: coin.symbol, name: coin.name, exchange: 'Crypto' }));
+    };
+
+    return (
+        <div className="crypto-grid">
+            {coins.map(coin => {
+                const pct = parseFloat(coin.changePercent);
+                const watched = watchlist.some(entry => entry.symbol === coin.symbol);
+                return (
+                    <div
+                        key={coin.id}
+                        className="crypto-coin"
+                        style={style?.(coin)}
+                        role="button"
+                        title="View chart"
+                        onClick={() => navigate(getChartPath({ symbol: coin.symbol, name: coin.name }))}
+                    >
+                        <button
+                            className={`crypto-coin__watch ${watched ? 'crypto-coin__watch--on' : ''}`}
+                            onClick={(e) => toggleWatch(e, coin)}
+                            title={watched ? 'Remove from watchlist' : 'Add to watchlist'}
+                        >
+                            {watched ? '★' : '☆'}
+                        </button>
+                        <div className="crypto-coin__ticker">{coin.ticker}</div>
+                        <div className="crypto-coin__name">{coin.name}</div>
+                        <div className="crypto-coin__value">₹{coin.value}</div>
+                        <div className="crypto-coin__usd">${coin.priceUsd?.toLocaleString('en-US', { maximumFractionDigits: coin.priceUsd < 100 ? 4 : 0 })}</div>
+                        <div className={`crypto-coin__change ${pct >= 0 ? 'text-success' : 'text-danger'}`}>
+                            {pct >= 0 ? '▲' : '▼'} {Math.abs(pct).toFixed(2)}% <span className="crypto-coin__period">24h</span>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default CryptoCard;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { useMarket } from '../context/MarketContext';
+import PriceChart from './PriceChart';
+import {
+    CONVERTER_CURRENCIES,
+    convertAmount,
+    getCrossRate,
+    getPairHistory,
+    summarizePair,
+    formatRate,
+    addRemittanceAlert,
+    removeRemittanceAlert
+} from '../utils/currencyRates';
+import { requestNotificationPermission } from '../utils/notifications';
+import './CurrencyConverter.css';
+
+function CurrencySelect({ value, onChange }) {
+    return (
+        <select value={value} onChange={(e) => onChange(e.target.value)}>
+            {Object.entries(CONVERTER_CURRENCIES).map(([code, c]) => (
+                <option key={code} value={code}>{code} · {c.name}</option>
+            ))}
+        </select>
+    );
+}
+
+/**
+ * Currency Converter
+ * Converts between INR and the Gulf / major currencies, shows the pair's
+ * trend from the locally kept daily history, and manages remittance alerts
+ * (checked by MarketContext on every refresh).
+ * @param {Object} fx - result of fetchFxRates
+ */
+function CurrencyConverter({ fx }) {
+    const { remittanceAlerts, updateRemittanceAlerts } = useMarket();
+    const [amount, setAmount] = useState('100');
+    const [from, setFrom] = useState('OMR');
+    const [to, setTo] = useState('INR');
+    const [alertType, setAlertType] = useState('above');
+    const [alertValue, setAlertValue] = useState('');
+    const [error, setError] = useState(null);
+
+    if (!fx?.rates) {
+        return (
+            <div className="converter converter--unavailable">
+                Exchange rates unavailable right now.
+            </div>
+        );
+    }
+
+    const rate = getCrossRate(fx.rates, from, to);
+    const result = convertAmount(amount, from, to, fx.rates);
+    const points = getPairHistory(fx.history || [], from, to);
+    const trend = summarizePair(fx.history || [], from, to);
+
+    const swap = () => {
+        setFrom(to);
+        setTo(from);
+    };
+
+    const handleAddAlert = (e) => {
+        e.preventDefault();
+        try {
+            updateRemittanceAlerts(addRemittanceAlert(remittanceAlerts, { from, to, type: alertType, value: alertValue }));
+            setAlertValue('');
+            setError(null);
+            requestNotificationPermission();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="converter">
+            {!fx.available && (
+                <div className="converter__notice">
+                    Showing last saved rates{fx.updatedAt ? ` from ${new Date(fx.updatedAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}` : ''}.
+                </div>
+            )}
+
+            <div className="converter__row">
+                <input
+                    type="number" step="any" min="0"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    aria-label="Amount"
+                />
+                <CurrencySelect value={from} onChange={setFrom} />
+            </div>
+            <button className="converter__swap" onClick={swap} title="Swap currencies">⇅</button>
+            <div className="converter__row">
+                <div className="converter__result">
+                    {result == null ? '-' : `${CONVERTER_CURRENCIES[to].symbol}${result.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`}
+                </div>
+                <CurrencySelect value={to} onChange={setTo} />
+            </div>
+
+            <div className="converter__rate">
+                1 {from} = {formatRate(rate)} {to}
+                {trend && trend.days > 1 && (
+                    <span className={trend.changePercent >= 0 ? 'text-success' : 'text-danger'}>
+                        {' '}· {trend.changePercent >= 0 ? '+' : ''}{trend.changePercent.toFixed(2)}% in {trend.days}d
+                    </span>
+                )}
+            </div>
+
+            {points.length > 1 ? (
+                <PriceChart points={points} baseline={points[0].v} />
+            ) : (
+                <div className="converter__hint">The 30-day trend builds up as rates are saved each day.</div>
+            )}
+
+            <div className="converter__alerts">
+                {remittanceAlerts.map(alert => (
+                    <div key={alert.id} className={`converter__alert ${alert.active ? 'converter__alert--active' : ''}`}>
+                        <span>
+                            🔔 {alert.from}→{alert.to} {alert.type === 'above' ? 'above' : 'below'} {formatRate(alert.value)}
+                            {alert.lastTriggered && (
+                                <span className="converter__alert-last">
+                                    {' '}· last {new Date(alert.lastTriggered).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                                </span>
+                            )}
+                        </span>
+                        <button onClick={() => updateRemittanceAlerts(removeRemittanceAlert(remittanceAlerts, alert.id))} title="Remove alert">✕</button>
+                    </div>
+                ))}
+                <form className="converter__alert-form" onSubmit={handleAddAlert}>
+                    <span>Notify me when {from}→{to}</span>
+                    <select value={alertType} onChange={(e) => setAlertType(e.target.value)}>
+                        <option value="above">goes above</option>
+                        <option value="below">falls below</option>
+                    </select>
+                    <input
+                        type="number" step="any" min="0"
+                        placeholder={formatRate(rate)}
+                        value={alertValue}
+                        onChange={(e) => setAlertValue(e.target.value)}
+                    />
+                    <button type="submit" className="btn btn--secondary">Add</button>
+                </form>
+                {error && <div className="converter__error">{error}</div>}
+            </div>
+        </div>
+    );
+}
+
+export default CurrencyConverter;
@@ -0,0 +1,144 @@
+import React from 'react';
+import { HISTORY_DAYS } from '../utils/fiiDiiHistory';
+import './FIIDIICard.css';
+
+function formatCrore(value) {
+    if (value == null) return '—';
+    const sign = value < 0 ? '-' : '';
+    return `${sign}₹${Math.abs(value).toLocaleString('en-IN', { maximumFractionDigits: 2 })} Cr`;
+}
+
+function formatDay(iso) {
+    return new Date(`${iso}T00:00:00`).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+function FlowBlock({ title, flow }) {
+    return (
+        <div className="fiidii-block">
+            <h3 className="fiidii-block__title">{title}</h3>
+            <div className="fiidii-stats">
+                <div className="fiidii-stat">
+                    <span className="fiidii-stat__label">Buy:</span>
+                    <span className="fiidii-stat__value text-success">{formatCrore(flow.buy)}</span>
+                </div>
+                <div className="fiidii-stat">
+                    <span className="fiidii-stat__label">Sell:</span>
+                    <span className="fiidii-stat__value text-danger">{formatCrore(flow.sell)}</span>
+                </div>
+                <div className="fiidii-stat">
+                    <span className="fiidii-stat__label">Net:</span>
+                    <span className={`fiidii-stat__value ${flow.net >= 0 ? 'text-success' : 'text-danger'}`}>
+                        {formatCrore(flow.net)}
+                    </span>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function describeStreak(label, streak) {
+    if (!streak) return null;
+    return `${label} net ${streak.direction === 'buying' ? 'buyers' : 'sellers'} for ${streak.days} session${streak.days === 1 ? '' : 's'}`;
+}
+
+/** Net flow bars per session, oldest on the left */
+function FlowTrend({ history }) {
+    const days = [...history].reverse();
+    const peak = Math.max(...days.flatMap(d => [Math.abs(d.fii.net), Math.abs(d.dii.net)]), 1);
+    const bar = (net, kind) => (
+        <div className="fiidii-trend__col">
+            <div
+                className={`fiidii-trend__bar fiidii-trend__bar--${kind} fiidii-trend__bar--${net >= 0 ? 'up' : 'down'}`}
+                style={{ height: `${(Math.abs(net) / peak) * 50}%` }}
+            />
+        </div>
+    );
+
+    return (
+        <div className="fiidii-trend">
+            <div className="fiidii-trend__chart">
+                {days.map(d => (
+                    <div
+                        key={d.date}
+                        className="fiidii-trend__day"
+                        title={`${formatDay(d.date)}\nFII ${formatCrore(d.fii.net)}\nDII ${formatCrore(d.dii.net)}`}
+                    >
+                        {bar(d.fii.net, 'fii')}
+                        {bar(d.dii.net, 'dii')}
+                    </div>
+                ))}
+            </div>
+            <div className="fiidii-trend__legend">
+                <span><i className="fiidii-trend__swatch fiidii-trend__swatch--fii" /> FII net</span>
+                <span><i className="fiidii-trend__swatch fiidii-trend__swatch--dii" /> DII net</span>
+                <span>{days.length} of {HISTORY_DAYS} sessions</span>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * FII/DII Activity Card
+ * Latest provisional cash-market flows from NSE with the locally kept
+ * 30-session history. Shows an unavailable state rather than placeholder
+ * figures when nothing could be fetched.
+ */
+function FIIDIICard({ data }) {
+    const latest = data?.latest;
+    const history = data?.history || [];
+    const summary = data?.summary;
+
+    if (!latest) {
+        return (
+            <div className="fiidii-card fiidii-card--unavailable">
+                <p>FII/DII figures are unavailable right now.</p>
+                <p className="fiidii-card__hint">NSE publishes provisional figures after the close; they will appear on the next successful refresh.</p>
+            </div>
+        );
+    }
+
+    const streaks = [describeStreak('FIIs', summary?.fiiStreak), describeStreak('DIIs', summary?.diiStreak)].filter(Boolean);
+
+    return (
+        <div className="fiidii-card">
+            {!data.available && (
+                <div className="fiidii-card__notice">
+                    Couldn't refresh — showing the last published figures ({formatDay(latest.date)}).
+                </div>
+            )}
+
+            <div className="fiidii-container">
+                <FlowBlock title="FII (Foreign Institutional Investors)" flow={latest.fii} />
+                <FlowBlock title="DII (Domestic Institutional Investors)" flow={latest.dii} />
+                <div className="fiidii-date">Provisional, NSE · As of: {formatDay(latest.date)}</div>
+            </div>
+
+            {summary && history.length > 1 && (
+                <>
+                    <div className="fiidii-summary">
+                        <div>
+                            <span className="fiidii-summary__label">FII net, last {Math.min(5, history.length)} sessions</span>
+                            <span className={summary.fiiNet5 >= 0 ? 'text-success' : 'text-danger'}>{formatCrore(summary.fiiNet5)}</span>
+                        </div>
+                        <div>
+                            <span className="fiidii-summary__label">DII net, last {Math.min(5, history.length)} sessions</span>
+                            <span className={summary.diiNet5 >= 0 ? 'text-success' : 'text-danger'}>{formatCrore(summary.diiNet5)}</span>
+                        </div>
+                        <div>
+                            <span className="fiidii-summary__label">FII net, {summary.days} sessions</span>
+                            <span className={summary.fiiNetAll >= 0 ? 'text-success' : 'text-danger'}>{formatCrore(summary.fiiNetAll)}</span>
+                        </div>
+                        <div>
+                            <span className="fiidii-summary__label">DII net, {summary.days} sessions</span>
+                            <span className={summary.diiNetAll >= 0 ? 'text-success' : 'text-danger'}>{formatCrore(summary.diiNetAll)}</span>
+                        </div>
+                    </div>
+                    {streaks.length > 0 && <div className="fiidii-card__streak">{streaks.join(' · ')}</div>}
+                    <FlowTrend history={history} />
+                </>
+            )}
+        </div>
+    );
+}
+
+export default FIIDIICard;
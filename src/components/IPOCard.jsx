@@ -1,11 +1,34 @@
 import React, { useState } from 'react';
+import { useMarketStatus } from '../hooks/useMarketStatus';
+import { downloadCalendarEvents } from '../utils/calendar';
+import {
+    addIPOReminders,
+    formatIPODate,
+    getIPOCalendarEvents,
+    getIPOCountdown,
+    getIPOReminders,
+    hasIPOReminders,
+    removeIPOReminders
+} from '../utils/ipoCalendar';
 
 /**
  * IPO Listings Card
- * Shows upcoming, live, and recent IPOs
+ * Shows upcoming, live, and recent IPOs with countdowns to the next
+ * open/close/listing day and "remind me" actions for the Up Ahead planner.
  */
 function IPOCard({ ipoData }) {
     const [activeTab, setActiveTab] = useState('upcoming');
+    const [, setRemindersVersion] = useState(0);
+    const { now } = useMarketStatus();
+
+    const toggleReminders = (ipo) => {
+        if (hasIPOReminders(ipo)) {
+            removeIPOReminders(ipo);
+        } else {
+            addIPOReminders(ipo);
+        }
+        setRemindersVersion(v => v + 1);
+    };
 
     if (!ipoData) {
         return (
@@ -56,41 +79,102 @@ function IPOCard({ ipoData }) {
                         No {activeTab} IPOs at the moment
                     </div>
                 ) : (
-                    currentList.map((ipo, idx) => (
-                        <div key={idx} className="ipo-item">
-                            <div className="ipo-item__header">
-                                <div className="ipo-item__name">
-                                    {ipo.name}
-                                    {ipo.isSME && <span style={{fontSize:'0.6rem', marginLeft:'6px', background:'#333', padding:'2px 4px', borderRadius:'4px'}}>SME</span>}
-                                </div>
-                                <div className={`ipo-item__status ipo-item__status--${ipo.status || activeTab}`}>
-                                    {ipo.status || activeTab}
+                    currentList.map((ipo, idx) => {
+                        const countdown = getIPOCountdown(ipo, now);
+                        const canRemind = getIPOReminders(ipo, now).length > 0;
+                        const reminded = canRemind && hasIPOReminders(ipo);
+
+                        return (
+                            <div key={ipo.id || idx} className="ipo-item">
+                                <div className="ipo-item__header">
+                                    <div className="ipo-item__name">
+                                        {ipo.name}
+                                        {ipo.isSME && <span style={{fontSize:'0.6rem', marginLeft:'6px', background:'#333', padding:'2px 4px', borderRadius:'4px'}}>SME</span>}
+                                    </div>
+                                    <div className={`ipo-item__status ipo-item__status--${ipo.status || activeTab}`}>
+                                        {ipo.status || activeTab}
+                                    </div>
                                 </div>
-                            </div>
-                            <div className="ipo-item__details">
-                                {ipo.issuePrice && (
-                                    <div className="ipo-item__detail">
-                                        <span className="ipo-item__label">Price Band:</span>
-                                        <span className="ipo-item__value">{ipo.issuePrice}</span>
+                                {countdown && (
+                                    <div className={`ipo-item__countdown ipo-item__countdown--${countdown.kind}`}>
+                                        ⏳ {countdown.label}
                                     </div>
                                 )}
-                                <div className="ipo-item__detail">
-                                    <span className="ipo-item__label">Open:</span>
-                                    <span className="ipo-item__value">{ipo.openDate}</span>
-                                </div>
-                                <div className="ipo-item__detail">
-                                    <span className="ipo-item__label">Close:</span>
-                                    <span className="ipo-item__value">{ipo.closeDate}</span>
-                                </div>
-                                {ipo.issueSize && ipo.issueSize !== '-' && (
+                                <div className="ipo-item__details">
+                                    {ipo.issuePrice && (
+                                        <div className="ipo-item__detail">
+                                            <span className="ipo-item__label">Price Band:</span>
+                                            <span className="ipo-item__value">{ipo.issuePrice}</span>
+                                        </div>
+                                    )}
+                                    {ipo.lotSize && (
+                                        <div className="ipo-item__detail">
+                                            <span className="ipo-item__label">Lot:</span>
+                                            <span className="ipo-item__value">
+                                                {ipo.lotSize} sh
+                                                {ipo.priceBand && ` · ₹${(ipo.lotSize * ipo.priceBand.max).toLocaleString('en-IN')}`}
+                                            </span>
+                                        </div>
+                                    )}
+                                    <div className="ipo-item__detail">
+                                        <span className="ipo-item__label">Open:</span>
+                                        <span className="ipo-item__value">{ipo.openDate ? formatIPODate(ipo.openDate) : ipo.dateText}</span>
+                                    </div>
                                     <div className="ipo-item__detail">
-                                        <span className="ipo-item__label">Size:</span>
-                                        <span className="ipo-item__value">{ipo.issueSize}</span>
+                                        <span className="ipo-item__label">Close:</span>
+                                        <span className="ipo-item__value">{formatIPODate(ipo.closeDate)}</span>
+                                    </div>
+                                    {ipo.listingDate && (
+                                        <div className="ipo-item__detail">
+                                            <span className="ipo-item__label">Listing:</span>
+                                            <span className="ipo-item__value">
+                                                {ipo.listingEstimated && '~'}{formatIPODate(ipo.listingDate)}
+                                            </span>
+                                        </div>
+                                    )}
+                                    {ipo.issueSize && ipo.issueSize !== '-' && (
+                                        <div className="ipo-item__detail">
+                                            <span className="ipo-item__label">Size:</span>
+                                            <span className="ipo-item__value">{ipo.issueSize}</span>
+                                        </div>
+                                    )}
+                                    {ipo.subscription != null && (
+                                        <div className="ipo-item__detail">
+                                            <span className="ipo-item__label">Subscribed:</span>
+                                            <span className="ipo-item__value">{ipo.subscription}x</span>
+                                        </div>
+                                    )}
+                                    {ipo.gmp && (
+                                        <div className="ipo-item__detail">
+                                            <span className="ipo-item__label">GMP:</span>
+                                            <span className={`ipo-item__value ${ipo.gmp.premium >= 0 ? 'text-success' : 'text-danger'}`}>
+                                                ₹{ipo.gmp.premium}
+                                                {ipo.gmp.percent !== null && ` (${ipo.gmp.percent >= 0 ? '+' : ''}${ipo.gmp.percent}%)`}
+                                            </span>
+                                        </div>
+                                    )}
+                                </div>
+                                {canRemind && (
+                                    <div className="ipo-item__actions">
+                                        <button
+                                            className={`ipo-item__action ${reminded ? 'ipo-item__action--active' : ''}`}
+                                            onClick={() => toggleReminders(ipo)}
+                                            title="Add open, close and listing days to Up Ahead"
+                                        >
+                                            {reminded ? '✓ Reminders set' : '🔔 Remind me'}
+                                        </button>
+                                        <button
+                                            className="ipo-item__action"
+                                            onClick={() => downloadCalendarEvents(ipo.name, getIPOCalendarEvents(ipo))}
+                                            title="Add to Calendar"
+                                        >
+                                            📅 .ics
+                                        </button>
                                     </div>
                                 )}
                             </div>
-                        </div>
-                    ))
+                        );
+                    })
                 )}
             </div>
         </div>
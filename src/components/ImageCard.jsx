@@ -1,7 +1,26 @@
 import React, { useState } from 'react';
+import ScoreBreakdown from './ScoreBreakdown';
+import QuickMuteMenu from './QuickMuteMenu';
 import './ImageCard.css';
 
-export function ImageCard({ article, size = 'medium', onClick, href }) {
+/**
+ * @param {boolean} [whyOpen] - show the "Why is this here?" panel (ranked stories only)
+ * @param {Function} [onToggleWhy]
+ * @param {boolean} [muteOpen] - show the quick mute menu
+ * @param {Function} [onToggleMute]
+ * @param {Function} [onMute] - ({type, value, days}) => void
+ */
+export function ImageCard({
+    article,
+    size = 'medium',
+    onClick,
+    href,
+    whyOpen = false,
+    onToggleWhy = null,
+    muteOpen = false,
+    onToggleMute = null,
+    onMute = null
+}) {
     const [imageError, setImageError] = useState(false);
     const [imageLoaded, setImageLoaded] = useState(false);
 
@@ -56,7 +75,27 @@ export function ImageCard({ article, size = 'medium', onClick, href }) {
                                 article.sentiment.label === 'negative' ? '📉' : '�'}
                         </span>
                     )}
+                    {article.scoreBreakdown && onToggleWhy && (
+                        <button
+                            className="score-why__toggle"
+                            onClick={(e) => { e.preventDefault(); e.stopPropagation(); onToggleWhy(); }}
+                            title="Why is this here?"
+                        >
+                            ⓘ Why?
+                        </button>
+                    )}
+                    {onToggleMute && (
+                        <button
+                            className="news-item__action"
+                            onClick={(e) => { e.preventDefault(); e.stopPropagation(); onToggleMute(); }}
+                            title="Mute this source or topic"
+                        >
+                            🔇
+                        </button>
+                    )}
                 </div>
+                {muteOpen && onMute && <QuickMuteMenu item={article} onMute={onMute} onClose={onToggleMute} />}
+                {whyOpen && <ScoreBreakdown breakdown={article.scoreBreakdown} />}
             </div>
         </Tag>
     );
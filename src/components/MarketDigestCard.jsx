@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useMarket } from '../context/MarketContext';
+import { useNews } from '../context/NewsContext';
+import { useMarketStatus } from '../hooks/useMarketStatus';
+import { buildMarketDigest, formatDigestDate, formatMarketDigest } from '../utils/marketDigest';
+import './MarketDigestCard.css';
+
+const changeClass = (value) => (parseFloat(value) >= 0 ? 'text-success' : 'text-danger');
+const signed = (value) => `${parseFloat(value) >= 0 ? '+' : ''}${parseFloat(value || 0).toFixed(2)}%`;
+
+/**
+ * Market Close Digest Card
+ * Evening "market wrap" built locally from market data and business headlines,
+ * with share / copy as plain text. Hidden while the exchange is in session.
+ */
+function MarketDigestCard() {
+    const { marketData } = useMarket();
+    const { newsData, loadSection } = useNews();
+    const { status, now } = useMarketStatus(60000);
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        loadSection('business');
+    }, [loadSection]);
+
+    if (status.isTrading) return null;
+    const digest = buildMarketDigest(marketData, newsData, now);
+    if (!digest) return null;
+
+    const text = formatMarketDigest(digest);
+    const date = formatDigestDate(digest);
+
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (e) {
+            console.warn('[MarketDigest] Copy failed:', e);
+        }
+    };
+
+    const share = async () => {
+        if (!navigator.share) return copy();
+        try {
+            await navigator.share({ title: 'Market wrap', text });
+        } catch (e) {
+            // user cancelled the share sheet
+            if (e.name !== 'AbortError') console.warn('[MarketDigest] Share failed:', e);
+        }
+    };
+
+    return (
+        <div className="market-digest">
+            <div className="market-digest__header">
+                <span>📊 Market Wrap</span>
+                {date && <span className="market-digest__date">{date} close</span>}
+            </div>
+
+            <p className="market-digest__topline">{digest.topline.text}</p>
+
+            <div className="market-digest__indices">
+                {digest.indices.map(index => (
+                    <div key={index.name} className="market-digest__index">
+                        <span className="market-digest__label">{index.name}</span>
+                        <span className="market-digest__value">{index.value}</span>
+                        <span className={changeClass(index.changePercent)}>{signed(index.changePercent)}</span>
+                    </div>
+                ))}
+            </div>
+
+            <ul className="market-digest__rows">
+                {digest.sectors && (
+                    <li>
+                        <span className="market-digest__label">Sectors</span>
+                        <span>
+                            {digest.sectors.leader.name} <span className={changeClass(digest.sectors.leader.changePercent)}>{signed(digest.sectors.leader.changePercent)}</span>
+                            {' · '}
+                            {digest.sectors.laggard.name} <span className={changeClass(digest.sectors.laggard.changePercent)}>{signed(digest.sectors.laggard.changePercent)}</span>
+                        </span>
+                    </li>
+                )}
+                {(digest.gainers.length > 0 || digest.losers.length > 0) && (
+                    <li>
+                        <span className="market-digest__label">Movers</span>
+                        <span>
+                            {[...digest.gainers, ...digest.losers].map((m, i) => (
+                                <span key={m.symbol}>
+                                    {i > 0 && ', '}
+                                    {m.symbol} <span className={changeClass(m.changePercent)}>{signed(m.changePercent)}</span>
+                                </span>
+                            ))}
+                        </span>
+                    </li>
+                )}
+                {digest.commodities.length > 0 && (
+                    <li>
+                        <span className="market-digest__label">Commodities</span>
+                        <span>
+                            {digest.commodities.map((c, i) => (
+                                <span key={c.name}>
+                                    {i > 0 && ', '}
+                                    {c.name} <span className={changeClass(c.changePercent)}>{signed(c.changePercent)}</span>
+                                </span>
+                            ))}
+                        </span>
+                    </li>
+                )}
+                {digest.currencies.length > 0 && (
+                    <li>
+                        <span className="market-digest__label">INR</span>
+                        <span>{digest.currencies.map(c => `${c.name} ${c.value}`).join(' · ')}</span>
+                    </li>
+                )}
+            </ul>
+
+            {digest.summary && <p className="market-digest__summary">{digest.summary}</p>}
+
+            {digest.headlines.length > 0 && (
+                <ul className="market-digest__headlines">
+                    {digest.headlines.map(article => (
+                        <li key={article.id || article.link || article.title}>
+                            <a href={article.link} target="_blank" rel="noopener noreferrer">{article.title}</a>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="market-digest__actions">
+                <button className="market-digest__action" onClick={share}>📤 Share</button>
+                <button className="market-digest__action" onClick={copy}>{copied ? '✓ Copied' : '📋 Copy'}</button>
+                <Link to="/markets" className="market-digest__more">Markets →</Link>
+            </div>
+        </div>
+    );
+}
+
+export default MarketDigestCard;
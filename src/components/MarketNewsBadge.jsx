@@ -0,0 +1,45 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getMarketNewsPath, SENTIMENT_LABELS } from '../services/marketNewsService';
+import './MarketNewsBadge.css';
+
+/**
+ * Market News Badge
+ * Count of related headlines with their aggregate sentiment; tapping opens
+ * the "why is this moving?" stories page.
+ * @param {Object} instrument - { symbol, name }
+ * @param {Object} news - result of useMarketNews lookup
+ * @param {boolean} compact - icon + count only (mover rows)
+ */
+function MarketNewsBadge({ instrument, news, compact = false }) {
+    const navigate = useNavigate();
+    const count = news?.articles?.length || 0;
+    const label = news?.sentiment?.label || 'neutral';
+
+    const open = (e) => {
+        e.stopPropagation();
+        navigate(getMarketNewsPath(instrument));
+    };
+
+    if (compact) {
+        return (
+            <button
+                className={`market-news-badge market-news-badge--compact market-news-badge--${count > 0 ? label : 'none'}`}
+                onClick={open}
+                title={count > 0 ? `${count} related stories · ${SENTIMENT_LABELS[label]}` : 'Why is this moving?'}
+            >
+                📰{count > 0 ? count : '?'}
+            </button>
+        );
+    }
+
+    return (
+        <button className={`market-news-badge market-news-badge--${count > 0 ? label : 'none'}`} onClick={open}>
+            {count > 0
+                ? <>📰 {count} · {SENTIMENT_LABELS[label]} · Why?</>
+                : <>📰 Why is this moving?</>}
+        </button>
+    );
+}
+
+export default MarketNewsBadge;
@@ -1,9 +1,12 @@
 import React, { useEffect, useRef, useMemo } from 'react';
 import { useMarket } from '../context/MarketContext';
+import { useMarketStatus } from '../hooks/useMarketStatus';
+import { isQuoteStale, formatCountdown } from '../utils/marketCalendar';
 import './MarketTicker.css';
 
 const MarketTicker = () => {
-    const { marketData, loading, lastFetch } = useMarket();
+    const { marketData, loading, lastFetch, watchlist } = useMarket();
+    const { status, now } = useMarketStatus();
     const scrollRef = useRef(null);
     const isPaused = useRef(false);
 
@@ -17,10 +20,27 @@ const MarketTicker = () => {
         // Specific items to display in order (Removed Currencies as requested)
         const allowedNames = ['NIFTY 50', 'SENSEX', 'Gold', 'Silver'];
 
-        return allowedNames
+        const fixed = allowedNames
             .map(name => allItems.find(item => item.name === name))
             .filter(Boolean);
-    }, [marketData]);
+
+        // Followed symbols after the fixed indices
+        const watched = watchlist
+            .map(entry => {
+                const quote = marketData.watchlist?.[entry.symbol];
+                if (!quote) return null;
+                return {
+                    name: `⭐ ${entry.symbol.replace(/(\.NS|\.BO|-INR)$/, '')}`,
+                    value: quote.price,
+                    change: quote.change,
+                    changePercent: quote.changePercent,
+                    timestamp: quote.timestamp
+                };
+            })
+            .filter(Boolean);
+
+        return [...fixed, ...watched];
+    }, [marketData, watchlist]);
 
     // Auto-scroll logic (Same as before)
     useEffect(() => {
@@ -68,17 +88,21 @@ const MarketTicker = () => {
     }, [markets]);
 
     const isItemStale = (item) => {
-        if (!item.timestamp) return true;
-        const now = Date.now();
-        const diff = now - item.timestamp;
-
         // Commodities: 60 mins, Others: 15 mins
         const isCommodity = ['Gold', 'Silver', 'Crude Oil'].includes(item.name);
         const threshold = isCommodity ? 60 * 60 * 1000 : 15 * 60 * 1000;
 
-        return diff > threshold;
+        // Closing prices aren't stale while the exchange is shut
+        return isQuoteStale(item.timestamp, threshold, status, now);
     };
 
+    // Countdown to the next open/close
+    const sessionLabel = status.state === 'closed'
+        ? (status.opensAt ? `Opens ${formatCountdown(status.opensAt - now)}` : 'Closed')
+        : status.state === 'pre_open'
+            ? `Pre-open · ${formatCountdown(status.opensAt - now)}`
+            : `Closes ${formatCountdown(status.closesAt - now)}`;
+
     const formatTime = (ts) => {
         if (!ts) return '';
         return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -120,7 +144,10 @@ const MarketTicker = () => {
                 </div>
             </div>
 
-            {/* Static Last Updated Label */}
+            {/* Session countdown + Last Updated */}
+            <div className={`ticker-session ticker-session--${status.state}`} title={status.state === 'closed' ? 'Prices as of last close' : status.label}>
+                {sessionLabel}
+            </div>
             {lastFetch && (
                 <div className="ticker-updated">
                     <span style={{marginRight: '4px'}}>🕒</span> {formatTime(lastFetch)}
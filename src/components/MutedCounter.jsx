@@ -0,0 +1,32 @@
+import React, { useSyncExternalStore } from 'react';
+import { Link } from 'react-router-dom';
+import { getMuteStats, getMuteRules, subscribeMuteRules, compileMuteRules, filterMuted } from '../utils/muteRules';
+import './MuteRules.css';
+
+/**
+ * "🔇 12 stories hidden by your mute rules" with a link to manage them.
+ * Counts the latest fetch of every feed this session, plus the loaded
+ * stories that rules added since then hide on screen.
+ * @param {Object[]} [items] - stories currently loaded
+ */
+function MutedCounter({ items = [] }) {
+    const stats = useSyncExternalStore(subscribeMuteRules, getMuteStats);
+    const muteRules = useSyncExternalStore(subscribeMuteRules, getMuteRules);
+    const { hidden } = filterMuted(items, compileMuteRules(muteRules));
+
+    const total = stats.total + hidden.length;
+    if (!total) return null;
+
+    const rules = new Set([...Object.keys(stats.byRule), ...hidden.map(({ rule }) => rule.id)]).size;
+
+    return (
+        <div className="muted-counter">
+            <span>
+                🔇 {total} {total === 1 ? 'story' : 'stories'} hidden by {rules} mute {rules === 1 ? 'rule' : 'rules'}
+            </span>
+            <Link to="/settings" state={{ tab: 'sources' }} className="muted-counter__link">Manage</Link>
+        </div>
+    );
+}
+
+export default MutedCounter;
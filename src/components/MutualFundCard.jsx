@@ -1,4 +1,6 @@
 import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getChartPath } from '../services/chartService';
 
 /**
  * Mutual Fund NAV Display Card
@@ -6,6 +8,7 @@ import React, { useState } from 'react';
  */
 function MutualFundCard({ funds }) {
     const [expanded, setExpanded] = useState(false);
+    const navigate = useNavigate();
 
     if (!funds || funds.length === 0) {
         return (
@@ -33,7 +36,13 @@ function MutualFundCard({ funds }) {
 
             <div className="mf-card__list">
                 {displayFunds.map((fund, idx) => (
-                    <div key={fund.code || idx} className="mf-fund">
+                    <div
+                        key={fund.code || idx}
+                        className="mf-fund"
+                        role="button"
+                        title="View NAV chart"
+                        onClick={() => fund.code && navigate(getChartPath({ symbol: fund.code, kind: 'mf', name: fund.name }))}
+                    >
                         <div className="mf-fund__info">
                             <div className="mf-fund__name">{fund.name}</div>
                             <div className="mf-fund__category">{fund.category}</div>
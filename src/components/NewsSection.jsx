@@ -1,7 +1,20 @@
-import React, { useState } from 'react';
+import React, { useState, useSyncExternalStore } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { getCredibilityStars } from '../data/sourceMetrics';
 import { addReadArticle } from '../utils/storage';
 import { useNews } from '../context/NewsContext';
+import { getPreferenceModel, recordPreferenceSignal, startDwell } from '../utils/preferenceModel';
+import {
+    getMuteRules,
+    saveMuteRules,
+    subscribeMuteRules,
+    addMuteRule,
+    compileMuteRules,
+    filterMuted
+} from '../utils/muteRules';
+import ScoreBreakdown from './ScoreBreakdown';
+import QuickMuteMenu from './QuickMuteMenu';
+import ScoreCompare from './ScoreCompare';
 
 /**
  * News Section Component
@@ -11,6 +24,9 @@ import { useNews } from '../context/NewsContext';
  * - Critics/public view shown where applicable
  * - Source count displayed
  * - Collapsible header
+ * - "Why is this here?" score breakdown and two-story ranking compare
+ * - Opens, time spent, shares and "not interested" feed the on-device preference model
+ * - Quick mute by source / entity / keyword; stories muted after loading drop out immediately
  */
 function NewsSection({
     id,
@@ -27,11 +43,23 @@ function NewsSection({
 }) {
     const [expanded, setExpanded] = useState(false);
     const [isCollapsed, setIsCollapsed] = useState(false);
+    const [whyOpenId, setWhyOpenId] = useState(null);
+    const [compareIds, setCompareIds] = useState([]);
+    const [hiddenIds, setHiddenIds] = useState(() => getPreferenceModel().hidden);
+    const [sharedId, setSharedId] = useState(null);
+    const [muteMenuId, setMuteMenuId] = useState(null);
+    const muteRules = useSyncExternalStore(subscribeMuteRules, getMuteRules);
     const { auditResults } = useNews();
+    const navigate = useNavigate();
 
-    const displayCount = expanded ? news.length : Math.min(maxDisplay, news.length);
-    const displayNews = news.slice(0, displayCount);
-    const hasMore = news.length > maxDisplay;
+    // Feeds are already filtered when fetched; this catches rules added since
+    const { kept: visibleNews, hidden: mutedNews } = filterMuted(
+        news.filter(item => !hiddenIds.includes(item.id)),
+        compileMuteRules(muteRules)
+    );
+    const displayCount = expanded ? visibleNews.length : Math.min(maxDisplay, visibleNews.length);
+    const displayNews = visibleNews.slice(0, displayCount);
+    const hasMore = visibleNews.length > maxDisplay;
 
     // --- Section Health Badges ---
     const health = news.health || { status: 'ok' };
@@ -65,6 +93,7 @@ function NewsSection({
     const handleStoryClick = (item) => {
         // Track history
         addReadArticle(item);
+        recordPreferenceSignal(item, 'open');
 
         // External handler
         if (onArticleClick) {
@@ -72,10 +101,66 @@ function NewsSection({
         }
 
         if (item.url) {
+            startDwell(item);
             window.open(item.url, '_blank', 'noopener,noreferrer');
         }
     };
 
+    const handleNotInterested = (e, item) => {
+        e.stopPropagation();
+        recordPreferenceSignal(item, 'hide');
+        setHiddenIds(ids => [...ids, item.id]);
+    };
+
+    const handleMuteClick = (e, item) => {
+        e.stopPropagation();
+        setMuteMenuId(muteMenuId === item.id ? null : item.id);
+    };
+
+    const handleMute = (rule) => {
+        saveMuteRules(addMuteRule(getMuteRules(), rule));
+        setMuteMenuId(null);
+    };
+
+    const handleShare = async (e, item) => {
+        e.stopPropagation();
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: item.headline, url: item.url });
+            } else {
+                await navigator.clipboard.writeText(`${item.headline} ${item.url}`);
+                setSharedId(item.id);
+                setTimeout(() => setSharedId(null), 2000);
+            }
+            recordPreferenceSignal(item, 'share');
+        } catch (err) {
+            // user cancelled the share sheet
+            if (err.name !== 'AbortError') console.warn('[NewsSection] Share failed:', err);
+        }
+    };
+
+    const handleTimelineClick = (e, item) => {
+        e.stopPropagation();
+        navigate(`/story/${item.storyId}`);
+    };
+
+    const handleWhyClick = (e, item) => {
+        e.stopPropagation();
+        setWhyOpenId(whyOpenId === item.id ? null : item.id);
+    };
+
+    // Keeps the two most recently picked stories
+    const toggleCompare = (e, item) => {
+        e.stopPropagation();
+        setCompareIds(ids => ids.includes(item.id)
+            ? ids.filter(id => id !== item.id)
+            : [...ids, item.id].slice(-2));
+    };
+
+    const compareItems = compareIds
+        .map(cid => news.find(item => item.id === cid))
+        .filter(item => item?.scoreBreakdown);
+
     const renderContent = () => {
         if (error) {
             return (
@@ -86,7 +171,7 @@ function NewsSection({
             );
         }
 
-        if (news.length === 0) {
+        if (visibleNews.length === 0) {
             return (
                 <div className="empty-state">
                     <div className="empty-state__icon">📭</div>
@@ -98,6 +183,9 @@ function NewsSection({
         return (
             <>
                 {extraContent}
+                {compareItems.length === 2 && (
+                    <ScoreCompare a={compareItems[0]} b={compareItems[1]} onClose={() => setCompareIds([])} />
+                )}
                 <div className="news-list">
                     {displayNews.map((item, idx) => (
                         <article
@@ -161,6 +249,16 @@ function NewsSection({
                                         {item.isBreaking ? '⚡ Breaking' : '🔥 Trending'}
                                     </span>
                                 )}
+                                {/* Story Timeline: updates of a known story show as developing, not new */}
+                                {item.storyId && item.storyStatus && (
+                                    <span
+                                        className={`news-item__story news-item__story--${item.storyStatus}`}
+                                        onClick={(e) => handleTimelineClick(e, item)}
+                                        title="View story timeline"
+                                    >
+                                        {item.storyStatus === 'developing' ? '🔄 Developing' : '🆕 New'}
+                                    </span>
+                                )}
                             </h3>
                             {item.summary && (
                                 <p className="news-item__summary">
@@ -207,7 +305,40 @@ function NewsSection({
                                 <span className={`news-item__confidence ${getConfidenceClass(item.confidence)}`}>
                                     {item.confidence}
                                 </span>
+                                {item.scoreBreakdown && (
+                                    <>
+                                        <span>|</span>
+                                        <button
+                                            className="score-why__toggle"
+                                            onClick={(e) => handleWhyClick(e, item)}
+                                            title="Why is this here?"
+                                        >
+                                            ⓘ Why?
+                                        </button>
+                                    </>
+                                )}
+                                {item.url && (
+                                    <button className="news-item__action" onClick={(e) => handleShare(e, item)} title="Share story">
+                                        {sharedId === item.id ? '✓ Copied' : '📤'}
+                                    </button>
+                                )}
+                                <button className="news-item__action" onClick={(e) => handleNotInterested(e, item)} title="Not interested: hide and show fewer like this">
+                                    🚫
+                                </button>
+                                <button className="news-item__action" onClick={(e) => handleMuteClick(e, item)} title="Mute this source or topic">
+                                    🔇
+                                </button>
                             </div>
+                            {muteMenuId === item.id && (
+                                <QuickMuteMenu item={item} onMute={handleMute} onClose={() => setMuteMenuId(null)} />
+                            )}
+                            {whyOpenId === item.id && (
+                                <ScoreBreakdown
+                                    breakdown={item.scoreBreakdown}
+                                    onCompare={(e) => toggleCompare(e, item)}
+                                    comparing={compareIds.includes(item.id)}
+                                />
+                            )}
                         </article>
                     ))}
                 </div>
@@ -218,7 +349,7 @@ function NewsSection({
                         onClick={() => setExpanded(!expanded)}
                     >
                         <span style={{ fontSize: '1.2rem' }}>{expanded ? '▲' : '▼'}</span>
-                        <span>{expanded ? 'Collapse' : `See ${news.length - maxDisplay} more stories`}</span>
+                        <span>{expanded ? 'Collapse' : `See ${visibleNews.length - maxDisplay} more stories`}</span>
                     </div>
                 )}
             </>
@@ -241,8 +372,13 @@ function NewsSection({
                 {health.status === 'warning' && <span title="Warning: Feed yield < 50% of average" style={{ marginLeft: '8px' }}>⚠️</span>}
                 {isSingleSource && news.length > 3 && <span title="Single Source: Potential echo chamber" style={{ marginLeft: '8px' }}>📡</span>}
 
-                {news.length > 0 && (
-                    <span style={{ opacity: 0.6, fontSize: '0.9em', marginLeft: '6px' }}>({news.length})</span>
+                {visibleNews.length > 0 && (
+                    <span style={{ opacity: 0.6, fontSize: '0.9em', marginLeft: '6px' }}>({visibleNews.length})</span>
+                )}
+                {mutedNews.length > 0 && (
+                    <span title={`${mutedNews.length} hidden by mute rules`} style={{ opacity: 0.6, fontSize: '0.7em', marginLeft: '6px' }}>
+                        🔇{mutedNews.length}
+                    </span>
                 )}
 
                 {/* Collapse Indicator */}
@@ -1,11 +1,38 @@
-import React from 'react';
+import React, { useState, useSyncExternalStore } from 'react';
 import { NewspaperMasthead } from './NewspaperMasthead';
 import { ImageCard } from './ImageCard';
+import ScoreBreakdown from './ScoreBreakdown';
+import QuickMuteMenu from './QuickMuteMenu';
+import {
+    getMuteRules,
+    saveMuteRules,
+    subscribeMuteRules,
+    addMuteRule,
+    compileMuteRules,
+    filterMuted
+} from '../utils/muteRules';
 import { useSettings } from '../context/SettingsContext';
 import './NewspaperLayout.css';
 
 export function NewspaperLayout({ newsData, breakingNews, settings }) {
     const { settings: globalSettings } = useSettings();
+    // One "Why is this here?" panel and one mute menu open at a time
+    const [whyOpenId, setWhyOpenId] = useState(null);
+    const [muteMenuId, setMuteMenuId] = useState(null);
+    const muteRules = useSyncExternalStore(subscribeMuteRules, getMuteRules);
+
+    const handleMute = (rule) => {
+        saveMuteRules(addMuteRule(getMuteRules(), rule));
+        setMuteMenuId(null);
+    };
+
+    const cardProps = (article) => ({
+        whyOpen: whyOpenId === article.id,
+        onToggleWhy: () => setWhyOpenId(whyOpenId === article.id ? null : article.id),
+        muteOpen: muteMenuId === article.id,
+        onToggleMute: () => setMuteMenuId(muteMenuId === article.id ? null : article.id),
+        onMute: handleMute
+    });
 
     // Get all articles and filter ones with images
     // Filter by enabled sections first AND limit by count
@@ -18,15 +45,18 @@ export function NewspaperLayout({ newsData, breakingNews, settings }) {
         .flat();
 
     // Integrate Balanced Front Page if available
-    let allArticles = rawArticles;
+    let mergedArticles = rawArticles;
     if (newsData.frontPage && Array.isArray(newsData.frontPage)) {
         // Prioritize Front Page items at the top
         // Deduplicate based on title (or ID if available) to avoid showing same story twice
         const frontPageTitles = new Set(newsData.frontPage.map(a => a.title));
         const filteredRaw = rawArticles.filter(a => !frontPageTitles.has(a.title));
-        allArticles = [...newsData.frontPage, ...filteredRaw];
+        mergedArticles = [...newsData.frontPage, ...filteredRaw];
     }
 
+    // Feeds are already filtered when fetched; this catches rules added since
+    const { kept: allArticles } = filterMuted(mergedArticles, compileMuteRules(muteRules));
+
     const articlesWithImages = allArticles.filter(article => article.imageUrl);
     const articlesWithoutImages = allArticles.filter(article => !article.imageUrl);
 
@@ -54,6 +84,7 @@ export function NewspaperLayout({ newsData, breakingNews, settings }) {
                                     article={headlines[0]}
                                     size="large"
                                     onClick={() => window.open(headlines[0].link, '_blank')}
+                                    {...cardProps(headlines[0])}
                                 />
                             </div>
                         )}
@@ -65,6 +96,7 @@ export function NewspaperLayout({ newsData, breakingNews, settings }) {
                                         article={article}
                                         size="medium"
                                         onClick={() => window.open(article.link, '_blank')}
+                                        {...cardProps(article)}
                                     />
                                 ))}
                             </div>
@@ -84,6 +116,7 @@ export function NewspaperLayout({ newsData, breakingNews, settings }) {
                                 article={article}
                                 size="medium"
                                 onClick={() => window.open(article.link, '_blank')}
+                                {...cardProps(article)}
                             />
                         ))}
                     </div>
@@ -105,7 +138,27 @@ export function NewspaperLayout({ newsData, breakingNews, settings }) {
                                 <div className="brief-meta">
                                     <span className="brief-source">{article.source}</span>
                                     <span className="brief-time">{article.time}</span>
+                                    {article.scoreBreakdown && (
+                                        <button
+                                            className="score-why__toggle"
+                                            onClick={(e) => { e.stopPropagation(); cardProps(article).onToggleWhy(); }}
+                                            title="Why is this here?"
+                                        >
+                                            ⓘ Why?
+                                        </button>
+                                    )}
+                                    <button
+                                        className="news-item__action"
+                                        onClick={(e) => { e.stopPropagation(); cardProps(article).onToggleMute(); }}
+                                        title="Mute this source or topic"
+                                    >
+                                        🔇
+                                    </button>
                                 </div>
+                                {muteMenuId === article.id && (
+                                    <QuickMuteMenu item={article} onMute={handleMute} onClose={() => setMuteMenuId(null)} />
+                                )}
+                                {whyOpenId === article.id && <ScoreBreakdown breakdown={article.scoreBreakdown} />}
                             </article>
                         ))}
                     </div>
@@ -0,0 +1,282 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+    EXCHANGES,
+    MIN_XIRR_DAYS,
+    getHoldings,
+    saveHoldings,
+    createHolding,
+    getQuoteSymbol,
+    valuePortfolio,
+    holdingsToCSV,
+    parseHoldingsCSV
+} from '../utils/portfolio';
+import { fetchPortfolioQuotes, fetchHoldingQuote } from '../services/portfolioService';
+import './PortfolioCard.css';
+
+const ALLOCATION_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+
+const formatINR = (value, digits = 0) =>
+    `₹${Number(value).toLocaleString('en-IN', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+
+const formatSigned = (value, digits = 0) => `${value >= 0 ? '+' : '-'}${formatINR(Math.abs(value), digits)}`;
+
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+const pnlClass = (value) => (value >= 0 ? 'text-success' : 'text-danger');
+
+function todayKey() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+const EMPTY_FORM = { exchange: 'NSE', symbol: '', quantity: '', buyPrice: '', buyDate: '' };
+
+/**
+ * Portfolio Card
+ * User holdings with day P&L, total P&L, XIRR and allocation.
+ * Prices refresh whenever market data refreshes (refreshKey).
+ */
+function PortfolioCard({ refreshKey }) {
+    const [holdings, setHoldings] = useState(getHoldings);
+    const [quotes, setQuotes] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [showForm, setShowForm] = useState(false);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [formError, setFormError] = useState(null);
+    const [adding, setAdding] = useState(false);
+    const [importMessage, setImportMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    // Re-quote when holdings are added/removed/imported or market data refreshes
+    useEffect(() => {
+        if (holdings.length === 0) return;
+        let cancelled = false;
+        setLoading(true);
+        fetchPortfolioQuotes(holdings)
+            .then(result => { if (!cancelled) setQuotes(result); })
+            .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
+    }, [holdings, refreshKey]);
+
+    const portfolio = useMemo(() => valuePortfolio(holdings, quotes), [holdings, quotes]);
+    const { totals } = portfolio;
+
+    const updateHoldings = (next) => {
+        setHoldings(next);
+        saveHoldings(next);
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        setFormError(null);
+
+        let holding;
+        try {
+            holding = createHolding({ ...form, buyDate: form.buyDate || todayKey() });
+        } catch (err) {
+            setFormError(err.message);
+            return;
+        }
+
+        // Confirm the symbol resolves before saving it
+        setAdding(true);
+        try {
+            const quote = await fetchHoldingQuote(holding);
+            holding.name = quote.name || holding.symbol;
+            setQuotes(prev => ({ ...prev, [getQuoteSymbol(holding)]: quote }));
+            updateHoldings([...holdings, holding]);
+            setForm(EMPTY_FORM);
+            setShowForm(false);
+        } catch {
+            setFormError(`Couldn't find ${holding.symbol} on ${holding.exchange}`);
+        } finally {
+            setAdding(false);
+        }
+    };
+
+    const handleRemove = (id) => {
+        if (!window.confirm('Remove this holding?')) return;
+        updateHoldings(holdings.filter(h => h.id !== id));
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([holdingsToCSV(holdings)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `portfolio_${todayKey()}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const { holdings: imported, errors } = parseHoldingsCSV(await file.text());
+        if (imported.length > 0) {
+            updateHoldings([...holdings, ...imported]);
+        }
+        setImportMessage(
+            `Imported ${imported.length} holding${imported.length === 1 ? '' : 's'}` +
+            (errors.length > 0 ? `. Skipped: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '…' : ''}` : '')
+        );
+    };
+
+    return (
+        <div className="portfolio-card">
+            <div className="portfolio-card__header">
+                <span>💼 My Portfolio {loading && <span className="portfolio-card__loading">⟳</span>}</span>
+                <div className="portfolio-card__actions">
+                    <button onClick={() => setShowForm(!showForm)} title="Add holding">➕</button>
+                    <button onClick={() => fileInputRef.current?.click()} title="Import CSV">📥</button>
+                    <button onClick={handleExport} disabled={holdings.length === 0} title="Export CSV">📤</button>
+                    <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleImport} hidden />
+                </div>
+            </div>
+
+            {importMessage && (
+                <div className="portfolio-card__message" onClick={() => setImportMessage(null)}>{importMessage}</div>
+            )}
+
+            {showForm && (
+                <form className="portfolio-form" onSubmit={handleAdd}>
+                    <select value={form.exchange} onChange={(e) => setForm({ ...form, exchange: e.target.value })}>
+                        {Object.entries(EXCHANGES).map(([key, ex]) => (
+                            <option key={key} value={key}>{ex.label}</option>
+                        ))}
+                    </select>
+                    <input
+                        placeholder={form.exchange === 'AMFI' ? 'Scheme code, e.g. 119551' : 'Ticker, e.g. RELIANCE'}
+                        value={form.symbol}
+                        onChange={(e) => setForm({ ...form, symbol: e.target.value })}
+                    />
+                    <input
+                        type="number" step="any" min="0"
+                        placeholder={form.exchange === 'AMFI' ? 'Units' : 'Quantity'}
+                        value={form.quantity}
+                        onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+                    />
+                    <input
+                        type="number" step="any" min="0"
+                        placeholder={form.exchange === 'AMFI' ? 'Buy NAV ₹' : 'Buy price ₹'}
+                        value={form.buyPrice}
+                        onChange={(e) => setForm({ ...form, buyPrice: e.target.value })}
+                    />
+                    <input
+                        type="date"
+                        value={form.buyDate}
+                        max={todayKey()}
+                        onChange={(e) => setForm({ ...form, buyDate: e.target.value })}
+                    />
+                    <button type="submit" className="btn btn--primary" disabled={adding}>
+                        {adding ? 'Checking…' : 'Add Holding'}
+                    </button>
+                    {formError && <div className="portfolio-form__error">{formError}</div>}
+                </form>
+            )}
+
+            {holdings.length === 0 ? (
+                <p className="portfolio-card__empty">
+                    Add NSE/BSE stocks or mutual funds (AMFI scheme code) to track P&amp;L, or import a CSV.
+                </p>
+            ) : (
+                <>
+                    <div className="portfolio-summary">
+                        <div className="portfolio-summary__item">
+                            <span className="portfolio-summary__label">Value</span>
+                            <span className="portfolio-summary__value">{formatINR(totals.value)}</span>
+                            <span className="portfolio-summary__sub">Invested {formatINR(totals.invested)}</span>
+                        </div>
+                        <div className="portfolio-summary__item">
+                            <span className="portfolio-summary__label">Day P&amp;L</span>
+                            <span className={`portfolio-summary__value ${pnlClass(totals.dayPnL)}`}>{formatSigned(totals.dayPnL)}</span>
+                            <span className={`portfolio-summary__sub ${pnlClass(totals.dayPnL)}`}>{formatPercent(totals.dayPnLPercent)}</span>
+                        </div>
+                        <div className="portfolio-summary__item">
+                            <span className="portfolio-summary__label">Total P&amp;L</span>
+                            <span className={`portfolio-summary__value ${pnlClass(totals.totalPnL)}`}>{formatSigned(totals.totalPnL)}</span>
+                            <span className={`portfolio-summary__sub ${pnlClass(totals.totalPnL)}`}>{formatPercent(totals.totalPnLPercent)}</span>
+                        </div>
+                        <div className="portfolio-summary__item">
+                            <span className="portfolio-summary__label">XIRR</span>
+                            {totals.xirr != null ? (
+                                <span className={`portfolio-summary__value ${pnlClass(totals.xirr)}`}>{formatPercent(totals.xirr * 100)}</span>
+                            ) : (
+                                <span className="portfolio-summary__value" title={`Shown after ${MIN_XIRR_DAYS} days of history`}>—</span>
+                            )}
+                            <span className="portfolio-summary__sub">annualised</span>
+                        </div>
+                    </div>
+
+                    {totals.priced < holdings.length && (
+                        <div className="portfolio-card__message">
+                            {holdings.length - totals.priced} holding(s) unpriced — counted at cost
+                        </div>
+                    )}
+
+                    <div className="portfolio-allocation">
+                        <div className="portfolio-allocation__bar">
+                            {portfolio.allocation.map((slice, idx) => (
+                                <span
+                                    key={slice.key}
+                                    style={{ width: `${slice.percent}%`, background: ALLOCATION_COLORS[idx % ALLOCATION_COLORS.length] }}
+                                    title={`${slice.label}: ${slice.percent.toFixed(1)}%`}
+                                />
+                            ))}
+                        </div>
+                        <div className="portfolio-allocation__legend">
+                            {portfolio.allocation.map((slice, idx) => (
+                                <span key={slice.key}>
+                                    <i style={{ background: ALLOCATION_COLORS[idx % ALLOCATION_COLORS.length] }} />
+                                    {slice.label} {slice.percent.toFixed(1)}%
+                                </span>
+                            ))}
+                        </div>
+                        {portfolio.byType.length > 1 && (
+                            <div className="portfolio-allocation__types">
+                                {portfolio.byType.map(t => `${t.label} ${t.percent.toFixed(0)}%`).join(' · ')}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="portfolio-positions">
+                        {portfolio.positions.map(position => (
+                            <div key={position.id} className="portfolio-position">
+                                <div className="portfolio-position__info">
+                                    <div className="portfolio-position__name">{position.name || position.symbol}</div>
+                                    <div className="portfolio-position__meta">
+                                        {position.exchange} · {position.quantity} @ {formatINR(position.buyPrice, 2)} · {position.buyDate}
+                                    </div>
+                                </div>
+                                <div className="portfolio-position__values">
+                                    <div>{position.quote ? formatINR(position.quote.price, 2) : '—'}</div>
+                                    {position.pnl != null && (
+                                        <div className={`portfolio-position__pnl ${pnlClass(position.pnl)}`}>
+                                            {formatSigned(position.pnl)} ({formatPercent(position.pnlPercent)})
+                                        </div>
+                                    )}
+                                    {position.dayPnL != null && (
+                                        <div className={`portfolio-position__day ${pnlClass(position.dayPnL)}`}>
+                                            Today {formatSigned(position.dayPnL)}
+                                        </div>
+                                    )}
+                                </div>
+                                <button
+                                    className="portfolio-position__remove"
+                                    onClick={() => handleRemove(position.id)}
+                                    title="Remove holding"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default PortfolioCard;
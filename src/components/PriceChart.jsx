@@ -0,0 +1,127 @@
+import React, { useId, useMemo, useRef, useState } from 'react';
+import './PriceChart.css';
+
+const WIDTH = 320;
+const HEIGHT = 160;
+const PAD_TOP = 8;
+const PAD_BOTTOM = 8;
+
+function formatValue(value) {
+    return value.toLocaleString('en-IN', { maximumFractionDigits: value < 100 ? 2 : 0 });
+}
+
+function formatTime(t, intraday) {
+    const date = new Date(t);
+    return intraday
+        ? date.toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: '2-digit' });
+}
+
+/**
+ * Price Chart
+ * Lightweight SVG line/area chart with a touch/hover crosshair.
+ * @param {Array<{t: number, v: number}>} points - oldest first
+ * @param {number|null} baseline - reference level (previous close / first point)
+ * @param {boolean} intraday - label points with times rather than dates
+ */
+function PriceChart({ points, baseline, intraday = false }) {
+    const svgRef = useRef(null);
+    // Unique per chart: several charts can share a page
+    const gradientId = `price-chart-fill-${useId().replace(/[^a-zA-Z0-9_-]/g, '')}`;
+    const [hoverIdx, setHoverIdx] = useState(null);
+
+    const geometry = useMemo(() => {
+        if (!points || points.length < 2) return null;
+
+        const values = points.map(p => p.v);
+        if (baseline != null) values.push(baseline);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const span = max - min || 1;
+
+        const x = (i) => (i / (points.length - 1)) * WIDTH;
+        const y = (v) => PAD_TOP + (1 - (v - min) / span) * (HEIGHT - PAD_TOP - PAD_BOTTOM);
+
+        const line = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(p.v).toFixed(1)}`).join(' ');
+        const area = `${line} L${WIDTH},${HEIGHT} L0,${HEIGHT} Z`;
+
+        return { min, max, x, y, line, area };
+    }, [points, baseline]);
+
+    if (!geometry) {
+        return <div className="price-chart price-chart--empty">Not enough data for this range</div>;
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const reference = baseline ?? first.v;
+    const direction = last.v >= reference ? 'up' : 'down';
+    const active = hoverIdx != null ? points[hoverIdx] : last;
+    const activeChange = ((active.v - reference) / reference) * 100;
+
+    const handlePointer = (e) => {
+        const rect = svgRef.current?.getBoundingClientRect();
+        if (!rect || rect.width === 0) return;
+        const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+        setHoverIdx(Math.round(fraction * (points.length - 1)));
+    };
+
+    return (
+        <div className={`price-chart price-chart--${direction}`}>
+            <div className="price-chart__readout">
+                <span className="price-chart__value">{formatValue(active.v)}</span>
+                <span className={activeChange >= 0 ? 'text-success' : 'text-danger'}>
+                    {activeChange >= 0 ? '+' : ''}{activeChange.toFixed(2)}%
+                </span>
+                <span className="price-chart__time">{formatTime(active.t, intraday)}</span>
+            </div>
+
+            <svg
+                ref={svgRef}
+                className="price-chart__svg"
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                preserveAspectRatio="none"
+                onPointerMove={handlePointer}
+                onPointerDown={handlePointer}
+                onPointerLeave={() => setHoverIdx(null)}
+                role="img"
+                aria-label={`Price from ${formatValue(first.v)} to ${formatValue(last.v)}`}
+            >
+                <defs>
+                    <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="0%" stopColor="currentColor" stopOpacity="0.25" />
+                        <stop offset="100%" stopColor="currentColor" stopOpacity="0" />
+                    </linearGradient>
+                </defs>
+
+                {baseline != null && (
+                    <line
+                        className="price-chart__baseline"
+                        x1="0" x2={WIDTH}
+                        y1={geometry.y(baseline)} y2={geometry.y(baseline)}
+                        vectorEffect="non-scaling-stroke"
+                    />
+                )}
+                <path d={geometry.area} fill={`url(#${gradientId})`} />
+                <path d={geometry.line} className="price-chart__line" vectorEffect="non-scaling-stroke" />
+
+                {hoverIdx != null && (
+                    <line
+                        className="price-chart__crosshair"
+                        x1={geometry.x(hoverIdx)} x2={geometry.x(hoverIdx)}
+                        y1="0" y2={HEIGHT}
+                        vectorEffect="non-scaling-stroke"
+                    />
+                )}
+            </svg>
+
+            <div className="price-chart__axis">
+                <span>{formatTime(first.t, intraday)}</span>
+                <span>L {formatValue(geometry.min)} · H {formatValue(geometry.max)}</span>
+                <span>{formatTime(last.t, intraday)}</span>
+            </div>
+        </div>
+    );
+}
+
+export default PriceChart;
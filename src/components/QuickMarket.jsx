@@ -1,14 +1,20 @@
 import React from 'react';
 import { useMarket } from '../context/MarketContext';
+import { useSettings } from '../context/SettingsContext';
+import { useMarketStatus } from '../hooks/useMarketStatus';
+import { describeMarketStatus } from '../utils/marketCalendar';
 import './QuickMarket.css';
 
 /**
  * Quick Market Widget
- * Summarizes key indices (Nifty/Sensex) and market trend.
+ * Summarizes key indices (Nifty/Sensex), market trend and the top
+ * followed crypto coins.
  * Designed to look like the QuickWeather widget.
  */
 const QuickMarket = () => {
     const { marketData, loading } = useMarket();
+    const { settings } = useSettings();
+    const { status, now } = useMarketStatus();
 
     if (loading && (!marketData || !marketData.indices)) {
         return (
@@ -29,22 +35,9 @@ const QuickMarket = () => {
 
     if (!nifty || !sensex) return null;
 
-    // Determine Market Status (Simple Time Check)
-    const now = new Date();
-    const day = now.getDay();
-    const hour = now.getHours();
-    const minute = now.getMinutes();
-
-    // Market Hours: Mon-Fri, 09:15 - 15:30
-    const isWeekend = day === 0 || day === 6;
-    const timeInMinutes = hour * 60 + minute;
-    const marketOpen = 9 * 60 + 15;
-    const marketClose = 15 * 60 + 30;
-
-    const isOpen = !isWeekend && timeInMinutes >= marketOpen && timeInMinutes <= marketClose;
-
-    const statusText = isOpen ? 'Live' : 'Closed';
-    const statusClass = isOpen ? 'qm-status--open' : 'qm-status--closed';
+    // Exchange calendar: hours, weekends, holidays, pre-open and muhurat
+    const statusText = describeMarketStatus(status, now);
+    const statusClass = status.isTrading ? 'qm-status--open' : 'qm-status--closed';
 
     // Trend Analysis
     const niftyChange = parseFloat(nifty.change);
@@ -74,6 +67,9 @@ const QuickMarket = () => {
         }
     }
 
+    // Crypto trades around the clock, so it stays live when NSE is closed
+    const coins = settings?.market?.showCrypto !== false ? (marketData.crypto || []).slice(0, 3) : [];
+
     return (
         <section className="quick-market">
             <div className="qm-header">
@@ -81,7 +77,7 @@ const QuickMarket = () => {
                     Market Pulse
                 </div>
                 <div className={`qm-status ${statusClass}`}>
-                    {statusText} • {now.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                    {statusText}
                 </div>
             </div>
 
@@ -102,6 +98,22 @@ const QuickMarket = () => {
                 </div>
             </div>
 
+            {coins.length > 0 && (
+                <div className="qm-crypto">
+                    {coins.map(coin => {
+                        const pct = parseFloat(coin.changePercent);
+                        return (
+                            <span key={coin.id} className="qm-crypto__coin">
+                                <span className="qm-crypto__ticker">{coin.ticker}</span> ₹{coin.value}{' '}
+                                <span style={{ color: pct >= 0 ? 'var(--accent-success)' : 'var(--accent-danger)' }}>
+                                    {pct >= 0 ? '▲' : '▼'}{Math.abs(pct).toFixed(1)}%
+                                </span>
+                            </span>
+                        );
+                    })}
+                </div>
+            )}
+
             <div className="qm-summary">
                 <span className="qm-trend-icon">{trendIcon}</span>
                 {trendText}
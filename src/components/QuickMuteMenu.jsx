@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { getMuteSuggestions, MUTE_DURATIONS, RULE_TYPES } from '../utils/muteRules';
+import './MuteRules.css';
+
+/**
+ * Card menu to mute a story's source, a person/entity it mentions or one of
+ * its headline keywords, for a chosen duration.
+ * @param {Object} item - story
+ * @param {Function} onMute - ({type, value, days}) => void
+ * @param {Function} onClose
+ */
+function QuickMuteMenu({ item, onMute, onClose }) {
+    const [days, setDays] = useState(null);
+    const suggestions = getMuteSuggestions(item);
+
+    return (
+        <div className="quick-mute" onClick={(e) => e.stopPropagation()}>
+            <div className="quick-mute__header">
+                <span>🔇 Mute stories like this</span>
+                <select
+                    value={days ?? ''}
+                    onChange={(e) => setDays(e.target.value ? Number(e.target.value) : null)}
+                    aria-label="Mute for"
+                >
+                    {MUTE_DURATIONS.map(d => (
+                        <option key={d.label} value={d.days ?? ''}>{d.label}</option>
+                    ))}
+                </select>
+                <button className="quick-mute__close" onClick={onClose} title="Cancel">✕</button>
+            </div>
+            <div className="quick-mute__options">
+                {suggestions.map(s => (
+                    <button
+                        key={`${s.type}:${s.value}`}
+                        className="quick-mute__option"
+                        onClick={() => onMute({ ...s, days })}
+                    >
+                        <span className="quick-mute__type">{RULE_TYPES[s.type]}</span> {s.value}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default QuickMuteMenu;
@@ -19,7 +19,7 @@ const WindIcon = ({ size = '1em' }) => (
 
 /**
  * Quick Weather Widget — Redesigned
- * Shows present conditions for all 3 cities at a glance,
+ * Shows present conditions for every saved city at a glance,
  * plus a 24-hour heads-up timeline for the selected city.
  * No pills, no fine details — just "what's now" and "what's coming".
  */
@@ -44,9 +44,10 @@ const QuickWeather = () => {
     if (loading) return <div className="quick-weather-card qw-bg-day"><div style={{ textAlign: 'center', padding: '20px 0' }}>Loading weather...</div></div>;
     if (error || !weatherData) return <div className="quick-weather-card qw-bg-night"><div style={{ textAlign: 'center', padding: '20px 0' }}>Weather unavailable</div></div>;
 
-    const cities = ['chennai', 'trichy', 'muscat'];
-    const cityLabels = { chennai: 'Chennai', trichy: 'Trichy', muscat: 'Muscat' };
-    const cityIcons = { chennai: '🏛️', trichy: '🏯', muscat: '📍' };
+    // Saved locations, in settings order (see WeatherContext)
+    const cities = Object.keys(weatherData);
+    const cityLabels = Object.fromEntries(cities.map(city => [city, weatherData[city]?.name || city]));
+    const cityIcons = Object.fromEntries(cities.map(city => [city, weatherData[city]?.icon || '📍']));
 
     // Determine background based on current hour
     const hour = new Date().getHours();
@@ -57,15 +58,15 @@ const QuickWeather = () => {
     else bgClass = 'qw-bg-night';
 
     // Check if rain is coming in the next 24h for the active city
-    const activeCityData = weatherData[activeCity];
+    const activeCityData = weatherData[activeCity] || weatherData[cities[0]];
     const headsUp = getHeadsUp(activeCityData);
     const severeWarning = getSevereWarning(activeCityData);
 
     return (
         <section className={`quick-weather-card ${bgClass}`}>
 
-            {/* All 3 Cities — Current Conditions */}
-            <div className="qw-cities-grid">
+            {/* All Cities — Current Conditions */}
+            <div className="qw-cities-grid" style={{ '--city-count': cities.length }}>
                 {cities.map(city => {
                     const d = weatherData[city];
                     if (!d?.current) return null;
@@ -101,7 +102,7 @@ const QuickWeather = () => {
             {activeCityData?.hourly24 && (
                 <div className="qw-timeline-section">
                     <div className="qw-timeline-label">
-                        {getTimelineSummary(activeCityData, cityLabels[activeCity])}
+                        {getTimelineSummary(activeCityData, activeCityData.name)}
                     </div>
                     <div className="qw-timeline-strip">
                         {activeCityData.hourly24.map((slot, i) => (
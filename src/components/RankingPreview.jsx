@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from 'react';
+import { useNews } from '../context/NewsContext';
+import { rankWithSettings } from '../services/rssAggregator';
+import { applyProfile, compareRankings, getSegmentProfile, resolveScoringSettings } from '../utils/rankingProfiles';
+import './RankingPreview.css';
+
+const PREVIEW_LIMIT = 10;
+
+/**
+ * Ranks the stories already fetched for a section as they are scored now (A),
+ * i.e. with the time segment's profile if one is assigned, and under a
+ * profile (B), so the profile can be tried before it is applied.
+ * @param {Object} settings - current settings
+ * @param {Object} profile - profile to preview as B
+ * @param {Function} onApply - called with the profile when "Apply B" is pressed
+ */
+function RankingPreview({ settings, profile, onApply }) {
+    const { newsData } = useNews();
+    const sections = Object.keys(newsData).filter(key => newsData[key]?.length > 1);
+    const [section, setSection] = useState(sections[0] || '');
+    const activeSection = sections.includes(section) ? section : sections[0];
+    const segmentProfile = getSegmentProfile(settings);
+
+    const rows = useMemo(() => {
+        const items = activeSection ? newsData[activeSection] : [];
+        if (!items?.length || !profile) return null;
+        const rankedA = rankWithSettings(items, activeSection, resolveScoringSettings(settings));
+        const rankedB = rankWithSettings(items, activeSection, applyProfile(settings, profile));
+        return {
+            a: rankedA.slice(0, PREVIEW_LIMIT),
+            b: compareRankings(rankedA, rankedB, PREVIEW_LIMIT)
+        };
+    }, [newsData, activeSection, settings, profile]);
+
+    if (!sections.length) {
+        return (
+            <div className="ranking-preview ranking-preview--empty">
+                Open the news page first; the preview re-ranks stories that are already loaded.
+            </div>
+        );
+    }
+
+    const moved = rows ? rows.b.filter(row => row.change !== 0).length : 0;
+
+    return (
+        <div className="ranking-preview">
+            <div className="ranking-preview__header">
+                <select value={activeSection} onChange={(e) => setSection(e.target.value)}>
+                    {sections.map(key => <option key={key} value={key}>{key}</option>)}
+                </select>
+                <span className="ranking-preview__summary">
+                    {moved === 0 ? 'Same order' : `${moved} of top ${rows.b.length} move`}
+                </span>
+            </div>
+
+            {rows && (
+                <div className="ranking-preview__columns">
+                    <ol className="ranking-preview__list">
+                        <li className="ranking-preview__title">
+                            {segmentProfile ? `A · ${segmentProfile.icon} ${segmentProfile.name} (this segment)` : 'A · Current weights'}
+                        </li>
+                        {rows.a.map(item => (
+                            <li key={item.id} className="ranking-preview__row">
+                                <span className="ranking-preview__headline">{item.title}</span>
+                                <span className="ranking-preview__score">{item.impactScore.toFixed(1)}</span>
+                            </li>
+                        ))}
+                    </ol>
+                    <ol className="ranking-preview__list">
+                        <li className="ranking-preview__title">B · {profile.icon} {profile.name}</li>
+                        {rows.b.map(({ item, change, previousRank }) => (
+                            <li key={item.id} className="ranking-preview__row">
+                                <span
+                                    className={`ranking-preview__change${change > 0 ? ' ranking-preview__change--up' : change < 0 ? ' ranking-preview__change--down' : ''}`}
+                                    title={previousRank ? `Was #${previousRank}` : 'New in top list'}
+                                >
+                                    {change > 0 ? `▲${change}` : change < 0 ? `▼${-change}` : '='}
+                                </span>
+                                <span className="ranking-preview__headline">{item.title}</span>
+                                <span className="ranking-preview__score">{item.impactScore.toFixed(1)}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            )}
+
+            {segmentProfile && (
+                <div className="ranking-preview__note">
+                    This time segment ranks with {segmentProfile.icon} {segmentProfile.name}. Applying B changes the sliders,
+                    which take effect in segments without a profile.
+                </div>
+            )}
+
+            <button className="btn btn--secondary" onClick={() => onApply(profile)} style={{ width: '100%', marginTop: '8px' }}>
+                Apply B ({profile.name})
+            </button>
+        </div>
+    );
+}
+
+export default RankingPreview;
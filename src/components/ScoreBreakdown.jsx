@@ -0,0 +1,61 @@
+import React from 'react';
+import {
+    FACTOR_LABELS,
+    formatContribution,
+    formatFactorValue,
+    getActiveFactors
+} from '../utils/scoreBreakdown';
+import './ScoreBreakdown.css';
+
+/**
+ * "Why is this here?" panel
+ * Lists each ranking factor that moved a story's impact score, with its raw
+ * value and the points it contributed. Neutral factors are summarised on one line.
+ * @param {Object} breakdown - item.scoreBreakdown
+ * @param {Function} [onCompare] - toggles the story in its section's compare selection
+ * @param {boolean} [comparing] - story is currently selected for compare
+ */
+function ScoreBreakdown({ breakdown, onCompare = null, comparing = false }) {
+    if (!breakdown) return null;
+
+    const active = getActiveFactors(breakdown);
+    const neutral = breakdown.factors.filter(f => !active.includes(f));
+
+    return (
+        <div className="score-why" onClick={(e) => e.stopPropagation()}>
+            <div className="score-why__header">
+                <span>Why is this here?</span>
+                <span className="score-why__total">
+                    Score {breakdown.total.toFixed(1)}
+                    <span className="score-why__mode">{breakdown.mode === 'classic' ? 'classic' : '9-factor'}</span>
+                </span>
+            </div>
+
+            <ul className="score-why__factors">
+                {active.map(factor => (
+                    <li key={factor.key} className="score-why__factor">
+                        <span className="score-why__label">{FACTOR_LABELS[factor.key] || factor.key}</span>
+                        <span className="score-why__value">{formatFactorValue(factor)}</span>
+                        <span className={`score-why__contribution ${factor.contribution >= 0 ? 'text-success' : 'text-danger'}`}>
+                            {formatContribution(factor.contribution)}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+
+            {neutral.length > 0 && (
+                <div className="score-why__neutral">
+                    No effect: {neutral.map(f => FACTOR_LABELS[f.key] || f.key).join(', ')}
+                </div>
+            )}
+
+            {onCompare && (
+                <button className="score-why__compare" onClick={onCompare}>
+                    {comparing ? '✓ Selected for compare' : '⇄ Compare with another story'}
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default ScoreBreakdown;
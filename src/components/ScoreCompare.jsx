@@ -0,0 +1,68 @@
+import React from 'react';
+import { compareBreakdowns, formatContribution } from '../utils/scoreBreakdown';
+import './ScoreBreakdown.css';
+
+/**
+ * Side-by-side score breakdown of two stories from the same section,
+ * ordered by the factors that separate them most.
+ * @param {Object} a - first story (with scoreBreakdown)
+ * @param {Object} b - second story
+ * @param {Function} onClose
+ */
+function ScoreCompare({ a, b, onClose }) {
+    const { rows, totalDiff } = compareBreakdowns(a.scoreBreakdown, b.scoreBreakdown);
+    const [higher, lower] = totalDiff >= 0 ? ['A', 'B'] : ['B', 'A'];
+    const lead = rows.find(row => Math.sign(row.diff) === Math.sign(totalDiff) && row.diff !== 0);
+
+    return (
+        <div className="score-compare">
+            <div className="score-compare__header">
+                <span>⇄ Compare ranking</span>
+                <button className="score-compare__close" onClick={onClose} title="Close compare">✕</button>
+            </div>
+
+            <ol className="score-compare__stories">
+                <li><strong>A</strong> {a.headline || a.title}</li>
+                <li><strong>B</strong> {b.headline || b.title}</li>
+            </ol>
+
+            <p className="score-compare__verdict">
+                {Math.abs(totalDiff) < 0.05
+                    ? 'Both stories score the same.'
+                    : `${higher} ranks above ${lower} by ${Math.abs(totalDiff).toFixed(1)} points` +
+                    (lead ? `, mostly from ${lead.label.toLowerCase()}.` : '.')}
+            </p>
+
+            <table className="score-compare__table">
+                <thead>
+                    <tr>
+                        <th>Factor</th>
+                        <th>A</th>
+                        <th>B</th>
+                        <th>A − B</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row.key}>
+                            <td>{row.label}</td>
+                            <td>{row.a ? formatContribution(row.a.contribution) : '-'}</td>
+                            <td>{row.b ? formatContribution(row.b.contribution) : '-'}</td>
+                            <td className={row.diff > 0 ? 'text-success' : row.diff < 0 ? 'text-danger' : ''}>
+                                {formatContribution(row.diff)}
+                            </td>
+                        </tr>
+                    ))}
+                    <tr className="score-compare__total">
+                        <td>Total</td>
+                        <td>{a.scoreBreakdown.total.toFixed(1)}</td>
+                        <td>{b.scoreBreakdown.total.toFixed(1)}</td>
+                        <td>{formatContribution(totalDiff)}</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default ScoreCompare;
@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMarket } from '../context/MarketContext';
+import { searchSymbols } from '../services/indianMarketService';
+import { getChartPath } from '../services/chartService';
+import { useMarketNews } from '../hooks/useMarketNews';
+import MarketNewsBadge from './MarketNewsBadge';
+import {
+    ALERT_TYPES,
+    addToWatchlist,
+    removeFromWatchlist,
+    addAlert,
+    removeAlert,
+    formatWatchPrice
+} from '../utils/marketWatchlist';
+import { requestNotificationPermission } from '../utils/notifications';
+import './WatchlistCard.css';
+
+const SEARCH_DEBOUNCE_MS = 400;
+
+function AlertEditor({ entry, currency, onAdd, onRemove }) {
+    const [type, setType] = useState('above');
+    const [value, setValue] = useState('');
+    const [error, setError] = useState(null);
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        try {
+            onAdd(type, value);
+            setValue('');
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="watchlist-alerts">
+            {entry.alerts.map(alert => (
+                <div key={alert.id} className={`watchlist-alert ${alert.active ? 'watchlist-alert--active' : ''}`}>
+                    <span>
+                        🔔 {ALERT_TYPES[alert.type].label} {alert.type === 'move' ? `${alert.value}%` : formatWatchPrice(alert.value, currency)}
+                        {alert.lastTriggered && (
+                            <span className="watchlist-alert__last">
+                                {' '}· last {new Date(alert.lastTriggered).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                            </span>
+                        )}
+                    </span>
+                    <button onClick={() => onRemove(alert.id)} title="Remove alert">✕</button>
+                </div>
+            ))}
+            <form className="watchlist-alerts__form" onSubmit={handleAdd}>
+                <select value={type} onChange={(e) => setType(e.target.value)}>
+                    {Object.entries(ALERT_TYPES).map(([key, t]) => (
+                        <option key={key} value={key}>{t.label}</option>
+                    ))}
+                </select>
+                <input
+                    type="number" step="any" min="0"
+                    placeholder={ALERT_TYPES[type].unit || currency || 'INR'}
+                    value={value}
+                    onChange={(e) => setValue(e.target.value)}
+                />
+                <button type="submit" className="btn btn--secondary">Add</button>
+            </form>
+            {error && <div className="watchlist-alerts__error">{error}</div>}
+        </div>
+    );
+}
+
+/**
+ * Watchlist Card
+ * Followed symbols with live quotes and price alerts.
+ * Alerts are checked by MarketContext on every refresh.
+ */
+function WatchlistCard() {
+    const { marketData, watchlist, updateWatchlist } = useMarket();
+    const navigate = useNavigate();
+    const newsFor = useMarketNews();
+    const quotes = marketData?.watchlist || {};
+
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [searching, setSearching] = useState(false);
+    const [searchError, setSearchError] = useState(null);
+    const [expanded, setExpanded] = useState(null);
+
+    useEffect(() => {
+        if (query.trim().length < 2) {
+            setResults([]);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setSearching(true);
+            setSearchError(null);
+            try {
+                const found = await searchSymbols(query);
+                if (!cancelled) setResults(found);
+            } catch {
+                if (!cancelled) setSearchError('Search failed. Try again.');
+            } finally {
+                if (!cancelled) setSearching(false);
+            }
+        }, SEARCH_DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query]);
+
+    const handleAdd = (result) => {
+        updateWatchlist(addToWatchlist(watchlist, result));
+        setQuery('');
+        setResults([]);
+    };
+
+    const handleAddAlert = (symbol, type, value) => {
+        // Throws on invalid input; AlertEditor shows the message
+        const next = addAlert(watchlist, symbol, type, value);
+        updateWatchlist(next);
+        requestNotificationPermission();
+    };
+
+    return (
+        <div className="watchlist-card">
+            <div className="watchlist-search">
+                <input
+                    type="search"
+                    placeholder="Search stocks, e.g. Infosys or TCS.NS"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                {searching && <span className="watchlist-search__status">⟳</span>}
+            </div>
+
+            {searchError && <div className="watchlist-card__message">{searchError}</div>}
+
+            {results.length > 0 && (
+                <div className="watchlist-results">
+                    {results.map(result => {
+                        const added = watchlist.some(e => e.symbol === result.symbol);
+                        return (
+                            <button
+                                key={result.symbol}
+                                className="watchlist-result"
+                                onClick={() => handleAdd(result)}
+                                disabled={added}
+                            >
+                                <span className="watchlist-result__symbol">{result.symbol}</span>
+                                <span className="watchlist-result__name">{result.name}</span>
+                                <span className="watchlist-result__meta">{result.exchange} {result.type}</span>
+                                <span>{added ? '✓' : '+'}</span>
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+
+            {watchlist.length === 0 ? (
+                <p className="watchlist-card__message">Search for a stock to follow its price and set alerts.</p>
+            ) : (
+                <div className="watchlist-list">
+                    {watchlist.map(entry => {
+                        const quote = quotes[entry.symbol];
+                        const pct = quote ? parseFloat(quote.changePercent) : null;
+                        const isOpen = expanded === entry.symbol;
+
+                        return (
+                            <div key={entry.symbol} className="watchlist-item">
+                                <div className="watchlist-item__row">
+                                    <div
+                                        className="watchlist-item__info"
+                                        role="button"
+                                        title="View chart"
+                                        onClick={() => navigate(getChartPath({ symbol: entry.symbol, name: entry.name }))}
+                                    >
+                                        <div className="watchlist-item__symbol">{entry.symbol}</div>
+                                        <div className="watchlist-item__name">{entry.name}</div>
+                                        <MarketNewsBadge instrument={entry} news={newsFor(entry)} />
+                                    </div>
+                                    <div className="watchlist-item__quote">
+                                        <div>{quote ? formatWatchPrice(quote.price, quote.currency) : '—'}</div>
+                                        {pct != null && (
+                                            <div className={pct >= 0 ? 'text-success' : 'text-danger'}>
+                                                {pct >= 0 ? '▲' : '▼'} {Math.abs(pct).toFixed(2)}%
+                                            </div>
+                                        )}
+                                    </div>
+                                    <button
+                                        className={`watchlist-item__bell ${entry.alerts.length > 0 ? 'watchlist-item__bell--set' : ''}`}
+                                        onClick={() => setExpanded(isOpen ? null : entry.symbol)}
+                                        title="Price alerts"
+                                    >
+                                        🔔{entry.alerts.length > 0 ? entry.alerts.length : ''}
+                                    </button>
+                                    <button
+                                        className="watchlist-item__remove"
+                                        onClick={() => updateWatchlist(removeFromWatchlist(watchlist, entry.symbol))}
+                                        title="Remove from watchlist"
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+
+                                {isOpen && (
+                                    <AlertEditor
+                                        entry={entry}
+                                        currency={quote?.currency}
+                                        onAdd={(type, value) => handleAddAlert(entry.symbol, type, value)}
+                                        onRemove={(alertId) => updateWatchlist(removeAlert(watchlist, entry.symbol, alertId))}
+                                    />
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default WatchlistCard;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useWeather } from '../context/WeatherContext';
+import { describeAlert } from '../utils/weatherAlerts';
+import './WeatherAlertBanner.css';
+
+const CONFIDENCE_LABELS = {
+    high: 'All models agree',
+    medium: 'Models partly agree',
+    low: 'Single model'
+};
+
+/**
+ * Weather Alert Banner
+ * Active alerts from the rules engine (utils/weatherAlerts.js).
+ * @param {boolean} linkToWeather - show a link to the Weather page (MainPage)
+ */
+const WeatherAlertBanner = ({ linkToWeather = false }) => {
+    const { alerts } = useWeather();
+    const [dismissed, setDismissed] = useState([]);
+
+    const visible = (alerts || []).filter(alert => !dismissed.includes(alert.id));
+    if (visible.length === 0) return null;
+
+    return (
+        <div className="weather-alert-banner">
+            {visible.map(alert => (
+                <div key={alert.id} className={`weather-alert weather-alert--${alert.severity}`}>
+                    <span className="weather-alert__icon">{alert.icon}</span>
+                    <div className="weather-alert__body">
+                        <div className="weather-alert__text">{describeAlert(alert)}</div>
+                        <div className="weather-alert__meta">
+                            <span className={`weather-alert__confidence weather-alert__confidence--${alert.confidence}`}>
+                                {CONFIDENCE_LABELS[alert.confidence]}
+                            </span>
+                            <span>{alert.agreeing.map(m => m.toUpperCase()).join(' + ')}</span>
+                            <span>Threshold {alert.threshold}{alert.unit}</span>
+                            {linkToWeather && <Link to="/weather" className="weather-alert__link">Forecast →</Link>}
+                        </div>
+                    </div>
+                    <button
+                        className="weather-alert__dismiss"
+                        onClick={() => setDismissed(prev => [...prev, alert.id])}
+                        aria-label="Dismiss alert"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default WeatherAlertBanner;
@@ -26,7 +26,8 @@ const HumidityIcon = ({ size = '1em' }) => (
 function WeatherCard({ weatherData }) {
     const [expandedHourly, setExpandedHourly] = useState({});
     const timeBlocks = getWeatherTimeBlocks();
-    const cities = ['chennai', 'trichy', 'muscat'];
+    // Saved locations, in settings order (see WeatherContext)
+    const cities = Object.keys(weatherData);
 
     const toggleHourly = (key) => {
         setExpandedHourly(prev => ({ ...prev, [key]: !prev[key] }));
@@ -83,13 +84,13 @@ function WeatherCard({ weatherData }) {
             </h2>
 
             <div className="card">
-                <div className="weather-grid">
+                <div className="weather-grid" style={{ '--city-count': cities.length }}>
                     {/* Header Row */}
                     <div className="weather-grid__header"></div>
                     {cities.map(city => (
                         <div key={city} className="weather-grid__header">
                             {weatherData[city]?.icon} {weatherData[city]?.name}
-                            {city === 'muscat' && weatherData[city]?.localTime && (
+                            {weatherData[city]?.localTime && (
                                 <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>
                                     {weatherData[city].localTime}
                                 </div>
@@ -1,16 +1,110 @@
 import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
-import { fetchAllMarketData } from '../services/indianMarketService';
+import { fetchAllMarketData, fetchWatchlistQuotes } from '../services/indianMarketService';
+import { getWatchlist, saveWatchlist, evaluateWatchlistAlerts, describeWatchlistAlert } from '../utils/marketWatchlist';
+import { sendNotification } from '../utils/notifications';
+import { getSettings } from '../utils/storage';
+import { getMarketStatus, getRefreshMinutes, getNextTransition } from '../utils/marketCalendar';
+import {
+    getRemittanceAlerts,
+    saveRemittanceAlerts,
+    evaluateRemittanceAlerts,
+    describeRemittanceAlert
+} from '../utils/currencyRates';
 
 const MarketContext = createContext(null);
 
 const CACHE_KEY = 'market_cache';
-const CACHE_DURATION = 15 * 60 * 1000; // 15 minutes
+// Closing prices settle a few minutes after 15:30
+const CLOSE_SETTLE_MS = 10 * 60 * 1000;
+// Crypto and forex keep moving while NSE is shut; refetch on visit, never poll
+const CLOSED_CACHE_MS = 60 * 60 * 1000;
+
+/**
+ * Whether a fetch is still good, following the exchange calendar:
+ * every few minutes during a session, once after the close otherwise.
+ */
+function isCacheFresh(fetchedAt, now = Date.now()) {
+    const status = getMarketStatus(now);
+    const refreshMinutes = getRefreshMinutes(status);
+    if (refreshMinutes) return now - fetchedAt < refreshMinutes * 60 * 1000;
+
+    const afterClose = !status.lastClose || fetchedAt >= status.lastClose + CLOSE_SETTLE_MS;
+    return afterClose && now - fetchedAt < CLOSED_CACHE_MS;
+}
+
+/**
+ * Delay until the next automatic refresh: the session cadence while
+ * trading, otherwise sleep until the next pre-open.
+ */
+function getRefreshDelay(fetchedAt, now = Date.now()) {
+    const status = getMarketStatus(now);
+    const refreshMinutes = getRefreshMinutes(status);
+    if (refreshMinutes) return Math.max(fetchedAt + refreshMinutes * 60 * 1000 - now, 0);
+
+    // One more fetch for the settled closing prices
+    if (status.lastClose && fetchedAt < status.lastClose + CLOSE_SETTLE_MS) {
+        return Math.max(status.lastClose + CLOSE_SETTLE_MS - now, 0);
+    }
+
+    const wake = getNextTransition(now);
+    return wake ? wake - now : null;
+}
+
+/**
+ * Quotes the watchlist and fires any price alerts that crossed.
+ * @returns {Promise<{quotes: Object, watchlist: Array}>}
+ */
+async function checkWatchlist() {
+    const entries = getWatchlist();
+    if (entries.length === 0) return { quotes: {}, watchlist: entries };
+
+    const quotes = await fetchWatchlistQuotes(entries.map(e => e.symbol));
+    const { watchlist, triggered } = evaluateWatchlistAlerts(entries, quotes);
+    saveWatchlist(watchlist);
+
+    triggered.forEach(hit => {
+        sendNotification(`📈 Watchlist alert: ${hit.entry.name}`, {
+            body: describeWatchlistAlert(hit),
+            tag: `watchlist-${hit.entry.symbol}-${hit.alert.id}`,
+            data: { route: '/markets' }
+        });
+    });
+    if (triggered.length > 0) {
+        console.log(`[MarketContext] 🔔 ${triggered.length} watchlist alert(s) triggered`);
+    }
+
+    return { quotes, watchlist };
+}
+
+/**
+ * Checks remittance alerts against fresh converter rates and notifies any that crossed.
+ * @returns {Array} updated alerts
+ */
+function checkRemittanceAlerts(rates) {
+    const { alerts, triggered } = evaluateRemittanceAlerts(getRemittanceAlerts(), rates);
+    saveRemittanceAlerts(alerts);
+
+    triggered.forEach(hit => {
+        sendNotification(`💱 Rate alert: ${hit.alert.from}→${hit.alert.to}`, {
+            body: describeRemittanceAlert(hit),
+            tag: `remittance-${hit.alert.id}`,
+            data: { route: '/markets' }
+        });
+    });
+    if (triggered.length > 0) {
+        console.log(`[MarketContext] 🔔 ${triggered.length} remittance alert(s) triggered`);
+    }
+
+    return alerts;
+}
 
 export function MarketProvider({ children }) {
     const [marketData, setMarketData] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [lastFetch, setLastFetch] = useState(null);
+    const [watchlist, setWatchlist] = useState(getWatchlist);
+    const [remittanceAlerts, setRemittanceAlerts] = useState(getRemittanceAlerts);
 
     const loadMarketData = useCallback(async (forceRefresh = false) => {
         // Check cache first
@@ -19,7 +113,10 @@ export function MarketProvider({ children }) {
                 const cached = localStorage.getItem(CACHE_KEY);
                 if (cached) {
                     const parsed = JSON.parse(cached);
-                    if (Date.now() - parsed.fetchedAt < CACHE_DURATION) {
+                    // A changed coin list in settings needs a fresh crypto fetch
+                    const coins = getSettings().market?.cryptoCoins || [];
+                    const sameCoins = (parsed.cryptoCoins || []).join() === coins.join();
+                    if (isCacheFresh(parsed.fetchedAt) && sameCoins) {
                         console.log('[MarketContext] Using cached data');
                         setMarketData(parsed);
                         setLoading(false);
@@ -36,7 +133,18 @@ export function MarketProvider({ children }) {
         setError(null);
 
         try {
-            const data = await fetchAllMarketData();
+            const [data, watch] = await Promise.all([
+                fetchAllMarketData(),
+                checkWatchlist().catch(e => {
+                    console.warn('[MarketContext] Watchlist check failed:', e);
+                    return { quotes: {}, watchlist: getWatchlist() };
+                })
+            ]);
+            data.watchlist = watch.quotes;
+            setWatchlist(watch.watchlist);
+            if (data.fx?.available) {
+                setRemittanceAlerts(checkRemittanceAlerts(data.fx.rates));
+            }
             setMarketData(data);
             setLastFetch(Date.now());
 
@@ -56,17 +164,63 @@ export function MarketProvider({ children }) {
         loadMarketData();
     }, [loadMarketData]);
 
+    // Poll only while the exchange is in session; when closed, sleep until the next pre-open
+    useEffect(() => {
+        if (!lastFetch) return;
+        const delay = getRefreshDelay(lastFetch);
+        if (delay == null) return;
+
+        // setTimeout overflows past ~24.8 days
+        const id = setTimeout(() => {
+            console.log('[MarketContext] ⏰ Scheduled refresh');
+            loadMarketData(true);
+        }, Math.min(delay, 2 ** 31 - 1));
+        return () => clearTimeout(id);
+    }, [lastFetch, loadMarketData]);
+
     const refreshMarket = useCallback(() => {
         return loadMarketData(true);
     }, [loadMarketData]);
 
+    /**
+     * Saves watchlist edits; quotes any symbol not yet priced.
+     */
+    const updateWatchlist = useCallback(async (next) => {
+        saveWatchlist(next);
+        setWatchlist(next);
+
+        const missing = next.map(e => e.symbol).filter(symbol => !marketData?.watchlist?.[symbol]);
+        if (missing.length === 0) return;
+
+        const quotes = await fetchWatchlistQuotes(missing);
+        setMarketData(prev => {
+            if (!prev) return prev;
+            const updated = { ...prev, watchlist: { ...prev.watchlist, ...quotes } };
+            try {
+                localStorage.setItem(CACHE_KEY, JSON.stringify(updated));
+            } catch {
+                // cache is best-effort
+            }
+            return updated;
+        });
+    }, [marketData]);
+
+    const updateRemittanceAlerts = useCallback((next) => {
+        saveRemittanceAlerts(next);
+        setRemittanceAlerts(next);
+    }, []);
+
     return (
         <MarketContext.Provider value={{
             marketData,
             loading,
             error,
             lastFetch,
-            refreshMarket
+            refreshMarket,
+            watchlist,
+            updateWatchlist,
+            remittanceAlerts,
+            updateRemittanceAlerts
         }}>
             {children}
         </MarketContext.Provider>
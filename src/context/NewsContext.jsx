@@ -21,11 +21,13 @@ export function NewsProvider({ children }) {
     const [auditResults, setAuditResults] = useState({});
 
 
+    // Sections loaded or in flight. A ref (not loadedSections) keeps loadSection
+    // stable, so effects can depend on it, and stops double-fetches in flight
+    const requestedSections = useRef(new Set());
+
     const loadSection = useCallback(async (section) => {
-        // Prevent duplicate loads if already loaded or in loadedSections
-        // Note: Ideally we should track "loadingSections" to prevent double-fetch while in flight,
-        // but for now checking loadedSections prevents re-fetch after success.
-        if (loadedSections.includes(section)) return;
+        if (requestedSections.current.has(section)) return;
+        requestedSections.current.add(section);
 
         console.log(`[NewsContext] Lazy loading section: ${section}`);
 
@@ -49,7 +51,7 @@ export function NewsProvider({ children }) {
             // Mark as loaded regardless of success/failure so UI can show content or error
             setLoadedSections(prev => [...new Set([...prev, section])]);
         }
-    }, [loadedSections]);
+    }, []);
 
     const refreshNews = useCallback(async (specificSections = null) => {
         setLoading(true);
@@ -148,6 +150,7 @@ export function NewsProvider({ children }) {
                 setErrors(prev => ({ ...prev, ...batchErrors }));
 
                 // Update loaded sections
+                Object.keys(batchResults).forEach(section => requestedSections.current.add(section));
                 setLoadedSections(prev => [...new Set([...prev, ...Object.keys(batchResults)])]);
 
                 // Breaking News Update (Incremental)
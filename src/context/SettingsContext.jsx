@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
 import { getSettings, saveSettings } from '../utils/storage';
+import { syncBackgroundConfig } from '../services/backgroundSync';
 
 const SettingsContext = createContext();
 
@@ -12,6 +13,8 @@ export function SettingsProvider({ children }) {
         saveSettings(newSettings);
         setSettingsState(newSettings);
         setSettingsVersion(v => v + 1);
+        // Service worker keeps its own copy for background checks
+        syncBackgroundConfig();
     }, []);
 
     // Reload settings from storage
@@ -1,4 +1,4 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
 import {
     getSettings,
     addFollowedTopic,
@@ -8,6 +8,7 @@ import {
 } from '../utils/storage.js';
 import { fetchAllTopicsNews } from '../services/topicService.js';
 import { sendNotification } from '../utils/notifications.js';
+import { startBackgroundSync, syncBackgroundConfig } from '../services/backgroundSync.js';
 
 const TopicContext = createContext();
 
@@ -16,6 +17,8 @@ export function TopicProvider({ children }) {
     const [topicNews, setTopicNews] = useState({}); // { topicId: [articles] }
     const [loading, setLoading] = useState(false);
     const [suggestions, setSuggestions] = useState([]);
+    // 'periodic' | 'fallback' when the service worker sends topic notifications
+    const backgroundModeRef = useRef('unsupported');
 
     // Load topics from settings on mount
     useEffect(() => {
@@ -24,8 +27,17 @@ export function TopicProvider({ children }) {
 
         // Initial suggestion generation
         refreshSuggestions();
+
+        startBackgroundSync()
+            .then(mode => { backgroundModeRef.current = mode; })
+            .catch(error => console.warn('[TopicContext] Background sync unavailable:', error));
     }, []);
 
+    // Keep the service worker's copy of followed topics current
+    useEffect(() => {
+        syncBackgroundConfig();
+    }, [followedTopics]);
+
     // Polling Effect (every 15 minutes)
     useEffect(() => {
         if (followedTopics.length === 0) return;
@@ -37,7 +49,9 @@ export function TopicProvider({ children }) {
 
         const interval = setInterval(() => {
             console.log('[TopicContext] Auto-refreshing topics...');
-            refreshTopics(true); // notify on updates
+            // The service worker notifies when it can; otherwise notify from here
+            const mode = backgroundModeRef.current;
+            refreshTopics(mode !== 'periodic' && mode !== 'fallback');
         }, 15 * 60 * 1000);
 
         return () => clearInterval(interval);
@@ -68,6 +82,7 @@ export function TopicProvider({ children }) {
     const checkForUpdates = (newNews) => {
         let newCount = 0;
         let sampleTopic = '';
+        let sampleTopicId = '';
 
         Object.entries(newNews).forEach(([topicId, articles]) => {
             const oldArticles = topicNews[topicId] || [];
@@ -76,7 +91,10 @@ export function TopicProvider({ children }) {
                 if (articles[0].id !== oldArticles[0].id) {
                     newCount++;
                     const topic = followedTopics.find(t => t.id === topicId);
-                    if (topic) sampleTopic = topic.name;
+                    if (topic) {
+                        sampleTopic = topic.name;
+                        sampleTopicId = topic.id;
+                    }
                 }
             }
         });
@@ -88,7 +106,8 @@ export function TopicProvider({ children }) {
 
             sendNotification(title, {
                 body: 'Click to see the latest stories.',
-                tag: 'topic-update'
+                tag: 'topic-update',
+                data: { route: newCount === 1 ? `/following/${sampleTopicId}` : '/following' }
             });
         }
     };
@@ -1,12 +1,51 @@
-import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { fetchWeather } from '../services/weatherService';
+import { getActiveLocations } from '../services/locationService';
+import { verifyForecasts } from '../services/forecastVerification';
 import { getSettings } from '../utils/storage';
+import { evaluateWeatherAlerts, getAlertRules, describeAlert } from '../utils/weatherAlerts';
+import { sendNotification } from '../utils/notifications';
 import { useSettings } from './SettingsContext';
 
+const NOTIFIED_KEY = 'dailyEventAI_weatherAlertsNotified';
+// Re-notify an alert that is still active after this long
+const RENOTIFY_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Sends a notification for alerts not already notified within RENOTIFY_MS.
+ */
+function notifyNewAlerts(alerts) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+    let notified = {};
+    try {
+        notified = JSON.parse(localStorage.getItem(NOTIFIED_KEY) || '{}');
+    } catch {
+        notified = {};
+    }
+
+    const now = Date.now();
+    alerts.forEach(alert => {
+        if (notified[alert.id] && now - notified[alert.id] < RENOTIFY_MS) return;
+        sendNotification(`${alert.icon} ${alert.label} - ${alert.cityName}`, {
+            body: describeAlert(alert),
+            tag: `weather-${alert.id}`,
+            data: { route: '/weather' }
+        });
+        notified[alert.id] = now;
+    });
+
+    // Drop entries that can no longer suppress anything
+    Object.keys(notified).forEach(id => {
+        if (now - notified[id] >= RENOTIFY_MS) delete notified[id];
+    });
+    localStorage.setItem(NOTIFIED_KEY, JSON.stringify(notified));
+}
+
 const WeatherContext = createContext();
 
 export function WeatherProvider({ children }) {
-    const { settingsVersion } = useSettings();
+    const { settings, settingsVersion } = useSettings();
     const prevVersion = useRef(settingsVersion);
 
     const [weatherData, setWeatherData] = useState(null);
@@ -37,7 +76,7 @@ export function WeatherProvider({ children }) {
         }
 
         try {
-            const cities = settings?.weather?.cities || ['chennai', 'trichy', 'muscat'];
+            const cities = getActiveLocations(settings).map(loc => loc.id);
             const results = await Promise.allSettled(
                 cities.map(city => fetchWeather(city))
             );
@@ -50,6 +89,9 @@ export function WeatherProvider({ children }) {
             setWeatherData(data);
             setLastFetch(Date.now());
             setError(null);
+
+            // Score past forecasts in the background; new weights apply on the next fetch
+            verifyForecasts(cities).catch(e => console.warn('[Weather] Verification failed:', e));
         } catch (err) {
             console.error("Weather Context Error:", err);
             setError(err);
@@ -71,8 +113,20 @@ export function WeatherProvider({ children }) {
         }
     }, [settingsVersion, loadWeather]);
 
+    // Severe weather alerts from the rules engine
+    const alerts = useMemo(() => {
+        if (settings.weatherAlerts?.enabled === false) return [];
+        return evaluateWeatherAlerts(weatherData, getAlertRules(settings));
+    }, [weatherData, settings]);
+
+    useEffect(() => {
+        if (alerts.length > 0 && settings.weatherAlerts?.notify !== false) {
+            notifyNewAlerts(alerts);
+        }
+    }, [alerts, settings.weatherAlerts?.notify]);
+
     return (
-        <WeatherContext.Provider value={{ weatherData, loading, error, refreshWeather: loadWeather }}>
+        <WeatherContext.Provider value={{ weatherData, loading, error, alerts, refreshWeather: loadWeather }}>
             {children}
         </WeatherContext.Provider>
     );
@@ -1,8 +1,6 @@
-// Geographic coordinates and boost factors for proximity scoring
-export const LOCATIONS = {
-    chennai: { lat: 13.0827, lon: 80.2707, boost: 2.0 },
-    trichy: { lat: 10.7905, lon: 78.7047, boost: 1.8 },
+// Regions and boost factors for proximity scoring.
+// Cities come from the user's saved locations (settings.weather.locations).
+export const REGIONS = {
     'tamil nadu': { lat: 11.1271, lon: 78.6569, boost: 1.6 },
-    muscat: { lat: 23.5880, lon: 58.3829, boost: 1.5 },
     india: { lat: 20.5937, lon: 78.9629, boost: 1.3 }
 };
@@ -0,0 +1,51 @@
+/**
+ * Built-in ranking profiles.
+ * `rankingWeights` holds only what differs from DEFAULT_SETTINGS.rankingWeights;
+ * missing values fall back to the defaults when a profile is applied.
+ */
+export const BUILT_IN_PROFILES = [
+    {
+        id: 'balanced',
+        name: 'Balanced',
+        icon: '⚖️',
+        description: 'Default weights',
+        rankingWeights: {}
+    },
+    {
+        id: 'serious',
+        name: 'Serious news',
+        icon: '📰',
+        description: 'Credible sources and hard news; no entertainment or weekend lift',
+        rankingWeights: {
+            temporal: { weekendBoost: 1.0, entertainmentBoost: 1.0 },
+            source: { tier1Boost: 7.0 },
+            keyword: { matchBoost: 3.0 },
+            visual: { videoBoost: 1.0, imageBoost: 1.0 },
+            sentiment: { positiveBoost: 0.2, negativeBoost: 0.5 }
+        }
+    },
+    {
+        id: 'weekend',
+        name: 'Weekend leisure',
+        icon: '🏖️',
+        description: 'Entertainment, pictures and feel-good stories; slower decay',
+        rankingWeights: {
+            temporal: { weekendBoost: 3.0, entertainmentBoost: 3.0 },
+            freshness: { decayHours: 48 },
+            visual: { videoBoost: 1.5, imageBoost: 1.3 },
+            keyword: { matchBoost: 1.0 },
+            sentiment: { positiveBoost: 1.0, negativeBoost: 0.1 }
+        }
+    },
+    {
+        id: 'local',
+        name: 'Local first',
+        icon: '📍',
+        description: 'Stories about your saved places rise to the top',
+        enableProximityScoring: true,
+        rankingWeights: {
+            geo: { cityMatch: 2.5, maxScore: 6.0 },
+            source: { tier1Boost: 4.0 }
+        }
+    }
+];
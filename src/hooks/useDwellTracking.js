@@ -0,0 +1,17 @@
+import { useEffect } from 'react';
+import { markDwellAway, finishDwell } from '../utils/preferenceModel';
+
+/**
+ * Measures time spent on a story opened in a new tab (the app is hidden
+ * while the story is read) and feeds it to the preference model.
+ */
+export function useDwellTracking() {
+    useEffect(() => {
+        const onVisibility = () => {
+            if (document.visibilityState === 'hidden') markDwellAway();
+            else finishDwell();
+        };
+        document.addEventListener('visibilitychange', onVisibility);
+        return () => document.removeEventListener('visibilitychange', onVisibility);
+    }, []);
+}
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNews } from '../context/NewsContext';
+import {
+    MARKET_NEWS_SECTIONS,
+    getMarketNews,
+    isMarketNewsSearched,
+    searchMarketNews
+} from '../services/marketNewsService';
+import { getInstrumentKey } from '../utils/marketNewsMatch';
+
+/**
+ * Related headlines + sentiment for market instruments.
+ * Makes sure the business/india sections are loaded and runs Google News
+ * searches for `prefetch` one at a time in the background.
+ * @param {Array<{symbol?: string, name?: string}>} prefetch
+ * @returns {(instrument) => {articles: Array, sentiment: Object|null, searched: boolean}}
+ */
+export function useMarketNews(prefetch = []) {
+    const { newsData, loadSection } = useNews();
+    const [, setVersion] = useState(0);
+
+    // Callers pass a fresh array every render; only a different set of
+    // instruments restarts the background searches
+    const prefetchKey = prefetch.map(getInstrumentKey).join('|');
+    const [queue, setQueue] = useState({ key: prefetchKey, instruments: prefetch });
+    if (queue.key !== prefetchKey) {
+        setQueue({ key: prefetchKey, instruments: prefetch });
+    }
+
+    useEffect(() => {
+        MARKET_NEWS_SECTIONS.forEach(section => loadSection(section));
+    }, [loadSection]);
+
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            for (const instrument of queue.instruments) {
+                if (cancelled) return;
+                if (isMarketNewsSearched(instrument)) continue;
+                await searchMarketNews(instrument);
+                if (!cancelled) setVersion(v => v + 1);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [queue]);
+
+    return useCallback((instrument) => getMarketNews(instrument, newsData), [newsData]);
+}
@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { getMarketStatus } from '../utils/marketCalendar';
+
+/**
+ * NSE/BSE session status, re-evaluated every `tickMs` so countdowns stay current.
+ * @returns {{ status: Object, now: number }}
+ */
+export function useMarketStatus(tickMs = 30000) {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const id = setInterval(() => setNow(Date.now()), tickMs);
+        return () => clearInterval(id);
+    }, [tickMs]);
+
+    return { status: getMarketStatus(now), now };
+}
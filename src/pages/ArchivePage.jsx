@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Header from '../components/Header';
+import NewsSection from '../components/NewsSection';
+import { searchArchive, getArchiveFacets } from '../services/articleArchive';
+import { useSettings } from '../context/SettingsContext';
+import './ArchivePage.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Archive Search Page
+ * Full-text search over every article fetched in the last N days (IndexedDB).
+ */
+export default function ArchivePage() {
+    const { settings } = useSettings();
+    const [query, setQuery] = useState('');
+    // Free text only searches on submit; filters apply immediately
+    const [submittedQuery, setSubmittedQuery] = useState('');
+    const [section, setSection] = useState('');
+    const [source, setSource] = useState('');
+    const [fromDate, setFromDate] = useState('');
+    const [toDate, setToDate] = useState('');
+    const [results, setResults] = useState([]);
+    const [facets, setFacets] = useState({ count: 0, sections: [], sources: [] });
+    const [searching, setSearching] = useState(false);
+    const [error, setError] = useState(null);
+
+    const runSearch = useCallback(async () => {
+        setSearching(true);
+        setError(null);
+        try {
+            const found = await searchArchive({
+                query: submittedQuery,
+                section,
+                source,
+                from: fromDate ? new Date(fromDate).setHours(0, 0, 0, 0) : null,
+                // Inclusive end date
+                to: toDate ? new Date(toDate).setHours(0, 0, 0, 0) + DAY_MS - 1 : null
+            });
+            setResults(found);
+        } catch (err) {
+            console.error('[ArchivePage] Search failed:', err);
+            setError('Archive search failed. Your browser may not support IndexedDB.');
+        } finally {
+            setSearching(false);
+        }
+    }, [submittedQuery, section, source, fromDate, toDate]);
+
+    useEffect(() => {
+        getArchiveFacets().then(setFacets).catch(() => {});
+    }, []);
+
+    useEffect(() => {
+        runSearch();
+    }, [runSearch]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        // Same text again still re-runs the search (new articles may be archived)
+        if (query === submittedQuery) runSearch();
+        else setSubmittedQuery(query);
+    };
+
+    const retentionDays = settings.archive?.retentionDays || 14;
+
+    return (
+        <div className="page-container archive-page">
+            <Header title="Archive" showBack backTo="/" compact={true} />
+
+            <main className="main-content">
+                <form className="archive-page__form" onSubmit={handleSubmit}>
+                    <div className="archive-page__search-row">
+                        <input
+                            type="search"
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            placeholder="e.g. chennai metro"
+                            className="archive-page__input"
+                        />
+                        <button type="submit" className="btn btn--primary" disabled={searching}>
+                            {searching ? '...' : 'Search'}
+                        </button>
+                    </div>
+
+                    <div className="archive-page__filters">
+                        <select value={section} onChange={(e) => setSection(e.target.value)}>
+                            <option value="">All sections</option>
+                            {facets.sections.map(s => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                        <select value={source} onChange={(e) => setSource(e.target.value)}>
+                            <option value="">All sources</option>
+                            {facets.sources.map(s => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                        <label>
+                            From
+                            <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+                        </label>
+                        <label>
+                            To
+                            <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+                        </label>
+                    </div>
+
+                    <div className="archive-page__meta">
+                        {facets.count} articles archived · last {retentionDays} days
+                    </div>
+                </form>
+
+                {error ? (
+                    <div className="empty-state"><p>{error}</p></div>
+                ) : (
+                    <NewsSection
+                        id="archive-results"
+                        title={submittedQuery ? `Results for "${submittedQuery}"` : 'Recent articles'}
+                        icon="🗄️"
+                        news={results}
+                        maxDisplay={results.length}
+                        showExpand={false}
+                        showCritics={false}
+                        colorClass="news-section__title--world"
+                    />
+                )}
+            </main>
+        </div>
+    );
+}
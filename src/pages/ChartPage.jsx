@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import Header from '../components/Header';
+import PriceChart from '../components/PriceChart';
+import { CHART_RANGES, fetchChartSeries, isChartCached } from '../services/chartService';
+import { getMarketNewsPath } from '../services/marketNewsService';
+import './ChartPage.css';
+
+/**
+ * Chart Page
+ * Price history for an index, commodity, currency, stock (Yahoo symbol)
+ * or mutual fund (AMFI scheme code) with selectable ranges.
+ */
+export default function ChartPage() {
+    const { kind, symbol } = useParams();
+    const [searchParams] = useSearchParams();
+    const instrumentKind = kind === 'mf' ? 'mf' : 'yahoo';
+
+    const [rangeKey, setRangeKey] = useState(instrumentKind === 'mf' ? '1Y' : '1D');
+    // Last finished request; the chart keeps showing it while the next one loads
+    const requestKey = `${instrumentKind}:${symbol}:${rangeKey}`;
+    const [result, setResult] = useState({ key: null, series: null, error: null });
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchChartSeries({ symbol, kind: instrumentKind }, rangeKey)
+            .then(series => { if (!cancelled) setResult({ key: requestKey, series, error: null }); })
+            .catch(err => { if (!cancelled) setResult({ key: requestKey, series: null, error: err.message }); });
+
+        return () => { cancelled = true; };
+    }, [symbol, instrumentKind, rangeKey, requestKey]);
+
+    const pending = result.key !== requestKey;
+    // Cached ranges resolve almost at once; skip the spinner flash
+    const loading = pending && !isChartCached({ symbol, kind: instrumentKind }, rangeKey);
+    const series = result.series;
+    const error = pending ? null : result.error;
+
+    const title = searchParams.get('name') || series?.name || symbol;
+
+    return (
+        <div className="page-container chart-page">
+            <Header title={title} showBack backTo="/markets" compact={true} />
+
+            <main className="main-content">
+                <div className="chart-page__meta">
+                    <span>{instrumentKind === 'mf' ? `AMFI ${symbol}` : symbol}</span>
+                    {series?.currency && <span>{series.currency}</span>}
+                </div>
+
+                <div className="chart-page__ranges" role="tablist">
+                    {Object.keys(CHART_RANGES).map(key => (
+                        <button
+                            key={key}
+                            role="tab"
+                            aria-selected={key === rangeKey}
+                            className={`chart-page__range ${key === rangeKey ? 'chart-page__range--active' : ''}`}
+                            onClick={() => setRangeKey(key)}
+                        >
+                            {key}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="chart-page__card">
+                    {loading ? (
+                        <div className="loading">
+                            <div className="loading__spinner"></div>
+                            <span>Loading chart...</span>
+                        </div>
+                    ) : error ? (
+                        <div className="empty-state">
+                            <div className="empty-state__icon">📉</div>
+                            <p>Chart unavailable: {error}</p>
+                        </div>
+                    ) : series && (
+                        <PriceChart
+                            points={series.points}
+                            baseline={series.baseline}
+                            intraday={instrumentKind !== 'mf' && (rangeKey === '1D' || rangeKey === '5D')}
+                        />
+                    )}
+                </div>
+
+                {instrumentKind === 'mf' && (rangeKey === '1D' || rangeKey === '5D') && (
+                    <div className="chart-page__note">NAVs are published once a day; short ranges show the latest NAVs.</div>
+                )}
+
+                {instrumentKind !== 'mf' && (
+                    <Link className="chart-page__news" to={getMarketNewsPath({ symbol, name: searchParams.get('name') })}>
+                        📰 Why is this moving?
+                    </Link>
+                )}
+            </main>
+        </div>
+    );
+}
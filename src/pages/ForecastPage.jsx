@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Header from '../components/Header';
+import WeatherIcon from '../components/WeatherIcons';
+import { useWeather } from '../context/WeatherContext';
+import { formatModelNames } from '../utils/multiModelUtils';
+import './ForecastPage.css';
+
+const AGREEMENT_LABELS = {
+    high: 'Models agree',
+    medium: 'Some spread',
+    low: 'Models disagree'
+};
+
+function formatDay(date, index) {
+    if (index === 0) return 'Today';
+    if (index === 1) return 'Tomorrow';
+    // Daily dates are local calendar dates ('2026-10-21'); format them without a time zone shift
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-IN', {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        timeZone: 'UTC'
+    });
+}
+
+const round = (v) => Math.round(v);
+const formatRain = (v) => (v < 0.1 ? '0' : v.toFixed(1));
+
+/**
+ * Uncertainty band: the lighter segments span the models' lowest/highest
+ * lows and highs, the solid bar runs from the mean low to the mean high.
+ */
+function TemperatureBand({ day, scaleMin, scaleMax }) {
+    const span = Math.max(scaleMax - scaleMin, 1);
+    const pos = (v) => `${((v - scaleMin) / span) * 100}%`;
+    const width = (from, to) => `${Math.max(((to - from) / span) * 100, 1.5)}%`;
+
+    return (
+        <div className="forecast-band" aria-hidden="true">
+            <span className="forecast-band__spread" style={{ left: pos(day.low.min), width: width(day.low.min, day.low.max) }} />
+            <span className="forecast-band__spread" style={{ left: pos(day.high.min), width: width(day.high.min, day.high.max) }} />
+            <span className="forecast-band__mean" style={{ left: pos(day.low.avg), width: width(day.low.avg, day.high.avg) }} />
+        </div>
+    );
+}
+
+function ModelColumns({ day }) {
+    const models = Object.keys(day.models);
+
+    return (
+        <div className="forecast-models" style={{ '--model-count': models.length }}>
+            <div className="forecast-models__label"></div>
+            {models.map(model => (
+                <div key={model} className="forecast-models__name">{formatModelNames([model])}</div>
+            ))}
+
+            <div className="forecast-models__label">High</div>
+            {models.map(model => (
+                <div key={model} className="forecast-models__cell">{round(day.models[model].high)}°</div>
+            ))}
+
+            <div className="forecast-models__label">Low</div>
+            {models.map(model => (
+                <div key={model} className="forecast-models__cell">{round(day.models[model].low)}°</div>
+            ))}
+
+            <div className="forecast-models__label">Rain</div>
+            {models.map(model => (
+                <div key={model} className="forecast-models__cell">
+                    {day.models[model].rain != null ? `${formatRain(day.models[model].rain)}mm` : '-'}
+                </div>
+            ))}
+
+            <div className="forecast-models__label">Chance</div>
+            {models.map(model => (
+                <div key={model} className="forecast-models__cell">
+                    {day.models[model].rainProb != null ? `${day.models[model].rainProb}%` : '-'}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Forecast Page
+ * 7-10 day outlook per city with the spread between ECMWF, GFS and ICON
+ * for each day, so disagreement between models is visible.
+ */
+export default function ForecastPage() {
+    const { cityId } = useParams();
+    const navigate = useNavigate();
+    const { weatherData, loading } = useWeather();
+    const [expandedDay, setExpandedDay] = useState(null);
+
+    const cities = weatherData ? Object.keys(weatherData).filter(id => weatherData[id]) : [];
+    const activeCity = cities.includes(cityId) ? cityId : cities[0];
+    const cityWeather = activeCity ? weatherData[activeCity] : null;
+    const days = cityWeather?.daily || [];
+
+    const scaleMin = days.length ? Math.min(...days.map(d => d.low.min)) : 0;
+    const scaleMax = days.length ? Math.max(...days.map(d => d.high.max)) : 0;
+
+    return (
+        <div className="page-container forecast-page">
+            <Header title="10-Day Forecast" showBack backTo="/weather" compact={true} />
+
+            <main className="main-content">
+                {cities.length > 1 && (
+                    <div className="forecast-page__cities">
+                        {cities.map(id => (
+                            <button
+                                key={id}
+                                className={`forecast-page__city ${id === activeCity ? 'forecast-page__city--active' : ''}`}
+                                onClick={() => {
+                                    setExpandedDay(null);
+                                    navigate(`/weather/forecast/${id}`, { replace: true });
+                                }}
+                            >
+                                {weatherData[id].icon} {weatherData[id].name}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {days.length === 0 ? (
+                    <div className="empty-state">
+                        <div className="empty-state__icon">📅</div>
+                        <p>{loading ? 'Loading forecast...' : 'Daily forecast unavailable.'}</p>
+                    </div>
+                ) : (
+                    <>
+                        <div className="forecast-page__legend">
+                            {cityWeather.models?.names} · bar shows mean low–high, shaded ends show model spread
+                        </div>
+
+                        <ol className="forecast-list">
+                            {days.map((day, idx) => {
+                                const expanded = expandedDay === day.date;
+                                return (
+                                    <li key={day.date} className="forecast-day">
+                                        <button
+                                            className="forecast-day__row"
+                                            onClick={() => setExpandedDay(expanded ? null : day.date)}
+                                            aria-expanded={expanded}
+                                        >
+                                            <span className="forecast-day__date">{formatDay(day.date, idx)}</span>
+                                            <span className="forecast-day__icon" title={day.condition}>
+                                                {day.iconId ? <WeatherIcon id={day.iconId} size={26} /> : day.icon}
+                                            </span>
+                                            <span className="forecast-day__low">{round(day.low.avg)}°</span>
+                                            <TemperatureBand day={day} scaleMin={scaleMin} scaleMax={scaleMax} />
+                                            <span className="forecast-day__high">{round(day.high.avg)}°</span>
+                                            <span className="forecast-day__rain">
+                                                {day.rain && day.rain.max >= 0.1
+                                                    ? `💧 ${formatRain(day.rain.avg)}mm`
+                                                    : ''}
+                                            </span>
+                                        </button>
+
+                                        <div className="forecast-day__meta">
+                                            <span>{day.condition}</span>
+                                            <span>
+                                                High {round(day.high.min)}–{round(day.high.max)}°
+                                                {day.rain && day.rain.range >= 0.1 && ` · Rain ${formatRain(day.rain.min)}–${formatRain(day.rain.max)}mm`}
+                                            </span>
+                                            {day.agreement && (
+                                                <span className={`forecast-day__agreement forecast-day__agreement--${day.agreement}`}>
+                                                    {AGREEMENT_LABELS[day.agreement]}
+                                                    {day.high.models < cityWeather.models.count && ` (${day.high.models} models)`}
+                                                </span>
+                                            )}
+                                        </div>
+
+                                        {expanded && <ModelColumns day={day} />}
+                                    </li>
+                                );
+                            })}
+                        </ol>
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
@@ -5,6 +5,7 @@ import Header from '../components/Header';
 import NewsSection from '../components/NewsSection';
 import SectionNavigator from '../components/SectionNavigator';
 import BreakingNews from '../components/BreakingNews';
+import WeatherAlertBanner from '../components/WeatherAlertBanner';
 import TimelineHeader from '../components/TimelineHeader';
 import QuickWeather from '../components/QuickWeather';
 import { NewspaperLayout } from '../components/NewspaperLayout';
@@ -19,6 +20,9 @@ import { requestNotificationPermission } from '../utils/notifications';
 import { useMediaQuery } from '../hooks/useMediaQuery';
 import LazySection from '../components/LazySection';
 import SidebarNews from '../components/SidebarNews';
+import MarketDigestCard from '../components/MarketDigestCard';
+import MutedCounter from '../components/MutedCounter';
+import { DIGEST_SEGMENTS } from '../utils/marketDigest';
 
 const MainPage = () => {
     const { settings } = useSettings();
@@ -35,6 +39,11 @@ const MainPage = () => {
 
     const { sections, uiMode = 'timeline' } = settings;
 
+    // Every loaded story once, so the muted counter includes on-screen hides
+    const loadedStories = [...new Map(
+        Object.values(newsData).filter(Array.isArray).flat().map(item => [item.id, item])
+    ).values()];
+
     // --- LOGIC: Sync Segment with Data Refresh & UI ---
     useEffect(() => {
         console.log(`[MainPage] Segment Changed: ${currentSegment.label}`);
@@ -142,6 +151,7 @@ const MainPage = () => {
     const headerActions = (
         <div className="header__actions">
             {/* Consolidated segment info into Title, removed redundant text here */}
+            <Link to="/archive" className="header__action-btn" title="Search archive">🔎</Link>
             <Link to="/refresh" className="header__action-btn">🔄</Link>
             <Link to="/settings" className="header__action-btn">⚙️</Link>
         </div>
@@ -206,11 +216,20 @@ const MainPage = () => {
                         </>
                     )}
 
+                    <WeatherAlertBanner linkToWeather />
+
                     {/* Mobile Weather */}
                     {!isWebView && (
                         <QuickWeather />
                     )}
 
+                    {/* Evening market wrap */}
+                    {settings.market?.showDigest !== false && DIGEST_SEGMENTS.includes(currentSegment.id) && (
+                        <MarketDigestCard />
+                    )}
+
+                    <MutedCounter items={loadedStories} />
+
                     {/* Newspaper Mode */}
                     {isNewspaperMode ? (
                         <NewspaperLayout
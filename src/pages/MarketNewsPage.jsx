@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import Header from '../components/Header';
+import { useMarketNews } from '../hooks/useMarketNews';
+import { SENTIMENT_LABELS, searchMarketNews } from '../services/marketNewsService';
+import { getArticleSentiment, getSearchTerms } from '../utils/marketNewsMatch';
+import './MarketNewsPage.css';
+
+function timeAgo(ts) {
+    const minutes = Math.round((Date.now() - ts) / 60000);
+    if (minutes < 60) return `${Math.max(minutes, 1)}m ago`;
+    const hours = Math.round(minutes / 60);
+    return hours < 24 ? `${hours}h ago` : `${Math.round(hours / 24)}d ago`;
+}
+
+/**
+ * Market News Page ("why is this moving?")
+ * Stories mentioning an index or stock from the business/india sections
+ * and a Google News search, with their aggregate sentiment.
+ */
+export default function MarketNewsPage() {
+    const { symbol } = useParams();
+    const [searchParams] = useSearchParams();
+    const name = searchParams.get('name');
+    const instrument = { symbol, name };
+
+    const lookup = useMarketNews();
+    // Instrument whose search has finished; anything else is still searching
+    const searchKey = `${symbol}|${name || ''}`;
+    const [searchedKey, setSearchedKey] = useState(null);
+    const searching = searchedKey !== searchKey;
+
+    useEffect(() => {
+        let cancelled = false;
+        searchMarketNews({ symbol, name }).finally(() => { if (!cancelled) setSearchedKey(searchKey); });
+        return () => { cancelled = true; };
+    }, [symbol, name, searchKey]);
+
+    const { articles, sentiment } = lookup(instrument);
+    const title = name || symbol;
+
+    return (
+        <div className="page-container market-news-page">
+            <Header title={`Why is ${title} moving?`} showBack backTo="/markets" compact={true} />
+
+            <main className="main-content">
+                <div className="market-news-page__terms">
+                    Matching: {getSearchTerms(instrument).join(', ') || symbol}
+                </div>
+
+                {sentiment && (
+                    <div className={`market-news-page__sentiment market-news-page__sentiment--${sentiment.label}`}>
+                        <strong>{SENTIMENT_LABELS[sentiment.label]} news flow</strong>
+                        <span>
+                            {sentiment.positive} positive · {sentiment.neutral} neutral · {sentiment.negative} negative
+                        </span>
+                    </div>
+                )}
+
+                {articles.length === 0 ? (
+                    searching ? (
+                        <div className="loading">
+                            <div className="loading__spinner"></div>
+                            <span>Searching the news...</span>
+                        </div>
+                    ) : (
+                        <div className="empty-state">
+                            <div className="empty-state__icon">📰</div>
+                            <p>No recent stories mention {title}.</p>
+                        </div>
+                    )
+                ) : (
+                    <ul className="market-news-page__list">
+                        {articles.map(article => {
+                            const { label } = getArticleSentiment(article);
+                            return (
+                                <li key={article.id || article.link} className="market-news-page__item">
+                                    <span className={`market-news-page__dot market-news-page__dot--${label}`} title={SENTIMENT_LABELS[label]} />
+                                    <div>
+                                        <a href={article.link} target="_blank" rel="noopener noreferrer" className="market-news-page__title">
+                                            {article.title}
+                                        </a>
+                                        <div className="market-news-page__meta">
+                                            {article.source} · {timeAgo(article.publishedAt)}
+                                        </div>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+
+                {searching && articles.length > 0 && (
+                    <div className="market-news-page__status">Searching Google News for more...</div>
+                )}
+            </main>
+        </div>
+    );
+}
@@ -1,25 +1,55 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import Header from '../components/Header';
 import MutualFundCard from '../components/MutualFundCard';
 import IPOCard from '../components/IPOCard';
+import CurrencyConverter from '../components/CurrencyConverter';
+import FIIDIICard from '../components/FIIDIICard';
+import CryptoCard from '../components/CryptoCard';
+import MarketNewsBadge from '../components/MarketNewsBadge';
+import PortfolioCard from '../components/PortfolioCard';
+import WatchlistCard from '../components/WatchlistCard';
 import QuickMarket from '../components/QuickMarket';
 import SectionNavigator from '../components/SectionNavigator';
 import { useMarket } from '../context/MarketContext';
 import { useSettings } from '../context/SettingsContext';
+import { getChartPath } from '../services/chartService';
+import { useMarketStatus } from '../hooks/useMarketStatus';
+import { useMarketNews } from '../hooks/useMarketNews';
+import { isQuoteStale, describeMarketStatus, formatMarketTime } from '../utils/marketCalendar';
 
 /**
  * Enhanced Market Dashboard
  * Focused on Indian Stock Market:
+ * - Personal Portfolio (P&L, XIRR, allocation)
+ * - Watchlist with price alerts
  * - NSE/BSE Indices
- * - Top Gainers/Losers
+ * - Top Gainers/Losers (with related headlines)
  * - Mutual Fund NAVs
  * - IPO Tracker
+ * - Crypto (CoinGecko)
  * - Market Trends
  */
 function MarketPage() {
-    const { marketData, loading, error, refreshMarket, lastFetch } = useMarket();
+    const { marketData, loading, error, refreshMarket, lastFetch, watchlist } = useMarket();
     const { settings } = useSettings();
     const marketSettings = settings?.market || {};
+    const navigate = useNavigate();
+    const { status: marketStatus, now } = useMarketStatus();
+
+    // Headlines for movers and followed stocks are searched in the background
+    const newsFor = useMarketNews([
+        ...(marketData?.movers?.gainers || []),
+        ...(marketData?.movers?.losers || []),
+        ...watchlist
+    ].map(({ symbol, name }) => ({ symbol, name })));
+
+    // Tap a card to open its chart (items cached before symbols were stored have none)
+    const chartProps = (item) => item?.symbol ? {
+        onClick: () => navigate(getChartPath({ symbol: item.symbol, name: item.name })),
+        role: 'button',
+        title: 'View chart'
+    } : {};
 
     const handleRefresh = () => {
         refreshMarket();
@@ -35,14 +65,14 @@ function MarketPage() {
 
     const isStale = (item) => {
         if (!item || !item.timestamp) return true;
-        const now = Date.now();
-        const age = now - item.timestamp;
 
         // Commodities: 60m (3600000ms), Others: 15m (900000ms)
         const isCommodity = item.name && (item.name === 'Gold' || item.name === 'Silver' || item.name === 'Crude Oil');
         const threshold = isCommodity ? 3600000 : 900000;
 
-        return age > threshold;
+        // Crypto trades around the clock, so the exchange close doesn't apply
+        if (item.type === 'crypto') return now - item.timestamp > threshold;
+        return isQuoteStale(item.timestamp, threshold, marketStatus, now);
     };
 
     const getStaleStyle = (item) => ({
@@ -51,6 +81,18 @@ function MarketPage() {
         transition: 'all 0.3s ease'
     });
 
+    // Coin list edited in Settings since the last fetch (one refresh per edit,
+    // so a failing fetch is not retried in a loop)
+    const cryptoCoins = (marketSettings.cryptoCoins || []).join();
+    const refreshedForCoins = useRef(null);
+    useEffect(() => {
+        if (!marketData || loading || refreshedForCoins.current === cryptoCoins) return;
+        if ((marketData.cryptoCoins || []).join() !== cryptoCoins) {
+            refreshedForCoins.current = cryptoCoins;
+            refreshMarket();
+        }
+    }, [cryptoCoins, marketData, loading, refreshMarket]);
+
     // Back to Top Logic
     const [showBackToTop, setShowBackToTop] = useState(false);
     useEffect(() => {
@@ -67,12 +109,15 @@ function MarketPage() {
 
     // Navigation Sections
     const navSections = [
+        marketSettings.showPortfolio !== false && { id: 'portfolio', icon: '💼', label: 'Portfolio' },
+        marketSettings.showWatchlist !== false && { id: 'watchlist', icon: '⭐', label: 'Watchlist' },
         { id: 'market-indices', icon: '📊', label: 'Indices' },
         marketSettings.showSectorals !== false && { id: 'sectoral-indices', icon: '🏛️', label: 'Sectorals' },
         (marketSettings.showGainers !== false || marketSettings.showLosers !== false) && { id: 'market-movers', icon: '📈', label: 'Top Movers' },
         marketSettings.showCommodities !== false && { id: 'commodities', icon: '🪙', label: 'Commodities' },
         marketSettings.showCurrency !== false && { id: 'currency', icon: '💱', label: 'Currency' },
         marketSettings.showFIIDII !== false && { id: 'fiidii', icon: '🏦', label: 'FII/DII' },
+        marketSettings.showCrypto !== false && { id: 'crypto', icon: '₿', label: 'Crypto' },
         marketSettings.showMutualFunds !== false && { id: 'mutual-funds', icon: '💰', label: 'Mutual Funds' },
         marketSettings.showIPO !== false && { id: 'ipo-tracker', icon: '🎯', label: 'IPO Watch' }
     ].filter(Boolean);
@@ -105,7 +150,7 @@ function MarketPage() {
         );
     }
 
-    const { indices, mutualFunds, ipo, movers, sectorals, commodities, currencies, fiidii } = marketData || {};
+    const { indices, mutualFunds, ipo, movers, sectorals, commodities, currencies, fiidii, crypto, fx } = marketData || {};
 
     const scrollToTop = () => {
         window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -124,12 +169,40 @@ function MarketPage() {
                 {/* Quick Market Overview (New Widget) */}
                 <QuickMarket />
 
-                {/* Last Updated */}
+                {/* Exchange session + Last Updated */}
                 <div className="market-page__timestamp">
-                    Last updated: {formatTime(lastFetch)}
-                    {loading && <span className="market-page__refreshing"> (Refreshing...)</span>}
+                    <span className={`market-page__session market-page__session--${marketStatus.state}`}>
+                        {describeMarketStatus(marketStatus, now)}
+                    </span>
+                    {marketStatus.state === 'closed' && marketStatus.lastClose && (
+                        <span> · Prices as of last close, {formatMarketTime(marketStatus.lastClose)}</span>
+                    )}
+                    <div>
+                        Last updated: {formatTime(lastFetch)}
+                        {loading && <span className="market-page__refreshing"> (Refreshing...)</span>}
+                    </div>
                 </div>
 
+                {/* =========== PORTFOLIO =========== */}
+                {marketSettings.showPortfolio !== false && (
+                    <section id="portfolio" className="market-section">
+                        <h2 className="market-section__title">
+                            <span>💼</span> Portfolio
+                        </h2>
+                        <PortfolioCard refreshKey={lastFetch} />
+                    </section>
+                )}
+
+                {/* =========== WATCHLIST =========== */}
+                {marketSettings.showWatchlist !== false && (
+                    <section id="watchlist" className="market-section">
+                        <h2 className="market-section__title">
+                            <span>⭐</span> Watchlist
+                        </h2>
+                        <WatchlistCard />
+                    </section>
+                )}
+
                 {/* =========== INDICES =========== */}
                 {marketSettings.showIndices !== false && (
                     <section id="market-indices" className="market-section">
@@ -143,6 +216,7 @@ function MarketPage() {
                                     key={idx}
                                     className={`market-index market-index--${index.direction}`}
                                     style={getStaleStyle(index)}
+                                    {...chartProps(index)}
                                 >
                                     <div className="market-index__name">{index.name}</div>
                                     <div className="market-index__value">{index.value}</div>
@@ -150,6 +224,7 @@ function MarketPage() {
                                         {index.direction === 'up' ? '▲' : '▼'}
                                         {index.change} ({index.changePercent}%)
                                     </div>
+                                    <MarketNewsBadge instrument={index} news={newsFor(index)} />
                                 </div>
                             ))}
                         </div>
@@ -171,6 +246,7 @@ function MarketPage() {
                                     {movers?.gainers?.map((stock, idx) => (
                                         <div key={idx} className="mover-item">
                                             <div className="mover-item__symbol">{stock.symbol}</div>
+                                            <MarketNewsBadge instrument={stock} news={newsFor(stock)} compact />
                                             <div className="mover-item__price">₹{stock.price}</div>
                                             <div className="mover-item__change text-success">
                                                 +{stock.changePercent}%
@@ -187,6 +263,7 @@ function MarketPage() {
                                     {movers?.losers?.map((stock, idx) => (
                                         <div key={idx} className="mover-item">
                                             <div className="mover-item__symbol">{stock.symbol}</div>
+                                            <MarketNewsBadge instrument={stock} news={newsFor(stock)} compact />
                                             <div className="mover-item__price">₹{stock.price}</div>
                                             <div className="mover-item__change text-danger">
                                                 {stock.changePercent}%
@@ -211,6 +288,7 @@ function MarketPage() {
                                     key={idx}
                                     className="sectoral-card"
                                     style={getStaleStyle(sector)}
+                                    {...chartProps(sector)}
                                 >
                                     <div className="sectoral-card__name">{sector.name}</div>
                                     <div className="sectoral-card__value">{sector.value}</div>
@@ -235,6 +313,7 @@ function MarketPage() {
                                     key={idx}
                                     className="commodity-card"
                                     style={getStaleStyle(commodity)}
+                                    {...chartProps(commodity)}
                                 >
                                     <div className="commodity-card__name">{commodity.name}</div>
                                     {/* Removed hardcoded ₹, relying on unit */}
@@ -262,6 +341,7 @@ function MarketPage() {
                                     key={idx}
                                     className="currency-card"
                                     style={getStaleStyle(currency)}
+                                    {...chartProps(currency)}
                                 >
                                     <div className="currency-card__name">{currency.name}</div>
                                     <div className="currency-card__value">₹{currency.value}</div>
@@ -271,6 +351,7 @@ function MarketPage() {
                                 </div>
                             ))}
                         </div>
+                        <CurrencyConverter fx={fx} />
                     </section>
                 )}
 
@@ -280,47 +361,17 @@ function MarketPage() {
                         <h2 className="market-section__title">
                             <span>🏦</span> FII/DII Activity
                         </h2>
-                        <div className="fiidii-container">
-                            <div className="fiidii-block">
-                                <h3 className="fiidii-block__title">FII (Foreign Institutional Investors)</h3>
-                                <div className="fiidii-stats">
-                                    <div className="fiidii-stat">
-                                        <span className="fiidii-stat__label">Buy:</span>
-                                        <span className="fiidii-stat__value text-success">₹{fiidii?.fii?.buy} Cr</span>
-                                    </div>
-                                    <div className="fiidii-stat">
-                                        <span className="fiidii-stat__label">Sell:</span>
-                                        <span className="fiidii-stat__value text-danger">₹{fiidii?.fii?.sell} Cr</span>
-                                    </div>
-                                    <div className="fiidii-stat">
-                                        <span className="fiidii-stat__label">Net:</span>
-                                        <span className={`fiidii-stat__value ${fiidii?.fii?.net >= 0 ? 'text-success' : 'text-danger'}`}>
-                                            ₹{fiidii?.fii?.net} Cr
-                                        </span>
-                                    </div>
-                                </div>
-                            </div>
-                            <div className="fiidii-block">
-                                <h3 className="fiidii-block__title">DII (Domestic Institutional Investors)</h3>
-                                <div className="fiidii-stats">
-                                    <div className="fiidii-stat">
-                                        <span className="fiidii-stat__label">Buy:</span>
-                                        <span className="fiidii-stat__value text-success">₹{fiidii?.dii?.buy} Cr</span>
-                                    </div>
-                                    <div className="fiidii-stat">
-                                        <span className="fiidii-stat__label">Sell:</span>
-                                        <span className="fiidii-stat__value text-danger">₹{fiidii?.dii?.sell} Cr</span>
-                                    </div>
-                                    <div className="fiidii-stat">
-                                        <span className="fiidii-stat__label">Net:</span>
-                                        <span className={`fiidii-stat__value ${fiidii?.dii?.net >= 0 ? 'text-success' : 'text-danger'}`}>
-                                            ₹{fiidii?.dii?.net} Cr
-                                        </span>
-                                    </div>
-                                </div>
-                            </div>
-                            <div className="fiidii-date">As of: {fiidii?.date}</div>
-                        </div>
+                        <FIIDIICard data={fiidii} />
+                    </section>
+                )}
+
+                {/* =========== CRYPTO =========== */}
+                {marketSettings.showCrypto !== false && (
+                    <section id="crypto" className="market-section">
+                        <h2 className="market-section__title">
+                            <span>₿</span> Crypto
+                        </h2>
+                        <CryptoCard coins={crypto} style={getStaleStyle} />
                     </section>
                 )}
 
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useSyncExternalStore } from 'react';
+import { useLocation } from 'react-router-dom';
 import Header from '../components/Header';
 import Toggle from '../components/Toggle';
 import { DEFAULT_SETTINGS } from '../utils/storage';
@@ -7,13 +8,74 @@ import { discoverFeeds } from '../utils/feedDiscovery';
 import { APP_VERSION } from '../utils/version';
 import logStore from '../utils/logStore';
 import { getAllSectionHealth } from '../utils/sectionHealth';
+import { proxyManager } from '../services/proxyManager';
+import { PROXY_KINDS, getProxyEntries, createTemplateEntry } from '../services/proxyRegistry';
+import { getFeedCacheStats, clearFeedCache } from '../services/rssAggregator';
+import { getArchiveFacets, clearArchive, pruneArchive } from '../services/articleArchive';
+import { getAlertRules, METRIC_UNITS } from '../utils/weatherAlerts';
+import {
+    getLocations,
+    getActiveLocations,
+    searchLocations,
+    getDeviceLocation,
+    createLocation,
+    withLocationAdded,
+    withLocationRemoved
+} from '../services/locationService';
+import {
+    getAllProfiles,
+    findProfile,
+    applyProfile,
+    isProfileModified,
+    createProfileFromSettings,
+    saveCustomProfile,
+    deleteCustomProfile,
+    exportProfileJSON,
+    parseProfileJSON,
+    getSegmentProfile
+} from '../utils/rankingProfiles';
+import { getAllSegments } from '../utils/timeSegment';
+import RankingPreview from '../components/RankingPreview';
+import { useNews } from '../context/NewsContext';
+import { findReviewCandidates } from '../utils/sectionClassifier';
+import {
+    getSectionModel,
+    getSectionCorrections,
+    recordSectionCorrection,
+    removeSectionCorrection,
+    resetSectionCorrections
+} from '../utils/sectionModel';
+import { getModelScores, getModelWeights, resetVerification, MIN_SAMPLES } from '../services/forecastVerification';
+import { formatModelNames } from '../utils/multiModelUtils';
+import { CRYPTO_COINS } from '../services/marketService';
+import {
+    getPreferenceModel,
+    savePreferenceModel,
+    resetPreferenceModel,
+    summarizePreferences,
+    forgetPreference
+} from '../utils/preferenceModel';
+import {
+    getMuteRules,
+    saveMuteRules,
+    subscribeMuteRules,
+    getMuteStats,
+    addMuteRule,
+    removeMuteRule,
+    pruneExpiredRules,
+    describeMuteRule,
+    RULE_TYPES,
+    MUTE_DURATIONS,
+    MUTABLE_ENTITIES
+} from '../utils/muteRules';
 
 /**
  * Settings Page Component - Vertical Tabs Layout
  */
 function SettingsPage() {
     const { settings, updateSettings, reloadSettings } = useSettings();
-    const [activeTab, setActiveTab] = useState('general');
+    const location = useLocation();
+    const [activeTab, setActiveTab] = useState(location.state?.tab || 'general');
     const [saved, setSaved] = useState(false);
 
     // Feed Discovery State
@@ -145,6 +207,22 @@ function SettingsPage() {
                             </SettingItem>
                         </SettingCard>
 
+                        <SectionTitle icon="🔔" title="Background Notifications" />
+                        <SettingCard>
+                            <SettingItem label="Check While Closed" subLabel="Periodic Background Sync (in-page timer if unsupported)">
+                                <Toggle checked={settings.backgroundSync?.enabled !== false} onChange={(val) => updateNested('backgroundSync.enabled', val)} />
+                            </SettingItem>
+                            <SettingItem label="Followed Topics">
+                                <Toggle checked={settings.backgroundSync?.topics !== false} onChange={(val) => updateNested('backgroundSync.topics', val)} />
+                            </SettingItem>
+                            <SettingItem label="Breaking News">
+                                <Toggle checked={settings.backgroundSync?.breaking !== false} onChange={(val) => updateNested('backgroundSync.breaking', val)} />
+                            </SettingItem>
+                            <SettingItem label="Weather Alerts">
+                                <Toggle checked={settings.backgroundSync?.weatherAlerts !== false} onChange={(val) => updateNested('backgroundSync.weatherAlerts', val)} />
+                            </SettingItem>
+                        </SettingCard>
+
                         <SectionTitle icon="🤖" title="AI Configuration" />
                         <SettingCard>
                             <div className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch' }}>
@@ -170,6 +248,9 @@ function SettingsPage() {
             case 'ranking':
                 return (
                     <div className="settings-tab-content">
+                        <SectionTitle icon="🎚️" title="Ranking Profiles" />
+                        <RankingProfileSettings settings={settings} updateSettings={updateSettings} updateNested={updateNested} />
+
                         <SectionTitle icon="🎛️" title="Custom Ranking System" />
                         <SettingCard>
                             <div style={{fontSize:'0.8rem', color:'var(--text-muted)', marginBottom:'10px'}}>
@@ -218,6 +299,12 @@ function SettingsPage() {
                             </SettingItem>
                         </SettingCard>
 
+                        <SectionTitle icon="🧭" title="Learned Preferences" />
+                        <PreferenceModelSettings settings={settings} updateNested={updateNested} />
+
+                        <SectionTitle icon="🗂️" title="Section Classifier" />
+                        <SectionClassifierSettings settings={settings} updateNested={updateNested} />
+
                         <SectionTitle icon="⚖️" title="Impact Factors" />
                         <SettingCard>
                             {/* Freshness */}
@@ -280,6 +367,9 @@ function SettingsPage() {
             case 'weather':
                 return (
                     <div className="settings-tab-content">
+                        <SectionTitle icon="📍" title="Locations" />
+                        <LocationSettings settings={settings} updateSettings={updateSettings} />
+
                         <SectionTitle icon="🌤️" title="Weather Models" />
                         <SettingCard>
                             <SettingItem label="ECMWF (European)" subLabel="Most Accurate">
@@ -292,12 +382,21 @@ function SettingsPage() {
                                 <Toggle checked={settings.weather?.models?.icon !== false} onChange={(val) => updateNested('weather.models.icon', val)} />
                             </SettingItem>
                         </SettingCard>
+
+                        <SectionTitle icon="🎯" title="Model Accuracy" />
+                        <ModelAccuracySettings settings={settings} updateNested={updateNested} />
+
+                        <SectionTitle icon="⚠️" title="Weather Alerts" />
+                        <WeatherAlertSettings settings={settings} updateNested={updateNested} />
                     </div>
                 );
 
             case 'sources':
                 return (
                     <div className="settings-tab-content">
+                        <SectionTitle icon="🔇" title="Mute Rules" />
+                        <MuteRuleSettings />
+
                         <SectionTitle icon="📡" title="News Sources" />
                         <SettingCard>
                             <div className="settings-item" style={{
@@ -349,6 +448,9 @@ function SettingsPage() {
                                 </div>
                             ))}
                         </SettingCard>
+
+                        <SectionTitle icon="🛰️" title="Proxies" />
+                        <ProxySettings settings={settings} updateSettings={updateSettings} />
                     </div>
                 );
 
@@ -373,7 +475,7 @@ function SettingsPage() {
 
                             <div className="settings-item__label" style={{marginBottom:'5px'}}>Locations</div>
                             <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom:'15px' }}>
-                                {['Chennai', 'Muscat', 'Trichy'].map(loc => (
+                                {getLocations(settings).map(l => l.name).map(loc => (
                                     <label key={loc} className={`chip-checkbox ${settings.upAhead?.locations?.includes(loc) ? 'active' : ''}`}>
                                         <input
                                             type="checkbox" style={{ display: 'none' }}
@@ -434,6 +536,28 @@ function SettingsPage() {
                                 </SettingItem>
                             ))}
                         </SettingCard>
+
+                        <SectionTitle icon="₿" title="Crypto Coins" />
+                        <SettingCard>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                                {Object.entries(CRYPTO_COINS).map(([id, coin]) => {
+                                    const selected = settings.market?.cryptoCoins || [];
+                                    return (
+                                        <label key={id} className={`chip-checkbox ${selected.includes(id) ? 'active' : ''}`}>
+                                            <input
+                                                type="checkbox" style={{ display: 'none' }}
+                                                checked={selected.includes(id)}
+                                                onChange={(e) => {
+                                                    const next = e.target.checked ? [...selected, id] : selected.filter(c => c !== id);
+                                                    updateNested('market.cryptoCoins', next);
+                                                }}
+                                            />
+                                            {coin.ticker}
+                                        </label>
+                                    );
+                                })}
+                            </div>
+                        </SettingCard>
                     </div>
                 );
 
@@ -442,7 +566,7 @@ function SettingsPage() {
                     <div className="settings-tab-content">
                         <SectionTitle icon="🔧" title="Advanced" />
                         <SettingCard>
-                            <SettingItem label="Enable News Cache" subLabel="Faster loads, 5min TTL">
+                            <SettingItem label="Enable News Cache" subLabel="5min memory cache + per-feed TTLs">
                                 <Toggle checked={settings.enableCache !== false} onChange={(val) => updateSettings({ ...settings, enableCache: val })} />
                             </SettingItem>
                             <SettingItem label="Crawler Mode">
@@ -455,6 +579,12 @@ function SettingsPage() {
                                 <Toggle checked={settings.debugLogs === true} onChange={(val) => updateSettings({ ...settings, debugLogs: val })} />
                             </SettingItem>
                         </SettingCard>
+
+                        <SectionTitle icon="💾" title="Feed Cache" />
+                        <FeedCacheSettings settings={settings} updateNested={updateNested} />
+
+                        <SectionTitle icon="🗄️" title="Article Archive" />
+                        <ArchiveSettings settings={settings} updateNested={updateNested} />
                     </div>
                 );
 
@@ -743,6 +873,889 @@ const KeywordInput = ({ label, placeholder, value, onChange, onAdd, items, onRem
     </div>
 );
 
+const readProxyHealth = () => Object.fromEntries(proxyManager.getProxyHealth().map(h => [h.id, h]));
+
+// --- Proxy registry editor (order = failover priority) ---
+function ProxySettings({ settings, updateSettings }) {
+    const [name, setName] = useState('');
+    const [template, setTemplate] = useState('');
+    const [error, setError] = useState(null);
+    // Snapshot when the panel opens; refreshed after a reset
+    const [health, setHealth] = useState(readProxyHealth);
+
+    const entries = getProxyEntries();
+
+    const saveEntries = (next) => updateSettings({ ...settings, proxies: next });
+
+    const move = (index, delta) => {
+        const target = index + delta;
+        if (target < 0 || target >= entries.length) return;
+        const next = [...entries];
+        [next[index], next[target]] = [next[target], next[index]];
+        saveEntries(next);
+    };
+
+    const toggle = (index, enabled) => {
+        saveEntries(entries.map((e, i) => i === index ? { ...e, enabled } : e));
+    };
+
+    const remove = (index) => {
+        saveEntries(entries.filter((_, i) => i !== index));
+    };
+
+    const addTemplate = () => {
+        try {
+            const entry = createTemplateEntry(name.trim(), template.trim());
+            saveEntries([...entries, entry]);
+            setName('');
+            setTemplate('');
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    const resetHealth = () => {
+        proxyManager.resetProxyHealth();
+        setHealth(readProxyHealth());
+    };
+
+    return (
+        <SettingCard>
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '8px' }}>
+                Tried top to bottom for every feed, market and article fetch. Proxies failing repeatedly are tried last for 10 minutes.
+            </div>
+            {entries.map((entry, i) => {
+                const h = health[entry.id] || {};
+                return (
+                    <div key={entry.id} className="settings-item">
+                        <div className="settings-item__label">
+                            <span>{h.coolingDown ? '🔴' : entry.enabled !== false ? '🟢' : '⚪'} {entry.name || PROXY_KINDS[entry.kind]?.label || entry.kind}</span>
+                            <small>
+                                {entry.kind === 'template' ? entry.template : PROXY_KINDS[entry.kind]?.feedOnly ? 'Feeds only' : 'Feeds, markets & pages'}
+                                {' · '}{h.successes || 0} ok / {h.totalFailures || 0} fail
+                                {h.avgMs ? ` · ${h.avgMs}ms avg` : ''}
+                            </small>
+                        </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                            <button className="btn btn--secondary" onClick={() => move(i, -1)} disabled={i === 0} style={{ padding: '2px 6px' }}>▲</button>
+                            <button className="btn btn--secondary" onClick={() => move(i, 1)} disabled={i === entries.length - 1} style={{ padding: '2px 6px' }}>▼</button>
+                            <Toggle checked={entry.enabled !== false} onChange={(val) => toggle(i, val)} />
+                            {entry.kind === 'template' && (
+                                <button onClick={() => remove(i)} style={{ color: 'red' }}>✕</button>
+                            )}
+                        </div>
+                    </div>
+                );
+            })}
+
+            <div className="settings-item__label" style={{ margin: '12px 0 6px' }}>Add Self-hosted Proxy</div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Name (e.g. My Worker)" className="settings-input" />
+                <input type="text" value={template} onChange={(e) => setTemplate(e.target.value)} placeholder="https://proxy.example.dev/?url={url}" className="settings-input" />
+                <button className="btn btn--primary" onClick={addTemplate}>Add Proxy</button>
+            </div>
+            {error && <div style={{ color: 'red', fontSize: '0.75rem', marginTop: '4px' }}>{error}</div>}
+
+            <button className="btn btn--secondary" onClick={resetHealth} style={{ marginTop: '12px', width: '100%' }}>
+                Reset Proxy Health Stats
+            </button>
+        </SettingCard>
+    );
+}
+
+// --- Persistent per-feed cache: TTLs and revalidation status ---
+function FeedCacheSettings({ settings, updateNested }) {
+    const [stats, setStats] = useState(() => getFeedCacheStats());
+
+    const setTTL = (url, minutes) => {
+        const overrides = { ...(settings.feedTTLMinutes || {}) };
+        if (minutes > 0) overrides[url] = minutes;
+        else delete overrides[url];
+        updateNested('feedTTLMinutes', overrides);
+        setStats(getFeedCacheStats());
+    };
+
+    const handleClear = () => {
+        clearFeedCache();
+        setStats([]);
+    };
+
+    return (
+        <SettingCard>
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '8px' }}>
+                Feeds are re-downloaded only after their TTL. 🔖 marks feeds revalidated with ETag/Last-Modified (direct or self-hosted proxies).
+            </div>
+            {stats.length === 0 && (
+                <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', padding: '8px 0' }}>No feeds cached yet.</div>
+            )}
+            {stats.map(feed => (
+                <div key={feed.url} className="settings-item">
+                    <div className="settings-item__label" style={{ minWidth: 0 }}>
+                        <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {feed.isFresh ? '🟢' : '⚪'} {feed.hasValidators ? '🔖 ' : ''}{feed.title || feed.url}
+                        </span>
+                        <small>{feed.itemCount} items · checked {new Date(feed.checkedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</small>
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.75rem' }}>
+                        <input
+                            type="number"
+                            min={1}
+                            max={1440}
+                            value={feed.ttlMinutes}
+                            onChange={(e) => setTTL(feed.url, parseInt(e.target.value) || 0)}
+                            className="settings-input-number"
+                            style={{ width: '64px' }}
+                        />
+                        min
+                    </div>
+                </div>
+            ))}
+            <button className="btn btn--secondary" onClick={handleClear} style={{ marginTop: '12px', width: '100%' }}>
+                Clear Feed Cache
+            </button>
+        </SettingCard>
+    );
+}
+
+// --- IndexedDB article archive: retention and size ---
+function ArchiveSettings({ settings, updateNested }) {
+    const [count, setCount] = useState(null);
+    const retentionDays = settings.archive?.retentionDays || 14;
+
+    useEffect(() => {
+        getArchiveFacets().then(f => setCount(f.count)).catch(() => setCount(0));
+    }, []);
+
+    const handleRetention = async (days) => {
+        updateNested('archive.retentionDays', days);
+        await pruneArchive(days);
+        const facets = await getArchiveFacets();
+        setCount(facets.count);
+    };
+
+    const handleClear = async () => {
+        if (!window.confirm('Delete all archived articles?')) return;
+        await clearArchive();
+        setCount(0);
+    };
+
+    return (
+        <SettingCard>
+            <SettingItem label="Archive Articles" subLabel={count === null ? 'Searchable from 🔎 on the home screen' : `${count} articles stored`}>
+                <Toggle checked={settings.archive?.enabled !== false} onChange={(val) => updateNested('archive.enabled', val)} />
+            </SettingItem>
+            <SettingItem label="Keep For (Days)">
+                <input
+                    type="number"
+                    min={1}
+                    max={90}
+                    value={retentionDays}
+                    onChange={(e) => handleRetention(parseInt(e.target.value) || 14)}
+                    className="settings-input-number"
+                />
+            </SettingItem>
+            <button className="btn btn--danger" onClick={handleClear} style={{ marginTop: '12px', width: '100%' }}>
+                Clear Archive
+            </button>
+        </SettingCard>
+    );
+}
+
+// --- Saved locations: weather cities, proximity scoring and Up Ahead ---
+function LocationSettings({ settings, updateSettings }) {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const locations = getLocations(settings);
+    const cities = settings.weather?.cities || [];
+
+    const saveWeather = (patch) => updateSettings({ ...settings, weather: { ...settings.weather, locations, ...patch } });
+
+    const toggleActive = (id, active) => {
+        saveWeather({ cities: active ? [...cities, id] : cities.filter(c => c !== id) });
+    };
+
+    const move = (id, delta) => {
+        const index = cities.indexOf(id);
+        const target = index + delta;
+        if (index < 0 || target < 0 || target >= cities.length) return;
+        const next = [...cities];
+        [next[index], next[target]] = [next[target], next[index]];
+        saveWeather({ cities: next });
+    };
+
+    // Committed on blur: every settings save refetches weather
+    const rename = (id, name) => {
+        const previous = locations.find(loc => loc.id === id)?.name;
+        if (!name.trim() || name === previous) return;
+        updateSettings({
+            ...settings,
+            weather: { ...settings.weather, locations: locations.map(loc => loc.id === id ? { ...loc, name } : loc) },
+            upAhead: {
+                ...settings.upAhead,
+                locations: (settings.upAhead?.locations || []).map(n => n === previous ? name : n)
+            }
+        });
+    };
+
+    const add = (fields) => {
+        updateSettings(withLocationAdded(settings, createLocation(fields, locations)));
+        setResults([]);
+        setQuery('');
+    };
+
+    const remove = (id) => {
+        if (locations.length <= 1) return;
+        updateSettings(withLocationRemoved(settings, id));
+    };
+
+    const handleSearch = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            const found = await searchLocations(query);
+            setResults(found);
+            if (found.length === 0) setError('No places found');
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleDeviceLocation = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            add(await getDeviceLocation());
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <SettingCard>
+            {locations.map(loc => {
+                const active = cities.includes(loc.id);
+                return (
+                    <div key={loc.id} className="settings-item">
+                        <div className="settings-item__label" style={{ minWidth: 0 }}>
+                            <input
+                                type="text"
+                                defaultValue={loc.name}
+                                onBlur={(e) => rename(loc.id, e.target.value.trim())}
+                                className="settings-input"
+                                style={{ padding: '4px 6px' }}
+                            />
+                            <small>{loc.icon} {loc.lat.toFixed(2)}, {loc.lon.toFixed(2)} · {loc.timezone}</small>
+                        </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                            {active && (
+                                <>
+                                    <button className="btn btn--secondary" onClick={() => move(loc.id, -1)} style={{ padding: '2px 6px' }}>▲</button>
+                                    <button className="btn btn--secondary" onClick={() => move(loc.id, 1)} style={{ padding: '2px 6px' }}>▼</button>
+                                </>
+                            )}
+                            <Toggle checked={active} onChange={(val) => toggleActive(loc.id, val)} />
+                            <button onClick={() => remove(loc.id)} disabled={locations.length <= 1} style={{ color: 'red' }}>✕</button>
+                        </div>
+                    </div>
+                );
+            })}
+
+            <div className="settings-item__label" style={{ margin: '12px 0 6px' }}>Add Location</div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                    placeholder="City name, e.g. Dubai"
+                    className="settings-input"
+                />
+                <button className="btn btn--secondary" onClick={handleSearch} disabled={busy} style={{ padding: '0 15px' }}>
+                    {busy ? '...' : 'Search'}
+                </button>
+            </div>
+            {results.map(r => (
+                <div key={`${r.lat},${r.lon}`} className="settings-item" onClick={() => add(r)} style={{ cursor: 'pointer' }}>
+                    <div className="settings-item__label">
+                        <span>{r.name}</span>
+                        <small>{[r.admin1, r.country].filter(Boolean).join(', ')} · {r.timezone}</small>
+                    </div>
+                    <span style={{ color: 'var(--accent-primary)' }}>＋</span>
+                </div>
+            ))}
+            <button className="btn btn--secondary" onClick={handleDeviceLocation} disabled={busy} style={{ marginTop: '8px', width: '100%' }}>
+                📡 Use My Current Location
+            </button>
+            {error && <div style={{ color: 'red', fontSize: '0.75rem', marginTop: '4px' }}>{error}</div>}
+        </SettingCard>
+    );
+}
+
+// --- Weather alert rules: thresholds per rule, optional per-city overrides ---
+function WeatherAlertSettings({ settings, updateNested }) {
+    const [expanded, setExpanded] = useState(null);
+    const rules = getAlertRules(settings);
+    const cities = getActiveLocations(settings);
+
+    // null clears a city override (falls back to the rule threshold)
+    const setCityThreshold = (ruleId, city, value) => {
+        updateNested(`weatherAlerts.rules.${ruleId}.cityThresholds.${city}`, Number.isFinite(value) ? value : null);
+    };
+
+    return (
+        <SettingCard>
+            <SettingItem label="Enable Alerts" subLabel="Banner on Home & Weather when models cross a threshold">
+                <Toggle checked={settings.weatherAlerts?.enabled !== false} onChange={(val) => updateNested('weatherAlerts.enabled', val)} />
+            </SettingItem>
+            <SettingItem label="Send Notifications">
+                <Toggle checked={settings.weatherAlerts?.notify !== false} onChange={(val) => updateNested('weatherAlerts.notify', val)} />
+            </SettingItem>
+
+            {rules.map(rule => (
+                <div key={rule.id} style={{ borderTop: '1px solid var(--border-color)', paddingTop: '6px' }}>
+                    <SettingItem
+                        label={`${rule.icon} ${rule.label}`}
+                        subLabel={`${rule.operator} ${rule.threshold}${METRIC_UNITS[rule.metric]} ${rule.hourRange ? `${rule.hourRange[0]}-${rule.hourRange[1]}h` : `next ${rule.windowHours}h`} · ${rule.minModels}+ models`}
+                    >
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                            <input
+                                type="number"
+                                value={rule.threshold}
+                                onChange={(e) => updateNested(`weatherAlerts.rules.${rule.id}.threshold`, parseFloat(e.target.value) || 0)}
+                                className="settings-input-number"
+                                style={{ width: '64px' }}
+                            />
+                            <button
+                                className="btn btn--secondary"
+                                onClick={() => setExpanded(expanded === rule.id ? null : rule.id)}
+                                style={{ padding: '2px 6px' }}
+                                title="Per-city thresholds"
+                            >
+                                🏙️
+                            </button>
+                            <Toggle checked={rule.enabled} onChange={(val) => updateNested(`weatherAlerts.rules.${rule.id}.enabled`, val)} />
+                        </div>
+                    </SettingItem>
+
+                    {expanded === rule.id && cities.map(city => (
+                        <SettingItem key={city.id} label={city.name} subLabel="Blank = rule threshold">
+                            <input
+                                type="number"
+                                value={rule.cityThresholds?.[city.id] ?? ''}
+                                placeholder={String(rule.threshold)}
+                                onChange={(e) => setCityThreshold(rule.id, city.id, parseFloat(e.target.value))}
+                                className="settings-input-number"
+                                style={{ width: '64px' }}
+                            />
+                        </SettingItem>
+                    ))}
+                </div>
+            ))}
+        </SettingCard>
+    );
+}
+
+/**
+ * Verified per-city model scores and the weights they produce.
+ */
+function ModelAccuracySettings({ settings, updateNested }) {
+    const [, setVersion] = useState(0);
+    const cities = getActiveLocations(settings);
+    const weightingOn = settings.weather?.accuracyWeighting !== false;
+
+    const formatPercent = (v) => (v == null ? '-' : `${Math.round(v * 100)}%`);
+
+    const handleReset = () => {
+        if (!window.confirm('Clear all recorded forecasts and accuracy scores?')) return;
+        resetVerification();
+        setVersion(v => v + 1);
+    };
+
+    return (
+        <SettingCard>
+            <SettingItem label="Weight Models by Accuracy" subLabel={`Uses each city's scores once a model has ${MIN_SAMPLES}+ verified hours`}>
+                <Toggle checked={weightingOn} onChange={(val) => updateNested('weather.accuracyWeighting', val)} />
+            </SettingItem>
+
+            {cities.map(city => {
+                const scores = getModelScores(city.id);
+                const weights = getModelWeights(city.id);
+                const models = Object.keys(scores);
+
+                return (
+                    <div key={city.id} style={{ borderTop: '1px solid var(--border-default)', padding: '8px 0' }}>
+                        <div style={{ fontSize: '0.85rem', fontWeight: 600, marginBottom: '4px' }}>{city.icon} {city.name}</div>
+                        {models.length === 0 ? (
+                            <div style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>No verified forecasts yet.</div>
+                        ) : (
+                            <table style={{ width: '100%', fontSize: '0.75rem', borderCollapse: 'collapse' }}>
+                                <thead>
+                                    <tr style={{ color: 'var(--text-muted)' }}>
+                                        <th style={{ textAlign: 'left', padding: '2px 4px' }}>Model</th>
+                                        <th style={{ textAlign: 'right', padding: '2px 4px' }}>Temp MAE</th>
+                                        <th style={{ textAlign: 'right', padding: '2px 4px' }}>Rain call</th>
+                                        <th style={{ textAlign: 'right', padding: '2px 4px' }}>Rain hits</th>
+                                        <th style={{ textAlign: 'right', padding: '2px 4px' }} title="Temperature / rain averaging weight">Weight T/R</th>
+                                        <th style={{ textAlign: 'right', padding: '2px 4px' }}>Hours</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {models.map(model => {
+                                        const s = scores[model];
+                                        const formatWeight = (w) => (w != null ? w.toFixed(2) : '1');
+                                        return (
+                                            <tr key={model}>
+                                                <td style={{ padding: '2px 4px' }}>{formatModelNames([model])}</td>
+                                                <td style={{ textAlign: 'right', padding: '2px 4px' }}>{s.mae == null ? '-' : `${s.mae.toFixed(1)}°`}</td>
+                                                <td style={{ textAlign: 'right', padding: '2px 4px' }}>{formatPercent(s.rainAccuracy)}</td>
+                                                <td style={{ textAlign: 'right', padding: '2px 4px' }}>{formatPercent(s.rainHitRate)}</td>
+                                                <td style={{ textAlign: 'right', padding: '2px 4px', color: weightingOn ? 'var(--text-primary)' : 'var(--text-muted)' }}>
+                                                    ×{formatWeight(weights?.temperature?.[model])}/{formatWeight(weights?.rain?.[model])}
+                                                </td>
+                                                <td style={{ textAlign: 'right', padding: '2px 4px', color: 'var(--text-muted)' }}>{s.samples}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                );
+            })}
+
+            <button className="btn btn--secondary" onClick={handleReset} style={{ width: '100%', marginTop: '8px' }}>
+                Reset Accuracy Scores
+            </button>
+        </SettingCard>
+    );
+}
+
+/**
+ * Mute rules shared by every feed, with what each one hid this session.
+ */
+function MuteRuleSettings() {
+    const rules = useSyncExternalStore(subscribeMuteRules, getMuteRules);
+    const stats = useSyncExternalStore(subscribeMuteRules, getMuteStats);
+    const [type, setType] = useState('keyword');
+    const [value, setValue] = useState('');
+    const [days, setDays] = useState('');
+    const [error, setError] = useState(null);
+    // Expiry clock for the list, ticking once a minute
+    const [now, setNow] = useState(() => Date.now());
+    useEffect(() => {
+        const id = setInterval(() => setNow(Date.now()), 60 * 1000);
+        return () => clearInterval(id);
+    }, []);
+    const expired = rules.length - pruneExpiredRules(rules, now).length;
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        try {
+            saveMuteRules(addMuteRule(rules, { type, value, days: days ? Number(days) : null }));
+            setValue('');
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const placeholders = {
+        keyword: 'e.g. IPL',
+        phrase: 'e.g. stock to buy',
+        regex: 'e.g. \\bhoroscope\\b',
+        source: 'e.g. Times of India',
+        entity: 'Start typing a name'
+    };
+
+    return (
+        <SettingCard>
+            <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '10px' }}>
+                Hide stories everywhere: news sections, entertainment, followed topics and Up Ahead.
+                {stats.total > 0 && ` ${stats.total} hidden in the latest fetches.`}
+            </div>
+
+            {rules.length === 0 ? (
+                <div style={{ color: 'var(--text-muted)', fontSize: '0.75rem', marginBottom: '8px' }}>No mute rules yet. Use 🔇 on any story or add one below.</div>
+            ) : (
+                rules.map(rule => (
+                    <div key={rule.id} className="settings-item" style={{ opacity: rule.expiresAt && rule.expiresAt <= now ? 0.5 : 1 }}>
+                        <div className="settings-item__label">
+                            <span>{describeMuteRule(rule, now)}</span>
+                            <small style={{ display: 'block', color: 'var(--text-muted)', fontSize: '0.65rem' }}>
+                                {stats.byRule[rule.id] ? `Hid ${stats.byRule[rule.id]} this session` : 'Nothing hidden this session'}
+                            </small>
+                        </div>
+                        <button className="btn btn--secondary" onClick={() => saveMuteRules(removeMuteRule(rules, rule.id))}>Remove</button>
+                    </div>
+                ))
+            )}
+            {expired > 0 && (
+                <button className="btn btn--secondary" onClick={() => saveMuteRules(pruneExpiredRules(rules))} style={{ width: '100%', marginTop: '8px' }}>
+                    Clear {expired} expired
+                </button>
+            )}
+
+            <form onSubmit={handleAdd} style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '12px' }}>
+                <select value={type} onChange={(e) => setType(e.target.value)} className="settings-select">
+                    {Object.entries(RULE_TYPES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+                <input
+                    type="text"
+                    value={value}
+                    onChange={(e) => setValue(e.target.value)}
+                    placeholder={placeholders[type]}
+                    list={type === 'entity' ? 'mute-entities' : undefined}
+                    className="settings-input"
+                    style={{ flex: 1, minWidth: '120px' }}
+                />
+                <datalist id="mute-entities">
+                    {MUTABLE_ENTITIES.map(entity => <option key={entity} value={entity} />)}
+                </datalist>
+                <select value={days} onChange={(e) => setDays(e.target.value)} className="settings-select">
+                    {MUTE_DURATIONS.map(d => <option key={d.label} value={d.days ?? ''}>{d.label}</option>)}
+                </select>
+                <button type="submit" className="btn btn--secondary">Mute</button>
+            </form>
+            {error && <div style={{ color: 'var(--accent-danger)', fontSize: '0.75rem', marginTop: '6px' }}>{error}</div>}
+        </SettingCard>
+    );
+}
+
+/**
+ * What the on-device preference model has learned, with per-entry forget and reset.
+ */
+function PreferenceModelSettings({ settings, updateNested }) {
+    const [model, setModel] = useState(() => getPreferenceModel());
+    const learned = settings.learnedRanking || {};
+    const strength = learned.strength ?? 0.5;
+    const summary = summarizePreferences(model);
+    const { open = 0, dwell = 0, hide = 0, share = 0 } = model.signals;
+
+    const dimensions = [
+        { id: 'sources', label: 'Sources' },
+        { id: 'sections', label: 'Sections' },
+        { id: 'keywords', label: 'Keywords' }
+    ];
+
+    const handleForget = (dimension, key) => {
+        const next = forgetPreference(model, dimension, key);
+        savePreferenceModel(next);
+        setModel(next);
+    };
+
+    const handleReset = () => {
+        if (!window.confirm('Forget everything learned from your reading, including hidden stories?')) return;
+        resetPreferenceModel();
+        setModel(getPreferenceModel());
+    };
+
+    return (
+        <SettingCard>
+            <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '10px' }}>
+                Learned on this device from stories you open, time spent reading, shares and 🚫 hides. Nothing is uploaded.
+            </div>
+            <SettingItem label="Personalize Ranking" subLabel="Applies with the 9-factor scoring algorithm">
+                <Toggle checked={learned.enabled !== false} onChange={(val) => updateNested('learnedRanking.enabled', val)} />
+            </SettingItem>
+            <SettingItem label={`Influence: up to ±${Math.round(strength * 100)}%`}>
+                <input type="range" min="0.1" max="1" step="0.1" value={strength} onChange={(e) => updateNested('learnedRanking.strength', parseFloat(e.target.value))} style={{ width: '100%' }} />
+            </SettingItem>
+
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', padding: '6px 0' }}>
+                {open} opens · {dwell} reads timed · {share} shares · {hide} hidden
+            </div>
+
+            {dimensions.map(({ id, label }) => (
+                <div key={id} style={{ borderTop: '1px solid var(--border-default)', padding: '8px 0' }}>
+                    <div style={{ fontSize: '0.85rem', fontWeight: 600, marginBottom: '4px' }}>{label}</div>
+                    {summary[id].length === 0 ? (
+                        <div style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>Nothing learned yet.</div>
+                    ) : (
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                            {summary[id].map(entry => (
+                                <span
+                                    key={entry.key}
+                                    className={entry.score >= 0 ? 'text-success' : 'text-danger'}
+                                    style={{ fontSize: '0.75rem', padding: '2px 6px', border: '1px solid var(--border-default)', borderRadius: 'var(--radius-sm)' }}
+                                >
+                                    {entry.score >= 0 ? '▲' : '▼'} {entry.key} {entry.score >= 0 ? '+' : ''}{entry.score.toFixed(1)}
+                                    <button
+                                        onClick={() => handleForget(id, entry.key)}
+                                        title="Forget"
+                                        style={{ marginLeft: '4px', background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer' }}
+                                    >
+                                        ✕
+                                    </button>
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            <button className="btn btn--secondary" onClick={handleReset} style={{ width: '100%', marginTop: '8px' }}>
+                Reset Learned Preferences
+            </button>
+        </SettingCard>
+    );
+}
+
+/**
+ * Named weight presets: apply, save the current sliders, share as JSON,
+ * assign per time segment and preview against the current ranking.
+ */
+function RankingProfileSettings({ settings, updateSettings, updateNested }) {
+    const profiles = getAllProfiles(settings);
+    const config = settings.rankingProfiles || {};
+    const active = findProfile(settings, config.active);
+    const [selectedId, setSelectedId] = useState(config.active || profiles[0].id);
+    const selected = findProfile(settings, selectedId) || profiles[0];
+    const [newName, setNewName] = useState('');
+    const [importText, setImportText] = useState('');
+    const [message, setMessage] = useState(null);
+    const [showPreview, setShowPreview] = useState(false);
+    const segmentProfile = getSegmentProfile(settings);
+
+    const report = (text, isError = false) => setMessage({ text, isError });
+
+    const handleApply = (profile) => {
+        updateSettings(applyProfile(settings, profile));
+        report(`Applied ${profile.name}`);
+    };
+
+    const handleSaveCurrent = () => {
+        try {
+            const next = saveCustomProfile(settings, createProfileFromSettings(settings, newName));
+            const saved = next.rankingProfiles.custom.find(p => p.name.toLowerCase() === newName.trim().toLowerCase());
+            updateSettings({ ...next, rankingProfiles: { ...next.rankingProfiles, active: saved.id } });
+            setSelectedId(saved.id);
+            setNewName('');
+            report(`Saved ${saved.name}`);
+        } catch (err) {
+            report(err.message, true);
+        }
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`Delete the profile "${selected.name}"?`)) return;
+        updateSettings(deleteCustomProfile(settings, selected.id));
+        setSelectedId(profiles[0].id);
+        report(`Deleted ${selected.name}`);
+    };
+
+    const handleCopy = async () => {
+        const json = exportProfileJSON(selected);
+        try {
+            await navigator.clipboard.writeText(json);
+            report('Profile JSON copied');
+        } catch {
+            setImportText(json);
+            report('Copy the JSON from the box below');
+        }
+    };
+
+    const handleImport = () => {
+        try {
+            const profile = parseProfileJSON(importText);
+            const next = saveCustomProfile(settings, profile);
+            const saved = next.rankingProfiles.custom.find(p => p.name.toLowerCase() === profile.name.toLowerCase());
+            updateSettings(next);
+            setSelectedId(saved.id);
+            setImportText('');
+            report(`Imported ${saved.name}`);
+        } catch (err) {
+            report(err.message, true);
+        }
+    };
+
+    return (
+        <SettingCard>
+            <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '10px' }}>
+                In effect: {active ? `${active.icon} ${active.name}${isProfileModified(settings, active) ? ' (modified)' : ''}` : 'Custom weights'}
+                {segmentProfile && ` · this segment uses ${segmentProfile.icon} ${segmentProfile.name}`}
+            </div>
+
+            <SettingItem label="Profile" subLabel={selected.description}>
+                <select value={selected.id} onChange={(e) => setSelectedId(e.target.value)} className="settings-select">
+                    {profiles.map(profile => (
+                        <option key={profile.id} value={profile.id}>{profile.icon} {profile.name}</option>
+                    ))}
+                </select>
+            </SettingItem>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', paddingBottom: '10px' }}>
+                <button className="btn btn--secondary" onClick={() => handleApply(selected)}>Apply</button>
+                <button className="btn btn--secondary" onClick={() => setShowPreview(!showPreview)}>
+                    {showPreview ? 'Hide Preview' : 'Preview'}
+                </button>
+                <button className="btn btn--secondary" onClick={handleCopy}>Copy JSON</button>
+                {!selected.builtIn && (
+                    <button className="btn btn--secondary" onClick={handleDelete}>Delete</button>
+                )}
+            </div>
+
+            {showPreview && <RankingPreview settings={settings} profile={selected} onApply={handleApply} />}
+
+            <div style={{ borderTop: '1px solid var(--border-default)', padding: '10px 0', display: 'flex', gap: '8px' }}>
+                <input
+                    type="text"
+                    placeholder="Save current sliders as…"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    className="settings-input"
+                    style={{ flex: 1 }}
+                />
+                <button className="btn btn--secondary" onClick={handleSaveCurrent} disabled={!newName.trim()}>Save</button>
+            </div>
+
+            <div style={{ borderTop: '1px solid var(--border-default)', padding: '10px 0' }}>
+                <textarea
+                    placeholder="Paste a shared profile JSON"
+                    value={importText}
+                    onChange={(e) => setImportText(e.target.value)}
+                    rows={3}
+                    className="settings-input"
+                    style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.7rem' }}
+                />
+                <button className="btn btn--secondary" onClick={handleImport} disabled={!importText.trim()} style={{ width: '100%', marginTop: '6px' }}>
+                    Import Profile
+                </button>
+            </div>
+
+            {message && (
+                <div className={message.isError ? 'text-danger' : 'text-success'} style={{ fontSize: '0.75rem', paddingBottom: '8px' }}>
+                    {message.text}
+                </div>
+            )}
+
+            <div style={{ borderTop: '1px solid var(--border-default)', paddingTop: '10px' }}>
+                <SettingItem label="Switch by Time Segment" subLabel="Score with the profile assigned to the current segment">
+                    <Toggle checked={config.autoSwitch === true} onChange={(val) => updateNested('rankingProfiles.autoSwitch', val)} />
+                </SettingItem>
+                {config.autoSwitch && getAllSegments().map(segment => (
+                    <SettingItem key={segment.id} label={`${segment.icon} ${segment.name}`}>
+                        <select
+                            value={config.bySegment?.[segment.id] || ''}
+                            onChange={(e) => updateNested('rankingProfiles.bySegment', { ...config.bySegment, [segment.id]: e.target.value || undefined })}
+                            className="settings-select"
+                        >
+                            <option value="">Current weights</option>
+                            {profiles.map(profile => (
+                                <option key={profile.id} value={profile.id}>{profile.icon} {profile.name}</option>
+                            ))}
+                        </select>
+                    </SettingItem>
+                ))}
+            </div>
+        </SettingCard>
+    );
+}
+
+/**
+ * Review queue for the learned section classifier: confirm or move stories it
+ * is unsure about; every answer becomes a training example.
+ */
+function SectionClassifierSettings({ settings, updateNested }) {
+    const { newsData } = useNews();
+    // Corrections live outside settings; bump to re-read them after a change
+    const [, setVersion] = useState(0);
+    const [choices, setChoices] = useState({});
+    const overrides = settings.sectionOverrides || {};
+    const model = getSectionModel();
+    const corrections = getSectionCorrections();
+    const candidates = findReviewCandidates(Object.values(newsData).flat(), overrides, 10, model);
+
+    const handleCorrect = (article, section) => {
+        recordSectionCorrection(article, section);
+        updateNested('sectionOverrides', { ...overrides, [article.id]: section });
+        setVersion(v => v + 1);
+    };
+
+    const handleUndo = (id) => {
+        removeSectionCorrection(id);
+        const { [id]: _removed, ...rest } = overrides;
+        updateNested('sectionOverrides', rest);
+        setVersion(v => v + 1);
+    };
+
+    const handleReset = () => {
+        if (!window.confirm('Forget all section corrections?')) return;
+        resetSectionCorrections();
+        updateNested('sectionOverrides', {});
+        setVersion(v => v + 1);
+    };
+
+    return (
+        <SettingCard>
+            <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '10px' }}>
+                Learns from the section keywords and your {model.corrections} {model.corrections === 1 ? 'correction' : 'corrections'}.
+                Moved stories change section from the next refresh.
+            </div>
+
+            <div style={{ fontSize: '0.85rem', fontWeight: 600, marginBottom: '4px' }}>Review Queue</div>
+            {candidates.length === 0 ? (
+                <div style={{ color: 'var(--text-muted)', fontSize: '0.75rem', paddingBottom: '8px' }}>
+                    Nothing to review in the loaded stories.
+                </div>
+            ) : candidates.map(({ article, current, suggested, confidence, suggestedConfidence, reason }) => {
+                const choice = choices[article.id] || (reason === 'disagree' ? suggested : current);
+                return (
+                    <div key={article.id} style={{ borderTop: '1px solid var(--border-default)', padding: '8px 0', fontSize: '0.75rem' }}>
+                        <div style={{ color: 'var(--text-primary)', marginBottom: '4px' }}>{article.title || article.headline}</div>
+                        <div style={{ color: 'var(--text-muted)', marginBottom: '6px' }}>
+                            In {current} · {Math.round(confidence * 100)}% sure
+                            {reason === 'disagree' && ` · looks like ${suggested} (${Math.round(suggestedConfidence * 100)}%)`}
+                        </div>
+                        <div style={{ display: 'flex', gap: '6px' }}>
+                            <select
+                                value={choice}
+                                onChange={(e) => setChoices({ ...choices, [article.id]: e.target.value })}
+                                className="settings-select"
+                                style={{ flex: 1 }}
+                            >
+                                {model.sections.map(section => <option key={section} value={section}>{section}</option>)}
+                            </select>
+                            <button className="btn btn--secondary" onClick={() => handleCorrect(article, choice)}>
+                                {choice === current ? 'Keep' : 'Move'}
+                            </button>
+                        </div>
+                    </div>
+                );
+            })}
+
+            {corrections.length > 0 && (
+                <div style={{ borderTop: '1px solid var(--border-default)', padding: '8px 0' }}>
+                    <div style={{ fontSize: '0.85rem', fontWeight: 600, marginBottom: '4px' }}>Recent Corrections</div>
+                    {corrections.slice(0, 5).map(correction => (
+                        <div key={correction.id} style={{ display: 'flex', justifyContent: 'space-between', gap: '6px', fontSize: '0.75rem', padding: '2px 0' }}>
+                            <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                {correction.from && correction.from !== correction.section ? `${correction.from} → ` : '✓ '}{correction.section}: {correction.title}
+                            </span>
+                            <button
+                                onClick={() => handleUndo(correction.id)}
+                                title="Undo"
+                                style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer' }}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                    <button className="btn btn--secondary" onClick={handleReset} style={{ width: '100%', marginTop: '8px' }}>
+                        Reset Corrections
+                    </button>
+                </div>
+            )}
+        </SettingCard>
+    );
+}
+
 // --- Debug Tab with logStore subscription ---
 function DebugTab() {
     // Subscribe to logStore reactively
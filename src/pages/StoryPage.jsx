@@ -0,0 +1,88 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import Header from '../components/Header';
+import { getStory } from '../utils/storyTimeline';
+import './StoryPage.css';
+
+const EVENT_LABELS = {
+    first_seen: { icon: '🆕', label: 'First appeared' },
+    source_joined: { icon: '📰', label: 'Source joined' },
+    headline_changed: { icon: '✏️', label: 'Headline changed' },
+    breaking: { icon: '⚡', label: 'Flagged breaking' }
+};
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-IN', {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Story Detail Page
+ * Timeline of a tracked story: first appearance, sources joining,
+ * headline changes and peak impact.
+ */
+export default function StoryPage() {
+    const { storyId } = useParams();
+    const story = getStory(storyId);
+
+    if (!story) {
+        return (
+            <div className="page-container story-page">
+                <Header title="Story" showBack backTo="/" compact={true} />
+                <main className="main-content">
+                    <div className="empty-state">
+                        <div className="empty-state__icon">🕰️</div>
+                        <p>This story is no longer tracked.</p>
+                    </div>
+                </main>
+            </div>
+        );
+    }
+
+    // Newest first
+    const events = [...story.events].reverse();
+
+    return (
+        <div className="page-container story-page">
+            <Header title="Story Timeline" showBack backTo="/" compact={true} />
+
+            <main className="main-content">
+                <section className="story-page__summary">
+                    <h2 className="story-page__headline">
+                        {story.url ? (
+                            <a href={story.url} target="_blank" rel="noopener noreferrer">{story.headline} ↗</a>
+                        ) : story.headline}
+                    </h2>
+                    <div className="story-page__stats">
+                        <span>First seen {formatTime(story.firstSeen)}</span>
+                        <span>{story.sources.length} source{story.sources.length === 1 ? '' : 's'}</span>
+                        <span>Peak impact {story.peakImpact.toFixed(1)} at {formatTime(story.peakAt)}</span>
+                    </div>
+                </section>
+
+                <ol className="story-page__timeline">
+                    {events.map((event, idx) => {
+                        const meta = EVENT_LABELS[event.type] || { icon: '•', label: event.type };
+                        return (
+                            <li key={`${event.type}-${event.at}-${idx}`} className={`story-page__event story-page__event--${event.type}`}>
+                                <span className="story-page__event-icon">{meta.icon}</span>
+                                <div>
+                                    <div className="story-page__event-label">
+                                        {meta.label}
+                                        {event.source && <span className="story-page__event-source"> · {event.source}</span>}
+                                    </div>
+                                    {event.text && <div className="story-page__event-text">{event.text}</div>}
+                                    <div className="story-page__event-time">{formatTime(event.at)}</div>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ol>
+            </main>
+        </div>
+    );
+}
@@ -2,7 +2,8 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import Header from '../components/Header';
 import { useWatchlist } from '../hooks/useWatchlist';
-import { downloadCalendarEvent } from '../utils/calendar';
+import { downloadCalendarEvent, downloadCalendarEvents } from '../utils/calendar';
+import plannerStorage from '../utils/plannerStorage';
 import { fetchUpAheadData } from '../services/upAheadService';
 import { useSettings } from '../context/SettingsContext';
 import './UpAhead.css';
@@ -173,6 +174,22 @@ function UpAheadPage() {
         return `${dayName}, ${dayNum}-${month}`;
     };
 
+    // Reminders the user set elsewhere (e.g. IPO dates), keyed like generateWeeklyPlan's days
+    const reminderDays = {};
+    for (let i = 0; i < 7; i++) {
+        const d = new Date();
+        d.setDate(d.getDate() + i);
+        const items = plannerStorage.getDay(d.toISOString().split('T')[0]).filter(item => item.reminder);
+        if (items.length > 0) reminderDays[d.toLocaleDateString('en-US', { weekday: 'long' })] = items;
+    }
+
+    const exportReminders = () => {
+        const events = plannerStorage.getUpcomingDays(30).flatMap(({ date, items }) =>
+            items.filter(item => item.reminder).map(item => ({ uid: item.id, title: item.title, date }))
+        );
+        downloadCalendarEvents('up_ahead_reminders', events);
+    };
+
     return (
         <div className="page-container up-ahead-page">
             <Header title="Up Ahead" icon="🗓️" />
@@ -309,12 +326,23 @@ function UpAheadPage() {
             ) : (
                 /* Plan My Week View */
                 <div className="ua-weekly-plan">
+                     {Object.keys(reminderDays).length > 0 && (
+                         <button className="ua-plan-export" onClick={exportReminders}>
+                             📅 Export reminders (.ics)
+                         </button>
+                     )}
                      {Object.entries(data.weekly_plan || {}).map(([day, items]) => (
                          <div key={day} className="ua-plan-day-row">
                              <div className="ua-plan-day-label">
                                  <span className="ua-day-name">{day}</span>
                              </div>
                              <div className="ua-plan-day-content">
+                                 {reminderDays[day]?.map(item => (
+                                     <div key={item.id} className="ua-plan-event-item ua-plan-event-item--reminder">
+                                         <span className="ua-event-icon">🔔</span>
+                                         <span className="ua-event-title">{item.title}</span>
+                                     </div>
+                                 ))}
                                  {Array.isArray(items) && items.length > 0 ? (
                                      items.map((item, idx) => (
                                          <a key={idx} href={item.link} target="_blank" rel="noopener noreferrer" className="ua-plan-event-item">
@@ -322,7 +350,7 @@ function UpAheadPage() {
                                              <span className="ua-event-title">{item.title}</span>
                                          </a>
                                      ))
-                                 ) : (
+                                 ) : !reminderDays[day] && (
                                      <span className="ua-plan-empty">-</span>
                                  )}
                              </div>
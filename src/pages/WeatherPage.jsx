@@ -1,6 +1,8 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import Header from '../components/Header';
 import WeatherCard from '../components/WeatherCard';
+import WeatherAlertBanner from '../components/WeatherAlertBanner';
 import { useWeather } from '../context/WeatherContext';
 
 
@@ -58,9 +60,16 @@ function WeatherPage() {
                     </div>
                 )}
 
+                <WeatherAlertBanner />
+
                 {/* Only render WeatherCard if data is available */}
                 {displayData ? (
-                    <WeatherCard weatherData={displayData} />
+                    <>
+                        <WeatherCard weatherData={displayData} />
+                        <Link to="/weather/forecast" className="btn btn--secondary mt-md" style={{ display: 'block', textAlign: 'center' }}>
+                            📅 10-Day Forecast &amp; Model Spread
+                        </Link>
+                    </>
                 ) : (
                     <div className="empty-state">
                         <div className="empty-state__icon">☁️</div>
@@ -0,0 +1,290 @@
+/**
+ * Article Archive - IndexedDB-backed store of every normalized article.
+ * Full-text search uses a multiEntry index over title/summary/source tokens
+ * (IndexedDB's native inverted index), with section/source/date filters.
+ * Retention is settings.archive.retentionDays.
+ */
+import { getSettings } from '../utils/storage.js';
+
+const DB_NAME = 'dailyEventAI_archive';
+const DB_VERSION = 1;
+const STORE = 'articles';
+const MAX_RESULTS = 100;
+const MIN_TOKEN_LENGTH = 2;
+// Prune at most once per session interval, not on every write
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'in', 'of', 'to', 'a', 'is', 'for', 'on', 'with', 'at', 'from', 'by', 'an', 'be', 'as',
+    'it', 'its', 'has', 'that', 'are', 'was', 'will', 'this', 'or', 'but', 'not', 'have', 'had', 'after'
+]);
+
+let dbPromise = null;
+let lastPrune = 0;
+// "id|topicId" keys already written this session; avoids re-putting on every cache hit
+const archivedThisSession = new Set();
+
+/**
+ * Tokenizes text for the inverted index.
+ * Lowercase, unicode-aware, stop words and 1-char tokens removed, deduplicated.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    if (!text) return [];
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return [...new Set(words.filter(w => w.length >= MIN_TOKEN_LENGTH && !STOP_WORDS.has(w)))];
+}
+
+function isSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+                const store = db.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('tokens', 'tokens', { multiEntry: true });
+                store.createIndex('section', 'section');
+                store.createIndex('source', 'source');
+                store.createIndex('publishedAt', 'publishedAt');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function txDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/** Stored shape: a slim copy of the article plus its index tokens */
+function toRecord(article, existing) {
+    const topicNames = new Set(existing?.topicNames || []);
+    if (article.topicName) topicNames.add(article.topicName);
+
+    return {
+        id: article.id,
+        title: article.title || article.headline || '',
+        summary: article.summary || '',
+        link: article.link || article.url || '',
+        source: article.source || 'Unknown',
+        section: article.section || 'general',
+        imageUrl: article.imageUrl || null,
+        publishedAt: article.publishedAt || Date.now(),
+        firstSeenAt: existing?.firstSeenAt || Date.now(),
+        lastSeenAt: Date.now(),
+        impactScore: Math.max(article.impactScore || 0, existing?.impactScore || 0),
+        topicNames: [...topicNames],
+        tokens: tokenize(`${article.title || article.headline || ''} ${article.summary || ''} ${article.source || ''} ${[...topicNames].join(' ')}`)
+    };
+}
+
+/**
+ * Adds or updates articles in the archive. Fire-and-forget safe: never throws.
+ * @param {Array<Object>} articles - normalized NewsItems
+ */
+export async function archiveArticles(articles) {
+    const settings = getSettings();
+    if (!isSupported() || settings.archive?.enabled === false || !articles?.length) return;
+
+    const fresh = articles.filter(a => a?.id && !archivedThisSession.has(`${a.id}|${a.topicId || ''}`));
+    if (fresh.length === 0) return;
+
+    try {
+        const db = await openDB();
+        const tx = db.transaction(STORE, 'readwrite');
+        const store = tx.objectStore(STORE);
+
+        for (const article of fresh) {
+            const getReq = store.get(article.id);
+            getReq.onsuccess = () => store.put(toRecord(article, getReq.result));
+            archivedThisSession.add(`${article.id}|${article.topicId || ''}`);
+        }
+
+        await txDone(tx);
+
+        if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+            lastPrune = Date.now();
+            await pruneArchive(settings.archive?.retentionDays);
+        }
+    } catch (error) {
+        console.warn('[Archive] Failed to archive articles:', error);
+    }
+}
+
+/**
+ * Deletes articles published before the retention window.
+ * @param {number} retentionDays
+ * @returns {Promise<number>} deleted count
+ */
+export async function pruneArchive(retentionDays = 14) {
+    if (!isSupported()) return 0;
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const db = await openDB();
+    const tx = db.transaction(STORE, 'readwrite');
+    const index = tx.objectStore(STORE).index('publishedAt');
+
+    let deleted = 0;
+    const cursorReq = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+    cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (cursor) {
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+        }
+    };
+
+    await txDone(tx);
+    if (deleted > 0) console.log(`[Archive] Pruned ${deleted} articles older than ${retentionDays}d`);
+    return deleted;
+}
+
+/**
+ * Ids matching a term as a prefix ("metro" matches "metros", "metrorail").
+ */
+async function idsForTerm(index, term) {
+    const keys = await promisify(index.getAllKeys(IDBKeyRange.bound(term, term + '\uffff')));
+    return new Set(keys);
+}
+
+/**
+ * Relevance: title hits count double, then recency.
+ * @param {Array<Object>} records
+ * @param {string[]} terms
+ */
+export function rankResults(records, terms) {
+    const scored = records.map(record => {
+        const title = (record.title || '').toLowerCase();
+        const titleHits = terms.filter(t => title.includes(t)).length;
+        return { record, score: titleHits * 2 + (terms.length - titleHits) };
+    });
+
+    scored.sort((a, b) => (b.score - a.score) || (b.record.publishedAt - a.record.publishedAt));
+    return scored.map(s => s.record);
+}
+
+/**
+ * Searches the archive.
+ * @param {Object} params
+ * @param {string} [params.query] - free text; every term must match (AND)
+ * @param {string} [params.section]
+ * @param {string} [params.source]
+ * @param {number} [params.from] - publishedAt lower bound (ms)
+ * @param {number} [params.to] - publishedAt upper bound (ms)
+ * @param {number} [params.limit]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function searchArchive({ query = '', section = '', source = '', from = null, to = null, limit = MAX_RESULTS } = {}) {
+    if (!isSupported()) return [];
+
+    const db = await openDB();
+    const tx = db.transaction(STORE, 'readonly');
+    const store = tx.objectStore(STORE);
+    const terms = tokenize(query);
+
+    let records;
+    if (terms.length > 0) {
+        // Intersect posting lists, smallest first
+        const sets = await Promise.all(terms.map(term => idsForTerm(store.index('tokens'), term)));
+        sets.sort((a, b) => a.size - b.size);
+        const ids = [...sets[0]].filter(id => sets.every(s => s.has(id)));
+        records = await Promise.all(ids.map(id => promisify(store.get(id))));
+    } else {
+        const range = (from || to)
+            ? IDBKeyRange.bound(from || 0, to || Number.MAX_SAFE_INTEGER)
+            : null;
+        records = await promisify(store.index('publishedAt').getAll(range));
+    }
+
+    const filtered = records.filter(r =>
+        r &&
+        (!section || r.section === section) &&
+        (!source || r.source === source) &&
+        (!from || r.publishedAt >= from) &&
+        (!to || r.publishedAt <= to)
+    );
+
+    const ranked = terms.length > 0
+        ? rankResults(filtered, terms)
+        : filtered.sort((a, b) => b.publishedAt - a.publishedAt);
+
+    return ranked.slice(0, limit).map(r => ({
+        ...r,
+        headline: r.title,
+        url: r.link
+    }));
+}
+
+/**
+ * Distinct sections and sources for the filter dropdowns, plus total count.
+ * @returns {Promise<{ count: number, sections: string[], sources: string[] }>}
+ */
+export async function getArchiveFacets() {
+    if (!isSupported()) return { count: 0, sections: [], sources: [] };
+
+    const db = await openDB();
+    const tx = db.transaction(STORE, 'readonly');
+    const store = tx.objectStore(STORE);
+
+    const uniqueKeys = (index) => new Promise((resolve, reject) => {
+        const keys = [];
+        const req = index.openKeyCursor(null, 'nextunique');
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (cursor) {
+                keys.push(cursor.key);
+                cursor.continue();
+            } else {
+                resolve(keys);
+            }
+        };
+        req.onerror = () => reject(req.error);
+    });
+
+    const [count, sections, sources] = await Promise.all([
+        promisify(store.count()),
+        uniqueKeys(store.index('section')),
+        uniqueKeys(store.index('source'))
+    ]);
+
+    return { count, sections, sources };
+}
+
+/**
+ * Deletes every archived article.
+ */
+export async function clearArchive() {
+    if (!isSupported()) return;
+    const db = await openDB();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    await txDone(tx);
+    archivedThisSession.clear();
+}
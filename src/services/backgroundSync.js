@@ -0,0 +1,181 @@
+/**
+ * Background Sync - hands scheduled checks (followed topics, breaking news,
+ * weather alerts) to the service worker so notifications arrive while the app
+ * is closed.
+ *
+ * The service worker cannot read localStorage, so the page posts it a
+ * serializable config whenever topics or settings change. Scheduling uses
+ * Periodic Background Sync where available; otherwise the page asks the
+ * worker to run the same check on a timer while it is open.
+ */
+import { getSettings } from '../utils/storage.js';
+import { buildTopicQuery } from '../utils/topicQueryBuilder.js';
+import { GOOGLE_FEEDS } from './googleNewsService.js';
+import { getProxyTemplates } from './proxyRegistry.js';
+import { getActiveLocations } from './locationService.js';
+import { getAlertRules, METRIC_UNITS } from '../utils/weatherAlerts.js';
+
+export const SYNC_TAG = 'content-refresh';
+const MIN_INTERVAL_MS = 15 * 60 * 1000;
+
+/** Top-story feeds compared against each other to spot breaking stories */
+const BREAKING_FEEDS = [
+    GOOGLE_FEEDS.WORLD_IN,
+    'https://feeds.bbci.co.uk/news/world/rss.xml',
+    'https://feeds.feedburner.com/ndtvnews-top-stories',
+    'https://timesofindia.indiatimes.com/rssfeedstopstories.cms'
+];
+
+/**
+ * Daily Open-Meteo fields standing in for the hourly alert metrics; the worker
+ * checks today's and tomorrow's daily values rather than hourly windows.
+ */
+const DAILY_ALERT_METRICS = {
+    precipitation: 'precipitation_sum',
+    uv_index: 'uv_index_max',
+    heat_index: 'apparent_temperature_max',
+    temperature_2m: 'temperature_2m_max',
+    wind_speed_10m: 'wind_speed_10m_max'
+};
+
+/**
+ * The user's weather alert rules in the worker's simplified form.
+ * Rules without a daily equivalent (e.g. visibility) or with a "below" threshold are skipped.
+ */
+function buildWorkerAlertRules(settings) {
+    return getAlertRules(settings)
+        .filter(rule => rule.enabled && rule.operator === '>' && DAILY_ALERT_METRICS[rule.metric])
+        .map(rule => ({
+            id: rule.id,
+            label: rule.label,
+            metric: DAILY_ALERT_METRICS[rule.metric],
+            threshold: rule.threshold,
+            cityThresholds: rule.cityThresholds,
+            cities: rule.cities || [],
+            unit: METRIC_UNITS[rule.metric]
+        }));
+}
+
+let fallbackTimer = null;
+let listening = false;
+
+function isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/**
+ * Serializable snapshot of everything the worker needs for a background check.
+ */
+export function buildSyncConfig() {
+    const settings = getSettings();
+    const prefs = settings.backgroundSync || {};
+
+    return {
+        enabled: prefs.enabled !== false,
+        proxies: getProxyTemplates('feed'),
+        topics: prefs.topics === false ? [] : (settings.followedTopics || []).map(topic => ({
+            id: topic.id,
+            name: topic.name,
+            feedUrl: buildTopicQuery(topic.query || topic.name, topic.options || {})
+        })),
+        breakingFeeds: prefs.breaking === false ? [] : BREAKING_FEEDS,
+        weather: {
+            enabled: prefs.weatherAlerts !== false && settings.weatherAlerts?.enabled !== false &&
+                settings.weatherAlerts?.notify !== false,
+            locations: getActiveLocations(settings).map(({ id, name, lat, lon }) => ({ id, name, lat, lon })),
+            rules: buildWorkerAlertRules(settings)
+        }
+    };
+}
+
+async function postToWorker(message) {
+    if (!isSupported()) return false;
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.active) return false;
+    registration.active.postMessage(message);
+    return true;
+}
+
+/**
+ * Pushes the latest config to the worker. Call whenever topics or settings change.
+ */
+export async function syncBackgroundConfig() {
+    try {
+        return await postToWorker({ type: 'SYNC_CONFIG', config: buildSyncConfig() });
+    } catch (error) {
+        console.warn('[BackgroundSync] Failed to send config:', error);
+        return false;
+    }
+}
+
+async function registerPeriodicSync(registration) {
+    if (!('periodicSync' in registration)) return false;
+
+    try {
+        if (navigator.permissions) {
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state !== 'granted') return false;
+        }
+        await registration.periodicSync.register(SYNC_TAG, { minInterval: MIN_INTERVAL_MS });
+        return true;
+    } catch (error) {
+        console.warn('[BackgroundSync] Periodic sync registration failed:', error);
+        return false;
+    }
+}
+
+/**
+ * Routes notification clicks relayed by the worker to the matching hash route.
+ */
+function listenForNotificationClicks() {
+    if (listening) return;
+    listening = true;
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'NOTIFICATION_CLICK' && event.data.route) {
+            window.location.hash = `#${event.data.route}`;
+        }
+    });
+}
+
+/**
+ * Starts background checks.
+ * @returns {Promise<'periodic'|'fallback'|'unsupported'|'disabled'>} mode in use;
+ *   with 'unsupported' or 'disabled' the page should keep notifying itself.
+ */
+export async function startBackgroundSync() {
+    if (!isSupported()) return 'unsupported';
+
+    listenForNotificationClicks();
+
+    const registration = await navigator.serviceWorker.ready;
+    await syncBackgroundConfig();
+
+    if (getSettings().backgroundSync?.enabled === false) {
+        stopBackgroundSync(registration);
+        return 'disabled';
+    }
+
+    if (await registerPeriodicSync(registration)) {
+        console.log('[BackgroundSync] Periodic Background Sync registered');
+        return 'periodic';
+    }
+
+    // Fallback: run the worker's check on a timer while the page is open
+    if (!fallbackTimer) {
+        fallbackTimer = setInterval(() => {
+            postToWorker({ type: 'RUN_BACKGROUND_REFRESH' }).catch(() => {});
+        }, MIN_INTERVAL_MS);
+    }
+    console.log('[BackgroundSync] Periodic sync unavailable, using in-page timer');
+    return 'fallback';
+}
+
+function stopBackgroundSync(registration) {
+    if (fallbackTimer) {
+        clearInterval(fallbackTimer);
+        fallbackTimer = null;
+    }
+    if (registration && 'periodicSync' in registration) {
+        registration.periodicSync.unregister(SYNC_TAG).catch(() => {});
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Chart Service - price history for the chart view.
+ * Yahoo symbols (indices, commodities, currencies, stocks) use the chart API
+ * with an interval suited to each range; mutual funds slice mfapi's full NAV
+ * history. Series are cached in memory per symbol and range, so switching
+ * back to a range already seen doesn't refetch.
+ */
+import { fetchYahooHistory, fetchSchemeHistory } from './indianMarketService.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const CHART_RANGES = {
+    '1D': { interval: '5m', range: '1d', days: 1, ttl: 5 * MINUTE },
+    '5D': { interval: '15m', range: '5d', days: 5, ttl: 15 * MINUTE },
+    '1M': { interval: '1d', range: '1mo', days: 31, ttl: 60 * MINUTE },
+    '6M': { interval: '1d', range: '6mo', days: 183, ttl: 6 * 60 * MINUTE },
+    '1Y': { interval: '1d', range: '1y', days: 366, ttl: 6 * 60 * MINUTE },
+    '5Y': { interval: '1wk', range: '5y', days: 5 * 366, ttl: 24 * 60 * MINUTE }
+};
+
+// NAVs are published once a day; the full history is fetched once and sliced per range
+const MF_HISTORY_TTL = 6 * 60 * MINUTE;
+
+const seriesCache = new Map();
+const inflight = new Map();
+
+function cached(key, ttl) {
+    const entry = seriesCache.get(key);
+    return entry && Date.now() - entry.fetchedAt < ttl ? entry.value : null;
+}
+
+/** Runs loader once per key at a time and caches its result */
+async function load(key, ttl, loader) {
+    const hit = cached(key, ttl);
+    if (hit) return hit;
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = loader()
+        .then(value => {
+            seriesCache.set(key, { value, fetchedAt: Date.now() });
+            return value;
+        })
+        .finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Mutual fund NAVs for a range. 1D/5D show the last 2/5 published NAVs.
+ */
+function sliceNavHistory(history, rangeKey) {
+    const { points } = history;
+    if (rangeKey === '1D') return points.slice(-2);
+    if (rangeKey === '5D') return points.slice(-5);
+
+    const last = points[points.length - 1]?.t ?? Date.now();
+    const cutoff = last - CHART_RANGES[rangeKey].days * DAY;
+    return points.filter(p => p.t >= cutoff);
+}
+
+/**
+ * @param {{symbol: string, kind: 'yahoo'|'mf'}} instrument
+ * @param {keyof CHART_RANGES} rangeKey
+ * @returns {Promise<{points: Array<{t: number, v: number}>, baseline: number|null, currency: string|null, name?: string}>}
+ */
+export async function fetchChartSeries({ symbol, kind }, rangeKey) {
+    const config = CHART_RANGES[rangeKey];
+    if (!config) throw new Error(`Unknown range: ${rangeKey}`);
+
+    if (kind === 'mf') {
+        const history = await load(`mf:${symbol}`, MF_HISTORY_TTL, () => fetchSchemeHistory(symbol));
+        const points = sliceNavHistory(history, rangeKey);
+        return { points, baseline: points[0]?.v ?? null, currency: 'INR', name: history.name };
+    }
+
+    return load(`yahoo:${symbol}:${rangeKey}`, config.ttl, async () => {
+        const history = await fetchYahooHistory(symbol, config.interval, config.range);
+        // Intraday change is measured from the previous close, longer ranges from their first point
+        const baseline = rangeKey === '1D' && history.prevClose != null ? history.prevClose : history.points[0]?.v ?? null;
+        return { points: history.points, baseline, currency: history.currency };
+    });
+}
+
+/** True when a series for this range is already cached (no spinner needed) */
+export function isChartCached({ symbol, kind }, rangeKey) {
+    if (kind === 'mf') return Boolean(cached(`mf:${symbol}`, MF_HISTORY_TTL));
+    return Boolean(cached(`yahoo:${symbol}:${rangeKey}`, CHART_RANGES[rangeKey]?.ttl || 0));
+}
+
+/**
+ * Route of the chart view for an instrument
+ * @param {{symbol: string, kind?: 'yahoo'|'mf', name?: string}} instrument
+ */
+export function getChartPath({ symbol, kind = 'yahoo', name }) {
+    const query = name ? `?name=${encodeURIComponent(name)}` : '';
+    return `/markets/chart/${kind}/${encodeURIComponent(symbol)}${query}`;
+}
@@ -342,6 +342,7 @@ export function getAuditLog() {
 // ============================================
 
 import { getCurrentSegment, getRecommendedToggles } from '../utils/timeSegment';
+import { getMarketStatus, getRefreshMinutes } from '../utils/marketCalendar';
 
 /**
  * Determine what to crawl based on current segment (AUTO mode)
@@ -399,14 +400,20 @@ export function getAutoCrawlConfig() {
         }
     };
 
+    // No market polling while NSE/BSE is closed (null interval)
+    const marketStatus = getMarketStatus();
+    const marketOpen = marketStatus.state !== 'closed';
+    const segmentPriorities = priorities[segment.id] || priorities.morning_news;
+
     return {
         segment,
         recommended,
-        priorities: priorities[segment.id] || priorities.morning_news,
+        marketStatus,
+        priorities: marketOpen ? segmentPriorities : { ...segmentPriorities, market: 'disabled' },
         refreshIntervals: {
             weather: 60,  // minutes
             news: 30,
-            market: 5
+            market: getRefreshMinutes(marketStatus)
         }
     };
 }
@@ -0,0 +1,304 @@
+/**
+ * Forecast Verification
+ * Scores each weather model against what actually happened, per city.
+ *
+ * Every fetch records each model's hourly temperature/precipitation forecast
+ * for the next 24 hours (the first forecast seen for an hour is kept, so scores
+ * reflect up to a day of lead time). Once an hour has passed, the observed
+ * values are taken from Open-Meteo's analysis (past hours of the best-match
+ * forecast API, which assimilates station and satellite observations) and
+ * folded into running per-city, per-model statistics:
+ * - temperature: mean absolute error (°C)
+ * - rain: how often the model called rain / no rain correctly, and the hit
+ *   rate on hours where it did rain
+ *
+ * getModelWeights() turns these into averaging weights for multiModelUtils.
+ */
+import { getLocation } from './locationService.js';
+
+const STORAGE_KEY = 'dailyEventAI_forecastVerification';
+const ANALYSIS_URL = 'https://api.open-meteo.com/v1/forecast';
+
+const HOUR_MS = 60 * 60 * 1000;
+const RECORD_AHEAD_MS = 24 * HOUR_MS;
+// Give the analysis time to settle before scoring an hour
+const VERIFY_DELAY_MS = 2 * HOUR_MS;
+// Unverified forecasts older than the analysis window are dropped
+const MAX_PENDING_AGE_MS = 3 * 24 * HOUR_MS;
+const VERIFY_INTERVAL_MS = HOUR_MS;
+// An hour counts as rainy at or above this amount
+export const RAIN_THRESHOLD_MM = 0.2;
+// Samples needed before a model's score changes its weight
+export const MIN_SAMPLES = 24;
+// Older samples fade out beyond this many (~30 days of hours)
+const MAX_SAMPLES = 720;
+
+/**
+ * @typedef {Object} ModelStats
+ * @property {number} n - temperature samples
+ * @property {number} absErr - sum of absolute temperature errors
+ * @property {number} rainN - rain samples
+ * @property {number} rainCorrect - hours where rain/no rain was called correctly
+ * @property {number} rainObserved - hours where it rained
+ * @property {number} rainHits - rainy hours the model forecast as rainy
+ */
+
+function loadState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (state && state.pending && state.stats) return state;
+    } catch {
+        // fall through to a fresh state
+    }
+    return { pending: {}, stats: {}, lastVerified: 0 };
+}
+
+function saveState(state) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+        console.warn('[ForecastVerification] Failed to save:', e);
+    }
+}
+
+/** UTC timestamp of an Open-Meteo local time string */
+function toUtcMs(localTime, utcOffsetSeconds) {
+    return Date.parse(`${localTime}Z`) - (utcOffsetSeconds || 0) * 1000;
+}
+
+/**
+ * Stores each model's forecast for the coming hours.
+ * @param {string} cityKey
+ * @param {Object} modelHourly - fetchWeather() result's modelHourly
+ * @param {number} [now]
+ */
+export function recordForecasts(cityKey, modelHourly, now = Date.now()) {
+    if (!modelHourly || Object.keys(modelHourly).length === 0) return;
+
+    const state = loadState();
+    const cityPending = state.pending[cityKey] || {};
+
+    Object.entries(modelHourly).forEach(([model, hourly]) => {
+        (hourly.time || []).forEach((time, idx) => {
+            const target = toUtcMs(time, hourly.utcOffsetSeconds);
+            if (target <= now || target > now + RECORD_AHEAD_MS) return;
+
+            const temp = hourly.temperature_2m?.[idx];
+            const precip = hourly.precipitation?.[idx];
+            if (temp == null) return;
+
+            const entry = cityPending[target] || (cityPending[target] = {});
+            if (!entry[model]) entry[model] = [temp, precip ?? null];
+        });
+    });
+
+    state.pending[cityKey] = cityPending;
+    saveState(state);
+}
+
+function emptyStats() {
+    return { n: 0, absErr: 0, rainN: 0, rainCorrect: 0, rainObserved: 0, rainHits: 0 };
+}
+
+/** Scales sums down so the newest MAX_SAMPLES dominate */
+function fade(stats) {
+    if (stats.n <= MAX_SAMPLES) return;
+    const factor = MAX_SAMPLES / stats.n;
+    Object.keys(stats).forEach(key => { stats[key] *= factor; });
+}
+
+/**
+ * Folds one verified hour into a model's stats.
+ * @param {ModelStats} stats
+ * @param {[number, number|null]} forecast - [temperature, precipitation]
+ * @param {{temp: number, precip: number|null}} observed
+ */
+export function scoreForecast(stats, forecast, observed) {
+    const [temp, precip] = forecast;
+
+    if (temp != null && observed.temp != null) {
+        stats.n += 1;
+        stats.absErr += Math.abs(temp - observed.temp);
+    }
+
+    if (precip != null && observed.precip != null) {
+        const forecastRain = precip >= RAIN_THRESHOLD_MM;
+        const observedRain = observed.precip >= RAIN_THRESHOLD_MM;
+        stats.rainN += 1;
+        if (forecastRain === observedRain) stats.rainCorrect += 1;
+        if (observedRain) {
+            stats.rainObserved += 1;
+            if (forecastRain) stats.rainHits += 1;
+        }
+    }
+
+    fade(stats);
+    return stats;
+}
+
+async function fetchAnalysis(location) {
+    const params = new URLSearchParams({
+        latitude: location.lat,
+        longitude: location.lon,
+        hourly: 'temperature_2m,precipitation',
+        past_days: '3',
+        forecast_days: '1',
+        timezone: 'GMT'
+    });
+
+    const response = await fetch(`${ANALYSIS_URL}?${params}`);
+    if (!response.ok) {
+        throw new Error(`Analysis request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const observed = {};
+    (data.hourly?.time || []).forEach((time, idx) => {
+        observed[Date.parse(`${time}Z`)] = {
+            temp: data.hourly.temperature_2m?.[idx] ?? null,
+            precip: data.hourly.precipitation?.[idx] ?? null
+        };
+    });
+    return observed;
+}
+
+/**
+ * Scores recorded forecasts whose hour has passed. Runs at most once an hour.
+ * @param {string[]} cityKeys - cities to verify
+ * @param {Object} [options] - { force, now }
+ * @returns {Promise<number>} number of hours verified
+ */
+export async function verifyForecasts(cityKeys, { force = false, now = Date.now() } = {}) {
+    const snapshot = loadState();
+    if (!force && now - snapshot.lastVerified < VERIFY_INTERVAL_MS) return 0;
+
+    // Fetch observations first; forecasts recorded while these are in flight
+    // must survive, so scoring works on a fresh read afterwards
+    const observedByCity = {};
+    for (const cityKey of cityKeys) {
+        const cityPending = snapshot.pending[cityKey];
+        const location = getLocation(cityKey);
+        if (!cityPending || !location) continue;
+
+        const hasDue = Object.keys(cityPending).some(target => Number(target) <= now - VERIFY_DELAY_MS);
+        if (!hasDue) continue;
+
+        try {
+            observedByCity[cityKey] = await fetchAnalysis(location);
+        } catch (error) {
+            console.warn(`[ForecastVerification] ${cityKey}:`, error.message);
+        }
+    }
+
+    const state = loadState();
+    let verified = 0;
+
+    for (const [cityKey, observed] of Object.entries(observedByCity)) {
+        const cityPending = state.pending[cityKey];
+        if (!cityPending) continue;
+
+        const due = Object.keys(cityPending).filter(target => Number(target) <= now - VERIFY_DELAY_MS);
+        const cityStats = state.stats[cityKey] || (state.stats[cityKey] = {});
+        due.forEach(target => {
+            const actual = observed[target];
+            if (actual) {
+                Object.entries(cityPending[target]).forEach(([model, forecast]) => {
+                    scoreForecast(cityStats[model] || (cityStats[model] = emptyStats()), forecast, actual);
+                });
+                verified++;
+                delete cityPending[target];
+            } else if (Number(target) < now - MAX_PENDING_AGE_MS) {
+                delete cityPending[target];
+            }
+        });
+    }
+
+    // Forget pending hours for cities no longer shown
+    Object.keys(state.pending).forEach(cityKey => {
+        if (!cityKeys.includes(cityKey)) delete state.pending[cityKey];
+    });
+
+    state.lastVerified = now;
+    saveState(state);
+
+    if (verified > 0) {
+        console.log(`[ForecastVerification] Verified ${verified} forecast hours`);
+    }
+    return verified;
+}
+
+/**
+ * Readable scores per model for a city.
+ * @param {string} cityKey
+ * @returns {Object<string, {samples, mae, rainSamples, rainAccuracy, rainHitRate}>}
+ */
+export function getModelScores(cityKey) {
+    const cityStats = loadState().stats[cityKey] || {};
+    const scores = {};
+
+    Object.entries(cityStats).forEach(([model, s]) => {
+        scores[model] = {
+            samples: Math.round(s.n),
+            mae: s.n > 0 ? s.absErr / s.n : null,
+            rainSamples: Math.round(s.rainN),
+            rainAccuracy: s.rainN > 0 ? s.rainCorrect / s.rainN : null,
+            rainHitRate: s.rainObserved > 0 ? s.rainHits / s.rainObserved : null
+        };
+    });
+    return scores;
+}
+
+/**
+ * Normalises inverse errors so the weights average 1 across models.
+ * @returns {Object<string, number>|null}
+ */
+function inverseErrorWeights(errors) {
+    const models = Object.keys(errors);
+    if (models.length < 2) return null;
+
+    const inverse = {};
+    models.forEach(m => { inverse[m] = 1 / errors[m]; });
+    const mean = models.reduce((sum, m) => sum + inverse[m], 0) / models.length;
+
+    const weights = {};
+    models.forEach(m => { weights[m] = inverse[m] / mean; });
+    return weights;
+}
+
+/**
+ * Averaging weights for a city, from verified accuracy.
+ * Models with fewer than MIN_SAMPLES verified hours are left out (they get
+ * weight 1 in the averaging helpers); null means average equally.
+ * @param {string} cityKey
+ * @returns {{temperature: Object<string, number>|null, rain: Object<string, number>|null}|null}
+ */
+export function getModelWeights(cityKey) {
+    const scores = getModelScores(cityKey);
+
+    const tempErrors = {};
+    const rainErrors = {};
+    Object.entries(scores).forEach(([model, s]) => {
+        // Floors keep one lucky model from taking all the weight
+        if (s.samples >= MIN_SAMPLES) tempErrors[model] = Math.max(s.mae, 0.3);
+        if (s.rainSamples >= MIN_SAMPLES) rainErrors[model] = Math.max(1 - s.rainAccuracy, 0.05);
+    });
+
+    const temperature = inverseErrorWeights(tempErrors);
+    const rain = inverseErrorWeights(rainErrors);
+    return temperature || rain ? { temperature, rain } : null;
+}
+
+/**
+ * Clears recorded forecasts and scores (all cities, or one).
+ * @param {string} [cityKey]
+ */
+export function resetVerification(cityKey) {
+    if (!cityKey) {
+        localStorage.removeItem(STORAGE_KEY);
+        return;
+    }
+    const state = loadState();
+    delete state.pending[cityKey];
+    delete state.stats[cityKey];
+    saveState(state);
+}
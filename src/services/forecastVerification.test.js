@@ -0,0 +1,89 @@
+import { scoreForecast, getModelScores, getModelWeights, MIN_SAMPLES, RAIN_THRESHOLD_MM } from './forecastVerification.js';
+
+// Minimal in-memory localStorage for node
+const memory = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (memory.has(key) ? memory.get(key) : null),
+    setItem: (key, value) => memory.set(key, String(value)),
+    removeItem: (key) => memory.delete(key)
+};
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    const emptyStats = () => ({ n: 0, absErr: 0, rainN: 0, rainCorrect: 0, rainObserved: 0, rainHits: 0 });
+    const rain = RAIN_THRESHOLD_MM;
+
+    // Stats after `hours` verified hours: fixed temperature error, rain called right `rainRight` of the time
+    const verified = (hours, tempError, rainRight) => {
+        const stats = emptyStats();
+        for (let i = 0; i < hours; i++) {
+            const observedRain = i % 2 === 0;
+            const right = i < hours * rainRight;
+            scoreForecast(stats, [30 + tempError, right === observedRain ? rain : 0], { temp: 30, precip: observedRain ? rain : 0 });
+        }
+        return stats;
+    };
+    const store = (stats) => localStorage.setItem('dailyEventAI_forecastVerification', JSON.stringify({ pending: {}, stats, lastVerified: 0 }));
+
+    console.log('--- Starting Tests: Forecast Verification ---');
+
+    // TEST 1: Scoring one hour
+    const one = scoreForecast(emptyStats(), [31.5, 0.5], { temp: 30, precip: 0 });
+    assert(one.n === 1 && one.absErr === 1.5, 'Score: absolute temperature error');
+    assert(one.rainN === 1 && one.rainCorrect === 0 && one.rainObserved === 0, 'Score: false rain call counted wrong');
+    const hit = scoreForecast(emptyStats(), [30, rain], { temp: null, precip: 2 });
+    assert(hit.n === 0 && hit.rainCorrect === 1 && hit.rainObserved === 1 && hit.rainHits === 1, 'Score: rain hit, missing temperature skipped');
+    assert(scoreForecast(emptyStats(), [30, null], { temp: 30, precip: 1 }).rainN === 0, 'Score: no precipitation forecast, no rain sample');
+
+    const long = verified(800, 1, 1);
+    assert(close(long.n, 720) && close(long.absErr / long.n, 1), 'Score: old samples fade beyond 720, MAE kept');
+
+    // TEST 2: Readable scores
+    store({ chennai: { ecmwf: verified(30, 1, 1), gfs: verified(30, 2, 0.5) } });
+    const scores = getModelScores('chennai');
+    assert(scores.ecmwf.samples === 30 && close(scores.ecmwf.mae, 1) && scores.ecmwf.rainAccuracy === 1, 'Scores: MAE and rain accuracy');
+    assert(close(scores.gfs.mae, 2) && close(scores.gfs.rainAccuracy, 0.5), 'Scores: weaker model');
+    assert(scores.ecmwf.rainHitRate === 1 && scores.gfs.rainHitRate < 1, 'Scores: hit rate on rainy hours');
+    assert(Object.keys(getModelScores('trichy')).length === 0, 'Scores: unknown city empty');
+
+    // TEST 3: Weights from inverse errors
+    const weights = getModelWeights('chennai');
+    const sum = (w) => Object.values(w).reduce((a, b) => a + b, 0);
+    assert(close(weights.temperature.ecmwf, 2 * weights.temperature.gfs), 'Weights: half the error, twice the weight');
+    assert(close(sum(weights.temperature), 2) && close(sum(weights.rain), 2), 'Weights: normalised to average 1 per model');
+    // Perfect rain calls are floored at 5% error, half right is 50%: 20 vs 2
+    assert(close(weights.rain.ecmwf / weights.rain.gfs, 10), 'Weights: rain error floor of 0.05');
+
+    store({ chennai: { ecmwf: verified(30, 0.1, 1), gfs: verified(30, 0.6, 1) } });
+    assert(close(getModelWeights('chennai').temperature.ecmwf / getModelWeights('chennai').temperature.gfs, 2), 'Weights: temperature error floor of 0.3°C');
+
+    // TEST 4: MIN_SAMPLES cutoff
+    store({ chennai: { ecmwf: verified(30, 1, 1), gfs: verified(30, 2, 0.5), icon: verified(MIN_SAMPLES - 1, 5, 0) } });
+    const partial = getModelWeights('chennai');
+    assert(!('icon' in partial.temperature) && !('icon' in partial.rain), 'Cutoff: model below MIN_SAMPLES left out');
+
+    store({ chennai: { ecmwf: verified(MIN_SAMPLES, 1, 1), gfs: verified(MIN_SAMPLES - 1, 2, 0.5) } });
+    assert(getModelWeights('chennai') === null, 'Cutoff: one scored model means equal averaging');
+
+    store({ chennai: { ecmwf: verified(MIN_SAMPLES, 1, 1), gfs: verified(MIN_SAMPLES, 2, 0.5) } });
+    assert(getModelWeights('chennai')?.temperature?.gfs < 1, 'Cutoff: exactly MIN_SAMPLES counts');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
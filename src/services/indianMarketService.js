@@ -1,4 +1,15 @@
-// import { getSettings } from '../utils/storage';
+import { getSettings } from '../utils/storage.js';
+import { proxyManager } from './proxyManager.js';
+import {
+    parseNseFiiDii,
+    getFiiDiiHistory,
+    saveFiiDiiHistory,
+    mergeFiiDiiDay,
+    summarizeFiiDii
+} from '../utils/fiiDiiHistory.js';
+import { mapIPOColumns, parseIPORow, mergeIPODetails } from '../utils/ipoCalendar.js';
+import { pickRates, getRateHistory, saveRateHistory, mergeRateDay } from '../utils/currencyRates.js';
+import { fetchMarketData as fetchCryptoData, DEFAULT_CRYPTO_COINS } from './marketService.js';
 
 // ============================================
 // 1. STOCK INDICES (NSE/BSE)
@@ -19,46 +30,16 @@ const INDICES = {
 // Yahoo Finance API Base
 const YAHOO_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart/';
 
-// Proxy Rotation Strategy
-const PROXIES = [
-    // Strategy 1: AllOrigins (Verified working for Yahoo)
-    (url) => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`,
-    // Strategy 2: CodeTabs (Verified working general proxy)
-    (url) => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(url)}`
-];
-
-// Helper to fetch with CORS proxy rotation
-async function fetchYahooData(symbol) {
-    const targetUrl = `${YAHOO_BASE}${encodeURIComponent(symbol)}?interval=1d&range=1d`;
+// Helper to fetch via the shared proxy registry (ordered failover)
+async function fetchYahooData(symbol, interval = '1d', range = '1d') {
+    const targetUrl = `${YAHOO_BASE}${encodeURIComponent(symbol)}?interval=${interval}&range=${range}`;
 
-    const fetchWithTimeout = async (url, options = {}) => {
-        const controller = new AbortController();
-        const id = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-        try {
-            const response = await fetch(url, { ...options, signal: controller.signal });
-            clearTimeout(id);
-            return response;
-        } catch (e) {
-            clearTimeout(id);
-            throw e;
-        }
-    };
-
-    // Try Proxies sequentially
-    for (const proxyGen of PROXIES) {
-        try {
-            const proxyUrl = proxyGen(targetUrl);
-            const response = await fetchWithTimeout(proxyUrl);
-            if (response.ok) {
-                return await response.json();
-            }
-        } catch (e) {
-            console.warn(`[MarketService] Proxy failed: ${e.message}`);
-            // Continue to next proxy
-        }
+    try {
+        return await proxyManager.fetchJSON(targetUrl, { timeoutMs: 10000 });
+    } catch (e) {
+        console.warn(`[MarketService] Proxy failed: ${e.message}`);
+        throw new Error(`Failed to fetch market data for ${symbol}`);
     }
-
-    throw new Error(`Failed to fetch market data for ${symbol}`);
 }
 
 // Helper to extract price data from Yahoo response
@@ -76,9 +57,12 @@ function extractYahooPrice(data) {
 
     return {
         price: currentPrice,
+        prevClose: prevClose,
         change: change,
         changePercent: changePercent.toFixed(2),
-        timestamp: timestamp
+        timestamp: timestamp,
+        name: quote.longName || quote.shortName || null,
+        currency: quote.currency || null
     };
 }
 
@@ -134,30 +118,47 @@ const POPULAR_MF_SCHEMES = [
     { code: '118989', name: 'Kotak Emerging Equity Fund' }
 ];
 
+/**
+ * Latest and previous NAV for any AMFI scheme code
+ * @param {string} code
+ * @returns {Promise<Object>} { code, name, category, fundHouse, nav, prevNav, navDate }
+ */
+export async function fetchSchemeNav(code) {
+    const response = await fetch(`${MF_API}${code}`);
+    const data = await response.json();
+
+    if (!data.data || data.data.length === 0) {
+        throw new Error('No NAV data');
+    }
+
+    const nav = parseFloat(data.data[0].nav);
+    return {
+        code: String(code),
+        name: data.meta?.scheme_name || null,
+        category: data.meta?.scheme_category || 'Equity',
+        fundHouse: data.meta?.fund_house || 'Unknown',
+        nav,
+        prevNav: data.data.length > 1 ? parseFloat(data.data[1].nav) : nav,
+        navDate: data.data[0].date
+    };
+}
+
 export async function fetchMutualFunds() {
     console.log('[MarketService] Fetching Mutual Fund NAVs...');
 
     const results = await Promise.allSettled(
         POPULAR_MF_SCHEMES.map(async (scheme) => {
-            const response = await fetch(`${MF_API}${scheme.code}`);
-            const data = await response.json();
-
-            if (!data.data || data.data.length === 0) {
-                throw new Error('No NAV data');
-            }
-
-            const latestNAV = parseFloat(data.data[0].nav);
-            const prevNAV = data.data.length > 1 ? parseFloat(data.data[1].nav) : latestNAV;
-            const change = latestNAV - prevNAV;
-            const changePercent = ((change / prevNAV) * 100).toFixed(2);
+            const latest = await fetchSchemeNav(scheme.code);
+            const change = latest.nav - latest.prevNav;
+            const changePercent = ((change / latest.prevNav) * 100).toFixed(2);
 
             return {
                 code: scheme.code,
-                name: data.meta?.scheme_name || scheme.name,
-                category: data.meta?.scheme_category || 'Equity',
-                fundHouse: data.meta?.fund_house || 'Unknown',
-                nav: latestNAV.toFixed(2),
-                navDate: data.data[0].date,
+                name: latest.name || scheme.name,
+                category: latest.category,
+                fundHouse: latest.fundHouse,
+                nav: latest.nav.toFixed(2),
+                navDate: latest.navDate,
                 change: change.toFixed(2),
                 changePercent: changePercent,
                 direction: change >= 0 ? 'up' : 'down'
@@ -176,95 +177,65 @@ export async function fetchMutualFunds() {
 // 3. IPO DATA (Scraping ipowatch.in)
 // ============================================
 
+const IPO_CALENDAR_URL = 'https://ipowatch.in/upcoming-ipo-calendar-ipo-list/';
+const IPO_GMP_URL = 'https://ipowatch.in/ipo-grey-market-premium-latest-ipo-gmp/';
+
+/**
+ * Parse the first table on an ipowatch page that looks like an IPO list.
+ * Columns are mapped by their header text; rows become dated IPO records.
+ */
+async function fetchIPOTable(url) {
+    const html = await proxyManager.fetchText(url);
+
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(html, 'text/html');
+
+    // Table often contains "IPO" and "Price"/"GMP" in header
+    const table = Array.from(doc.querySelectorAll('table')).find(t => {
+        const text = t.textContent.toLowerCase();
+        return (text.includes('ipo') && (text.includes('price') || text.includes('gmp'))) || text.includes('ipo name');
+    });
+    if (!table) throw new Error('No IPO table found');
+
+    const rows = Array.from(table.querySelectorAll('tr'));
+    const headers = Array.from(rows[0]?.querySelectorAll('th, td') || []).map(cell => cell.textContent.trim());
+    const columns = mapIPOColumns(headers);
+
+    return rows.slice(1)
+        .map(row => Array.from(row.querySelectorAll('td')).map(cell => cell.textContent.trim()))
+        .filter(cells => cells.length >= 3)
+        .map(cells => parseIPORow(cells, columns));
+}
+
 export async function fetchIPOData() {
     console.log('[MarketService] Fetching IPO data from IPOWatch...');
-    const targetUrl = 'https://ipowatch.in/upcoming-ipo-calendar-ipo-list/';
-    // Using AllOrigins to get HTML
-    const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(targetUrl)}`;
 
     try {
-        const response = await fetch(proxyUrl);
-        if (!response.ok) throw new Error('Proxy failed');
-
-        const json = await response.json();
-        const html = json.contents;
-
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        // Find the main table (Updated logic for 2026 format)
-        // Table often contains "IPO" and "Price" in header
-        const tables = doc.querySelectorAll('table');
-        let table = null;
-
-        for (const t of tables) {
-            const text = t.textContent.toLowerCase();
-            if ((text.includes('ipo') && text.includes('price')) || text.includes('ipo name')) {
-                table = t;
-                break;
-            }
-        }
-
-        if (!table) throw new Error('No IPO table found');
-
-        const rows = Array.from(table.querySelectorAll('tr'));
-        const ipos = [];
-
-        // Parse rows (Skip header)
-        for (let i = 1; i < rows.length; i++) {
-            const cols = rows[i].querySelectorAll('td');
-            // Expecting at least 4 cols: Name, Status, Date, Price
-            if (cols.length < 3) continue;
-
-            const name = cols[0]?.textContent?.trim() || 'Unknown';
-            // Column 1 is usually Status in new layout ("Upcoming", "Closed")
-            // But sometimes it might be old layout. Let's heuristic.
-
-            let statusRaw = 'Upcoming';
-            let dateRaw = 'TBA';
-            let priceRaw = '-';
-
-            // Check if Col 1 is a date or status
-            const col1Text = cols[1]?.textContent?.trim();
-            const col2Text = cols[2]?.textContent?.trim();
-
-            // Simple heuristic: Status is usually single word or short phrase
-            if (col1Text) statusRaw = col1Text;
-            if (col2Text) dateRaw = col2Text;
-
-            // Determine standardized status
-            let status = 'upcoming';
-            const lowerStatus = statusRaw.toLowerCase();
-            if (lowerStatus.includes('live') || lowerStatus.includes('open')) {
-                status = 'live';
-            } else if (lowerStatus.includes('close')) {
-                status = 'recent';
-            } else if (lowerStatus.includes('upcoming')) {
-                status = 'upcoming';
-            }
-
-            // Simple check if name contains SME
-            const isSME = name.includes('SME') || table.textContent.includes('SME');
-
-            ipos.push({
-                name,
-                openDate: dateRaw, // Display raw date range string
-                closeDate: '',     // No separate close date column in simple table
-                status,
-                isSME,
-                issueSize: '-'
-            });
+        const [calendar, gmp] = await Promise.allSettled([
+            fetchIPOTable(IPO_CALENDAR_URL),
+            fetchIPOTable(IPO_GMP_URL)
+        ]);
+        if (calendar.status === 'rejected') throw calendar.reason;
+
+        // GMP / subscription figures live on a separate page; fill them in where names match
+        const details = new Map(
+            (gmp.status === 'fulfilled' ? gmp.value : []).map(ipo => [ipo.id, ipo])
+        );
+        if (gmp.status === 'rejected') {
+            console.warn('[MarketService] IPO GMP fetch failed:', gmp.reason?.message);
         }
+        const ipos = calendar.value.map(ipo => mergeIPODetails(ipo, details.get(ipo.id)));
 
-        // Categorize
-        const upcoming = ipos.filter(i => i.status === 'upcoming').slice(0, 5);
-        const live = ipos.filter(i => i.status === 'live');
-        const recent = ipos.filter(i => i.status === 'recent').slice(0, 5);
+        // Categorize: soonest first for upcoming, latest first for recent
+        const byOpen = (a, b) => (a.openDate || '9999').localeCompare(b.openDate || '9999');
+        const upcoming = ipos.filter(i => i.status === 'upcoming').sort(byOpen).slice(0, 5);
+        const live = ipos.filter(i => i.status === 'live').sort(byOpen);
+        const recent = ipos.filter(i => i.status === 'recent').sort((a, b) => byOpen(b, a)).slice(0, 5);
 
         return {
-            upcoming: upcoming.length ? upcoming : ipos.slice(0, 3),
-            live: live,
-            recent: recent.length ? recent : ipos.slice(3, 6),
+            upcoming,
+            live,
+            recent,
             fetchedAt: Date.now()
         };
 
@@ -293,14 +264,8 @@ async function fetchScreenerData(url) {
     // Need a region that supports this endpoint, usually US/Global works
     // Rotating proxies helps here too
 
-    // Using AllOrigins or CodeTabs is necessary for this complex JSON
-    const PROXY = `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`;
-
     try {
-        const response = await fetch(PROXY);
-        if (!response.ok) return [];
-
-        const data = await response.json();
+        const data = await proxyManager.fetchJSON(url);
         const results = data.finance?.result?.[0]?.quotes || [];
 
         return results.map(quote => ({
@@ -390,6 +355,7 @@ export async function fetchSectoralIndices() {
 
             return {
                 name: sector.name,
+                symbol: sector.symbol,
                 value: priceData.price.toFixed(2),
                 change: priceData.change.toFixed(2),
                 changePercent: priceData.changePercent,
@@ -451,6 +417,7 @@ export async function fetchCommodities() {
 
                 return {
                     name: commodity.name,
+                    symbol: commodity.symbol,
                     value: value.toFixed(2),
                     change: change.toFixed(2),
                     changePercent: priceData.changePercent,
@@ -474,7 +441,29 @@ export async function fetchCommodities() {
 // 7. CURRENCY RATES
 // ============================================
 
-export async function fetchCurrencyRates() {
+const OPEN_ER_API_URL = 'https://open.er-api.com/v6/latest/USD';
+
+/** USD-based rates for ~160 currencies, updated daily */
+async function fetchOpenErRates() {
+    const response = await fetch(OPEN_ER_API_URL);
+    const data = await response.json();
+    if (!data || !data.rates) throw new Error('Fallback API failed');
+    return data;
+}
+
+/**
+ * fetchOpenErRates for one refresh: every caller shares the first request,
+ * so the converter and the currency fallback don't download it twice.
+ */
+function sharedOpenErRates() {
+    let request = null;
+    return () => request || (request = fetchOpenErRates());
+}
+
+/**
+ * @param {Function} [getOpenErRates] - source of the fallback rates
+ */
+export async function fetchCurrencyRates(getOpenErRates = fetchOpenErRates) {
     console.log('[MarketService] Fetching currency rates...');
 
     const currencies = [
@@ -490,6 +479,7 @@ export async function fetchCurrencyRates() {
             if (!priceData) throw new Error('No data');
             return {
                 name: currency.name,
+                symbol: currency.symbol,
                 value: priceData.price.toFixed(2),
                 change: priceData.change.toFixed(2),
                 changePercent: priceData.changePercent,
@@ -512,10 +502,7 @@ export async function fetchCurrencyRates() {
     // Attempt 2: Fallback API (Open Exchange Rates)
     console.log('[MarketService] ⚠️ Yahoo Currency failed, using fallback...');
     try {
-        const response = await fetch('https://open.er-api.com/v6/latest/USD');
-        const data = await response.json();
-
-        if (!data || !data.rates) throw new Error('Fallback API failed');
+        const data = await getOpenErRates();
 
         const inr = data.rates.INR;
         const omr = data.rates.OMR;
@@ -525,6 +512,7 @@ export async function fetchCurrencyRates() {
         // USD/INR
         fallbackResults.push({
             name: 'USD/INR',
+            symbol: 'INR=X',
             value: inr.toFixed(2),
             change: '0.00', // API doesn't provide change
             changePercent: '0.00',
@@ -537,6 +525,7 @@ export async function fetchCurrencyRates() {
             const omrInr = inr / omr;
             fallbackResults.push({
                 name: 'OMR/INR',
+                symbol: 'OMRINR=X',
                 value: omrInr.toFixed(2),
                 change: '0.00',
                 changePercent: '0.00',
@@ -554,35 +543,202 @@ export async function fetchCurrencyRates() {
     }
 }
 
+/**
+ * Converter rates (USD-based) plus the rolling daily history used for
+ * 30-day trends; falls back to the last stored day when the API is down.
+ * @param {Function} [getOpenErRates] - source of the rates
+ */
+export async function fetchFxRates(getOpenErRates = fetchOpenErRates) {
+    let history = getRateHistory();
+
+    try {
+        const data = await getOpenErRates();
+        const updatedAt = data.time_last_update_unix ? data.time_last_update_unix * 1000 : Date.now();
+        const day = { date: new Date(updatedAt).toISOString().slice(0, 10), rates: pickRates(data.rates) };
+        history = mergeRateDay(history, day);
+        saveRateHistory(history);
+
+        return { available: true, rates: day.rates, updatedAt, history, error: null };
+    } catch (error) {
+        console.warn('[MarketService] FX rates unavailable:', error.message);
+        return {
+            available: false,
+            rates: history[0]?.rates || null,
+            updatedAt: history[0] ? Date.parse(`${history[0].date}T00:00:00Z`) : null,
+            history,
+            error: error.message
+        };
+    }
+}
+
 // ============================================
-// 8. FII/DII ACTIVITY (Mock)
+// 8. SINGLE-SYMBOL QUOTES (Portfolio / Watchlist)
 // ============================================
 
-export async function fetchFIIDII() {
-    // Mock data as real API needs auth
+const YAHOO_SEARCH = 'https://query1.finance.yahoo.com/v1/finance/search';
+const INDIAN_EXCHANGES = ['NSI', 'BSE'];
+
+/**
+ * Latest quote for any Yahoo symbol (e.g. 'RELIANCE.NS', 'TCS.BO')
+ * @param {string} symbol
+ * @returns {Promise<Object>} { symbol, name, price, prevClose, change, changePercent, timestamp }
+ */
+export async function fetchStockQuote(symbol) {
+    const data = await fetchYahooData(symbol);
+    const priceData = extractYahooPrice(data);
+
+    if (!priceData || priceData.price == null) {
+        throw new Error(`No quote for ${symbol}`);
+    }
+
+    return { symbol, ...priceData };
+}
+
+/**
+ * Searches Yahoo Finance symbols by name or ticker; NSE/BSE listings first.
+ * @param {string} query
+ * @returns {Promise<Array<{symbol, name, exchange, type}>>}
+ */
+export async function searchSymbols(query) {
+    if (!query || query.trim().length < 2) return [];
+
+    const params = new URLSearchParams({ q: query.trim(), quotesCount: '10', newsCount: '0' });
+    const data = await proxyManager.fetchJSON(`${YAHOO_SEARCH}?${params}`, { timeoutMs: 10000 });
+
+    return (data.quotes || [])
+        .filter(q => q.symbol && q.quoteType !== 'OPTION' && q.quoteType !== 'FUTURE')
+        .map(q => ({
+            symbol: q.symbol,
+            name: q.longname || q.shortname || q.symbol,
+            exchange: q.exchDisp || q.exchange || '',
+            type: q.typeDisp || q.quoteType || '',
+            indian: INDIAN_EXCHANGES.includes(q.exchange)
+        }))
+        .sort((a, b) => Number(b.indian) - Number(a.indian));
+}
+
+/**
+ * Quotes for watchlist symbols. Failed symbols are left out.
+ * @param {string[]} symbols
+ * @returns {Promise<Object<string, Object>>} keyed by symbol
+ */
+export async function fetchWatchlistQuotes(symbols) {
+    const results = await Promise.all(symbols.map(async (symbol) => {
+        try {
+            return [symbol, await fetchStockQuote(symbol)];
+        } catch (err) {
+            console.warn(`[MarketService] ⚠️ Watchlist quote failed for ${symbol}:`, err.message);
+            return null;
+        }
+    }));
+    return Object.fromEntries(results.filter(Boolean));
+}
+
+/**
+ * Price history for any Yahoo symbol
+ * @param {string} symbol
+ * @param {string} interval - e.g. '5m', '1d', '1wk'
+ * @param {string} range - e.g. '1d', '5d', '1y'
+ * @returns {Promise<{points: Array<{t: number, v: number}>, prevClose: number|null, currency: string|null}>}
+ */
+export async function fetchYahooHistory(symbol, interval, range) {
+    const data = await fetchYahooData(symbol, interval, range);
+    const result = data.chart?.result?.[0];
+    if (!result) throw new Error(`No chart data for ${symbol}`);
+
+    const timestamps = result.timestamp || [];
+    const closes = result.indicators?.quote?.[0]?.close || [];
+    const points = timestamps
+        .map((ts, i) => ({ t: ts * 1000, v: closes[i] }))
+        .filter(p => p.v != null);
+
     return {
-        fii: { buy: 12500.5, sell: 11800.3, net: 700.2 },
-        dii: { buy: 8900.7, sell: 9200.4, net: -299.7 },
-        date: new Date().toISOString().split('T')[0]
+        points,
+        prevClose: result.meta?.chartPreviousClose ?? result.meta?.previousClose ?? null,
+        currency: result.meta?.currency || null
     };
 }
 
+/**
+ * Full NAV history for an AMFI scheme code, oldest first
+ * @param {string} code
+ * @returns {Promise<{name: string|null, points: Array<{t: number, v: number}>}>}
+ */
+export async function fetchSchemeHistory(code) {
+    const response = await fetch(`${MF_API}${code}`);
+    const data = await response.json();
+
+    if (!data.data || data.data.length === 0) {
+        throw new Error('No NAV data');
+    }
+
+    // mfapi dates are DD-MM-YYYY, newest first
+    const points = data.data
+        .map(row => {
+            const [dd, mm, yyyy] = row.date.split('-');
+            return { t: Date.parse(`${yyyy}-${mm}-${dd}T00:00:00Z`), v: parseFloat(row.nav) };
+        })
+        .filter(p => Number.isFinite(p.t) && Number.isFinite(p.v))
+        .reverse();
+
+    return { name: data.meta?.scheme_name || null, points };
+}
+
 // ============================================
-// 9. COMBINED FETCH
+// 9. FII/DII ACTIVITY (NSE provisional figures)
+// ============================================
+
+const NSE_FIIDII_URL = 'https://www.nseindia.com/api/fiidiiTradeReact';
+
+/**
+ * Latest provisional FII/DII cash-market flows plus the locally kept history.
+ * NSE only publishes the most recent session, so trends build up from
+ * daily fetches. On failure the stored history is returned with
+ * available=false; no figures are ever made up.
+ */
+export async function fetchFIIDII() {
+    let history = getFiiDiiHistory();
+
+    try {
+        const rows = await proxyManager.fetchJSON(NSE_FIIDII_URL, { timeoutMs: 10000 });
+        const day = parseNseFiiDii(rows);
+        history = mergeFiiDiiDay(history, day);
+        saveFiiDiiHistory(history);
+
+        return { available: true, latest: day, history, summary: summarizeFiiDii(history), error: null };
+    } catch (error) {
+        console.warn('[MarketService] FII/DII unavailable:', error.message);
+        return {
+            available: false,
+            latest: history[0] || null,
+            history,
+            summary: history.length > 0 ? summarizeFiiDii(history) : null,
+            error: error.message
+        };
+    }
+}
+
+// ============================================
+// 10. COMBINED FETCH
 // ============================================
 
 export async function fetchAllMarketData() {
     console.log('[MarketService] 🚀 Fetching all market data...');
 
-    const [indices, mutualFunds, ipoData, movers, sectorals, commodities, currencies, fiidii] = await Promise.allSettled([
+    const cryptoCoins = getSettings().market?.cryptoCoins || DEFAULT_CRYPTO_COINS;
+    const getOpenErRates = sharedOpenErRates();
+
+    const [indices, mutualFunds, ipoData, movers, sectorals, commodities, currencies, fiidii, crypto, fx] = await Promise.allSettled([
         fetchIndices(),
         fetchMutualFunds(),
         fetchIPOData(),
         fetchTopMovers(),
         fetchSectoralIndices(),
         fetchCommodities(),
-        fetchCurrencyRates(),
-        fetchFIIDII()
+        fetchCurrencyRates(getOpenErRates),
+        fetchFIIDII(),
+        fetchCryptoData(cryptoCoins),
+        fetchFxRates(getOpenErRates)
     ]);
 
     const result = {
@@ -593,7 +749,10 @@ export async function fetchAllMarketData() {
         sectorals: sectorals.status === 'fulfilled' ? sectorals.value : [],
         commodities: commodities.status === 'fulfilled' ? commodities.value : [],
         currencies: currencies.status === 'fulfilled' ? currencies.value : [],
-        fiidii: fiidii.status === 'fulfilled' ? fiidii.value : { fii: {}, dii: {}, date: '' },
+        fiidii: fiidii.status === 'fulfilled' ? fiidii.value : { available: false, latest: null, history: [], summary: null, error: fiidii.reason?.message },
+        crypto: crypto.status === 'fulfilled' ? crypto.value : [],
+        cryptoCoins,
+        fx: fx.status === 'fulfilled' ? fx.value : { available: false, rates: null, updatedAt: null, history: [], error: fx.reason?.message },
         fetchedAt: Date.now(),
         errors: {
             // Include errors for debugging
@@ -608,10 +767,17 @@ export default {
     fetchAllMarketData,
     fetchIndices,
     fetchMutualFunds,
+    fetchSchemeNav,
+    fetchStockQuote,
+    searchSymbols,
+    fetchWatchlistQuotes,
+    fetchYahooHistory,
+    fetchSchemeHistory,
     fetchIPOData,
     fetchTopMovers,
     fetchSectoralIndices,
     fetchCommodities,
     fetchCurrencyRates,
+    fetchFxRates,
     fetchFIIDII
 };
@@ -0,0 +1,169 @@
+/**
+ * Location Service - the user's weather/proximity locations.
+ * Locations live in settings.weather.locations; settings.weather.cities lists
+ * the ids currently shown (and fetched), in display order.
+ * New places come from Open-Meteo's geocoding search or the device's geolocation.
+ */
+import { getSettings, DEFAULT_SETTINGS } from '../utils/storage.js';
+
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+const GEOLOCATION_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {Object} UserLocation
+ * @property {string} id - slug used as the weatherData key (e.g. 'chennai')
+ * @property {string} name - display name
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string} timezone - IANA zone, e.g. 'Asia/Kolkata'
+ * @property {string} [country]
+ * @property {string} [icon]
+ * @property {number} [boost] - proximity boost when mentioned in a story
+ */
+
+/**
+ * Every saved location.
+ * @returns {UserLocation[]}
+ */
+export function getLocations(settings = getSettings()) {
+    const stored = settings.weather?.locations;
+    return Array.isArray(stored) && stored.length > 0 ? stored : DEFAULT_SETTINGS.weather.locations;
+}
+
+/**
+ * @param {string} id
+ * @returns {UserLocation|null}
+ */
+export function getLocation(id, settings = getSettings()) {
+    return getLocations(settings).find(loc => loc.id === id) || null;
+}
+
+/**
+ * Locations enabled in settings.weather.cities, in that order.
+ * @returns {UserLocation[]}
+ */
+export function getActiveLocations(settings = getSettings()) {
+    const locations = getLocations(settings);
+    const cities = settings.weather?.cities || locations.map(loc => loc.id);
+    return cities.map(id => locations.find(loc => loc.id === id)).filter(Boolean);
+}
+
+function slugify(name) {
+    return name.toLowerCase().normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/[\s-]+/g, '-') || 'location';
+}
+
+/**
+ * Builds a location with an id unique among the existing ones.
+ * @param {Object} fields - { name, lat, lon, timezone, country }
+ * @param {UserLocation[]} existing
+ * @returns {UserLocation}
+ */
+export function createLocation({ name, lat, lon, timezone, country }, existing = getLocations()) {
+    const base = slugify(name);
+    let id = base;
+    for (let n = 2; existing.some(loc => loc.id === id); n++) id = `${base}-${n}`;
+
+    return {
+        id,
+        name,
+        lat: Math.round(lat * 10000) / 10000,
+        lon: Math.round(lon * 10000) / 10000,
+        timezone: timezone || 'auto',
+        country: country || '',
+        icon: '📍'
+    };
+}
+
+/**
+ * Searches places by name via Open-Meteo geocoding.
+ * @param {string} query
+ * @returns {Promise<Array<{name, lat, lon, timezone, country, admin1}>>}
+ */
+export async function searchLocations(query) {
+    if (!query || query.trim().length < 2) return [];
+
+    const params = new URLSearchParams({ name: query.trim(), count: '8', language: 'en', format: 'json' });
+    const response = await fetch(`${GEOCODING_URL}?${params}`);
+    if (!response.ok) {
+        throw new Error(`Geocoding failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.results || []).map(r => ({
+        name: r.name,
+        lat: r.latitude,
+        lon: r.longitude,
+        timezone: r.timezone,
+        country: r.country || '',
+        admin1: r.admin1 || ''
+    }));
+}
+
+/**
+ * Current device position as location fields.
+ * Open-Meteo has no reverse geocoding, so the name comes from the device's
+ * time zone (e.g. 'Asia/Muscat' -> 'Muscat') and can be renamed in Settings.
+ * @returns {Promise<{name, lat, lon, timezone}>}
+ */
+export function getDeviceLocation() {
+    return new Promise((resolve, reject) => {
+        if (typeof navigator === 'undefined' || !navigator.geolocation) {
+            reject(new Error('Geolocation is not supported on this device'));
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+                const zoneCity = timezone?.split('/').pop()?.replace(/_/g, ' ');
+                resolve({
+                    name: zoneCity || 'My Location',
+                    lat: position.coords.latitude,
+                    lon: position.coords.longitude,
+                    timezone
+                });
+            },
+            (error) => reject(new Error(error.message || 'Location permission denied')),
+            { timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 30 * 60 * 1000 }
+        );
+    });
+}
+
+/**
+ * Settings with a location added: saved, shown in weather, and used by Up Ahead.
+ * @returns {Object} new settings object (caller saves it)
+ */
+export function withLocationAdded(settings, location) {
+    const locations = [...getLocations(settings), location];
+    const cities = [...(settings.weather?.cities || []), location.id];
+    const upAheadLocations = settings.upAhead?.locations || [];
+
+    return {
+        ...settings,
+        weather: { ...settings.weather, locations, cities },
+        upAhead: {
+            ...settings.upAhead,
+            locations: upAheadLocations.includes(location.name) ? upAheadLocations : [...upAheadLocations, location.name]
+        }
+    };
+}
+
+/**
+ * Settings with a location removed everywhere it is referenced.
+ * @returns {Object} new settings object (caller saves it)
+ */
+export function withLocationRemoved(settings, id) {
+    const location = getLocation(id, settings);
+    return {
+        ...settings,
+        weather: {
+            ...settings.weather,
+            locations: getLocations(settings).filter(loc => loc.id !== id),
+            cities: (settings.weather?.cities || []).filter(c => c !== id)
+        },
+        upAhead: {
+            ...settings.upAhead,
+            locations: (settings.upAhead?.locations || []).filter(name => name !== location?.name)
+        }
+    };
+}
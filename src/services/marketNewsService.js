@@ -0,0 +1,107 @@
+/**
+ * Market News Service
+ * Links an index, mover or watchlisted stock to the headlines that explain it:
+ * business/india section stories already loaded in NewsContext plus a
+ * Google News search, with an aggregate finance-sentiment reading.
+ */
+import { fetchAndParseFeed } from './rssAggregator.js';
+import { getGoogleNewsUrl } from './googleNewsService.js';
+import {
+    getInstrumentKey,
+    getSearchTerms,
+    matchArticles,
+    aggregateSentiment
+} from '../utils/marketNewsMatch.js';
+
+const SEARCH_TTL_MS = 30 * 60 * 1000;
+const FAILED_SEARCH_TTL_MS = 5 * 60 * 1000;
+const MAX_ARTICLES = 12;
+
+// Sections scanned for local matches
+export const MARKET_NEWS_SECTIONS = ['business', 'india'];
+
+export const SENTIMENT_LABELS = {
+    positive: 'Bullish',
+    negative: 'Bearish',
+    neutral: 'Mixed'
+};
+
+const searchCache = new Map(); // key -> { expires, articles }
+const inflight = new Map();
+
+function mergeArticles(...lists) {
+    const seen = new Set();
+    const merged = [];
+    for (const article of lists.flat()) {
+        const key = article.id || article.link || article.title;
+        const titleKey = (article.title || '').toLowerCase().slice(0, 60);
+        if (seen.has(key) || seen.has(titleKey)) continue;
+        seen.add(key);
+        seen.add(titleKey);
+        merged.push(article);
+    }
+    return merged
+        .sort((a, b) => (b.publishedAt || 0) - (a.publishedAt || 0))
+        .slice(0, MAX_ARTICLES);
+}
+
+/** Local section stories mentioning the instrument */
+export function getLocalMarketNews(instrument, newsData) {
+    const pool = MARKET_NEWS_SECTIONS.flatMap(section => newsData?.[section] || []);
+    return matchArticles(getSearchTerms(instrument), pool);
+}
+
+/**
+ * Related stories and sentiment from what is already available: local
+ * sections plus any cached Google search. Never hits the network.
+ */
+export function getMarketNews(instrument, newsData) {
+    const cached = searchCache.get(getInstrumentKey(instrument));
+    const articles = mergeArticles(getLocalMarketNews(instrument, newsData), cached?.articles || []);
+    return { articles, sentiment: aggregateSentiment(articles), searched: !!cached };
+}
+
+export function isMarketNewsSearched(instrument) {
+    const cached = searchCache.get(getInstrumentKey(instrument));
+    return !!cached && Date.now() < cached.expires;
+}
+
+/**
+ * Google News search for the instrument (cached for 30 minutes, failures for 5).
+ * @returns {Promise<Array>} articles; empty on failure
+ */
+export async function searchMarketNews(instrument) {
+    const key = getInstrumentKey(instrument);
+    if (isMarketNewsSearched(instrument)) return searchCache.get(key).articles;
+    if (inflight.has(key)) return inflight.get(key);
+
+    const [primary] = getSearchTerms(instrument);
+    if (!primary) return [];
+
+    const request = (async () => {
+        try {
+            const query = `"${primary}" (stock OR shares OR market) when:2d`;
+            const found = await fetchAndParseFeed(getGoogleNewsUrl({ query }), 'business');
+            const articles = matchArticles(getSearchTerms(instrument), found).slice(0, MAX_ARTICLES);
+            searchCache.set(key, { expires: Date.now() + SEARCH_TTL_MS, articles });
+            console.log(`[MarketNews] ${key}: ${articles.length} stories from Google News`);
+            return articles;
+        } catch (error) {
+            console.warn(`[MarketNews] Search failed for ${key}:`, error.message);
+            // Back off briefly instead of re-querying on every render
+            searchCache.set(key, { expires: Date.now() + FAILED_SEARCH_TTL_MS, articles: [] });
+            return [];
+        } finally {
+            inflight.delete(key);
+        }
+    })();
+
+    inflight.set(key, request);
+    return request;
+}
+
+/** Route to the "why is this moving?" stories page */
+export function getMarketNewsPath(instrument) {
+    const params = instrument.name ? `?name=${encodeURIComponent(instrument.name)}` : '';
+    return `/markets/news/${encodeURIComponent(getInstrumentKey(instrument))}${params}`;
+}
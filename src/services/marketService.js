@@ -1,68 +1,71 @@
 /**
- * Market Data Service
- * Fetches real crypto data from CoinGecko (Free API)
- * Simulates global indices (S&P 500, NIFTY) since free APIs for these are limited.
+ * Crypto Market Service
+ * Fetches real crypto prices from CoinGecko (Free API, no key) for the
+ * coins selected in settings.market.cryptoCoins.
  */
 
-// CoinGecko API for Crypto
-const CG_API = "https://api.coingecko.com/api/v3/simple/price?ids=bitcoin,ethereum,solana,cardano,ripple&vs_currencies=usd,inr&include_24hr_change=true";
+const CG_API = 'https://api.coingecko.com/api/v3/simple/price';
 
-export const fetchMarketData = async () => {
-    try {
-        // 1. Fetch Real Crypto Data
-        const cryptoResponse = await fetch(CG_API);
-        const cryptoData = await cryptoResponse.json();
-
-        // Format Crypto
-        const cryptoItems = [
-            {
-                name: "BTC",
-                price: `$${cryptoData.bitcoin.usd.toLocaleString()}`,
-                change: cryptoData.bitcoin.usd_24h_change,
-                type: 'crypto'
-            },
-            {
-                name: "ETH",
-                price: `$${cryptoData.ethereum.usd.toLocaleString()}`,
-                change: cryptoData.ethereum.usd_24h_change,
-                type: 'crypto'
-            },
-            {
-                name: "SOL",
-                price: `$${cryptoData.solana.usd.toLocaleString()}`,
-                change: cryptoData.solana.usd_24h_change,
-                type: 'crypto'
-            }
-        ];
+/**
+ * Supported coins: CoinGecko id -> ticker, display name and the Yahoo INR
+ * pair used for charts and the watchlist.
+ */
+export const CRYPTO_COINS = {
+    bitcoin: { ticker: 'BTC', name: 'Bitcoin', yahoo: 'BTC-INR' },
+    ethereum: { ticker: 'ETH', name: 'Ethereum', yahoo: 'ETH-INR' },
+    solana: { ticker: 'SOL', name: 'Solana', yahoo: 'SOL-INR' },
+    cardano: { ticker: 'ADA', name: 'Cardano', yahoo: 'ADA-INR' },
+    ripple: { ticker: 'XRP', name: 'XRP', yahoo: 'XRP-INR' },
+    binancecoin: { ticker: 'BNB', name: 'BNB', yahoo: 'BNB-INR' },
+    dogecoin: { ticker: 'DOGE', name: 'Dogecoin', yahoo: 'DOGE-INR' },
+    polkadot: { ticker: 'DOT', name: 'Polkadot', yahoo: 'DOT-INR' },
+    litecoin: { ticker: 'LTC', name: 'Litecoin', yahoo: 'LTC-INR' },
+    'avalanche-2': { ticker: 'AVAX', name: 'Avalanche', yahoo: 'AVAX-INR' },
+    chainlink: { ticker: 'LINK', name: 'Chainlink', yahoo: 'LINK-INR' }
+};
 
-        // 2. Simulate Indices (random micro-movements around base values to look alive)
-        // Base values as of roughly 2024/2025 levels
-        const indices = [
-            { name: "S&P 500", base: 5200 },
-            { name: "NASDAQ", base: 16400 },
-            { name: "NIFTY 50", base: 22500 },
-            { name: "SENSEX", base: 74000 },
-            { name: "Gold", base: 2150 }
-        ];
+export const DEFAULT_CRYPTO_COINS = ['bitcoin', 'ethereum', 'solana', 'cardano', 'ripple'];
 
-        const indexItems = indices.map(idx => {
-            // Random flux +/- 0.5%
-            const flux = (Math.random() - 0.5) * 10;
-            const price = idx.base + flux;
-            const changePercent = (Math.random() - 0.45) * 1.5; // Slight bullish bias simulation
+/**
+ * @param {string[]} coinIds - CoinGecko ids from CRYPTO_COINS
+ * @returns {Promise<Array<{id, name, ticker, symbol, value, priceUsd, priceInr, changePercent, timestamp}>>}
+ *          in the order given; empty on failure
+ */
+export const fetchMarketData = async (coinIds = DEFAULT_CRYPTO_COINS) => {
+    const ids = coinIds.filter(id => CRYPTO_COINS[id]);
+    if (ids.length === 0) return [];
 
-            return {
-                name: idx.name,
-                price: Math.round(price).toLocaleString(),
-                change: changePercent,
-                type: 'index'
-            };
+    try {
+        const params = new URLSearchParams({
+            ids: ids.join(','),
+            vs_currencies: 'usd,inr',
+            include_24hr_change: 'true',
+            include_last_updated_at: 'true'
         });
+        const response = await fetch(`${CG_API}?${params}`);
+        if (!response.ok) throw new Error(`CoinGecko HTTP ${response.status}`);
+        const data = await response.json();
 
-        return [...indexItems, ...cryptoItems];
-
+        return ids
+            .filter(id => data[id]?.inr != null)
+            .map(id => {
+                const coin = CRYPTO_COINS[id];
+                const quote = data[id];
+                return {
+                    id,
+                    name: coin.name,
+                    ticker: coin.ticker,
+                    symbol: coin.yahoo,
+                    value: quote.inr.toLocaleString('en-IN', { maximumFractionDigits: quote.inr < 100 ? 2 : 0 }),
+                    priceInr: quote.inr,
+                    priceUsd: quote.usd,
+                    changePercent: (quote.inr_24h_change ?? quote.usd_24h_change ?? 0).toFixed(2),
+                    timestamp: quote.last_updated_at ? quote.last_updated_at * 1000 : Date.now(),
+                    type: 'crypto'
+                };
+            });
     } catch (error) {
-        console.error("Market data fetch failed:", error);
+        console.error('[MarketService] Crypto fetch failed:', error);
         return [];
     }
 };
@@ -0,0 +1,44 @@
+/**
+ * Portfolio Service - live prices for the user's holdings.
+ * Stocks are quoted through the Yahoo chart proxy, mutual funds through mfapi.in.
+ * Storage, valuation and CSV live in utils/portfolio.js.
+ */
+import { fetchStockQuote, fetchSchemeNav } from './indianMarketService.js';
+import { getQuoteSymbol, isMutualFund } from '../utils/portfolio.js';
+
+/**
+ * Quote for one holding, normalised to { price, prevClose, name, asOf }.
+ */
+export async function fetchHoldingQuote(holding) {
+    if (isMutualFund(holding)) {
+        const scheme = await fetchSchemeNav(holding.symbol);
+        return { price: scheme.nav, prevClose: scheme.prevNav, name: scheme.name, asOf: scheme.navDate };
+    }
+
+    const quote = await fetchStockQuote(getQuoteSymbol(holding));
+    return { price: quote.price, prevClose: quote.prevClose, name: quote.name, asOf: quote.timestamp };
+}
+
+/**
+ * Quotes for every distinct symbol held. Failed symbols are left out.
+ * @param {import('../utils/portfolio.js').Holding[]} holdings
+ * @returns {Promise<Object<string, Object>>} keyed by getQuoteSymbol()
+ */
+export async function fetchPortfolioQuotes(holdings) {
+    const bySymbol = new Map();
+    holdings.forEach(h => {
+        const key = getQuoteSymbol(h);
+        if (!bySymbol.has(key)) bySymbol.set(key, h);
+    });
+
+    const entries = await Promise.all([...bySymbol.entries()].map(async ([key, holding]) => {
+        try {
+            return [key, await fetchHoldingQuote(holding)];
+        } catch (err) {
+            console.warn(`[Portfolio] ⚠️ No quote for ${key}:`, err.message);
+            return null;
+        }
+    }));
+
+    return Object.fromEntries(entries.filter(Boolean));
+}
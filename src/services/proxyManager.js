@@ -1,95 +1,165 @@
 /**
- * Proxy Manager - Handles failover between multiple RSS proxies
- * Industry Best Practice: Round-robin with failure tracking
+ * Proxy Manager - Handles failover between the proxies in the registry
+ * Industry Best Practice: Ordered failover with persisted failure tracking
  */
 import logStore from '../utils/logStore.js';
+import { getProxyChain, getProxyEntries } from './proxyRegistry.js';
 
-const PROXIES = [
-    {
-        name: 'rss2json',
-        url: 'https://api.rss2json.com/v1/api.json',
-        format: (feedUrl) => `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(feedUrl)}`,
-        parse: async (response) => {
-            const data = await response.json();
-            if (data.status === 'ok') {
-                return {
-                    title: data.feed?.title,
-                    items: data.items || []
-                };
-            }
-            throw new Error('rss2json status not ok');
-        }
-    },
-    {
-        name: 'codetabs',
-        url: 'https://api.codetabs.com/v1/proxy',
-        format: (feedUrl) => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(feedUrl)}`,
-        parse: async (response) => {
-            const text = await response.text();
-            if (!text) throw new Error('Empty response from codetabs');
-            return parseXML(text);
-        }
-    },
-    {
-        name: 'allorigins',
-        url: 'https://api.allorigins.win/get',
-        format: (feedUrl) => `https://api.allorigins.win/get?url=${encodeURIComponent(feedUrl)}`,
-        parse: async (response) => {
-            const data = await response.json();
-            if (!data.contents) throw new Error('No content from allorigins');
-            return parseXML(data.contents);
-        }
+const HEALTH_KEY = 'dailyEventAI_proxyHealth';
+
+// A proxy that failed this many times in a row is tried last until the cooldown passes
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 10 * 60 * 1000; // 10 minutes
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+/* ---------- XML Feed Parsing (RSS 2.0 / Atom / RSS 1.0-RDF) ---------- */
+
+/**
+ * Find a direct child element by tag name.
+ * Matches either the qualified name ("media:thumbnail") or the local name
+ * ("thumbnail"), since namespaced tags are exposed differently per browser.
+ */
+function childElement(node, name) {
+    const local = name.includes(':') ? name.split(':')[1] : name;
+    for (const child of Array.from(node.children || [])) {
+        if (child.nodeName === name) return child;
+    }
+    if (local === name) return null;
+    for (const child of Array.from(node.children || [])) {
+        if (child.localName === local) return child;
     }
-];
+    return null;
+}
 
-function parseXML(xmlString) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, "text/xml");
+function childElements(node, name) {
+    return Array.from(node.children || []).filter(child => child.nodeName === name || child.localName === name);
+}
 
-    if (xmlDoc.getElementsByTagName("parsererror").length > 0) {
-        throw new Error('XML Parsing Error');
+/** Text of the first matching child, trying each tag name in order */
+function childText(node, ...names) {
+    for (const name of names) {
+        const text = childElement(node, name)?.textContent?.trim();
+        if (text) return text;
     }
+    return undefined;
+}
+
+/**
+ * Shared MediaRSS image extraction (media:content / media:thumbnail),
+ * looking inside <media:group> too (YouTube-style feeds nest media there)
+ */
+function extractMedia(node) {
+    const group = childElement(node, "media:group");
+    const scopes = group ? [node, group] : [node];
+    const findInScopes = (name) => scopes.map(scope => childElement(scope, name)).find(Boolean) || null;
 
-    const feedTitle = xmlDoc.querySelector("channel > title")?.textContent || "Unknown Source";
+    const mediaContentNode = scopes
+        .flatMap(scope => childElements(scope, "media:content"))
+        .find(el => el.getAttribute("url")) || null;
+    const mediaContent = mediaContentNode ? {
+        url: mediaContentNode.getAttribute("url")
+    } : null;
 
-    // Select all items
-    const items = Array.from(xmlDoc.querySelectorAll("item")).map(node => {
-        // Basic Fields
-        const title = node.querySelector("title")?.textContent;
-        const link = node.querySelector("link")?.textContent;
-        const pubDate = node.querySelector("pubDate")?.textContent;
-        const description = node.querySelector("description")?.textContent;
-        const guid = node.querySelector("guid")?.textContent;
+    const mediaThumbnailNode = findInScopes("media:thumbnail") ||
+        (mediaContentNode && childElement(mediaContentNode, "media:thumbnail"));
+    const thumbnail = mediaThumbnailNode ? mediaThumbnailNode.getAttribute("url") : null;
 
-        // Author
-        const author = node.querySelector("author")?.textContent ||
-                       node.querySelector("dc\\:creator")?.textContent;
+    return { mediaContent, thumbnail };
+}
 
-        // Image Extraction helpers to match normalizeItem expectations
+/**
+ * Detects the feed format from the document root.
+ * @returns {'atom'|'rdf'|'rss'}
+ */
+function detectFeedFormat(xmlDoc) {
+    const root = xmlDoc.documentElement;
+    const rootName = (root?.localName || root?.nodeName || '').toLowerCase();
 
+    if (rootName === 'feed') return 'atom';
+    if (rootName === 'rdf') return 'rdf';
+    return 'rss';
+}
+
+/**
+ * RSS 2.0: <rss><channel><item>
+ */
+function parseRssItems(xmlDoc) {
+    const channel = xmlDoc.getElementsByTagName("channel")[0];
+    const feedTitle = (channel && childText(channel, "title")) || "Unknown Source";
+
+    const items = Array.from(xmlDoc.getElementsByTagName("item")).map(node => {
         // Enclosure
-        const enclosureNode = node.querySelector("enclosure");
+        const enclosureNode = childElement(node, "enclosure");
         const enclosure = enclosureNode ? {
             url: enclosureNode.getAttribute("url"),
             type: enclosureNode.getAttribute("type")
         } : null;
 
-        // Media Content
-        const mediaContentNode = node.querySelector("media\\:content") || node.querySelector("content");
-        const mediaContent = mediaContentNode ? {
-            url: mediaContentNode.getAttribute("url")
+        const { mediaContent, thumbnail } = extractMedia(node);
+
+        return {
+            title: childText(node, "title"),
+            link: childText(node, "link"),
+            pubDate: childText(node, "pubDate", "dc:date"),
+            updated: childText(node, "atom:updated", "dc:modified"),
+            description: childText(node, "description", "content:encoded"),
+            guid: childText(node, "guid"),
+            author: childText(node, "author", "dc:creator"),
+            enclosure,
+            "media:content": mediaContent,
+            thumbnail
+        };
+    });
+
+    return { title: feedTitle, items };
+}
+
+/**
+ * Resolves the article link from Atom <link> elements.
+ * Prefers rel="alternate" (or no rel), falls back to the first href.
+ */
+function atomLink(node) {
+    const links = childElements(node, "link");
+    const alternate = links.find(l => !l.getAttribute("rel") || l.getAttribute("rel") === "alternate");
+    return (alternate || links[0])?.getAttribute("href") || undefined;
+}
+
+/**
+ * Atom 1.0: <feed><entry>
+ */
+function parseAtomItems(xmlDoc) {
+    const root = xmlDoc.documentElement;
+    const feedTitle = childText(root, "title") || "Unknown Source";
+
+    const items = childElements(root, "entry").map(node => {
+        const links = childElements(node, "link");
+
+        // Atom enclosures are <link rel="enclosure" href type>
+        const enclosureLink = links.find(l =>
+            l.getAttribute("rel") === "enclosure" && (l.getAttribute("type") || '').startsWith('image')
+        );
+        const enclosure = enclosureLink ? {
+            url: enclosureLink.getAttribute("href"),
+            type: enclosureLink.getAttribute("type")
         } : null;
 
-        // Media Thumbnail
-        const mediaThumbnailNode = node.querySelector("media\\:thumbnail") || node.querySelector("thumbnail");
-        const thumbnail = mediaThumbnailNode ? mediaThumbnailNode.getAttribute("url") : null;
+        const { mediaContent, thumbnail } = extractMedia(node);
+
+        const authorNode = childElement(node, "author");
+        const author = authorNode ? (childText(authorNode, "name") || authorNode.textContent?.trim()) : undefined;
+
+        const published = childText(node, "published", "issued");
+        const updated = childText(node, "updated", "modified");
 
         return {
-            title,
-            link,
-            pubDate,
-            description,
-            guid,
+            title: childText(node, "title"),
+            link: atomLink(node),
+            pubDate: published || updated,
+            updated,
+            // <summary> is the teaser; <content> is the full body (often HTML)
+            description: childText(node, "summary", "content"),
+            guid: childText(node, "id") || atomLink(node),
             author,
             enclosure,
             "media:content": mediaContent,
@@ -97,67 +167,174 @@ function parseXML(xmlString) {
         };
     });
 
+    return { title: feedTitle, items };
+}
+
+/**
+ * RSS 1.0 / RDF: <rdf:RDF><channel/><item/>… (items are siblings of channel)
+ */
+function parseRdfItems(xmlDoc) {
+    const root = xmlDoc.documentElement;
+    const channel = childElement(root, "channel");
+    const feedTitle = (channel && childText(channel, "title")) || "Unknown Source";
+
+    const items = childElements(root, "item").map(node => {
+        const { mediaContent, thumbnail } = extractMedia(node);
+
+        return {
+            title: childText(node, "title"),
+            link: childText(node, "link") || node.getAttribute("rdf:about") || undefined,
+            pubDate: childText(node, "dc:date"),
+            updated: childText(node, "dc:modified"),
+            description: childText(node, "description", "content:encoded"),
+            guid: node.getAttribute("rdf:about") || childText(node, "link"),
+            author: childText(node, "dc:creator"),
+            enclosure: null,
+            "media:content": mediaContent,
+            thumbnail
+        };
+    });
+
+    return { title: feedTitle, items };
+}
+
+const FORMAT_PARSERS = {
+    rss: parseRssItems,
+    atom: parseAtomItems,
+    rdf: parseRdfItems
+};
+
+/**
+ * Parses an RSS 2.0, Atom or RSS 1.0 (RDF) document into the raw item shape
+ * consumed by normalizeItem in rssAggregator.js.
+ * @param {string} xmlString
+ * @returns {{ title: string, format: string, items: Array<Object> }}
+ */
+export function parseXML(xmlString) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(xmlString, "text/xml");
+
+    if (xmlDoc.getElementsByTagName("parsererror").length > 0) {
+        throw new Error('XML Parsing Error');
+    }
+
+    const format = detectFeedFormat(xmlDoc);
+    const { title, items } = FORMAT_PARSERS[format](xmlDoc);
+
     return {
-        title: feedTitle,
+        title,
+        format,
         items
     };
 }
 
+function loadHealth() {
+    try {
+        const stored = localStorage.getItem(HEALTH_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch {
+        return {};
+    }
+}
+
+function saveHealth(health) {
+    try {
+        localStorage.setItem(HEALTH_KEY, JSON.stringify(health));
+    } catch {
+        // storage full — health is best effort
+    }
+}
+
 class ProxyManager {
     constructor() {
-        this.currentIndex = 0;
-        this.failureCounts = new Map();
-        this.lastSuccess = new Map();
+        // { [proxyId]: { failures, totalFailures, successes, lastSuccess, lastFailure, totalMs } }
+        // Persisted so a dead proxy isn't retried first on every page load
+        this.health = loadHealth();
+    }
+
+    isCoolingDown(proxyId) {
+        const h = this.health[proxyId];
+        return !!h && h.failures >= FAILURE_THRESHOLD && (Date.now() - (h.lastFailure || 0)) < COOLDOWN_MS;
     }
 
-    async fetchViaProxy(feedUrl) {
-        const maxAttempts = PROXIES.length;
+    /**
+     * User-ordered chain with cooling-down proxies moved to the end
+     * (still tried as a last resort).
+     */
+    orderedChain(purpose) {
+        const chain = getProxyChain(purpose);
+        const healthy = chain.filter(p => !this.isCoolingDown(p.id));
+        const cooling = chain.filter(p => this.isCoolingDown(p.id));
+        return [...healthy, ...cooling];
+    }
+
+    recordResult(proxyId, ok, durationMs) {
+        const h = this.health[proxyId] || { failures: 0, totalFailures: 0, successes: 0, lastSuccess: null, lastFailure: null, totalMs: 0 };
+        if (ok) {
+            h.failures = 0;
+            h.successes++;
+            h.lastSuccess = Date.now();
+            h.totalMs += durationMs;
+        } else {
+            h.failures++;
+            h.totalFailures++;
+            h.lastFailure = Date.now();
+        }
+        this.health[proxyId] = h;
+        saveHealth(this.health);
+    }
+
+    /**
+     * Runs a request through each proxy in the chain until one succeeds.
+     * @param {string} targetUrl
+     * @param {'feed'|'raw'} purpose
+     * @param {function(Response, Object): Promise<any>} handle - reads the response; throw to fail over
+     * @param {{ timeoutMs?: number, headers?: Object }} options - headers are only sent
+     *   to proxies that pass them through (others would reject or ignore them)
+     */
+    async request(targetUrl, purpose, handle, { timeoutMs = DEFAULT_TIMEOUT_MS, headers = null } = {}) {
+        const chain = this.orderedChain(purpose);
         let lastError = null;
 
-        // Try strictly for the number of proxies available
-        // We start from currentIndex to enable round-robin load balancing/failover persistence
-        for (let i = 0; i < maxAttempts; i++) {
-            const index = (this.currentIndex + i) % maxAttempts;
-            const proxy = PROXIES[index];
+        if (chain.length === 0) {
+            logStore.error('proxy', 'No proxies enabled');
+            throw new Error('No proxies enabled. Check Settings → Sources → Proxies.');
+        }
 
+        for (const proxy of chain) {
+            const t0 = Date.now();
             try {
-                // console.log(`[ProxyManager] Attempting via ${proxy.name} for ${feedUrl}`);
-
-                const proxyUrl = proxy.format(feedUrl);
+                const proxyUrl = proxy.format(targetUrl);
                 const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 8000); // Increased timeout to 8s
+                const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+                const sendHeaders = headers && proxy.passesHeaders;
 
                 let response;
                 try {
-                    response = await fetch(proxyUrl, { signal: controller.signal });
+                    response = await fetch(proxyUrl, {
+                        signal: controller.signal,
+                        ...(sendHeaders ? { headers } : {})
+                    });
                 } finally {
                     clearTimeout(timeoutId);
                 }
 
-                if (!response.ok) {
+                // 304 is only possible when we sent validators; the handler decides what it means
+                if (!response.ok && !(sendHeaders && response.status === 304)) {
                     throw new Error(`HTTP ${response.status}`);
                 }
 
-                const result = await proxy.parse(response);
-
-                if (!result || !result.items || result.items.length === 0) {
-                    throw new Error('No items returned');
-                }
+                const result = await handle(response, proxy);
 
                 // Success!
-                this.failureCounts.set(proxy.name, 0);
-                this.lastSuccess.set(proxy.name, Date.now());
-                this.currentIndex = index;
-                logStore.info('proxy', `${proxy.name} OK (${result.items.length} items)`);
-
+                this.recordResult(proxy.id, true, Date.now() - t0);
                 return result;
 
             } catch (error) {
-                console.warn(`[ProxyManager] ${proxy.name} failed for ${feedUrl}:`, error.message);
+                console.warn(`[ProxyManager] ${proxy.name} failed for ${targetUrl}:`, error.message);
                 lastError = error;
-
-                const failures = (this.failureCounts.get(proxy.name) || 0) + 1;
-                this.failureCounts.set(proxy.name, failures);
+                this.recordResult(proxy.id, false, Date.now() - t0);
             }
         }
 
@@ -165,12 +342,79 @@ class ProxyManager {
         throw new Error(`All proxies failed. Last error: ${lastError?.message}`);
     }
 
+    /**
+     * Fetches and parses an RSS/Atom/RDF feed.
+     * Pass validators from a previous fetch to revalidate with a conditional GET;
+     * proxies that don't forward headers simply return the full feed.
+     * @param {string} feedUrl
+     * @param {{ etag?: string, lastModified?: string }|null} validators
+     * @returns {Promise<{ title: string, items: Array, etag: string|null, lastModified: string|null }|{ notModified: true }>}
+     */
+    async fetchViaProxy(feedUrl, validators = null) {
+        const headers = {};
+        if (validators?.etag) headers['If-None-Match'] = validators.etag;
+        if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+        return this.request(feedUrl, 'feed', async (response, proxy) => {
+            if (response.status === 304) {
+                logStore.info('proxy', `${proxy.name} 304 Not Modified`);
+                return { notModified: true };
+            }
+
+            const result = proxy.parseFeed
+                ? await proxy.parseFeed(response)
+                : parseXML(await proxy.readText(response));
+
+            if (!result || !result.items || result.items.length === 0) {
+                throw new Error('No items returned');
+            }
+
+            // Validators are only meaningful when the proxy relays the origin's headers
+            const etag = proxy.passesHeaders ? response.headers.get('ETag') : null;
+            const lastModified = proxy.passesHeaders ? response.headers.get('Last-Modified') : null;
+
+            logStore.info('proxy', `${proxy.name} OK (${result.items.length} items)`);
+            return { ...result, etag, lastModified };
+        }, { headers: Object.keys(headers).length > 0 ? headers : null });
+    }
+
+    /**
+     * Fetches any URL as text (HTML pages, JSON APIs) through the raw-capable proxies.
+     */
+    async fetchText(url, options = {}) {
+        return this.request(url, 'raw', (response, proxy) => proxy.readText(response), options);
+    }
+
+    /**
+     * Fetches a JSON API through the raw-capable proxies.
+     */
+    async fetchJSON(url, options = {}) {
+        return this.request(url, 'raw', async (response, proxy) => {
+            const text = await proxy.readText(response);
+            return JSON.parse(text);
+        }, options);
+    }
+
     getProxyHealth() {
-        return PROXIES.map(proxy => ({
-            name: proxy.name,
-            failures: this.failureCounts.get(proxy.name) || 0,
-            lastSuccess: this.lastSuccess.get(proxy.name) || null
-        }));
+        return getProxyEntries().map(entry => {
+            const h = this.health[entry.id] || {};
+            return {
+                id: entry.id,
+                name: entry.name || entry.kind,
+                failures: h.failures || 0,
+                totalFailures: h.totalFailures || 0,
+                successes: h.successes || 0,
+                avgMs: h.successes ? Math.round(h.totalMs / h.successes) : null,
+                lastSuccess: h.lastSuccess || null,
+                lastFailure: h.lastFailure || null,
+                coolingDown: this.isCoolingDown(entry.id)
+            };
+        });
+    }
+
+    resetProxyHealth() {
+        this.health = {};
+        saveHealth(this.health);
     }
 }
 
@@ -0,0 +1,167 @@
+/**
+ * Proxy Registry - Single source of truth for every CORS proxy the app uses.
+ * Proxy *kinds* describe how to build a request URL and read the body back;
+ * the ordered, user-editable list of *entries* lives in settings.proxies.
+ */
+import { getSettings, DEFAULT_SETTINGS } from '../utils/storage.js';
+
+/**
+ * Placeholders supported in self-hosted proxy templates:
+ *   {url}    - target URL, URI-encoded (most proxies want this)
+ *   {rawUrl} - target URL as-is (path-style proxies, e.g. https://proxy/https://site/feed)
+ */
+export function applyTemplate(template, targetUrl) {
+    return template
+        .replace(/\{url\}/g, encodeURIComponent(targetUrl))
+        .replace(/\{rawUrl\}/g, targetUrl);
+}
+
+export function isValidTemplate(template) {
+    if (!template || !/^https?:\/\//i.test(template)) return false;
+    return template.includes('{url}') || template.includes('{rawUrl}');
+}
+
+/**
+ * Known proxy kinds.
+ * - format(targetUrl, entry): request URL
+ * - readText(response): raw body text (omitted for feed-only services)
+ * - parseFeed(response): optional; pre-parsed feed JSON (skips XML parsing)
+ * - passesHeaders: request/response headers reach the origin, so conditional
+ *   GET (If-None-Match / If-Modified-Since) works through this proxy
+ * - bodyFormat: response envelope, for consumers that cannot call readText
+ *   (the service worker): 'text' | 'allorigins' | 'rss2json'
+ */
+export const PROXY_KINDS = {
+    rss2json: {
+        label: 'rss2json',
+        feedOnly: true,
+        bodyFormat: 'rss2json',
+        format: (feedUrl) => `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(feedUrl)}`,
+        parseFeed: async (response) => {
+            const data = await response.json();
+            if (data.status === 'ok') {
+                return {
+                    title: data.feed?.title,
+                    items: data.items || []
+                };
+            }
+            throw new Error('rss2json status not ok');
+        }
+    },
+    codetabs: {
+        label: 'codetabs',
+        format: (url) => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(url)}`,
+        bodyFormat: 'text',
+        readText: async (response) => {
+            const text = await response.text();
+            if (!text) throw new Error('Empty response from codetabs');
+            return text;
+        }
+    },
+    allorigins: {
+        label: 'allorigins',
+        format: (url) => `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`,
+        bodyFormat: 'allorigins',
+        readText: async (response) => {
+            const data = await response.json();
+            if (!data.contents) throw new Error('No content from allorigins');
+            return data.contents;
+        }
+    },
+    direct: {
+        label: 'Direct (no proxy)',
+        // Only works for origins that send Access-Control-Allow-Origin.
+        // No conditional headers: If-None-Match / If-Modified-Since are not
+        // CORS-safelisted and would turn every fetch into a preflight
+        format: (url) => url,
+        bodyFormat: 'text',
+        readText: async (response) => response.text()
+    },
+    template: {
+        label: 'Self-hosted',
+        format: (url, entry) => applyTemplate(entry.template, url),
+        bodyFormat: 'text',
+        // Self-hosted proxies are expected to forward validators and expose ETag/Last-Modified
+        passesHeaders: true,
+        readText: async (response) => {
+            const text = await response.text();
+            if (!text) throw new Error('Empty response from proxy');
+            return text;
+        }
+    }
+};
+
+/**
+ * Resolves a stored entry into a runnable proxy, or null if it is unusable.
+ */
+function resolveEntry(entry) {
+    const kind = PROXY_KINDS[entry?.kind];
+    if (!kind) return null;
+    if (entry.kind === 'template' && !isValidTemplate(entry.template)) return null;
+
+    return {
+        id: entry.id,
+        name: entry.name || kind.label,
+        kind: entry.kind,
+        feedOnly: kind.feedOnly === true,
+        passesHeaders: kind.passesHeaders === true,
+        bodyFormat: kind.bodyFormat,
+        format: (url) => kind.format(url, entry),
+        readText: kind.readText,
+        parseFeed: kind.parseFeed
+    };
+}
+
+/**
+ * Stored proxy entries in user priority order (falls back to defaults).
+ * @returns {Array<{id, kind, enabled, name?, template?}>}
+ */
+export function getProxyEntries() {
+    const stored = getSettings().proxies;
+    return Array.isArray(stored) && stored.length > 0 ? stored : DEFAULT_SETTINGS.proxies;
+}
+
+/**
+ * Enabled, runnable proxies for a purpose, in user priority order.
+ * @param {'feed'|'raw'} purpose - 'raw' excludes feed-only services like rss2json
+ */
+export function getProxyChain(purpose = 'feed') {
+    return getProxyEntries()
+        .filter(entry => entry.enabled !== false)
+        .map(resolveEntry)
+        .filter(proxy => proxy && (purpose === 'feed' || !proxy.feedOnly));
+}
+
+const TEMPLATE_PROBE = 'https://probe.invalid/';
+
+/**
+ * Proxy chain as plain `{url}` / `{rawUrl}` templates, for contexts that only
+ * receive serializable config (the service worker can't read settings).
+ * @param {'feed'|'raw'} purpose
+ * @returns {Array<{name: string, template: string, bodyFormat: string}>}
+ */
+export function getProxyTemplates(purpose = 'feed') {
+    return getProxyChain(purpose).map(proxy => ({
+        name: proxy.name,
+        template: proxy.format(TEMPLATE_PROBE)
+            .replace(encodeURIComponent(TEMPLATE_PROBE), '{url}')
+            .replace(TEMPLATE_PROBE, '{rawUrl}'),
+        bodyFormat: proxy.bodyFormat
+    }));
+}
+
+/**
+ * Builds a new self-hosted proxy entry for settings.proxies.
+ */
+export function createTemplateEntry(name, template) {
+    if (!isValidTemplate(template)) {
+        throw new Error('Template must be an http(s) URL containing {url} or {rawUrl}');
+    }
+    return {
+        id: `custom_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+        kind: 'template',
+        name: name || 'Self-hosted',
+        template,
+        enabled: true
+    };
+}
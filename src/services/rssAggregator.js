@@ -7,8 +7,9 @@ import { GOOGLE_FEEDS } from './googleNewsService';
 import { getSettings } from '../utils/storage';
 import { fetchAllEntertainment } from './entertainmentService';
 import { analyzeArticleSentiment } from '../utils/sentimentAnalyzer';
-import { deduplicateAndCluster } from '../utils/similarity';
+import { deduplicateAndCluster, getConsensusBoost } from '../utils/similarity';
 import { breakingDetector } from '../utils/breakingNewsDetector';
+import { trackStories } from '../utils/storyTimeline';
 import { calculateSourceScore, getSourceWeightForCategory, SOURCE_METRICS } from '../data/sourceMetrics';
 import { calculateImpactScore } from '../utils/impactScorer.js';
 import { calculateProximityScore } from '../utils/proximityScorer.js';
@@ -17,7 +18,13 @@ import { calculateCurrencyScore } from '../utils/currencyScorer.js';
 import { calculateHumanInterestScore } from '../utils/humanInterestScorer.js';
 import { calculateVisualScore } from '../utils/visualScorer.js';
 import { classifySection } from '../utils/sectionClassifier.js';
+import { buildScoreBreakdown, applyBreakdownMultiplier } from '../utils/scoreBreakdown.js';
+import { resolveScoringSettings } from '../utils/rankingProfiles.js';
+import { getPreferenceModel, getPreferenceFactor } from '../utils/preferenceModel.js';
+import { applyMuteRules } from '../utils/muteRules.js';
 import { proxyManager } from './proxyManager.js';
+import feedCache from '../utils/feedCache.js';
+import { archiveArticles } from './articleArchive.js';
 import logStore from '../utils/logStore.js';
 import { getSectionHealth, recordFetchCount, checkSingleSource } from '../utils/sectionHealth.js';
 
@@ -31,6 +38,7 @@ import { getSectionHealth, recordFetchCount, checkSingleSource } from '../utils/
  * @property {number} publishedAt
  * @property {string} section
  * @property {number} impactScore
+ * @property {import('../utils/scoreBreakdown.js').ScoreBreakdown} [scoreBreakdown] - why impactScore is what it is
  * @property {string} time - Formatted time string
  */
 
@@ -227,9 +235,20 @@ function generateCriticsOneLiner(title, description, source) {
     return null;
 }
 
-export function computeImpactScore(item, section) {
-    const scoringSettings = getSettings();
+/**
+ * Scores an article and explains the score factor by factor.
+ * Sets item.isBreaking / item.breakingScore as a side effect.
+ * @param {Object} [scoringSettings] - defaults to the settings in effect now,
+ *   including the time segment's ranking profile
+ * @param {Object} [options]
+ * @param {boolean} [options.record=true] - false re-scores without touching the
+ *   session's breaking-news and novelty history: the novelty and breaking
+ *   factors of item.scoreBreakdown are reused, or checked read-only if missing
+ * @returns {import('../utils/scoreBreakdown.js').ScoreBreakdown}
+ */
+export function computeImpactBreakdown(item, section, scoringSettings = resolveScoringSettings(getSettings()), { record = true } = {}) {
     const w = scoringSettings.rankingWeights || {};
+    const stored = record ? {} : Object.fromEntries((item.scoreBreakdown?.factors || []).map(f => [f.key, f.value]));
 
     // 1. Freshness Decay (Linear)
     // 24 hours = 0 score. 0 hours = 1 score.
@@ -260,33 +279,44 @@ export function computeImpactScore(item, section) {
     }
 
     // Breaking News Detection (Phase 5)
-    const breakingResult = breakingDetector.checkBreakingNews(item);
+    const breakingResult = stored.breaking !== undefined
+        ? { isBreaking: item.isBreaking, breakingScore: item.breakingScore, multiplier: stored.breaking }
+        : breakingDetector.checkBreakingNews(item, Date.now(), { record });
     item.isBreaking = breakingResult.isBreaking;
     item.breakingScore = breakingResult.breakingScore;
     const breakingBoost = breakingResult.multiplier;
 
+    const additive = {
+        freshness,
+        source: sourceComponent,
+        keyword: keywordBoost,
+        sentiment: sentimentBoost
+    };
+
     // --- NEW SCORING LOGIC CHECK ---
     if (scoringSettings.enableNewScoring === false) {
         // ORIGINAL SCORING (Status Quo)
-        return (freshness + sourceComponent + keywordBoost + sentimentBoost) * sectionPriority * breakingBoost;
+        return buildScoreBreakdown({
+            mode: 'classic',
+            additive,
+            multipliers: { section: sectionPriority, breaking: breakingBoost }
+        });
     }
 
     // --- NEW SCORING LOGIC (9-Factor) ---
     // Calculate new multipliers
     const impactMultiplier = calculateImpactScore(item.title, item.description);
-    const proximityMultiplier = calculateProximityScore(item.title, item.description);
-    const noveltyMultiplier = calculateNoveltyScore(item.title, item.description, section);
+    const proximityMultiplier = calculateProximityScore(item.title, item.description, scoringSettings);
+    const noveltyMultiplier = stored.novelty ?? calculateNoveltyScore(item.title, item.description, section, { record });
     // Note: passing null for keywords array as it's not currently extracted in normalizeItem
     const currencyMultiplier = calculateCurrencyScore(item.title, null);
     const humanInterestMultiplier = calculateHumanInterestScore(item.title, item.description);
     const visualMultiplier = calculateVisualScore(item.imageUrl, scoringSettings); // Pass settings!
-
-    // Base Score (Sum of additive components)
-    const baseScore = freshness + sourceComponent + keywordBoost + sentimentBoost;
-
-    // Multipliers (Product of multiplicative components)
-    const multipliers = impactMultiplier * proximityMultiplier * noveltyMultiplier *
-        currencyMultiplier * humanInterestMultiplier * visualMultiplier;
+    // Learned from this device's opens / dwell / hides / shares
+    const learned = scoringSettings.learnedRanking || {};
+    const personalMultiplier = learned.enabled === false
+        ? 1
+        : getPreferenceFactor(getPreferenceModel(), { ...item, section }, learned.strength ?? 0.5);
 
     // --- TEMPORAL BOOSTS (Phase 9) ---
     // Apply configured boosts for Weekend and Entertainment
@@ -297,24 +327,61 @@ export function computeImpactScore(item, section) {
 
     // 1. Entertainment Boost (Always active for target sections)
     if (['entertainment', 'social', 'movies'].includes(section) || item.section === 'entertainment') {
-        const entBoost = scoringSettings.rankingWeights?.temporal?.entertainmentBoost || 2.5;
+        const entBoost = w.temporal?.entertainmentBoost || 2.5;
         temporalMultiplier *= entBoost;
     }
 
     // 2. Weekend Boost (Active on Fri-Sun for leisure/local content)
     if (isWeekend) {
         if (['entertainment', 'social', 'local', 'chennai', 'trichy', 'events'].includes(section)) {
-            const wkndBoost = scoringSettings.rankingWeights?.temporal?.weekendBoost || 2.0;
+            const wkndBoost = w.temporal?.weekendBoost || 2.0;
             temporalMultiplier *= wkndBoost;
         }
     }
 
-    // Final Calculation with multipliers
-    const total = baseScore * multipliers * temporalMultiplier * sectionPriority * breakingBoost;
+    // Final score = (sum of additive components) × (product of multipliers)
+    return buildScoreBreakdown({
+        mode: 'nine-factor',
+        additive,
+        multipliers: {
+            impact: impactMultiplier,
+            proximity: proximityMultiplier,
+            novelty: noveltyMultiplier,
+            currency: currencyMultiplier,
+            humanInterest: humanInterestMultiplier,
+            visual: visualMultiplier,
+            personal: personalMultiplier,
+            temporal: temporalMultiplier,
+            section: sectionPriority,
+            breaking: breakingBoost
+        }
+    });
+}
+
+export function computeImpactScore(item, section) {
+    return computeImpactBreakdown(item, section).total;
+}
 
-    return total;
+/**
+ * Re-ranks already fetched stories under other settings (e.g. a ranking
+ * profile preview), keeping each story's multi-source consensus boost.
+ * Read-only: ranking the same items twice gives the same order and scores.
+ * @returns {Object[]} copies with impactScore / scoreBreakdown, highest first
+ */
+export function rankWithSettings(items, section, scoringSettings) {
+    return items
+        .map(item => {
+            const copy = { ...item };
+            const breakdown = computeImpactBreakdown(copy, item.section || section, scoringSettings, { record: false });
+            const scoreBreakdown = (item.sourceCount || 1) > 1
+                ? applyBreakdownMultiplier(breakdown, 'consensus', getConsensusBoost(item.sourceCount))
+                : breakdown;
+            return { ...copy, impactScore: scoreBreakdown.total, scoreBreakdown };
+        })
+        .sort((a, b) => b.impactScore - a.impactScore);
 }
 
+
 function isSourceAllowed(sourceName, allowedSources) {
     // If allowedSources is passed, we check if the source is enabled.
     let matchedKey = null;
@@ -371,7 +438,7 @@ export async function fetchSectionNews(section, limit = 10, allowedSources = nul
             const entertainmentSettings = entSettings?.entertainment || {};
             const articles = await fetchAllEntertainment(entertainmentSettings);
             console.log(`[RSS] Entertainment: Got ${articles.length} articles with distribution`);
-            return articles.slice(0, limit);
+            return applyMuteRules(articles, 'entertainment').slice(0, limit);
         } catch (error) {
             console.error('[RSS] Entertainment service failed:', error);
             // Fallback to regular RSS feeds
@@ -492,19 +559,70 @@ export async function fetchSectionNews(section, limit = 10, allowedSources = nul
 
 /* ---------- Core Logic ---------- */
 
+/**
+ * Returns raw feed items, using the persistent per-feed cache when possible:
+ * - within the feed's TTL: served from cache, no network
+ * - past TTL: conditional GET (304 keeps cached items) or full refetch
+ * - network failure: stale cached items rather than nothing
+ * @returns {Promise<{ title: string, items: Array<RawItem> }>}
+ */
+async function fetchFeedWithCache(feedUrl) {
+    const settings = getSettings();
+    if (settings.enableCache === false) {
+        return proxyManager.fetchViaProxy(feedUrl);
+    }
+
+    const ttlOverrides = settings.feedTTLMinutes || {};
+    const cached = feedCache.get(feedUrl);
+
+    if (cached && feedCache.isFresh(cached, feedUrl, ttlOverrides)) {
+        console.log(`[RSS] 💾 Feed cache HIT: ${feedUrl}`);
+        return { title: cached.title, items: cached.items };
+    }
+
+    try {
+        const result = await proxyManager.fetchViaProxy(
+            feedUrl,
+            cached ? { etag: cached.etag, lastModified: cached.lastModified } : null
+        );
+
+        if (result.notModified && cached) {
+            feedCache.touch(feedUrl);
+            logStore.info('rss', `304 Not Modified: ${feedUrl}`);
+            return { title: cached.title, items: cached.items };
+        }
+
+        feedCache.set(feedUrl, result);
+        return result;
+    } catch (error) {
+        if (cached) {
+            console.warn(`[RSS] Using stale cache for ${feedUrl}: ${error.message}`);
+            return { title: cached.title, items: cached.items };
+        }
+        throw error;
+    }
+}
+
 export async function fetchAndParseFeed(feedUrl, section) {
-    // Delegate to ProxyManager for rotation and failover
-    // ProxyManager returns { title: string, items: Array<RawItem> }
-    const { title: feedTitle, items } = await proxyManager.fetchViaProxy(feedUrl);
+    // Delegate to ProxyManager (via the per-feed cache) for rotation and failover
+    // Returns { title: string, items: Array<RawItem> }
+    const { title: feedTitle, items } = await fetchFeedWithCache(feedUrl);
 
     // Normalize items to internal application structure
     // This includes scoring, sentiment analysis (if applicable), and cleaning
-    return items.map(item => normalizeItem(item, feedTitle, section));
+    const normalized = items.map(item => normalizeItem(item, feedTitle, section));
+
+    // Keep a searchable copy (topic search previews are transient, skip them)
+    if (section !== 'preview') archiveArticles(normalized);
+
+    return normalized;
 }
 
 function normalizeItem(item, feedSource, section = 'general') {
-    const pubDateStr = item.pubDate || item.created || new Date().toISOString();
+    const pubDateStr = item.pubDate || item.created || item.updated || new Date().toISOString();
     const publishedAt = Date.parse(pubDateStr) || Date.now();
+    // Atom/RDF feeds carry a separate last-modified date
+    const updatedAt = item.updated ? (Date.parse(item.updated) || null) : null;
 
     let source = feedSource;
     if (item.author) source = item.author;
@@ -564,6 +682,7 @@ function normalizeItem(item, feedSource, section = 'general') {
         url: item.link,
         source: source,
         publishedAt: publishedAt,
+        updatedAt: updatedAt,
         fetchedAt: Date.now(),
         time: new Date(publishedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
         impactScore: 0,
@@ -590,10 +709,14 @@ async function rankAndFilter(items, section, limit, allowedSources) {
         const MAX_AGE_MS = limitHours * 60 * 60 * 1000;
         const bypassFreshness = settings.strictFreshness === false; // If strict is off, bypass
         const shouldScore = settings.rankingMode !== 'legacy'; // Optimization: Skip scoring in Legacy mode
+        const sectionOverrides = settings.sectionOverrides || {};
 
         console.log(`[RSSDebug] filtering for ${section}: Limit=${limitHours}h. Items=${items.length}`);
 
-        const preProcessed = items
+        // User mute rules (feed previews show the raw feed)
+        const unmuted = section === 'preview' ? items : applyMuteRules(items, section);
+
+        const preProcessed = unmuted
             .filter(item => {
                 // 1. Freshness Filter (Strict)
                 if (!bypassFreshness && (now - item.publishedAt > MAX_AGE_MS)) return false;
@@ -614,18 +737,19 @@ async function rankAndFilter(items, section, limit, allowedSources) {
                 return true;
             })
             .map(item => {
-                // Use the item's section (which might have been re-classified)
-                // or fallback to the requested section if missing
-                const itemSection = item.section || section;
+                // Manual correction first, then the item's section (which might have
+                // been re-classified) or fallback to the requested section if missing
+                const itemSection = sectionOverrides[item.id] || item.section || section;
 
                 // Optimization: In Legacy mode, skip expensive scoring
                 // Default to 0, sorting will rely on pubDate
-                const score = shouldScore ? computeImpactScore(item, itemSection) : 0;
+                const breakdown = shouldScore ? computeImpactBreakdown(item, itemSection) : null;
 
                 return {
                     ...item,
                     section: itemSection,
-                    impactScore: score
+                    impactScore: breakdown ? breakdown.total : 0,
+                    scoreBreakdown: breakdown
                 };
             })
             .filter(item => {
@@ -645,7 +769,10 @@ async function rankAndFilter(items, section, limit, allowedSources) {
         }
 
         console.log(`[RSS] Final count for ${section}: ${clustered.length} (requested ${limit})`);
-        return clustered.slice(0, limit);
+        const top = clustered.slice(0, limit);
+
+        // Attach stable story IDs / developing flags (feed previews are not tracked)
+        return section === 'preview' ? top : trackStories(top);
 
     } catch (error) {
         console.error(`[RSS] Ranking error for ${section}:`, error);
@@ -690,3 +817,19 @@ export function clearNewsCache() {
     console.log(`[RSS] 🗑️ Cleared ${size} cache entries`);
     return size;
 }
+
+/**
+ * Per-feed persistent cache stats (ETag/Last-Modified, TTL, freshness)
+ */
+export function getFeedCacheStats() {
+    return feedCache.getStats(getSettings().feedTTLMinutes || {});
+}
+
+/**
+ * Clear the persistent per-feed cache.
+ * Not part of clearNewsCache: settings changes re-rank, they don't change feed bodies.
+ */
+export function clearFeedCache() {
+    feedCache.clear();
+    console.log('[RSS] 🗑️ Cleared persistent feed cache');
+}
@@ -1,6 +1,8 @@
 import { buildTopicQuery } from '../utils/topicQueryBuilder.js';
 import { fetchAndParseFeed } from './rssAggregator.js';
 import { updateTopicLastFetched, getSettings } from '../utils/storage.js';
+import { archiveArticles } from './articleArchive.js';
+import { applyMuteRules } from '../utils/muteRules.js';
 
 /**
  * Fetches news articles for a specific followed topic
@@ -38,6 +40,7 @@ export async function fetchTopicNews(topic) {
             });
             console.log(`[TopicService] Filtered ${articles.length - filteredArticles.length} old articles for "${topic.name}" (Limit: ${limitHours}h)`);
         }
+        filteredArticles = applyMuteRules(filteredArticles, `topic:${topic.name}`);
         // ---------------------------
 
         // Add topic metadata to each article
@@ -51,6 +54,9 @@ export async function fetchTopicNews(topic) {
             context: 'following'
         }));
 
+        // Re-archive with topic metadata so the archive can be searched by topic name
+        archiveArticles(articlesWithTopic);
+
         return articlesWithTopic;
 
     } catch (error) {
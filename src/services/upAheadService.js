@@ -2,6 +2,7 @@ import { proxyManager } from './proxyManager.js';
 import logStore from '../utils/logStore.js';
 import { extractDate, expandDateKeys } from '../utils/dateExtractor.js';
 import plannerStorage from '../utils/plannerStorage.js';
+import { applyMuteRules } from '../utils/muteRules.js';
 
 // ============================================================
 // SMART KEYWORD FILTERS FOR PLANNING
@@ -744,7 +745,8 @@ export function processUpAheadData(rawItems, settings) {
     }
     const userLocations = (settings?.upAhead?.locations || ['Chennai', 'Muscat', 'Trichy']).map(l => l.toLowerCase());
 
-    rawItems.forEach(item => {
+    // User mute rules apply on top of the built-in negative keywords
+    applyMuteRules(rawItems, 'upahead').forEach(item => {
         if (seenIds.has(item.id)) return;
         seenIds.add(item.id);
 
@@ -15,9 +15,13 @@ import {
     getMostCommonWeatherCode,
     averagePrecipitation,
     getSuccessfulModels,
-    formatModelNames
+    formatModelNames,
+    calculateModelSpread,
+    getModelAgreement
 } from '../utils/multiModelUtils';
 import { getSettings } from '../utils/storage';
+import { getLocation } from './locationService.js';
+import { recordForecasts, getModelWeights } from './forecastVerification.js';
 import logStore from '../utils/logStore.js';
 import { getWeatherIconId } from '../components/WeatherIcons.jsx';
 
@@ -28,21 +32,18 @@ const MODELS = {
     icon: 'https://api.open-meteo.com/v1/dwd-icon'
 };
 
-// Coordinates for key cities
-const LOCATIONS = {
-    chennai: { lat: 13.0827, lon: 80.2707 },
-    trichy: { lat: 10.7905, lon: 78.7047 },
-    muscat: { lat: 23.5859, lon: 58.4059 }
-};
+// Days of daily data requested (ICON stops after ~7; ECMWF and GFS cover all 10)
+const FORECAST_DAYS = 10;
 
 /**
  * Fetch weather from a single model
  * @param {string} modelName - 'ecmwf', 'gfs', or 'icon'
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {string} [timezone] - IANA zone; 'auto' lets Open-Meteo resolve it
  * @returns {Promise<Object>} Raw weather data from model
  */
-async function fetchSingleModel(modelName, lat, lon) {
+async function fetchSingleModel(modelName, lat, lon, timezone = 'auto') {
     const baseUrl = MODELS[modelName];
 
     if (!baseUrl) {
@@ -54,8 +55,9 @@ async function fetchSingleModel(modelName, lat, lon) {
         longitude: lon,
         current: 'temperature_2m,weather_code,apparent_temperature,relative_humidity_2m,wind_speed_10m,wind_direction_10m',
         hourly: 'temperature_2m,precipitation_probability,precipitation,weather_code,apparent_temperature,relative_humidity_2m,wind_speed_10m,wind_direction_10m,uv_index,cloud_cover,visibility,dew_point_2m',
-        daily: 'precipitation_probability_max,precipitation_sum,uv_index_max',
-        timezone: 'auto'
+        daily: 'temperature_2m_max,temperature_2m_min,weather_code,precipitation_probability_max,precipitation_sum,uv_index_max',
+        forecast_days: FORECAST_DAYS,
+        timezone
     });
 
     const url = `${baseUrl}?${params}`;
@@ -77,16 +79,17 @@ async function fetchSingleModel(modelName, lat, lon) {
 
 /**
  * Fetch weather from all 3 models for a specific location
- * @param {string} locationKey - 'chennai', 'trichy', 'muscat'
+ * @param {string} locationKey - id of a saved location (settings.weather.locations)
  * @returns {Promise<Object>} Multi-model weather data object
  */
 export async function fetchWeather(locationKey) {
     const _t0 = Date.now();
-    if (!LOCATIONS[locationKey]) {
+    const location = getLocation(locationKey);
+    if (!location) {
         throw new Error(`Unknown location: ${locationKey}`);
     }
 
-    const { lat, lon } = LOCATIONS[locationKey];
+    const { lat, lon, timezone } = location;
 
     // Get enabled models from settings
     const settings = getSettings();
@@ -105,7 +108,7 @@ export async function fetchWeather(locationKey) {
     try {
         // Fetch from enabled models in parallel
         const results = await Promise.allSettled(
-            enabledModelNames.map(model => fetchSingleModel(model, lat, lon))
+            enabledModelNames.map(model => fetchSingleModel(model, lat, lon, timezone))
         );
 
         // Extract successful results dynamically
@@ -128,8 +131,13 @@ export async function fetchWeather(locationKey) {
         console.log(`[WeatherService] ✅ ${successfulModels.length}/${enabledModelNames.length} models succeeded: ${formatModelNames(successfulModels)}`);
         logStore.success('weather', `${locationKey}: ${successfulModels.length}/${enabledModelNames.length} models OK`, { durationMs: _dur });
 
+        // Weight models by their verified accuracy for this city, when enabled
+        const weights = settings.weather?.accuracyWeighting !== false ? getModelWeights(locationKey) : null;
+
         // Process and combine data
-        return processMultiModelData(modelData, locationKey);
+        const result = processMultiModelData(modelData, location, weights);
+        recordForecasts(locationKey, result.modelHourly);
+        return result;
 
     } catch (error) {
         console.error(`[WeatherService] ❌ Error fetching weather for ${locationKey}:`, error);
@@ -138,19 +146,36 @@ export async function fetchWeather(locationKey) {
     }
 }
 
+/**
+ * Current hour (0-23) in an IANA time zone; device hour if unknown
+ */
+function getLocalHour(timezone) {
+    if (!timezone || timezone === 'auto') return new Date().getHours();
+    try {
+        const hour = new Intl.DateTimeFormat('en-GB', { hour: 'numeric', hourCycle: 'h23', timeZone: timezone }).format(new Date());
+        return parseInt(hour, 10);
+    } catch {
+        return new Date().getHours();
+    }
+}
+
 /**
  * Process raw multi-model data into app format
+ * @param {Object} modelData - raw responses keyed by model
+ * @param {Object} location
+ * @param {Object|null} weights - getModelWeights() result; null averages models equally
  */
-function processMultiModelData(modelData, locationName) {
+function processMultiModelData(modelData, location, weights = null) {
+    // Hour of day at the location (hourly arrays start at the location's local midnight)
+    const localHour = getLocalHour(location.timezone);
+
     // Get current data from all models
-    const currentData = [
-        modelData.ecmwf?.current,
-        modelData.gfs?.current,
-        modelData.icon?.current
-    ].filter(Boolean);
+    const currentData = ['ecmwf', 'gfs', 'icon']
+        .filter(model => modelData[model]?.current)
+        .map(model => ({ model, ...modelData[model].current }));
 
     // Weather codes to SVG icon IDs (time-aware)
-    const getIconForHour = (code, hour) => getWeatherIconId(code, hour ?? new Date().getHours());
+    const getIconForHour = (code, hour) => getWeatherIconId(code, hour ?? localHour);
     // Backward-compat emoji fallback
     const getIcon = (code) => {
         if (code <= 1) return '☀️';
@@ -163,8 +188,10 @@ function processMultiModelData(modelData, locationName) {
     const conditionMap = {
         0: 'Clear', 1: 'Mainly Clear', 2: 'Partly Cloudy', 3: 'Overcast',
         45: 'Fog', 48: 'Fog',
-        51: 'Light Drizzle', 61: 'Light Rain', 63: 'Rain', 65: 'Heavy Rain',
-        80: 'Rain Showers', 95: 'Thunderstorm'
+        51: 'Light Drizzle', 53: 'Drizzle', 55: 'Heavy Drizzle',
+        61: 'Light Rain', 63: 'Rain', 65: 'Heavy Rain',
+        80: 'Rain Showers', 81: 'Rain Showers', 82: 'Violent Showers',
+        95: 'Thunderstorm', 96: 'Thunderstorm', 99: 'Thunderstorm'
     };
 
     const getCondition = (code) => conditionMap[code] || 'Unknown';
@@ -175,11 +202,9 @@ function processMultiModelData(modelData, locationName) {
         for (let i = startHour; i <= endHour; i++) indices.push(i);
 
         // Collect data from all available models
-        const allModelHourlyData = [];
-
-        if (modelData.ecmwf?.hourly) allModelHourlyData.push(modelData.ecmwf.hourly);
-        if (modelData.gfs?.hourly) allModelHourlyData.push(modelData.gfs.hourly);
-        if (modelData.icon?.hourly) allModelHourlyData.push(modelData.icon.hourly);
+        const allModelHourlyData = ['ecmwf', 'gfs', 'icon']
+            .filter(model => modelData[model]?.hourly)
+            .map(model => ({ model, hourly: modelData[model].hourly }));
 
         // Average temperatures across models for this time segment
         const segmentTemps = [];
@@ -193,7 +218,8 @@ function processMultiModelData(modelData, locationName) {
         const segmentCloud = [];
 
         indices.forEach(hourIdx => {
-            const hourData = allModelHourlyData.map(hourly => ({
+            const hourData = allModelHourlyData.map(({ model, hourly }) => ({
+                model,
                 temperature_2m: hourly.temperature_2m?.[hourIdx],
                 apparent_temperature: hourly.apparent_temperature?.[hourIdx],
                 precipitation: hourly.precipitation?.[hourIdx],
@@ -205,7 +231,7 @@ function processMultiModelData(modelData, locationName) {
                 cloud_cover: hourly.cloud_cover?.[hourIdx]
             }));
 
-            const avgTemp = averageTemperature(hourData);
+            const avgTemp = averageTemperature(hourData, weights?.temperature);
             const avgApparent = averageApparentTemperature(hourData);
             const avgPrecip = averagePrecipitation(hourData);
             const weatherCode = getMostCommonWeatherCode(hourData);
@@ -218,7 +244,7 @@ function processMultiModelData(modelData, locationName) {
             // Collect precipitation probabilities for consensus
             hourData.forEach(d => {
                 if (d.precipitation_probability != null) {
-                    segmentPrecipProb.push({ precipitation_probability: d.precipitation_probability });
+                    segmentPrecipProb.push({ model: d.model, precipitation_probability: d.precipitation_probability });
                 }
                 if (d.relative_humidity_2m != null) segmentHumidity.push(d.relative_humidity_2m);
                 if (d.wind_speed_10m != null) segmentWindSpeed.push(d.wind_speed_10m);
@@ -238,7 +264,7 @@ function processMultiModelData(modelData, locationName) {
         const totalRainVal = segmentPrecip.reduce((a, b) => a + b, 0);
 
         // Calculate rainfall consensus
-        const rainfallConsensus = calculateRainfallConsensus(segmentPrecipProb);
+        const rainfallConsensus = calculateRainfallConsensus(segmentPrecipProb, weights?.rain);
 
         let rainDisplay = totalRainVal.toFixed(1) + 'mm';
 
@@ -324,7 +350,7 @@ function processMultiModelData(modelData, locationName) {
     const tomorrow = getDaySegments(1);
 
     // Current weather (averaged from all models)
-    const currentTemp = averageTemperature(currentData);
+    const currentTemp = averageTemperature(currentData, weights?.temperature);
     const currentFeelsLike = averageApparentTemperature(currentData);
     const currentWeatherCode = getMostCommonWeatherCode(currentData);
 
@@ -378,7 +404,7 @@ function processMultiModelData(modelData, locationName) {
 
     // Build 24-hour forecast from current hour (8 slots, every 3 hours)
     // Uses cross-model averaging for each slot
-    const currentHour = new Date().getHours();
+    const currentHour = localHour;
     const allModelHourly = [];
     if (modelData.ecmwf?.hourly) allModelHourly.push(modelData.ecmwf.hourly);
     if (modelData.gfs?.hourly) allModelHourly.push(modelData.gfs.hourly);
@@ -410,6 +436,60 @@ function processMultiModelData(modelData, locationName) {
         });
     }
 
+    // Per-model hourly series for the alert rules engine (model agreement)
+    const ALERT_FIELDS = ['temperature_2m', 'relative_humidity_2m', 'precipitation', 'uv_index', 'wind_speed_10m', 'visibility'];
+    const modelHourly = {};
+    successfulModels.forEach(model => {
+        const hourly = modelData[model]?.hourly;
+        if (!hourly) return;
+        modelHourly[model] = { time: hourly.time, utcOffsetSeconds: modelData[model].utc_offset_seconds || 0 };
+        ALERT_FIELDS.forEach(field => { modelHourly[model][field] = hourly[field]; });
+    });
+
+    // Multi-day forecast: per-model daily values plus their spread
+    const DAILY_FIELDS = {
+        high: 'temperature_2m_max',
+        low: 'temperature_2m_min',
+        rain: 'precipitation_sum',
+        rainProb: 'precipitation_probability_max',
+        code: 'weather_code'
+    };
+    const dailyDates = successfulModels
+        .map(model => modelData[model]?.daily?.time)
+        .reduce((longest, dates) => (dates?.length || 0) > longest.length ? dates : longest, []);
+
+    const daily = dailyDates.map((date, dayIdx) => {
+        const models = {};
+        successfulModels.forEach(model => {
+            const dailyData = modelData[model]?.daily;
+            if (dailyData?.[DAILY_FIELDS.high]?.[dayIdx] == null) return;
+            models[model] = {};
+            Object.entries(DAILY_FIELDS).forEach(([key, field]) => {
+                models[model][key] = dailyData[field]?.[dayIdx] ?? null;
+            });
+        });
+
+        const pick = (key) => Object.fromEntries(Object.entries(models).map(([m, v]) => [m, v[key]]));
+        const high = calculateModelSpread(pick('high'));
+        const low = calculateModelSpread(pick('low'));
+        const rain = calculateModelSpread(pick('rain'));
+        const rainProb = calculateModelSpread(pick('rainProb'));
+        const code = getMostCommonWeatherCode(Object.values(models).map(v => ({ weather_code: v.code })));
+
+        return {
+            date,
+            models,
+            high,
+            low,
+            rain,
+            rainProb,
+            condition: code != null ? getCondition(code) : null,
+            icon: code != null ? getIcon(code) : null,
+            iconId: code != null ? getIconForHour(code, 12) : null,
+            agreement: getModelAgreement(high, rain)
+        };
+    }).filter(day => day.high);
+
     // Dynamic Summary Construction
     let summaryText = "";
     if (parseFloat(totalPrecip) > 0) {
@@ -418,20 +498,22 @@ function processMultiModelData(modelData, locationName) {
     summaryText += `Condition: ${getCondition(currentWeatherCode)}. UV Index: ${maxUV || 'N/A'}.`;
 
     return {
-        name: locationName.charAt(0).toUpperCase() + locationName.slice(1),
-        icon: locationName === 'muscat' ? '📍' : '🏛️',
+        name: location.name,
+        icon: location.icon || '📍',
+        timezone: location.timezone,
         fetchedAt: Date.now(),
         models: {
             successful: successfulModels,
             count: successfulModels.length,
-            names: formatModelNames(successfulModels)
+            names: formatModelNames(successfulModels),
+            weights
         },
         current: {
             temp: currentTemp,
             feelsLike: currentFeelsLike,
             condition: getCondition(currentWeatherCode),
             icon: getIcon(currentWeatherCode),
-            iconId: getIconForHour(currentWeatherCode, new Date().getHours()),
+            iconId: getIconForHour(currentWeatherCode, localHour),
             humidity: currentHumidity,
             windSpeed: currentWindSpeed,
             windDirection: currentWindDirection
@@ -441,6 +523,8 @@ function processMultiModelData(modelData, locationName) {
         evening: today.evening,
         tomorrow: tomorrow,
         hourly24: hourly24,
+        modelHourly,
+        daily,
         summary: summaryText
     };
 }
@@ -1,9 +1,8 @@
 /**
  * Client-side article text extractor.
- * Uses allOrigins CORS proxy + DOMParser to extract article body.
+ * Uses the shared proxy registry + DOMParser to extract article body.
  */
-
-const PROXY = 'https://api.allorigins.win/raw?url=';
+import { proxyManager } from '../services/proxyManager.js';
 
 /**
  * Fetch and extract article text from a URL.
@@ -14,11 +13,7 @@ export async function extractArticleText(url) {
     if (!url) return '';
 
     try {
-        const proxyUrl = PROXY + encodeURIComponent(url);
-        const res = await fetch(proxyUrl, { signal: AbortSignal.timeout(12000) });
-        if (!res.ok) return '';
-
-        const html = await res.text();
+        const html = await proxyManager.fetchText(url, { timeoutMs: 12000 });
         return parseArticleFromHTML(html);
     } catch {
         return '';
@@ -21,9 +21,10 @@ export class BreakingNewsDetector {
 
     /**
      * Register article and check if it's breaking news
+     * Pass { record: false } to check without registering the article or its source
      * Returns: { isBreaking, breakingScore, multiplier }
      */
-    checkBreakingNews(article, currentTime = Date.now()) {
+    checkBreakingNews(article, currentTime = Date.now(), { record = true } = {}) {
         if (!article || !article.title || !article.publishedAt) {
             return { isBreaking: false, breakingScore: 0, multiplier: 1.0 };
         }
@@ -43,15 +44,19 @@ export class BreakingNewsDetector {
                 const timeSinceFirstMinutes = (currentTime - newsData.firstSeen) / 1000 / 60;
 
                 // Add new source if not yet reported
+                let count = newsData.count;
                 if (timeSinceFirstMinutes < 60 && !newsData.sources.has(article.source)) {
-                    newsData.sources.add(article.source);
-                    newsData.count++;
+                    count++;
+                    if (record) {
+                        newsData.sources.add(article.source);
+                        newsData.count = count;
+                    }
                 }
 
                 // Mark as breaking if:
                 // 1. Multiple sources (≥2) reported it
                 // 2. Article is < 60 minutes old
-                if (newsData.count >= 2 && timeSincePubMinutes < 60) {
+                if (count >= 2 && timeSincePubMinutes < 60) {
                     isBreaking = true;
 
                     // Time-decay formula: log(N₁ / T)
@@ -61,14 +66,14 @@ export class BreakingNewsDetector {
                     breakingScore = Math.log(N1 / Math.max(1, timeSincePubMinutes)) || 1.0;
                     breakingScore = Math.min(breakingScore, 3.0); // Cap at 3x multiplier
 
-                    this.breaking.add(titleNormalized);
+                    if (record) this.breaking.add(titleNormalized);
                 }
                 break;
             }
         }
 
         // Register new story if not found in map
-        if (!this.newsMap.has(titleNormalized)) {
+        if (record && !this.newsMap.has(titleNormalized)) {
             this.newsMap.set(titleNormalized, {
                 firstSeen: article.publishedAt,
                 sources: new Set([article.source]),
@@ -1,3 +1,13 @@
+const downloadIcs = (text, name) => {
+    const blob = new Blob([text], { type: 'text/calendar' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.ics`;
+    a.click();
+    URL.revokeObjectURL(url);
+};
+
 export const downloadCalendarEvent = (title, description) => {
     // Current time as start, duration 1 hour (default)
     const now = new Date();
@@ -14,11 +24,38 @@ DTEND:${end}
 END:VEVENT
 END:VCALENDAR`;
 
-    const blob = new Blob([eventText], { type: 'text/calendar' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.ics`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadIcs(eventText, title);
+};
+
+const escapeIcsText = (text) => String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/([;,])/g, '\\$1')
+    .replace(/\n/g, '\\n');
+
+/**
+ * Download several all-day events as one .ics file.
+ * @param {string} name - file name (without extension)
+ * @param {Array<{uid: string, title: string, description?: string, date: string}>} events - date as YYYY-MM-DD
+ */
+export const downloadCalendarEvents = (name, events) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+    const vevents = events.map(event => {
+        const start = event.date.replace(/-/g, '');
+        const end = new Date(Date.parse(`${event.date}T00:00:00Z`) + 24 * 60 * 60 * 1000)
+            .toISOString().slice(0, 10).replace(/-/g, '');
+        return `BEGIN:VEVENT
+UID:${event.uid}@dailyeventai
+DTSTAMP:${stamp}
+SUMMARY:${escapeIcsText(event.title)}
+DESCRIPTION:${escapeIcsText(event.description)}
+DTSTART;VALUE=DATE:${start}
+DTEND;VALUE=DATE:${end}
+END:VEVENT`;
+    });
+
+    downloadIcs(`BEGIN:VCALENDAR
+VERSION:2.0
+PRODID:-//DailyEventAI//EN
+${vevents.join('\n')}
+END:VCALENDAR`, name);
 };
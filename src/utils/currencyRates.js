@@ -0,0 +1,208 @@
+/**
+ * Currency Rates
+ * Cross-rate conversion from open.er-api USD rates, a rolling local history
+ * of daily rates (the API only serves the latest), and remittance alerts
+ * such as "notify me when OMR→INR crosses 230".
+ *
+ * Alerts fire when the condition becomes true and re-arm once it is false
+ * again, like watchlist price alerts.
+ */
+
+const HISTORY_KEY = 'dailyEventAI_currencyHistory';
+const ALERTS_KEY = 'dailyEventAI_remittanceAlerts';
+
+export const HISTORY_DAYS = 30;
+
+// India–Gulf corridor first; codes as used by open.er-api
+export const CONVERTER_CURRENCIES = {
+    INR: { name: 'Indian Rupee', symbol: '₹' },
+    OMR: { name: 'Omani Rial', symbol: 'OMR ' },
+    USD: { name: 'US Dollar', symbol: '$' },
+    AED: { name: 'UAE Dirham', symbol: 'AED ' },
+    SAR: { name: 'Saudi Riyal', symbol: 'SAR ' },
+    QAR: { name: 'Qatari Riyal', symbol: 'QAR ' },
+    KWD: { name: 'Kuwaiti Dinar', symbol: 'KWD ' },
+    BHD: { name: 'Bahraini Dinar', symbol: 'BHD ' },
+    EUR: { name: 'Euro', symbol: '€' },
+    GBP: { name: 'British Pound', symbol: '£' },
+    SGD: { name: 'Singapore Dollar', symbol: 'S$' }
+};
+
+/**
+ * @typedef {Object} RemittanceAlert
+ * @property {string} id
+ * @property {string} from - e.g. 'OMR'
+ * @property {string} to - e.g. 'INR'
+ * @property {'above'|'below'} type
+ * @property {number} value - rate level (units of `to` per 1 `from`)
+ * @property {boolean} active - condition held at the last check
+ * @property {number|null} lastTriggered
+ */
+
+/** Keep only the converter currencies from an open.er-api `rates` object */
+export function pickRates(rates) {
+    const picked = {};
+    for (const code of Object.keys(CONVERTER_CURRENCIES)) {
+        if (Number.isFinite(rates?.[code]) && rates[code] > 0) picked[code] = rates[code];
+    }
+    return picked;
+}
+
+/**
+ * Units of `to` per 1 `from`, from USD-based rates.
+ * @returns {number|null}
+ */
+export function getCrossRate(rates, from, to) {
+    if (!rates?.[from] || !rates?.[to]) return null;
+    return rates[to] / rates[from];
+}
+
+export function convertAmount(amount, from, to, rates) {
+    const rate = getCrossRate(rates, from, to);
+    const value = Number(amount);
+    return rate == null || !Number.isFinite(value) ? null : value * rate;
+}
+
+/** Rates between 0.01 and 1 need more decimals to be useful (INR→OMR = 0.0044) */
+export function formatRate(rate) {
+    if (rate == null) return '-';
+    const digits = rate >= 100 ? 2 : rate >= 1 ? 3 : 5;
+    return rate.toLocaleString('en-IN', { maximumFractionDigits: digits });
+}
+
+// --- History ---
+
+export function getRateHistory() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveRateHistory(history) {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (e) {
+        console.warn('[Currency] Failed to save history:', e);
+    }
+}
+
+/**
+ * Insert or replace a day's rates (latest fetch wins), newest first, capped to HISTORY_DAYS.
+ * @param {Array<{date: string, rates: Object}>} history
+ * @param {{date: string, rates: Object}} day
+ */
+export function mergeRateDay(history, day) {
+    const rest = history.filter(entry => entry.date !== day.date);
+    return [day, ...rest]
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, HISTORY_DAYS);
+}
+
+/**
+ * Cross-rate series for a pair, oldest first (PriceChart points).
+ * @returns {Array<{t: number, v: number, date: string}>}
+ */
+export function getPairHistory(history, from, to) {
+    return [...history]
+        .reverse()
+        .map(entry => ({ date: entry.date, t: Date.parse(`${entry.date}T00:00:00Z`), v: getCrossRate(entry.rates, from, to) }))
+        .filter(point => point.v != null);
+}
+
+/**
+ * @returns {{current: number, first: number, changePercent: number, high: number, low: number, days: number}|null}
+ */
+export function summarizePair(history, from, to) {
+    const points = getPairHistory(history, from, to);
+    if (points.length === 0) return null;
+
+    const values = points.map(p => p.v);
+    const first = values[0];
+    const current = values[values.length - 1];
+    return {
+        current,
+        first,
+        changePercent: ((current - first) / first) * 100,
+        high: Math.max(...values),
+        low: Math.min(...values),
+        days: points.length
+    };
+}
+
+// --- Remittance alerts ---
+
+export function getRemittanceAlerts() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ALERTS_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveRemittanceAlerts(alerts) {
+    try {
+        localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts));
+    } catch (e) {
+        console.warn('[Currency] Failed to save alerts:', e);
+    }
+}
+
+/**
+ * @throws {Error} when the pair, type or value is invalid
+ */
+export function addRemittanceAlert(alerts, { from, to, type, value }) {
+    const level = Number(value);
+    if (!CONVERTER_CURRENCIES[from] || !CONVERTER_CURRENCIES[to] || from === to) throw new Error('Pick two different currencies');
+    if (type !== 'above' && type !== 'below') throw new Error(`Unknown alert type: ${type}`);
+    if (!(level > 0)) throw new Error('Enter a rate greater than 0');
+
+    return [...alerts, {
+        id: `r_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        from,
+        to,
+        type,
+        value: level,
+        active: false,
+        lastTriggered: null
+    }];
+}
+
+export function removeRemittanceAlert(alerts, id) {
+    return alerts.filter(alert => alert.id !== id);
+}
+
+/**
+ * Checks every alert against fresh rates.
+ * @param {RemittanceAlert[]} alerts
+ * @param {Object} rates - USD-based rates
+ * @returns {{alerts: RemittanceAlert[], triggered: Array<{alert: RemittanceAlert, rate: number}>}}
+ */
+export function evaluateRemittanceAlerts(alerts, rates, now = Date.now()) {
+    const triggered = [];
+
+    const updated = alerts.map(alert => {
+        const rate = getCrossRate(rates, alert.from, alert.to);
+        if (rate == null) return alert;
+
+        const holds = alert.type === 'above' ? rate >= alert.value : rate <= alert.value;
+        if (!holds || alert.active) return { ...alert, active: holds };
+
+        const next = { ...alert, active: true, lastTriggered: now };
+        triggered.push({ alert: next, rate });
+        return next;
+    });
+
+    return { alerts: updated, triggered };
+}
+
+/**
+ * e.g. "OMR→INR crossed above 230 (now 230.412)"
+ */
+export function describeRemittanceAlert({ alert, rate }) {
+    const direction = alert.type === 'above' ? 'crossed above' : 'fell below';
+    return `${alert.from}→${alert.to} ${direction} ${formatRate(alert.value)} (now ${formatRate(rate)})`;
+}
@@ -0,0 +1,100 @@
+import {
+    pickRates,
+    getCrossRate,
+    convertAmount,
+    formatRate,
+    mergeRateDay,
+    getPairHistory,
+    summarizePair,
+    addRemittanceAlert,
+    removeRemittanceAlert,
+    evaluateRemittanceAlerts,
+    describeRemittanceAlert,
+    HISTORY_DAYS
+} from './currencyRates.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const close = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+    const rates = { USD: 1, INR: 88, OMR: 0.385, AED: 3.6725 };
+
+    console.log('--- Starting Tests: Currency Rates ---');
+
+    // TEST 1: Cross rates and conversion
+    const picked = pickRates({ USD: 1, INR: 88, OMR: 0.385, JPY: 150, XYZ: 0 });
+    assert(picked.INR === 88 && picked.OMR === 0.385 && picked.JPY === undefined, 'Pick: only converter currencies');
+    assert(close(getCrossRate(rates, 'OMR', 'INR'), 88 / 0.385), 'Cross: OMR→INR via USD');
+    assert(close(getCrossRate(rates, 'AED', 'OMR'), 0.385 / 3.6725), 'Cross: AED→OMR');
+    assert(getCrossRate(rates, 'OMR', 'GBP') === null, 'Cross: missing currency');
+    assert(close(convertAmount(100, 'OMR', 'INR', rates), 100 * 88 / 0.385), 'Convert: 100 OMR in INR');
+    assert(convertAmount('abc', 'OMR', 'INR', rates) === null, 'Convert: invalid amount');
+    assert(formatRate(228.5714) === '228.57' && formatRate(0.004375) === '0.00438', 'Format: decimals scale with size');
+
+    // TEST 2: Rolling history
+    const dayRates = (inr) => ({ USD: 1, INR: inr, OMR: 0.385 });
+    let history = [];
+    for (let i = 0; i < HISTORY_DAYS + 5; i++) {
+        const date = new Date(Date.UTC(2026, 8, 1) + i * 86400000).toISOString().slice(0, 10);
+        history = mergeRateDay(history, { date, rates: dayRates(86 + i * 0.1) });
+    }
+    assert(history.length === HISTORY_DAYS, 'History: capped at 30 days');
+    assert(history[0].date === '2026-10-05', 'History: newest first');
+    history = mergeRateDay(history, { date: '2026-10-05', rates: dayRates(90) });
+    assert(history.length === HISTORY_DAYS && history[0].rates.INR === 90, 'History: same day replaced by latest fetch');
+
+    const points = getPairHistory(history, 'OMR', 'INR');
+    assert(points.length === HISTORY_DAYS && points[0].date < points[points.length - 1].date, 'Pair: oldest first');
+    assert(close(points[points.length - 1].v, 90 / 0.385), 'Pair: cross rate per day');
+
+    const summary = summarizePair(history, 'OMR', 'INR');
+    assert(close(summary.current, 90 / 0.385) && summary.days === HISTORY_DAYS, 'Summary: current rate and days');
+    assert(summary.changePercent > 0 && close(summary.high, summary.current), 'Summary: rising trend, high is current');
+    assert(summarizePair([], 'OMR', 'INR') === null, 'Summary: empty history');
+
+    // TEST 3: Remittance alerts
+    let alerts = addRemittanceAlert([], { from: 'OMR', to: 'INR', type: 'above', value: '230' });
+    alerts = addRemittanceAlert(alerts, { from: 'USD', to: 'INR', type: 'below', value: 87 });
+    assert(alerts.length === 2 && alerts[0].value === 230, 'Alerts: added with numeric level');
+
+    let threw = false;
+    try {
+        addRemittanceAlert(alerts, { from: 'INR', to: 'INR', type: 'above', value: 1 });
+    } catch {
+        threw = true;
+    }
+    assert(threw, 'Alerts: same currency rejected');
+
+    let result = evaluateRemittanceAlerts(alerts, { USD: 1, INR: 88, OMR: 0.385 }, 1000);
+    assert(result.triggered.length === 0, 'Evaluate: nothing crossed (228.57, 88)');
+
+    result = evaluateRemittanceAlerts(result.alerts, { USD: 1, INR: 88.6, OMR: 0.385 }, 2000);
+    assert(result.triggered.length === 1 && result.triggered[0].alert.lastTriggered === 2000, 'Evaluate: OMR→INR crossed 230');
+    assert(describeRemittanceAlert(result.triggered[0]) === 'OMR→INR crossed above 230 (now 230.13)', 'Describe: alert text');
+
+    result = evaluateRemittanceAlerts(result.alerts, { USD: 1, INR: 88.7, OMR: 0.385 }, 3000);
+    assert(result.triggered.length === 0, 'Evaluate: no repeat while still above');
+
+    result = evaluateRemittanceAlerts(result.alerts, { USD: 1, INR: 88, OMR: 0.385 }, 4000);
+    result = evaluateRemittanceAlerts(result.alerts, { USD: 1, INR: 88.6, OMR: 0.385 }, 5000);
+    assert(result.triggered.length === 1, 'Evaluate: re-arms after dropping back');
+
+    assert(removeRemittanceAlert(result.alerts, alerts[0].id).length === 1, 'Alerts: removed by id');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
@@ -49,7 +49,7 @@ async function tryChromeSummarizer(text) {
  * Simple extractive summarization using sentence scoring.
  * Scores sentences by word frequency (TF) and position.
  */
-function extractiveSummarize(text, count = 5) {
+export function extractiveSummarize(text, count = 5) {
     // Split into sentences
     const sentences = text
         .replace(/([.!?])\s+/g, '$1\n')
@@ -0,0 +1,143 @@
+/**
+ * Feed Cache — persistent per-feed cache keyed by feed URL.
+ * Stores the parsed raw items plus ETag/Last-Modified validators so a reload
+ * can serve fresh feeds without touching the network, and stale feeds can be
+ * revalidated with a conditional GET where the proxy passes headers through.
+ */
+
+const STORAGE_KEY = 'dailyEventAI_feedCache';
+const MAX_ITEMS_PER_FEED = 50;
+const MAX_FEEDS = 60;
+// Entries unused for this long are pruned on write
+const MAX_ENTRY_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_TTL_MINUTES = 30;
+
+/**
+ * Default TTLs by URL pattern (first match wins).
+ * Fast-moving aggregators are polled often; slow local outlets rarely.
+ */
+const FEED_TTL_RULES = [
+    { pattern: /news\.google\.com/i, minutes: 10 },
+    { pattern: /bing\.com\/news/i, minutes: 10 },
+    { pattern: /muscatdaily\.com/i, minutes: 180 },
+    { pattern: /thehindu\.com\/news\/cities/i, minutes: 60 },
+    { pattern: /bollywoodhungama|espn\.com/i, minutes: 45 }
+];
+
+/**
+ * @typedef {Object} FeedCacheEntry
+ * @property {string} title - Feed title
+ * @property {Array<Object>} items - Raw items as returned by proxyManager
+ * @property {string|null} etag
+ * @property {string|null} lastModified
+ * @property {number} fetchedAt - Last time the body was downloaded
+ * @property {number} checkedAt - Last time the feed was validated (200 or 304)
+ */
+
+function load() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : {};
+    } catch {
+        return {};
+    }
+}
+
+/** Drop stale entries, then the least recently checked until under MAX_FEEDS */
+function prune(data) {
+    const now = Date.now();
+    for (const [url, entry] of Object.entries(data)) {
+        if (now - (entry.checkedAt || 0) > MAX_ENTRY_AGE_MS) delete data[url];
+    }
+    const urls = Object.keys(data);
+    if (urls.length > MAX_FEEDS) {
+        urls.sort((a, b) => (data[a].checkedAt || 0) - (data[b].checkedAt || 0))
+            .slice(0, urls.length - MAX_FEEDS)
+            .forEach(url => delete data[url]);
+    }
+    return data;
+}
+
+function save(data) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch {
+        // Quota exceeded — evict the oldest half and retry once
+        const urls = Object.keys(data).sort((a, b) => (data[a].checkedAt || 0) - (data[b].checkedAt || 0));
+        urls.slice(0, Math.ceil(urls.length / 2)).forEach(url => delete data[url]);
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        } catch {
+            // still full — silent
+        }
+    }
+}
+
+/**
+ * TTL for a feed in minutes: user override, then URL rule, then default.
+ * @param {string} feedUrl
+ * @param {Object} [overrides] - settings.feedTTLMinutes map of url -> minutes
+ */
+export function getFeedTTL(feedUrl, overrides = {}) {
+    if (overrides && overrides[feedUrl] > 0) return overrides[feedUrl];
+    const rule = FEED_TTL_RULES.find(r => r.pattern.test(feedUrl));
+    return rule ? rule.minutes : DEFAULT_TTL_MINUTES;
+}
+
+const feedCache = {
+    /** @returns {FeedCacheEntry|null} */
+    get(feedUrl) {
+        return load()[feedUrl] || null;
+    },
+
+    /** True if the entry was validated within the feed's TTL */
+    isFresh(entry, feedUrl, overrides) {
+        if (!entry) return false;
+        return (Date.now() - entry.checkedAt) < getFeedTTL(feedUrl, overrides) * 60 * 1000;
+    },
+
+    /** Store a freshly downloaded feed body */
+    set(feedUrl, { title, items, etag = null, lastModified = null }) {
+        const data = prune(load());
+        const now = Date.now();
+        data[feedUrl] = {
+            title,
+            items: (items || []).slice(0, MAX_ITEMS_PER_FEED),
+            etag,
+            lastModified,
+            fetchedAt: now,
+            checkedAt: now
+        };
+        save(data);
+    },
+
+    /** Mark an entry as revalidated (HTTP 304) without replacing its items */
+    touch(feedUrl) {
+        const data = load();
+        if (!data[feedUrl]) return;
+        data[feedUrl].checkedAt = Date.now();
+        save(data);
+    },
+
+    /** Summary for the settings screen */
+    getStats(overrides) {
+        const data = load();
+        return Object.entries(data).map(([url, entry]) => ({
+            url,
+            title: entry.title,
+            itemCount: entry.items?.length || 0,
+            hasValidators: !!(entry.etag || entry.lastModified),
+            fetchedAt: entry.fetchedAt,
+            checkedAt: entry.checkedAt,
+            ttlMinutes: getFeedTTL(url, overrides),
+            isFresh: this.isFresh(entry, url, overrides)
+        }));
+    },
+
+    clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+};
+
+export default feedCache;
@@ -1,10 +1,9 @@
 /**
  * Feed Discovery Service
  * Tries to find RSS/Atom feeds from a given URL.
- * Uses a CORS proxy to fetch the HTML content.
+ * Uses the shared proxy registry to fetch the HTML content.
  */
-
-const CORS_PROXY = "https://api.allorigins.win/get?url=";
+import { proxyManager } from '../services/proxyManager.js';
 
 /**
  * Validates if a URL is likely an RSS feed
@@ -28,16 +27,14 @@ export const discoverFeeds = async (url) => {
         }
 
         // 2. Fetch HTML via Proxy
-        const encodedUrl = encodeURIComponent(url);
-        const response = await fetch(`${CORS_PROXY}${encodedUrl}`);
-        const data = await response.json();
+        const html = await proxyManager.fetchText(url);
 
-        if (!data.contents) {
+        if (!html) {
             throw new Error("Failed to fetch page content");
         }
 
         const parser = new DOMParser();
-        const doc = parser.parseFromString(data.contents, "text/html");
+        const doc = parser.parseFromString(html, "text/html");
         const feeds = [];
 
         // 3. Look for <link> tags
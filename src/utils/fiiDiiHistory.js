@@ -0,0 +1,124 @@
+/**
+ * FII/DII Flow History
+ * Parses the exchange's daily provisional institutional flow figures and
+ * keeps a rolling local history, since the source only publishes the
+ * latest trading day.
+ */
+
+const HISTORY_KEY = 'dailyEventAI_fiiDiiHistory';
+
+export const HISTORY_DAYS = 30;
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+function toNumber(value) {
+    const n = parseFloat(String(value ?? '').replace(/,/g, ''));
+    return Number.isFinite(n) ? n : null;
+}
+
+/** "17-Oct-2025" -> "2025-10-17" */
+function toIsoDate(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+    if (!match) return null;
+    const month = MONTHS[match[2].toLowerCase()];
+    if (!month) return null;
+    return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+function parseFlow(row) {
+    const buy = toNumber(row.buyValue);
+    const sell = toNumber(row.sellValue);
+    let net = toNumber(row.netValue);
+    if (buy == null || sell == null) return null;
+    if (net == null) net = Math.round((buy - sell) * 100) / 100;
+    return { buy, sell, net };
+}
+
+/**
+ * Parse the NSE provisional FII/DII response.
+ * Shape: [{ category: 'FII/FPI *', date: '17-Oct-2025', buyValue, sellValue, netValue }, { category: 'DII **', ... }]
+ * Values are in ₹ crore.
+ * @returns {{ date: string, fii: object, dii: object }}
+ * @throws {Error} when the response does not contain both categories
+ */
+export function parseNseFiiDii(rows) {
+    if (!Array.isArray(rows)) throw new Error('Unexpected FII/DII response');
+
+    let fii = null;
+    let dii = null;
+    let date = null;
+
+    for (const row of rows) {
+        const category = String(row?.category || '').toUpperCase();
+        const flow = parseFlow(row || {});
+        if (!flow) continue;
+        if (category.startsWith('FII') || category.includes('FPI')) fii = flow;
+        else if (category.startsWith('DII')) dii = flow;
+        date = date || toIsoDate(row.date);
+    }
+
+    if (!fii || !dii || !date) throw new Error('FII/DII figures missing from response');
+    return { date, fii, dii };
+}
+
+export function getFiiDiiHistory() {
+    try {
+        const stored = localStorage.getItem(HISTORY_KEY);
+        const parsed = stored ? JSON.parse(stored) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveFiiDiiHistory(history) {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (e) {
+        console.error('[FIIDII] Failed to save history', e);
+    }
+}
+
+/**
+ * Add (or replace) one day in the history.
+ * @returns {Array} newest first, at most HISTORY_DAYS entries
+ */
+export function mergeFiiDiiDay(history, day) {
+    return [day, ...(history || []).filter(d => d.date !== day.date)]
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, HISTORY_DAYS);
+}
+
+function sumNet(days, key) {
+    return Math.round(days.reduce((sum, d) => sum + (d[key]?.net || 0), 0) * 100) / 100;
+}
+
+/** Consecutive sessions (newest first) with the same sign of net flow */
+function streak(history, key) {
+    const first = history[0]?.[key]?.net;
+    if (first == null || first === 0) return null;
+    const buying = first > 0;
+    let days = 0;
+    for (const d of history) {
+        const net = d[key]?.net;
+        if (net == null || net === 0 || (net > 0) !== buying) break;
+        days++;
+    }
+    return { direction: buying ? 'buying' : 'selling', days };
+}
+
+/**
+ * Trend figures for the stored history (newest first).
+ */
+export function summarizeFiiDii(history) {
+    const week = history.slice(0, 5);
+    return {
+        days: history.length,
+        fiiNet5: sumNet(week, 'fii'),
+        diiNet5: sumNet(week, 'dii'),
+        fiiNetAll: sumNet(history, 'fii'),
+        diiNetAll: sumNet(history, 'dii'),
+        fiiStreak: streak(history, 'fii'),
+        diiStreak: streak(history, 'dii')
+    };
+}
@@ -0,0 +1,61 @@
+import { parseNseFiiDii, mergeFiiDiiDay, summarizeFiiDii, HISTORY_DAYS } from './fiiDiiHistory.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    console.log('--- Starting Tests: FII/DII History ---');
+
+    // TEST 1: Parsing the NSE provisional response
+    const day = parseNseFiiDii([
+        { category: 'DII **', date: '17-Oct-2025', buyValue: '13,567.11', sellValue: '10473.39', netValue: '3093.72' },
+        { category: 'FII/FPI *', date: '17-Oct-2025', buyValue: '11000.50', sellValue: '11308.70', netValue: '' }
+    ]);
+    assert(day.date === '2025-10-17', 'Parse: date converted to ISO');
+    assert(day.dii.buy === 13567.11 && day.dii.net === 3093.72, 'Parse: DII figures with thousands separators');
+    assert(day.fii.net === -308.2, 'Parse: missing net derived from buy - sell');
+
+    let threw = false;
+    try {
+        parseNseFiiDii([{ category: 'DII **', date: '17-Oct-2025', buyValue: '1', sellValue: '1', netValue: '0' }]);
+    } catch {
+        threw = true;
+    }
+    assert(threw, 'Parse: incomplete response rejected');
+
+    // TEST 2: History merge
+    const flow = (net) => ({ buy: 0, sell: 0, net });
+    let history = [];
+    for (let i = 1; i <= 35; i++) {
+        const date = new Date(Date.UTC(2025, 8, i)).toISOString().slice(0, 10);
+        history = mergeFiiDiiDay(history, { date, fii: flow(i <= 32 ? 100 : -50), dii: flow(10) });
+    }
+    assert(history.length === HISTORY_DAYS, `Merge: capped at ${HISTORY_DAYS} days`);
+    assert(history[0].date === '2025-10-05', 'Merge: newest first');
+
+    const replaced = mergeFiiDiiDay(history, { date: history[0].date, fii: flow(1), dii: flow(1) });
+    assert(replaced.length === HISTORY_DAYS && replaced[0].fii.net === 1, 'Merge: same day replaced, not duplicated');
+
+    // TEST 3: Summary
+    const summary = summarizeFiiDii(history);
+    assert(summary.fiiNet5 === 3 * -50 + 2 * 100, 'Summary: 5-session FII net');
+    assert(summary.diiNetAll === HISTORY_DAYS * 10, 'Summary: full-history DII net');
+    assert(summary.fiiStreak.direction === 'selling' && summary.fiiStreak.days === 3, 'Summary: FII selling streak');
+    assert(summary.diiStreak.days === HISTORY_DAYS, 'Summary: DII buying streak spans history');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
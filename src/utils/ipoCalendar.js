@@ -0,0 +1,365 @@
+/**
+ * IPO Calendar
+ * Turns scraped IPO table cells (ipowatch.in) into dated IPO records:
+ * open/close/listing days, price band, lot size, issue size, subscription
+ * and grey market premium. Also builds Up Ahead planner reminders and
+ * .ics events for an IPO's key days.
+ */
+
+import plannerStorage from './plannerStorage.js';
+import { formatCountdown, isTradingDay, toIst, fromIst, shiftDay } from './marketCalendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LISTING_TRADING_DAYS = 3; // T+3 listing after the issue closes
+
+// Bidding opens at 10:00 and UPI mandates close at 17:00 IST; listings go live at 10:00
+const MILESTONE_MINUTES = { open: 10 * 60, close: 17 * 60, listing: 10 * 60 };
+
+const MILESTONE_LABELS = {
+    open: { upcoming: 'Opens', past: 'Opened', reminder: 'IPO opens' },
+    close: { upcoming: 'Closes', past: 'Closed', reminder: 'IPO closes' },
+    listing: { upcoming: 'Lists', past: 'Listed', reminder: 'IPO lists' }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Header text → field, checked in order (first match wins per column)
+const COLUMN_PATTERNS = [
+    ['subscription', /subscri/],
+    ['gmp', /gmp|grey|premium/],
+    ['listingGain', /gain/],
+    ['listingDate', /listing/],
+    ['closeDate', /close/],
+    ['openDate', /open/],
+    ['date', /date/],
+    ['lotSize', /lot/],
+    ['priceBand', /price/],
+    ['issueSize', /size/],
+    ['type', /type|segment|board/],
+    ['status', /status/],
+    ['name', /name|company|ipo/]
+];
+
+function toIsoDay(year, month, day) {
+    return new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+}
+
+function parseNumber(text) {
+    const match = String(text || '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+/** Day/month/year pieces of one side of a date range ("Oct 20", "22, 2026") */
+function parseDateParts(text) {
+    const parts = {};
+    for (const token of text.split(/[\s,./]+/).filter(Boolean)) {
+        const month = MONTHS.indexOf(token.slice(0, 3));
+        if (month !== -1 && /^[a-z]+$/.test(token)) {
+            parts.month = month;
+        } else if (/^\d{4}$/.test(token)) {
+            parts.year = parseInt(token, 10);
+        } else if (/^\d{1,2}$/.test(token) && parseInt(token, 10) <= 31) {
+            parts.day = parseInt(token, 10);
+        }
+    }
+    return parts;
+}
+
+/** Year closest to `now` for a month/day given without one */
+function inferYear(month, day, now) {
+    const year = Number(toIst(now).day.slice(0, 4));
+    const candidate = Date.UTC(year, month, day);
+    const halfYear = 183 * DAY_MS;
+    if (candidate < now - halfYear) return year + 1;
+    if (candidate > now + halfYear) return year - 1;
+    return year;
+}
+
+/**
+ * Parse an IPO date or date range into IST calendar days.
+ * Handles "Oct 20-22, 2026", "20-22 Oct", "29 Sep - 1 Oct", "Oct 20 to Oct 22"
+ * and single days; returns nulls for "TBA"/unparseable text.
+ * @returns {{open: string|null, close: string|null}} YYYY-MM-DD
+ */
+export function parseIPODateRange(text, now = Date.now()) {
+    const cleaned = String(text || '')
+        .toLowerCase()
+        .replace(/[–—]/g, '-')
+        .replace(/(\d)(st|nd|rd|th)\b/g, '$1');
+
+    const halves = cleaned.split(/\s*(?:-|\bto\b)\s*/).filter(Boolean).slice(0, 2);
+    const [start, end] = halves.map(parseDateParts);
+    if (!start || start.day === undefined) return { open: null, close: null };
+
+    if (end) {
+        if (start.month === undefined) start.month = end.month;
+        if (end.month === undefined) end.month = start.month;
+        if (start.year === undefined) start.year = end.year;
+    }
+    if (start.month === undefined) return { open: null, close: null };
+    if (start.year === undefined) start.year = inferYear(start.month, start.day, now);
+
+    const open = toIsoDay(start.year, start.month, start.day);
+    if (!end || end.day === undefined) return { open, close: null };
+
+    let closeYear = end.year ?? start.year;
+    // "Dec 30 - Jan 2" rolls into the next year
+    if (end.year === undefined && Date.UTC(closeYear, end.month, end.day) < Date.UTC(start.year, start.month, start.day)) {
+        closeYear++;
+    }
+    return { open, close: toIsoDay(closeYear, end.month, end.day) };
+}
+
+/** "₹95 to ₹100" / "₹95-100" / "100" → { min, max } */
+export function parsePriceBand(text) {
+    const numbers = (String(text || '').replace(/,/g, '').match(/\d+(\.\d+)?/g) || []).map(Number);
+    if (numbers.length === 0) return null;
+    return { min: Math.min(...numbers.slice(0, 2)), max: Math.max(...numbers.slice(0, 2)) };
+}
+
+/** "150 Shares" → 150 */
+export function parseLotSize(text) {
+    const value = parseNumber(text);
+    return value && value > 0 ? Math.round(value) : null;
+}
+
+/** "₹1,250.50 Cr" → 1250.5 (crores); lakh amounts are converted */
+export function parseIssueSize(text) {
+    const value = parseNumber(text);
+    if (!value || value <= 0) return null;
+    return /lakh|lac/i.test(text) ? value / 100 : value;
+}
+
+/** "12.34x" / "12.34 times" → 12.34 */
+export function parseSubscription(text) {
+    const value = parseNumber(text);
+    return value !== null && value >= 0 ? value : null;
+}
+
+/** "₹45 (12.5%)" → { premium: 45, percent: 12.5 }; percent falls back to the price band */
+export function parseGMP(text, priceBand = null) {
+    const cleaned = String(text || '').replace(/,/g, '');
+    const premium = parseNumber(cleaned.replace(/\([^)]*\)/g, ''));
+    if (premium === null) return null;
+
+    const percentMatch = cleaned.match(/(-?\d+(\.\d+)?)\s*%/);
+    let percent = percentMatch ? parseFloat(percentMatch[1]) : null;
+    if (percent === null && priceBand?.max) {
+        percent = Math.round((premium / priceBand.max) * 1000) / 10;
+    }
+    return { premium, percent };
+}
+
+/** Listing day: the third trading day after the issue closes */
+export function estimateListingDate(closeDate) {
+    if (!closeDate) return null;
+    let day = closeDate;
+    let tradingDays = 0;
+    for (let i = 0; i < 15 && tradingDays < LISTING_TRADING_DAYS; i++) {
+        day = shiftDay(day, 1);
+        if (isTradingDay(day)) tradingDays++;
+    }
+    return day;
+}
+
+function getMilestoneTime(day, kind) {
+    return fromIst(day, MILESTONE_MINUTES[kind]);
+}
+
+/** Status from the bidding window, falling back to the scraped status text */
+export function getIPOStatus(ipo, now = Date.now()) {
+    if (ipo.openDate) {
+        if (now < getMilestoneTime(ipo.openDate, 'open')) return 'upcoming';
+        if (now < getMilestoneTime(ipo.closeDate || ipo.openDate, 'close')) return 'live';
+        return 'recent';
+    }
+
+    const text = String(ipo.statusText || '').toLowerCase();
+    if (text.includes('live') || text.includes('open')) return 'live';
+    if (text.includes('close') || text.includes('listed')) return 'recent';
+    return 'upcoming';
+}
+
+/**
+ * Map table header texts to field names.
+ * @returns {Object<string, number>} field → column index
+ */
+export function mapIPOColumns(headers) {
+    const columns = {};
+    headers.forEach((header, index) => {
+        const text = String(header || '').toLowerCase();
+        const match = COLUMN_PATTERNS.find(([field, pattern]) => columns[field] === undefined && pattern.test(text));
+        if (match) columns[match[0]] = index;
+    });
+    return columns;
+}
+
+/** Normalized name used to match rows across ipowatch tables */
+export function getIPOKey(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/\b(ipo|sme|limited|ltd|nse|bse)\b/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/** "Acme Tech SME IPO" → "Acme Tech SME" so titles don't read "IPO IPO opens" */
+function getIssuerName(ipo) {
+    return String(ipo.name || '').replace(/\s+ipo$/i, '');
+}
+
+function formatRupees(value) {
+    return `₹${value.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Build an IPO record from one table row.
+ * Without a recognised header row the legacy Name | Status | Date layout is assumed.
+ * @param {string[]} cells - cell texts
+ * @param {Object} columns - result of mapIPOColumns
+ */
+export function parseIPORow(cells, columns, now = Date.now()) {
+    const cell = (field) => (columns[field] !== undefined ? cells[columns[field]]?.trim() || '' : '');
+    const hasHeaders = columns.name !== undefined;
+
+    const name = (hasHeaders ? cell('name') : cells[0]?.trim()) || 'Unknown';
+    const statusText = hasHeaders ? cell('status') : cells[1]?.trim();
+    const dateText = hasHeaders ? (cell('date') || cell('openDate')) : cells[2]?.trim();
+
+    let { open, close } = parseIPODateRange(dateText, now);
+    if (columns.closeDate !== undefined) {
+        close = parseIPODateRange(cell('closeDate'), now).open || close;
+    }
+    const listedOn = parseIPODateRange(cell('listingDate'), now).open;
+
+    const priceBand = parsePriceBand(cell('priceBand'));
+    const issueSizeCr = parseIssueSize(cell('issueSize'));
+
+    const ipo = {
+        id: getIPOKey(name),
+        name,
+        statusText: statusText || '',
+        dateText: dateText || 'TBA',
+        openDate: open,
+        closeDate: close,
+        listingDate: listedOn || estimateListingDate(close),
+        listingEstimated: !listedOn && !!close,
+        isSME: /sme/i.test(name) || /sme/i.test(cell('type')),
+        priceBand,
+        issuePrice: priceBand
+            ? (priceBand.min === priceBand.max ? formatRupees(priceBand.max) : `${formatRupees(priceBand.min)}–${priceBand.max}`)
+            : null,
+        lotSize: parseLotSize(cell('lotSize')),
+        issueSizeCr,
+        issueSize: issueSizeCr ? `${formatRupees(issueSizeCr)} Cr` : '-',
+        subscription: parseSubscription(cell('subscription')),
+        gmp: parseGMP(cell('gmp'), priceBand)
+    };
+    ipo.status = getIPOStatus(ipo, now);
+    return ipo;
+}
+
+/**
+ * Fill gaps in `ipo` from a matching row of another table (GMP/subscription).
+ * Fields already present on `ipo` win.
+ */
+export function mergeIPODetails(ipo, extra) {
+    if (!extra) return ipo;
+    const merged = { ...ipo };
+    for (const field of ['priceBand', 'issuePrice', 'lotSize', 'issueSizeCr', 'subscription', 'gmp']) {
+        if (merged[field] == null && extra[field] != null) merged[field] = extra[field];
+    }
+    if (merged.issueSize === '-' && extra.issueSize !== '-') merged.issueSize = extra.issueSize;
+    if (merged.gmp && merged.gmp.percent === null && merged.priceBand?.max) {
+        merged.gmp = parseGMP(String(merged.gmp.premium), merged.priceBand);
+    }
+    return merged;
+}
+
+/**
+ * Open, close and listing days of an IPO that have a date.
+ * @returns {Array<{kind: 'open'|'close'|'listing', date: string, at: number, estimated: boolean}>}
+ */
+export function getIPOMilestones(ipo) {
+    return ['open', 'close', 'listing']
+        .map(kind => ({ kind, date: ipo[`${kind}Date`] }))
+        .filter(m => m.date)
+        .map(m => ({
+            ...m,
+            at: getMilestoneTime(m.date, m.kind),
+            estimated: m.kind === 'listing' && !!ipo.listingEstimated
+        }));
+}
+
+/**
+ * Countdown to the IPO's next milestone ("Closes in 1d 4h").
+ * @returns {{kind: string, label: string, ms: number}|null}
+ */
+export function getIPOCountdown(ipo, now = Date.now()) {
+    const next = getIPOMilestones(ipo).find(m => m.at > now);
+    if (!next) return null;
+    const ms = next.at - now;
+    const approx = next.estimated ? '~' : '';
+    return { kind: next.kind, ms, label: `${MILESTONE_LABELS[next.kind].upcoming} in ${approx}${formatCountdown(ms)}` };
+}
+
+/** "20 Oct" for an IST day key */
+export function formatIPODate(day) {
+    if (!day) return 'TBA';
+    const date = new Date(`${day}T00:00:00Z`);
+    return `${date.getUTCDate()} ${date.toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' })}`;
+}
+
+/**
+ * Planner entries for the IPO's upcoming milestones.
+ * @returns {Array<{date: string, item: Object}>}
+ */
+export function getIPOReminders(ipo, now = Date.now()) {
+    const today = toIst(now).day;
+    return getIPOMilestones(ipo)
+        .filter(m => m.date >= today)
+        .map(m => ({
+            date: m.date,
+            item: {
+                id: `ipo-${ipo.id || getIPOKey(ipo.name)}-${m.kind}`,
+                title: `${getIssuerName(ipo)} ${MILESTONE_LABELS[m.kind].reminder}${m.estimated ? ' (expected)' : ''}`,
+                category: 'ipo',
+                reminder: true,
+                link: ipo.link || null
+            }
+        }));
+}
+
+/** Add the IPO's open/close/listing days to the Up Ahead planner */
+export function addIPOReminders(ipo) {
+    const reminders = getIPOReminders(ipo);
+    reminders.forEach(({ date, item }) => plannerStorage.addItem(date, item));
+    console.log(`[IPO] Added ${reminders.length} reminders for ${ipo.name}`);
+    return reminders.length;
+}
+
+export function removeIPOReminders(ipo) {
+    getIPOReminders(ipo).forEach(({ date, item }) => plannerStorage.removeItem(date, item.id));
+}
+
+export function hasIPOReminders(ipo) {
+    const reminders = getIPOReminders(ipo);
+    return reminders.length > 0 &&
+        reminders.every(({ date, item }) => plannerStorage.getDay(date).some(i => i.id === item.id));
+}
+
+/** All-day calendar events for downloadCalendarEvents */
+export function getIPOCalendarEvents(ipo) {
+    const details = [
+        ipo.issuePrice && `Price band: ${ipo.issuePrice}`,
+        ipo.lotSize && `Lot size: ${ipo.lotSize} shares`,
+        ipo.issueSize !== '-' && `Issue size: ${ipo.issueSize}`
+    ].filter(Boolean).join('\n');
+
+    return getIPOMilestones(ipo).map(m => ({
+        uid: `ipo-${ipo.id || getIPOKey(ipo.name)}-${m.kind}`,
+        title: `${getIssuerName(ipo)} ${MILESTONE_LABELS[m.kind].reminder}${m.estimated ? ' (expected)' : ''}`,
+        description: details,
+        date: m.date
+    }));
+}
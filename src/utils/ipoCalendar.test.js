@@ -0,0 +1,127 @@
+import {
+    parseIPODateRange,
+    parsePriceBand,
+    parseLotSize,
+    parseIssueSize,
+    parseSubscription,
+    parseGMP,
+    estimateListingDate,
+    getIPOStatus,
+    mapIPOColumns,
+    parseIPORow,
+    mergeIPODetails,
+    getIPOCountdown,
+    getIPOReminders,
+    getIPOCalendarEvents
+} from './ipoCalendar.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    // IST wall-clock time -> epoch ms
+    const ist = (iso) => Date.parse(`${iso}+05:30`);
+    const now = ist('2026-10-19T12:00:00');
+
+    console.log('--- Starting Tests: IPO Calendar ---');
+
+    // TEST 1: Date ranges
+    let range = parseIPODateRange('Oct 20-22, 2026', now);
+    assert(range.open === '2026-10-20' && range.close === '2026-10-22', 'Dates: "Oct 20-22, 2026"');
+    range = parseIPODateRange('20–22 Oct', now);
+    assert(range.open === '2026-10-20' && range.close === '2026-10-22', 'Dates: "20–22 Oct" infers the year');
+    range = parseIPODateRange('29th Sep - 1st Oct', now);
+    assert(range.open === '2026-09-29' && range.close === '2026-10-01', 'Dates: range across months');
+    range = parseIPODateRange('Dec 30 to Jan 2', now);
+    assert(range.open === '2026-12-30' && range.close === '2027-01-02', 'Dates: range across the new year');
+    range = parseIPODateRange('Feb 3-5', now);
+    assert(range.open === '2027-02-03', 'Dates: early-year dates roll forward');
+    range = parseIPODateRange('24 Oct 2026', now);
+    assert(range.open === '2026-10-24' && range.close === null, 'Dates: single day');
+    range = parseIPODateRange('TBA', now);
+    assert(range.open === null && range.close === null, 'Dates: TBA is unparsed');
+
+    // TEST 2: Issue details
+    const band = parsePriceBand('₹95 to ₹100');
+    assert(band.min === 95 && band.max === 100, 'Price band: range');
+    assert(parsePriceBand('₹1,020').max === 1020, 'Price band: single price with comma');
+    assert(parsePriceBand('-') === null, 'Price band: missing');
+    assert(parseLotSize('150 Shares') === 150, 'Lot size: shares');
+    assert(parseIssueSize('₹1,250.50 Cr') === 1250.5, 'Issue size: crores');
+    assert(parseIssueSize('₹850 Lakh') === 8.5, 'Issue size: lakh converted to crores');
+    assert(parseSubscription('12.34x') === 12.34, 'Subscription: multiple');
+    assert(parseSubscription('-') === null, 'Subscription: missing');
+    let gmp = parseGMP('₹45 (12.5%)');
+    assert(gmp.premium === 45 && gmp.percent === 12.5, 'GMP: premium and percent');
+    gmp = parseGMP('₹-5', { min: 95, max: 100 });
+    assert(gmp.premium === -5 && gmp.percent === -5, 'GMP: negative premium, percent from price band');
+
+    // TEST 3: Listing date (T+3 trading days, skipping weekends)
+    assert(estimateListingDate('2026-10-22') === '2026-10-27', 'Listing: Thursday close lists Tuesday');
+    assert(estimateListingDate(null) === null, 'Listing: no close date');
+
+    // TEST 4: Status from dates
+    assert(getIPOStatus({ openDate: '2026-10-20', closeDate: '2026-10-22' }, now) === 'upcoming', 'Status: upcoming before open');
+    assert(getIPOStatus({ openDate: '2026-10-16', closeDate: '2026-10-20' }, now) === 'live', 'Status: live while open');
+    assert(getIPOStatus({ openDate: '2026-10-12', closeDate: '2026-10-14' }, now) === 'recent', 'Status: recent after close');
+    assert(getIPOStatus({ openDate: '2026-10-19', closeDate: '2026-10-21' }, ist('2026-10-19T09:00:00')) === 'upcoming',
+        'Status: upcoming until bidding opens at 10:00');
+    assert(getIPOStatus({ openDate: '2026-10-15', closeDate: '2026-10-19' }, ist('2026-10-19T17:30:00')) === 'recent',
+        'Status: recent after bidding closes at 17:00');
+    assert(getIPOStatus({ openDate: null, statusText: 'Open' }, now) === 'live', 'Status: falls back to status text');
+
+    // TEST 5: Table rows
+    const columns = mapIPOColumns(['IPO Name', 'IPO Date', 'Issue Size', 'Price Band', 'Lot Size', 'Listing Gain']);
+    assert(columns.name === 0 && columns.date === 1 && columns.issueSize === 2 && columns.priceBand === 3 && columns.lotSize === 4,
+        'Columns: mapped by header text');
+    assert(columns.listingDate === undefined, 'Columns: listing gain is not a listing date');
+
+    const row = parseIPORow(['Acme Tech SME IPO', 'Oct 20-22', '₹45 Cr', '₹95-100', '1200 Shares'], columns, now);
+    assert(row.id === 'acme-tech', 'Row: id from normalized name');
+    assert(row.openDate === '2026-10-20' && row.closeDate === '2026-10-22', 'Row: open and close dates');
+    assert(row.listingDate === '2026-10-27' && row.listingEstimated, 'Row: estimated listing date');
+    assert(row.isSME && row.status === 'upcoming', 'Row: SME upcoming issue');
+    assert(row.issuePrice === '₹95–100' && row.lotSize === 1200 && row.issueSize === '₹45 Cr', 'Row: price band, lot and size');
+
+    const legacy = parseIPORow(['Beta Ltd', 'Closed', 'TBA'], mapIPOColumns(['', '', '']), now);
+    assert(legacy.name === 'Beta Ltd' && legacy.status === 'recent' && legacy.openDate === null, 'Row: legacy layout without headers');
+
+    const gmpColumns = mapIPOColumns(['IPO', 'GMP', 'Subscription']);
+    const extra = parseIPORow(['Acme Tech', '₹20', '35.2x'], gmpColumns, now);
+    const merged = mergeIPODetails(row, extra);
+    assert(merged.subscription === 35.2, 'Merge: subscription from the GMP table');
+    assert(merged.gmp.premium === 20 && merged.gmp.percent === 20, 'Merge: GMP percent from the price band');
+    assert(merged.openDate === '2026-10-20', 'Merge: keeps the issue dates');
+
+    // TEST 6: Countdowns
+    assert(getIPOCountdown(row, now).label === 'Opens in 22h 00m', 'Countdown: opens at 10:00 IST');
+    assert(getIPOCountdown(row, ist('2026-10-21T09:00:00')).label === 'Closes in 1d 8h', 'Countdown: closes at 17:00 IST');
+    assert(getIPOCountdown(row, ist('2026-10-23T10:00:00')).label === 'Lists in ~4d 0h', 'Countdown: estimated listing');
+    assert(getIPOCountdown(row, ist('2026-10-28T10:00:00')) === null, 'Countdown: none after listing');
+
+    // TEST 7: Reminders and calendar events
+    const reminders = getIPOReminders(row, now);
+    assert(reminders.length === 3, 'Reminders: open, close and listing');
+    assert(reminders[1].date === '2026-10-22' && reminders[1].item.id === 'ipo-acme-tech-close', 'Reminders: close day item');
+    assert(reminders[2].item.title === 'Acme Tech SME IPO lists (expected)', 'Reminders: estimated listing is marked');
+    assert(getIPOReminders(row, ist('2026-10-21T12:00:00')).length === 2, 'Reminders: past days are skipped');
+    const events = getIPOCalendarEvents(row);
+    assert(events.length === 3 && events[0].date === '2026-10-20' && events[0].description.includes('Lot size: 1200'),
+        'Calendar: all-day events with issue details');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
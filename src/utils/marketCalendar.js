@@ -0,0 +1,288 @@
+/**
+ * NSE/BSE Exchange Calendar
+ * Equity-segment trading sessions in IST (both exchanges share one calendar):
+ * - Pre-open: 09:00 - 09:15
+ * - Normal market: 09:15 - 15:30, Monday to Friday
+ * - Closed on weekends and exchange-declared trading holidays
+ * - Muhurat trading: a one-hour evening/afternoon session on Diwali
+ * - Special sessions: occasional weekend trading days (e.g. Union Budget)
+ *
+ * Holiday and muhurat dates come from the NSE circulars and need a yearly update.
+ */
+
+export const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKAHEAD_DAYS = 15;
+
+const PRE_OPEN_START = 9 * 60;      // 09:00
+const MARKET_OPEN = 9 * 60 + 15;    // 09:15
+const MARKET_CLOSE = 15 * 60 + 30;  // 15:30
+const MUHURAT_PRE_OPEN_MINUTES = 15;
+
+export const MARKET_HOLIDAYS = {
+    // 2025
+    '2025-02-26': 'Mahashivratri',
+    '2025-03-14': 'Holi',
+    '2025-03-31': 'Id-Ul-Fitr (Ramadan Eid)',
+    '2025-04-10': 'Shri Mahavir Jayanti',
+    '2025-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+    '2025-04-18': 'Good Friday',
+    '2025-05-01': 'Maharashtra Day',
+    '2025-08-15': 'Independence Day',
+    '2025-08-27': 'Ganesh Chaturthi',
+    '2025-10-02': 'Mahatma Gandhi Jayanti / Dussehra',
+    '2025-10-21': 'Diwali Laxmi Pujan',
+    '2025-10-22': 'Diwali Balipratipada',
+    '2025-11-05': 'Prakash Gurpurb Sri Guru Nanak Dev',
+    '2025-12-25': 'Christmas',
+    // 2026
+    '2026-01-15': 'Municipal Corporation Elections (Maharashtra)',
+    '2026-01-26': 'Republic Day',
+    '2026-03-03': 'Holi',
+    '2026-03-26': 'Shri Ram Navami',
+    '2026-03-31': 'Shri Mahavir Jayanti',
+    '2026-04-03': 'Good Friday',
+    '2026-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+    '2026-05-01': 'Maharashtra Day',
+    '2026-05-28': 'Bakri Id',
+    '2026-06-26': 'Muharram',
+    '2026-09-14': 'Ganesh Chaturthi',
+    '2026-10-02': 'Mahatma Gandhi Jayanti',
+    '2026-10-20': 'Dussehra',
+    '2026-11-10': 'Diwali Balipratipada',
+    '2026-11-24': 'Prakash Gurpurb Sri Guru Nanak Dev',
+    '2026-12-25': 'Christmas'
+};
+
+/** Diwali muhurat sessions, minutes after midnight IST */
+export const MUHURAT_SESSIONS = {
+    '2025-10-21': { start: 13 * 60 + 45, end: 14 * 60 + 45 },
+    // Provisional until the NSE circular confirms the timing
+    '2026-11-08': { start: 18 * 60, end: 19 * 60 }
+};
+
+/** Weekend days with a full normal session */
+export const SPECIAL_SESSIONS = {
+    '2025-02-01': 'Union Budget',
+    '2026-02-01': 'Union Budget'
+};
+
+/** Quote refresh cadence while a session is running */
+export const REFRESH_MINUTES = {
+    pre_open: 5,
+    open: 5,
+    muhurat: 5
+};
+
+const SESSION_LABELS = {
+    pre_open: 'Pre-open',
+    open: 'Open',
+    muhurat: 'Muhurat trading',
+    closed: 'Closed'
+};
+
+/** IST calendar day ("YYYY-MM-DD") and minutes since IST midnight */
+export function toIst(ms) {
+    const ist = new Date(ms + IST_OFFSET_MS);
+    return {
+        day: ist.toISOString().slice(0, 10),
+        minutes: ist.getUTCHours() * 60 + ist.getUTCMinutes() + ist.getUTCSeconds() / 60
+    };
+}
+
+/** Timestamp of `minutes` past IST midnight on a "YYYY-MM-DD" day */
+export function fromIst(day, minutes) {
+    return Date.parse(`${day}T00:00:00Z`) + minutes * 60 * 1000 - IST_OFFSET_MS;
+}
+
+/** "YYYY-MM-DD" `delta` calendar days later (or earlier) */
+export function shiftDay(day, delta) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + delta * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Trading sessions on an IST calendar day, in order.
+ * @returns {Array<{type: 'pre_open'|'open'|'muhurat', start: number, end: number}>} minutes IST
+ */
+export function getSessions(day) {
+    const muhurat = MUHURAT_SESSIONS[day];
+    if (muhurat) {
+        return [
+            { type: 'pre_open', start: muhurat.start - MUHURAT_PRE_OPEN_MINUTES, end: muhurat.start },
+            { type: 'muhurat', start: muhurat.start, end: muhurat.end }
+        ];
+    }
+
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    const weekend = weekday === 0 || weekday === 6;
+    if ((weekend && !SPECIAL_SESSIONS[day]) || MARKET_HOLIDAYS[day]) return [];
+
+    return [
+        { type: 'pre_open', start: PRE_OPEN_START, end: MARKET_OPEN },
+        { type: 'open', start: MARKET_OPEN, end: MARKET_CLOSE }
+    ];
+}
+
+export function isTradingDay(day) {
+    return getSessions(day).length > 0;
+}
+
+/** Next session starting after `ms`, looking up to LOOKAHEAD_DAYS ahead */
+function findNextSession(ms, predicate = () => true) {
+    const { day, minutes } = toIst(ms);
+    for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+        const d = shiftDay(day, i);
+        const session = getSessions(d).find(s => predicate(s) && (i > 0 || s.start > minutes));
+        if (session) return { ...session, day: d, startMs: fromIst(d, session.start), endMs: fromIst(d, session.end) };
+    }
+    return null;
+}
+
+/** End of the most recent trading (non pre-open) session at or before `ms` */
+function findLastClose(ms) {
+    const { day, minutes } = toIst(ms);
+    for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+        const d = shiftDay(day, -i);
+        const ended = getSessions(d)
+            .filter(s => s.type !== 'pre_open' && (i > 0 || s.end <= minutes))
+            .pop();
+        if (ended) return fromIst(d, ended.end);
+    }
+    return null;
+}
+
+/**
+ * Exchange status at a point in time.
+ * @param {number|Date} now
+ * @returns {{
+ *   state: 'pre_open'|'open'|'muhurat'|'closed',
+ *   label: string,
+ *   isTrading: boolean,
+ *   reason: 'weekend'|'holiday'|'before_open'|'after_close'|null,
+ *   holiday: string|null,
+ *   opensAt: number|null,
+ *   closesAt: number|null,
+ *   lastClose: number|null,
+ *   nextSession: string|null
+ * }}
+ */
+export function getMarketStatus(now = Date.now()) {
+    const ms = typeof now === 'number' ? now : now.getTime();
+    const { day, minutes } = toIst(ms);
+    const sessions = getSessions(day);
+    const current = sessions.find(s => minutes >= s.start && minutes < s.end);
+
+    if (current) {
+        // Pre-open runs straight into the session that follows it
+        const closing = sessions[sessions.length - 1];
+        const next = current.type === 'pre_open' ? sessions[sessions.indexOf(current) + 1] : null;
+        return {
+            state: current.type,
+            label: SESSION_LABELS[current.type],
+            isTrading: current.type !== 'pre_open',
+            reason: null,
+            holiday: null,
+            opensAt: next ? fromIst(day, next.start) : null,
+            closesAt: fromIst(day, closing.end),
+            lastClose: findLastClose(ms),
+            nextSession: next?.type || null
+        };
+    }
+
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    let reason = 'after_close';
+    if (sessions.length === 0) reason = MARKET_HOLIDAYS[day] ? 'holiday' : 'weekend';
+    else if (minutes < sessions[0].start) reason = 'before_open';
+    else if (weekday === 0 || weekday === 6) reason = 'weekend';
+
+    const next = findNextSession(ms, s => s.type !== 'pre_open');
+
+    return {
+        state: 'closed',
+        label: SESSION_LABELS.closed,
+        isTrading: false,
+        reason,
+        holiday: MARKET_HOLIDAYS[day] || null,
+        opensAt: next?.startMs ?? null,
+        closesAt: null,
+        lastClose: findLastClose(ms),
+        nextSession: next?.type || null
+    };
+}
+
+/**
+ * Quote refresh interval for the current state.
+ * @returns {number|null} minutes, or null when the exchange is closed
+ */
+export function getRefreshMinutes(status) {
+    return REFRESH_MINUTES[status.state] ?? null;
+}
+
+/**
+ * When the status next changes (pre-open starting, open, close).
+ * Used to wake up a sleeping poller.
+ * @returns {number|null} epoch ms
+ */
+export function getNextTransition(now = Date.now()) {
+    const ms = typeof now === 'number' ? now : now.getTime();
+    const status = getMarketStatus(ms);
+    if (status.state !== 'closed') return status.opensAt ?? status.closesAt;
+    return findNextSession(ms)?.startMs ?? null;
+}
+
+/**
+ * Whether a quote timestamp is out of date. While the exchange is closed a
+ * quote from around the last close is current, however old it is.
+ * @param {number} timestamp
+ * @param {number} maxAgeMs - allowed age while trading
+ */
+export function isQuoteStale(timestamp, maxAgeMs, status, now = Date.now()) {
+    if (!timestamp) return true;
+    if (status.state === 'closed' && status.lastClose) {
+        return timestamp < status.lastClose - maxAgeMs;
+    }
+    return now - timestamp > maxAgeMs;
+}
+
+/** e.g. "42m", "3h 05m", "2d 4h" */
+export function formatCountdown(ms) {
+    const totalMinutes = Math.max(0, Math.ceil(ms / 60000));
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    return `${minutes}m`;
+}
+
+/**
+ * One-line status, e.g. "Open · closes in 1h 12m" or
+ * "Closed (Diwali Balipratipada) · opens in 2d 3h"
+ */
+export function describeMarketStatus(status, now = Date.now()) {
+    if (status.state === 'pre_open') {
+        return `Pre-open · ${status.nextSession === 'muhurat' ? 'muhurat' : 'opens'} in ${formatCountdown(status.opensAt - now)}`;
+    }
+    if (status.state !== 'closed') {
+        return `${status.label} · closes in ${formatCountdown(status.closesAt - now)}`;
+    }
+
+    const why = status.reason === 'holiday' ? ` (${status.holiday})` : status.reason === 'weekend' ? ' (weekend)' : '';
+    const next = status.opensAt
+        ? ` · ${status.nextSession === 'muhurat' ? 'muhurat session' : 'opens'} in ${formatCountdown(status.opensAt - now)}`
+        : '';
+    return `Closed${why}${next}`;
+}
+
+/** e.g. "Fri, 17 Oct, 3:30 pm" */
+export function formatMarketTime(ms) {
+    return new Date(ms).toLocaleString('en-IN', {
+        timeZone: 'Asia/Kolkata',
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
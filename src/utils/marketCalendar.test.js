@@ -0,0 +1,80 @@
+import {
+    getMarketStatus,
+    getRefreshMinutes,
+    getNextTransition,
+    isQuoteStale,
+    formatCountdown,
+    describeMarketStatus,
+    isTradingDay
+} from './marketCalendar.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    // IST wall-clock time -> epoch ms
+    const ist = (iso) => Date.parse(`${iso}+05:30`);
+
+    console.log('--- Starting Tests: Market Calendar ---');
+
+    // TEST 1: Regular weekday sessions (Mon 19 Oct 2026)
+    assert(getMarketStatus(ist('2026-10-19T08:59:00')).reason === 'before_open', 'Weekday: closed before 09:00');
+    assert(getMarketStatus(ist('2026-10-19T09:05:00')).state === 'pre_open', 'Weekday: pre-open at 09:05');
+    const open = getMarketStatus(ist('2026-10-19T11:00:00'));
+    assert(open.state === 'open' && open.isTrading, 'Weekday: open at 11:00');
+    assert(open.closesAt === ist('2026-10-19T15:30:00'), 'Weekday: closes at 15:30');
+    assert(open.lastClose === ist('2026-10-16T15:30:00'), 'Weekday: last close was Friday');
+    assert(getMarketStatus(ist('2026-10-19T15:30:00')).reason === 'after_close', 'Weekday: closed at 15:30');
+
+    // TEST 2: Weekends and holidays
+    const saturday = getMarketStatus(ist('2026-10-17T12:00:00'));
+    assert(saturday.state === 'closed' && saturday.reason === 'weekend', 'Weekend: closed on Saturday');
+    assert(saturday.opensAt === ist('2026-10-19T09:15:00'), 'Weekend: opens Monday 09:15');
+    assert(saturday.lastClose === ist('2026-10-16T15:30:00'), 'Weekend: as of Friday close');
+
+    const dussehra = getMarketStatus(ist('2026-10-20T10:00:00'));
+    assert(dussehra.reason === 'holiday' && dussehra.holiday === 'Dussehra', 'Holiday: Dussehra closed');
+    assert(dussehra.opensAt === ist('2026-10-21T09:15:00'), 'Holiday: opens next day');
+    assert(!isTradingDay('2026-01-26') && isTradingDay('2026-10-21'), 'isTradingDay: holiday vs weekday');
+    assert(isTradingDay('2026-02-01'), 'Special session: Budget Sunday trades');
+
+    // TEST 3: Muhurat trading (Sun 8 Nov 2026)
+    const beforeMuhurat = getMarketStatus(ist('2026-11-06T16:00:00'));
+    assert(beforeMuhurat.nextSession === 'muhurat' && beforeMuhurat.opensAt === ist('2026-11-08T18:00:00'), 'Muhurat: next session after Friday close');
+    assert(getMarketStatus(ist('2026-11-08T17:50:00')).state === 'pre_open', 'Muhurat: pre-open 15 min before');
+    const muhurat = getMarketStatus(ist('2026-11-08T18:30:00'));
+    assert(muhurat.state === 'muhurat' && muhurat.closesAt === ist('2026-11-08T19:00:00'), 'Muhurat: session running');
+    assert(getMarketStatus(ist('2026-11-10T12:00:00')).lastClose === ist('2026-11-09T15:30:00'), 'Muhurat: Balipratipada holiday after');
+    assert(getMarketStatus(ist('2026-11-09T08:00:00')).lastClose === ist('2026-11-08T19:00:00'), 'Muhurat: counts as last close');
+
+    // TEST 4: Refresh cadence
+    assert(getRefreshMinutes(open) === 5, 'Refresh: 5 min while open');
+    assert(getRefreshMinutes(saturday) === null, 'Refresh: none while closed');
+    assert(getNextTransition(ist('2026-10-17T12:00:00')) === ist('2026-10-19T09:00:00'), 'Transition: wakes at Monday pre-open');
+    assert(getNextTransition(ist('2026-10-19T09:05:00')) === ist('2026-10-19T09:15:00'), 'Transition: pre-open to open');
+
+    // TEST 5: Staleness and labels
+    const fridayClose = ist('2026-10-16T15:29:00');
+    assert(!isQuoteStale(fridayClose, 15 * 60000, saturday, ist('2026-10-17T12:00:00')), 'Stale: closing quote current over weekend');
+    assert(isQuoteStale(ist('2026-10-19T10:00:00'), 15 * 60000, open, ist('2026-10-19T11:00:00')), 'Stale: hour-old quote while open');
+    assert(formatCountdown(42 * 60000) === '42m' && formatCountdown(185 * 60000) === '3h 05m', 'Countdown: minutes and hours');
+    assert(formatCountdown((2 * 1440 + 250) * 60000) === '2d 4h', 'Countdown: days');
+    assert(describeMarketStatus(open, ist('2026-10-19T14:20:00')) === 'Open · closes in 1h 10m', 'Describe: open');
+    assert(describeMarketStatus(dussehra, ist('2026-10-20T10:00:00')) === 'Closed (Dussehra) · opens in 23h 15m', 'Describe: holiday');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
@@ -0,0 +1,159 @@
+/**
+ * Market Close Digest
+ * Builds an evening "market wrap" from data the app already has: index
+ * closes, sector leaders/laggards, commodities, INR rates, top movers and
+ * the day's highest-impact business headlines. Generated locally with the
+ * extractive summarizer; no external LLM.
+ */
+
+import { extractiveSummarize } from './extractiveSummary.js';
+import { getMarketStatus } from './marketCalendar.js';
+
+const HEADLINE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const HEADLINE_COUNT = 3;
+const SUMMARY_SENTENCES = 2;
+const FLAT_THRESHOLD = 0.05; // % move reported as "flat"
+const DIGEST_INDICES = ['NIFTY 50', 'SENSEX', 'BANK NIFTY'];
+
+// Evening segments (segmentScheduler ids) that show the digest
+export const DIGEST_SEGMENTS = ['evening_news', 'local_events', 'night_wrap'];
+
+const toNumber = (value) => parseFloat(String(value ?? '').replace(/,/g, '')) || 0;
+
+function formatPercent(value) {
+    const pct = toNumber(value);
+    return `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%`;
+}
+
+function describeMove(item) {
+    const pct = toNumber(item.changePercent);
+    if (Math.abs(pct) < FLAT_THRESHOLD) return `closed flat at ${item.value}`;
+    return `closed ${pct > 0 ? 'up' : 'down'} ${Math.abs(pct).toFixed(2)}% at ${item.value}`;
+}
+
+function titleCase(name) {
+    return name.replace(/\w\S*/g, w => w[0] + w.slice(1).toLowerCase());
+}
+
+/** Best and worst sector by % change */
+function rankSectors(sectorals = []) {
+    if (sectorals.length < 2) return null;
+    const sorted = [...sectorals].sort((a, b) => toNumber(b.changePercent) - toNumber(a.changePercent));
+    return { leader: sorted[0], laggard: sorted[sorted.length - 1] };
+}
+
+/** Highest-impact business stories from the last day */
+function pickHeadlines(newsData, now) {
+    const seen = new Set();
+    return (newsData?.business || [])
+        .filter(a => a.title && (!a.publishedAt || now - a.publishedAt < HEADLINE_MAX_AGE_MS))
+        .sort((a, b) => (b.impactScore || 0) - (a.impactScore || 0))
+        .filter(a => {
+            const key = a.title.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, HEADLINE_COUNT);
+}
+
+/** "What drove the day": top sentences from the lead stories */
+function summarizeHeadlines(headlines) {
+    const text = headlines
+        .map(a => {
+            const body = (a.summary || a.description || '').replace(/<[^>]+>/g, ' ').trim();
+            return [a.title.replace(/[.!?]*$/, '.'), body].filter(Boolean).join(' ');
+        })
+        .join(' ');
+    return text ? extractiveSummarize(text, SUMMARY_SENTENCES) : '';
+}
+
+/**
+ * One-line wrap in the toplineGenerator shape.
+ * @returns {{type: string, icon: string, text: string}|null}
+ */
+export function getMarketWrapTopline(marketData) {
+    const indices = marketData?.indices || [];
+    const lead = indices.find(i => i.name === 'NIFTY 50') || indices[0];
+    if (!lead) return null;
+
+    let text = `${titleCase(lead.name)} ${describeMove(lead)}`;
+    const sectors = rankSectors(marketData.sectorals);
+    if (sectors) {
+        text += `; ${sectors.leader.name} led, ${sectors.laggard.name} lagged`;
+    }
+
+    return {
+        type: 'MARKET WRAP',
+        icon: toNumber(lead.changePercent) >= 0 ? '📈' : '📉',
+        text: `${text}.`
+    };
+}
+
+/**
+ * Build the digest for the most recent close.
+ * @param {Object} marketData - MarketContext data (fetchAllMarketData)
+ * @param {Object} newsData - NewsContext data (uses the business section)
+ * @returns {Object|null} null until index closes are available
+ */
+export function buildMarketDigest(marketData, newsData, now = Date.now()) {
+    const topline = getMarketWrapTopline(marketData);
+    if (!topline) return null;
+
+    const status = getMarketStatus(now);
+    const indices = DIGEST_INDICES
+        .map(name => marketData.indices.find(i => i.name === name))
+        .filter(Boolean);
+    const headlines = pickHeadlines(newsData, now);
+
+    return {
+        sessionClose: status.lastClose,
+        topline,
+        indices: indices.length ? indices : marketData.indices.slice(0, 3),
+        sectors: rankSectors(marketData.sectorals),
+        commodities: marketData.commodities || [],
+        currencies: marketData.currencies || [],
+        gainers: (marketData.movers?.gainers || []).slice(0, 2),
+        losers: (marketData.movers?.losers || []).slice(0, 2),
+        headlines,
+        summary: summarizeHeadlines(headlines)
+    };
+}
+
+/** "Mon, 19 Oct" for the session the digest covers */
+export function formatDigestDate(digest) {
+    if (!digest.sessionClose) return '';
+    return new Date(digest.sessionClose).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'Asia/Kolkata' });
+}
+
+/** Plain-text digest for sharing / copying */
+export function formatMarketDigest(digest) {
+    const date = formatDigestDate(digest);
+    const lines = [`📊 Market wrap${date ? ` · ${date}` : ''}`, digest.topline.text, ''];
+
+    digest.indices.forEach(i => lines.push(`${i.name}: ${i.value} (${formatPercent(i.changePercent)})`));
+
+    if (digest.sectors) {
+        lines.push(`Sectors: ${digest.sectors.leader.name} ${formatPercent(digest.sectors.leader.changePercent)}, ` +
+            `${digest.sectors.laggard.name} ${formatPercent(digest.sectors.laggard.changePercent)}`);
+    }
+    if (digest.gainers.length || digest.losers.length) {
+        const movers = [...digest.gainers, ...digest.losers].map(m => `${m.symbol} ${formatPercent(m.changePercent)}`);
+        lines.push(`Movers: ${movers.join(', ')}`);
+    }
+    if (digest.commodities.length) {
+        lines.push(`Commodities: ${digest.commodities.map(c => `${c.name} ${formatPercent(c.changePercent)}`).join(', ')}`);
+    }
+    if (digest.currencies.length) {
+        lines.push(`INR: ${digest.currencies.map(c => `${c.name} ${c.value}`).join(', ')}`);
+    }
+    if (digest.summary) {
+        lines.push('', digest.summary);
+    }
+    if (digest.headlines.length) {
+        lines.push('', 'Top stories:');
+        digest.headlines.forEach(a => lines.push(`• ${a.title}${a.link ? ` ${a.link}` : ''}`));
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,83 @@
+import { buildMarketDigest, formatMarketDigest, getMarketWrapTopline } from './marketDigest.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    // IST wall-clock time -> epoch ms
+    const ist = (iso) => Date.parse(`${iso}+05:30`);
+    const now = ist('2026-10-19T18:00:00');
+
+    const marketData = {
+        indices: [
+            { name: 'SENSEX', value: '82,410.15', changePercent: '0.71' },
+            { name: 'NIFTY 50', value: '25,145.20', changePercent: '0.84' },
+            { name: 'MIDCAP 150', value: '21,002.00', changePercent: '-0.12' }
+        ],
+        sectorals: [
+            { name: 'Nifty IT', changePercent: '2.10' },
+            { name: 'Nifty Pharma', changePercent: '-1.35' },
+            { name: 'Bank Nifty', changePercent: '0.40' }
+        ],
+        commodities: [{ name: 'Gold', value: '9850.00', changePercent: '0.30' }],
+        currencies: [{ name: 'USD/INR', value: '88.12', changePercent: '-0.05' }],
+        movers: {
+            gainers: [{ symbol: 'INFY', changePercent: '3.20' }, { symbol: 'TCS', changePercent: '2.80' }, { symbol: 'WIPRO', changePercent: '2.1' }],
+            losers: [{ symbol: 'SUNPHARMA', changePercent: '-2.40' }]
+        }
+    };
+
+    const newsData = {
+        business: [
+            { title: 'IT stocks rally on strong US demand', description: 'Infosys and TCS rose sharply after upbeat commentary from clients. Analysts expect deal wins to continue through the quarter.', impactScore: 30, publishedAt: now - 3600000, link: 'https://example.com/it' },
+            { title: 'Pharma shares slip on pricing worries', description: 'Drug makers fell as investors weighed new pricing rules in the United States market.', impactScore: 20, publishedAt: now - 7200000 },
+            { title: 'Old story from last week', impactScore: 90, publishedAt: now - 5 * 86400000 },
+            { title: 'IT stocks rally on strong US demand', impactScore: 25, publishedAt: now - 3600000 }
+        ]
+    };
+
+    console.log('--- Starting Tests: Market Digest ---');
+
+    // TEST 1: Topline
+    const topline = getMarketWrapTopline(marketData);
+    assert(topline.type === 'MARKET WRAP' && topline.icon === '📈', 'Topline: toplineGenerator shape, up icon');
+    assert(topline.text === 'Nifty 50 closed up 0.84% at 25,145.20; Nifty IT led, Nifty Pharma lagged.', 'Topline: lead index and sectors');
+    const flat = getMarketWrapTopline({ indices: [{ name: 'NIFTY 50', value: '25,000', changePercent: '0.02' }] });
+    assert(flat.text === 'Nifty 50 closed flat at 25,000.', 'Topline: flat close without sectors');
+    assert(getMarketWrapTopline({ indices: [] }) === null, 'Topline: null without indices');
+
+    // TEST 2: Digest
+    const digest = buildMarketDigest(marketData, newsData, now);
+    assert(digest.sessionClose === ist('2026-10-19T15:30:00'), 'Digest: dated to the latest close');
+    assert(digest.indices.map(i => i.name).join() === 'NIFTY 50,SENSEX', 'Digest: headline indices in order');
+    assert(digest.sectors.leader.name === 'Nifty IT' && digest.sectors.laggard.name === 'Nifty Pharma', 'Digest: sector leader and laggard');
+    assert(digest.gainers.length === 2 && digest.losers.length === 1, 'Digest: top two movers each way');
+    assert(digest.headlines.length === 2 && digest.headlines[0].impactScore === 30, 'Digest: fresh, deduped headlines by impact');
+    assert(digest.summary.length > 0 && digest.summary.split(/[.!?]\s/).length <= 3, 'Digest: short extractive summary');
+    assert(buildMarketDigest({ indices: [] }, newsData, now) === null, 'Digest: null without index closes');
+
+    // TEST 3: Share text
+    const text = formatMarketDigest(digest);
+    assert(text.startsWith('📊 Market wrap · Mon, 19 Oct'), 'Text: dated title');
+    assert(text.includes('NIFTY 50: 25,145.20 (+0.84%)'), 'Text: index close');
+    assert(text.includes('Sectors: Nifty IT +2.10%, Nifty Pharma -1.35%'), 'Text: sectors');
+    assert(text.includes('Movers: INFY +3.20%, TCS +2.80%, SUNPHARMA -2.40%'), 'Text: movers');
+    assert(text.includes('INR: USD/INR 88.12'), 'Text: INR rates');
+    assert(text.includes('• IT stocks rally on strong US demand https://example.com/it'), 'Text: headline with link');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
@@ -0,0 +1,116 @@
+/**
+ * Market News Matching
+ * Which headlines mention an index or stock, and what they say about it.
+ * Pure helpers behind marketNewsService: search terms per instrument,
+ * term matching (tickers case-sensitive, names not) and aggregate sentiment.
+ */
+import { analyzeArticleSentiment } from './sentimentAnalyzer.js';
+
+const MAX_AGE_MS = 48 * 60 * 60 * 1000;
+
+/** Names the press uses, keyed by NSE symbol or index name */
+const ALIASES = {
+    'NIFTY 50': ['Nifty 50', 'Nifty'],
+    'SENSEX': ['Sensex'],
+    'BANK NIFTY': ['Bank Nifty', 'Nifty Bank', 'banking stocks'],
+    'NIFTY IT': ['Nifty IT', 'IT stocks'],
+    'NIFTY PHARMA': ['Nifty Pharma', 'pharma stocks'],
+    'NIFTY AUTO': ['Nifty Auto', 'auto stocks'],
+    'MIDCAP 150': ['Nifty Midcap', 'midcap stocks', 'midcaps'],
+    RELIANCE: ['Reliance Industries', 'RIL', 'Reliance'],
+    TCS: ['Tata Consultancy Services', 'TCS'],
+    HDFCBANK: ['HDFC Bank'],
+    INFY: ['Infosys'],
+    ICICIBANK: ['ICICI Bank'],
+    HINDUNILVR: ['Hindustan Unilever', 'HUL'],
+    SBIN: ['State Bank of India', 'SBI'],
+    BHARTIARTL: ['Bharti Airtel', 'Airtel'],
+    ITC: ['ITC'],
+    KOTAKBANK: ['Kotak Mahindra Bank', 'Kotak Bank'],
+    LT: ['Larsen & Toubro', 'L&T'],
+    AXISBANK: ['Axis Bank'],
+    ASIANPAINT: ['Asian Paints'],
+    MARUTI: ['Maruti Suzuki', 'Maruti'],
+    BAJFINANCE: ['Bajaj Finance']
+};
+
+// Company-name suffixes that never appear in headlines
+const NAME_NOISE = /\b(limited|ltd\.?|inc\.?|corporation|corp\.?|company|co\.)$/i;
+
+/** Stable key for an instrument: bare symbol for stocks, name for indices */
+export function getInstrumentKey({ symbol, name }) {
+    if (symbol && !symbol.startsWith('^')) return symbol.replace(/(\.NS|\.BO|-INR)$/, '').toUpperCase();
+    return (name || symbol || '').toUpperCase();
+}
+
+/**
+ * Headline search terms, most specific first.
+ * @param {{symbol?: string, name?: string}} instrument
+ * @returns {string[]}
+ */
+export function getSearchTerms(instrument) {
+    const key = getInstrumentKey(instrument);
+    if (ALIASES[key]) return ALIASES[key];
+
+    const terms = [];
+    const name = (instrument.name || '').replace(NAME_NOISE, '').trim();
+    if (name && name.toUpperCase() !== key) terms.push(name);
+    // Short tickers are too ambiguous on their own ("LT", "PI")
+    if (key.length >= 3) terms.push(key);
+    return terms;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** All-caps terms (tickers) match case-sensitively; names don't */
+function termPattern(term) {
+    const flags = term === term.toUpperCase() ? '' : 'i';
+    return new RegExp(`(^|[^\\w&])${escapeRegExp(term)}($|[^\\w&])`, flags);
+}
+
+/**
+ * Articles whose title or summary mention any of the terms, newest first.
+ */
+export function matchArticles(terms, articles, now = Date.now()) {
+    if (terms.length === 0) return [];
+    const patterns = terms.map(termPattern);
+
+    return articles
+        .filter(article => {
+            if (article.publishedAt && now - article.publishedAt > MAX_AGE_MS) return false;
+            const text = `${article.title || ''} ${article.summary || article.description || ''}`;
+            return patterns.some(p => p.test(text));
+        })
+        .sort((a, b) => (b.publishedAt || 0) - (a.publishedAt || 0));
+}
+
+/** Stored finance sentiment, or scored on the fly for non-finance feeds */
+export function getArticleSentiment(article) {
+    if (article.sentiment?.comparative != null) return article.sentiment;
+    return analyzeArticleSentiment(article.title || '', article.summary || article.description || '');
+}
+
+/**
+ * Aggregate finance sentiment over a set of articles.
+ * @returns {{label: 'positive'|'negative'|'neutral', score: number, positive: number, negative: number, neutral: number, count: number}|null}
+ */
+export function aggregateSentiment(articles) {
+    if (!articles || articles.length === 0) return null;
+
+    const counts = { positive: 0, negative: 0, neutral: 0 };
+    let total = 0;
+    for (const article of articles) {
+        const sentiment = getArticleSentiment(article);
+        counts[sentiment.label] = (counts[sentiment.label] || 0) + 1;
+        total += sentiment.comparative;
+    }
+
+    const score = total / articles.length;
+    let label = 'neutral';
+    if (score > 0.05) label = 'positive';
+    else if (score < -0.05) label = 'negative';
+
+    return { label, score, ...counts, count: articles.length };
+}
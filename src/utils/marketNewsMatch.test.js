@@ -0,0 +1,71 @@
+import { getInstrumentKey, getSearchTerms, matchArticles, getArticleSentiment, aggregateSentiment } from './marketNewsMatch.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const HOUR = 60 * 60 * 1000;
+    const now = Date.parse('2026-10-19T16:00:00+05:30');
+    const story = (id, title, hoursAgo = 1, summary = '') => ({ id, title, summary, publishedAt: now - hoursAgo * HOUR });
+    const ids = (articles) => articles.map(a => a.id).join(',');
+
+    console.log('--- Starting Tests: Market News Matching ---');
+
+    // TEST 1: Keys and search terms
+    assert(getInstrumentKey({ symbol: 'RELIANCE.NS' }) === 'RELIANCE' && getInstrumentKey({ symbol: 'BTC-INR' }) === 'BTC', 'Key: exchange suffix dropped');
+    assert(getInstrumentKey({ symbol: '^NSEI', name: 'Nifty 50' }) === 'NIFTY 50', 'Key: indices by name');
+    assert(getSearchTerms({ symbol: 'LT.NS' }).join('|') === 'Larsen & Toubro|L&T', 'Terms: aliases first');
+    assert(getSearchTerms({ symbol: 'TATAPOWER.NS', name: 'Tata Power Limited' }).join('|') === 'Tata Power|TATAPOWER', 'Terms: name without suffix, then ticker');
+    assert(getSearchTerms({ symbol: 'PI.NS', name: 'PI' }).length === 0, 'Terms: short ticker alone is skipped');
+    assert(getSearchTerms({ symbol: 'PI.NS', name: 'PI Industries Ltd' }).join('|') === 'PI Industries', 'Terms: short ticker skipped, name kept');
+
+    // TEST 2: Matching
+    const articles = [
+        story('ril', 'RIL shares rise after Jio tariff hike', 2),
+        story('drill', 'Navy conducts drill off Chennai coast', 1),
+        story('lower', 'Earnings call: ril guidance unchanged', 3),
+        story('lt', 'L&T bags large order from NHAI', 1),
+        story('blt', 'BL&T order book unrelated', 1),
+        story('old', 'Reliance Industries AGM recap', 50),
+        story('summary', 'Oil marketing stocks gain', 4, 'Reliance and ONGC led the gains')
+    ];
+    const reliance = matchArticles(getSearchTerms({ symbol: 'RELIANCE.NS' }), articles, now);
+    assert(ids(reliance) === 'ril,summary', 'Match: ticker and name hits, newest first, summary searched');
+    assert(!reliance.some(a => a.id === 'drill'), 'Match: ticker not matched inside a word');
+    assert(!reliance.some(a => a.id === 'lower'), 'Match: all-caps ticker is case-sensitive');
+    assert(!reliance.some(a => a.id === 'old'), 'Match: stories older than 48h dropped');
+    assert(ids(matchArticles(['L&T'], articles, now)) === 'lt', 'Match: ampersand ticker, not inside BL&T');
+    assert(matchArticles(['reliance industries'], [story('x', 'RELIANCE INDUSTRIES results')], now).length === 1, 'Match: names are case-insensitive');
+    assert(matchArticles([], articles, now).length === 0, 'Match: no terms, no matches');
+
+    // TEST 3: Sentiment
+    const bullish = story('up', 'Reliance shares surge to record high on strong profit');
+    const bearish = story('down', 'Infosys shares crash after weak guidance, losses mount');
+    const flat = story('flat', 'RBI holds repo rate');
+    assert(getArticleSentiment(bullish).label === 'positive', 'Sentiment: scored on the fly');
+    const stored = { ...flat, sentiment: { label: 'negative', comparative: -0.4 } };
+    assert(getArticleSentiment(stored) === stored.sentiment, 'Sentiment: stored reading reused');
+
+    const mixed = aggregateSentiment([bullish, bearish, flat]);
+    assert(mixed.count === 3 && mixed.positive === 1 && mixed.negative === 1 && mixed.neutral === 1, 'Aggregate: counts per label');
+    assert(mixed.label === 'positive' && mixed.score > 0.05, 'Aggregate: label from the mean score');
+    assert(aggregateSentiment([flat]).label === 'neutral', 'Aggregate: small scores are mixed');
+    assert(aggregateSentiment([bearish, stored]).label === 'negative', 'Aggregate: bearish');
+    assert(aggregateSentiment([]) === null, 'Aggregate: nothing to read');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
@@ -0,0 +1,185 @@
+/**
+ * Market Watchlist
+ * Symbols the user follows on the Markets tab, each with optional price alerts:
+ * - above: price at or above a level
+ * - below: price at or below a level
+ * - move: day change of at least ±X%
+ *
+ * Level alerts fire when the condition becomes true and re-arm once it is false
+ * again, so a price hovering over a level doesn't notify on every refresh.
+ * Move alerts fire at most once per trading day.
+ *
+ * Symbols can be listed anywhere (US stocks, FX), so prices and levels are
+ * shown in the quote's currency.
+ */
+
+const STORAGE_KEY = 'dailyEventAI_marketWatchlist';
+const MAX_SYMBOLS = 30;
+
+// unit null: the symbol's own currency
+export const ALERT_TYPES = {
+    above: { label: 'Price above', unit: null },
+    below: { label: 'Price below', unit: null },
+    move: { label: 'Moves ±', unit: '%' }
+};
+
+/**
+ * @typedef {Object} PriceAlert
+ * @property {string} id
+ * @property {'above'|'below'|'move'} type
+ * @property {number} value
+ * @property {boolean} active - condition held at the last check
+ * @property {string|null} lastTriggeredDay - YYYY-MM-DD of the last move alert
+ * @property {number|null} lastTriggered
+ */
+
+/**
+ * @typedef {Object} WatchlistEntry
+ * @property {string} symbol - Yahoo symbol, e.g. 'INFY.NS'
+ * @property {string} name
+ * @property {string} [exchange]
+ * @property {number} addedAt
+ * @property {PriceAlert[]} alerts
+ */
+
+export function getWatchlist() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveWatchlist(watchlist) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(watchlist));
+    } catch (e) {
+        console.warn('[Watchlist] Failed to save:', e);
+    }
+}
+
+/**
+ * @returns {WatchlistEntry[]} updated list (unchanged if already present or full)
+ */
+export function addToWatchlist(watchlist, { symbol, name, exchange }) {
+    if (watchlist.some(entry => entry.symbol === symbol) || watchlist.length >= MAX_SYMBOLS) {
+        return watchlist;
+    }
+    return [...watchlist, { symbol, name: name || symbol, exchange: exchange || '', addedAt: Date.now(), alerts: [] }];
+}
+
+export function removeFromWatchlist(watchlist, symbol) {
+    return watchlist.filter(entry => entry.symbol !== symbol);
+}
+
+/**
+ * @throws {Error} when the type or value is invalid
+ */
+export function addAlert(watchlist, symbol, type, value) {
+    const level = Number(value);
+    if (!ALERT_TYPES[type]) throw new Error(`Unknown alert type: ${type}`);
+    if (!(level > 0)) throw new Error('Enter a value greater than 0');
+
+    const alert = {
+        id: `a_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        type,
+        value: level,
+        active: false,
+        lastTriggeredDay: null,
+        lastTriggered: null
+    };
+    return watchlist.map(entry => entry.symbol === symbol ? { ...entry, alerts: [...entry.alerts, alert] } : entry);
+}
+
+export function removeAlert(watchlist, symbol, alertId) {
+    return watchlist.map(entry => entry.symbol === symbol
+        ? { ...entry, alerts: entry.alerts.filter(a => a.id !== alertId) }
+        : entry);
+}
+
+function conditionHolds(alert, quote) {
+    if (alert.type === 'above') return quote.price >= alert.value;
+    if (alert.type === 'below') return quote.price <= alert.value;
+    return Math.abs(parseFloat(quote.changePercent)) >= alert.value;
+}
+
+function tradingDay(quote) {
+    return new Date(quote.timestamp || Date.now()).toISOString().slice(0, 10);
+}
+
+/**
+ * Checks every alert against fresh quotes.
+ * @param {WatchlistEntry[]} watchlist
+ * @param {Object<string, Object>} quotes - keyed by symbol ({ price, changePercent, timestamp, currency })
+ * @param {number} [now]
+ * @returns {{watchlist: WatchlistEntry[], triggered: Array<{entry, alert, quote}>}}
+ */
+export function evaluateWatchlistAlerts(watchlist, quotes, now = Date.now()) {
+    const triggered = [];
+
+    const updated = watchlist.map(entry => {
+        const quote = quotes[entry.symbol];
+        if (!quote || quote.price == null || entry.alerts.length === 0) return entry;
+
+        const alerts = entry.alerts.map(alert => {
+            const holds = conditionHolds(alert, quote);
+            let fires = false;
+
+            if (alert.type === 'move') {
+                fires = holds && alert.lastTriggeredDay !== tradingDay(quote);
+            } else {
+                fires = holds && !alert.active;
+            }
+
+            if (!fires) return { ...alert, active: holds };
+
+            const next = {
+                ...alert,
+                active: true,
+                lastTriggered: now,
+                lastTriggeredDay: alert.type === 'move' ? tradingDay(quote) : alert.lastTriggeredDay
+            };
+            triggered.push({ entry, alert: next, quote });
+            return next;
+        });
+
+        return { ...entry, alerts };
+    });
+
+    return { watchlist: updated, triggered };
+}
+
+/**
+ * "₹1,612.4" / "$201.5"
+ * @param {string|null} currency - ISO code from the quote; INR when unknown
+ */
+export function formatWatchPrice(value, currency) {
+    const number = Number(value);
+    try {
+        return number.toLocaleString('en-IN', {
+            style: 'currency',
+            currency: currency || 'INR',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 2
+        });
+    } catch {
+        // Not an ISO code
+        return `${currency} ${number.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+    }
+}
+
+/**
+ * e.g. "INFY crossed above ₹1,600 (now ₹1,612.4)" / "AAPL moved +3.2% today (now $201.5)"
+ */
+export function describeWatchlistAlert({ entry, alert, quote }) {
+    const label = entry.symbol.replace(/(\.NS|\.BO|-INR)$/, '');
+    const price = formatWatchPrice(quote.price, quote.currency);
+
+    if (alert.type === 'move') {
+        const pct = parseFloat(quote.changePercent);
+        return `${label} moved ${pct >= 0 ? '+' : ''}${pct.toFixed(2)}% today (now ${price})`;
+    }
+    const level = formatWatchPrice(alert.value, quote.currency);
+    return `${label} ${alert.type === 'above' ? 'crossed above' : 'fell below'} ${level} (now ${price})`;
+}
@@ -0,0 +1,93 @@
+import {
+    addToWatchlist,
+    removeFromWatchlist,
+    addAlert,
+    removeAlert,
+    evaluateWatchlistAlerts,
+    describeWatchlistAlert,
+    formatWatchPrice
+} from './marketWatchlist.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const throws = (fn) => { try { fn(); return false; } catch { return true; } };
+    const day1 = Date.parse('2026-10-19T10:00:00+05:30');
+    const day2 = Date.parse('2026-10-20T10:00:00+05:30');
+    const quote = (price, changePercent, timestamp = day1, currency = 'INR') => ({ price, changePercent: String(changePercent), timestamp, currency });
+
+    console.log('--- Starting Tests: Market Watchlist ---');
+
+    // TEST 1: Entries and alerts
+    let list = addToWatchlist([], { symbol: 'INFY.NS', name: 'Infosys', exchange: 'NSE' });
+    list = addToWatchlist(list, { symbol: 'AAPL', name: 'Apple', exchange: 'NASDAQ' });
+    assert(addToWatchlist(list, { symbol: 'AAPL' }) === list, 'Watchlist: duplicate symbol ignored');
+    list = addAlert(list, 'INFY.NS', 'above', '1600');
+    list = addAlert(list, 'INFY.NS', 'below', 1500);
+    list = addAlert(list, 'INFY.NS', 'move', 3);
+    list = addAlert(list, 'AAPL', 'above', 200);
+    assert(list[0].alerts.length === 3 && list[0].alerts[0].value === 1600 && !list[0].alerts[0].active, 'Alerts: added armed, numeric level');
+    assert(throws(() => addAlert(list, 'INFY.NS', 'above', 0)), 'Alerts: zero level rejected');
+    assert(throws(() => addAlert(list, 'INFY.NS', 'sideways', 5)), 'Alerts: unknown type rejected');
+
+    // TEST 2: Level alerts fire once, then re-arm
+    let result = evaluateWatchlistAlerts(list, { 'INFY.NS': quote(1580, 0.5) }, 1000);
+    assert(result.triggered.length === 0, 'Evaluate: nothing crossed');
+
+    result = evaluateWatchlistAlerts(result.watchlist, { 'INFY.NS': quote(1612.4, 1.2) }, 2000);
+    assert(result.triggered.length === 1 && result.triggered[0].alert.type === 'above' && result.triggered[0].alert.lastTriggered === 2000, 'Evaluate: crossed above 1600');
+    assert(describeWatchlistAlert(result.triggered[0]) === 'INFY crossed above ₹1,600 (now ₹1,612.4)', 'Describe: level alert text');
+
+    result = evaluateWatchlistAlerts(result.watchlist, { 'INFY.NS': quote(1630, 1.8) }, 3000);
+    assert(result.triggered.length === 0 && result.watchlist[0].alerts[0].active, 'Evaluate: no repeat while still above');
+
+    result = evaluateWatchlistAlerts(result.watchlist, { 'INFY.NS': quote(1590, 0.4) }, 4000);
+    assert(result.triggered.length === 0 && !result.watchlist[0].alerts[0].active, 'Evaluate: re-arms after dropping back');
+    result = evaluateWatchlistAlerts(result.watchlist, { 'INFY.NS': quote(1605, 0.9) }, 5000);
+    assert(result.triggered.length === 1 && result.triggered[0].alert.type === 'above', 'Evaluate: fires again after re-arming');
+
+    result = evaluateWatchlistAlerts(result.watchlist, { 'INFY.NS': quote(1495, -1) }, 6000);
+    assert(result.triggered.length === 1 && result.triggered[0].alert.type === 'below', 'Evaluate: below fires at the level');
+
+    // TEST 3: Move alerts, once per trading day
+    result = evaluateWatchlistAlerts(result.watchlist, { 'INFY.NS': quote(1450, -3.4) }, 7000);
+    const move = result.triggered.find(hit => hit.alert.type === 'move');
+    assert(move && move.alert.lastTriggeredDay === '2026-10-19', 'Move: -3.4% fires on ±3%');
+    assert(describeWatchlistAlert(move) === 'INFY moved -3.40% today (now ₹1,450)', 'Describe: move alert text');
+
+    result = evaluateWatchlistAlerts(result.watchlist, { 'INFY.NS': quote(1440, 4.1) }, 8000);
+    assert(!result.triggered.some(hit => hit.alert.type === 'move'), 'Move: no repeat the same day');
+
+    result = evaluateWatchlistAlerts(result.watchlist, { 'INFY.NS': quote(1500, 3.2, day2) }, 9000);
+    assert(result.triggered.some(hit => hit.alert.type === 'move'), 'Move: fires again the next trading day');
+
+    // TEST 4: Quote currency
+    result = evaluateWatchlistAlerts(result.watchlist, { AAPL: quote(201.5, 0.8, day2, 'USD') }, 10000);
+    assert(describeWatchlistAlert(result.triggered[0]) === 'AAPL crossed above $200 (now $201.5)', 'Currency: US listing in dollars');
+    assert(formatWatchPrice(1612.4, null) === '₹1,612.4', 'Currency: rupees when unknown');
+    assert(formatWatchPrice(5, 'not a code') === 'not a code 5', 'Currency: odd codes shown as-is');
+
+    // TEST 5: Missing quotes and removal
+    result = evaluateWatchlistAlerts(result.watchlist, {}, 11000);
+    assert(result.triggered.length === 0 && result.watchlist[1].alerts[0].active, 'Evaluate: symbols without a quote untouched');
+    const infyAlert = result.watchlist[0].alerts[0].id;
+    assert(removeAlert(result.watchlist, 'INFY.NS', infyAlert)[0].alerts.length === 2, 'Alerts: removed by id');
+    assert(removeFromWatchlist(result.watchlist, 'AAPL').length === 1, 'Watchlist: symbol removed');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
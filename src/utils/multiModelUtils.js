@@ -3,18 +3,38 @@
  * Handles averaging and consensus calculations from multiple weather models
  */
 
+/**
+ * Mean of one field across models, optionally weighted per model
+ * Entries carry a `model` name; models without a weight count as 1.
+ * @param {Array} entries - model data entries that have the field
+ * @param {string} field
+ * @param {Object<string, number>|null} [weights] - e.g. { ecmwf: 1.3, gfs: 0.8 }
+ * @returns {number}
+ */
+function weightedMean(entries, field, weights) {
+    let sum = 0;
+    let total = 0;
+    entries.forEach(entry => {
+        const weight = weights?.[entry.model] ?? 1;
+        sum += entry[field] * weight;
+        total += weight;
+    });
+    return sum / total;
+}
+
 /**
  * Calculate rainfall consensus from multiple models
  * @param {Array} modelData - Array of model precipitation probability data
+ * @param {Object<string, number>|null} [weights] - per-model weights from forecast verification
  * @returns {Object|null} Consensus object with avg, min, max, range, etc.
  */
-export function calculateRainfallConsensus(modelData) {
+export function calculateRainfallConsensus(modelData, weights = null) {
     const validProbs = modelData.filter(m => m?.precipitation_probability != null);
 
     if (validProbs.length === 0) return null;
 
     const values = validProbs.map(m => m.precipitation_probability);
-    const avg = Math.round(values.reduce((a, b) => a + b, 0) / values.length);
+    const avg = Math.round(weightedMean(validProbs, 'precipitation_probability', weights));
     const min = Math.min(...values);
     const max = Math.max(...values);
     const range = max - min;
@@ -35,15 +55,15 @@ export function calculateRainfallConsensus(modelData) {
 /**
  * Average temperature from multiple models
  * @param {Array} modelData - Array of model temperature data
+ * @param {Object<string, number>|null} [weights] - per-model weights from forecast verification
  * @returns {number|null} Averaged temperature
  */
-export function averageTemperature(modelData) {
+export function averageTemperature(modelData, weights = null) {
     const validTemps = modelData.filter(m => m?.temperature_2m != null);
 
     if (validTemps.length === 0) return null;
 
-    const values = validTemps.map(m => m.temperature_2m);
-    return Math.round(values.reduce((a, b) => a + b, 0) / values.length);
+    return Math.round(weightedMean(validTemps, 'temperature_2m', weights));
 }
 
 /**
@@ -131,3 +151,43 @@ export function formatModelNames(modelNames) {
 
     return modelNames.map(name => displayNames[name] || name).join(', ');
 }
+
+/**
+ * Spread of one value across models
+ * @param {Object<string, number>} perModel - e.g. { ecmwf: 33, gfs: 35, icon: 32 }
+ * @returns {Object|null} { avg, min, max, range, models }
+ */
+export function calculateModelSpread(perModel) {
+    const values = Object.values(perModel || {}).filter(v => v != null);
+
+    if (values.length === 0) return null;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    return {
+        avg: values.reduce((a, b) => a + b, 0) / values.length,
+        min,
+        max,
+        range: max - min,
+        models: values.length
+    };
+}
+
+/**
+ * How closely the models agree on a day
+ * Temperature spread is in °C; rain compares daily totals in mm.
+ * @param {Object|null} highSpread - calculateModelSpread() of daily highs
+ * @param {Object|null} rainSpread - calculateModelSpread() of daily rain totals
+ * @returns {'high'|'medium'|'low'|null} null when fewer than 2 models
+ */
+export function getModelAgreement(highSpread, rainSpread) {
+    if (!highSpread || highSpread.models < 2) return null;
+
+    // Rain disagreement matters when at least one model expects meaningful rain
+    const rainRange = rainSpread && rainSpread.max >= 2 ? rainSpread.range : 0;
+
+    if (highSpread.range <= 2 && rainRange <= 5) return 'high';
+    if (highSpread.range <= 4 && rainRange <= 15) return 'medium';
+    return 'low';
+}
@@ -0,0 +1,273 @@
+/**
+ * Mute Rules
+ * One set of user rules that hides stories on every feed path: section news
+ * (rankAndFilter), entertainment, followed topics and Up Ahead.
+ *
+ * Rule types:
+ * - keyword: every word must appear as a whole word, in any order
+ * - phrase: the exact word sequence
+ * - regex: case-insensitive pattern over title + description
+ * - source: publisher name contains the value
+ * - entity: an ENTITY_OVERRIDES name (e.g. 'Rajinikanth')
+ *
+ * A rule may expire ("mute 'IPL' for 7 days"). Counts of what each rule hid
+ * are kept for the session per feed scope; subscribe() notifies the UI.
+ */
+
+import { ENTITY_OVERRIDES } from '../data/entityOverrides.js';
+import { extractKeywords } from './preferenceModel.js';
+
+const STORAGE_KEY = 'dailyEventAI_muteRules';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RULE_TYPES = {
+    keyword: 'Keyword',
+    phrase: 'Exact phrase',
+    regex: 'Regex',
+    source: 'Source',
+    entity: 'Person / entity'
+};
+
+export const MUTE_DURATIONS = [
+    { days: null, label: 'Forever' },
+    { days: 1, label: '1 day' },
+    { days: 7, label: '7 days' },
+    { days: 30, label: '30 days' }
+];
+
+export const MUTABLE_ENTITIES = Object.keys(ENTITY_OVERRIDES);
+
+/**
+ * @typedef {Object} MuteRule
+ * @property {string} id
+ * @property {'keyword'|'phrase'|'regex'|'source'|'entity'} type
+ * @property {string} value
+ * @property {number|null} expiresAt
+ * @property {number} createdAt
+ */
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match that also works for names like "S. Jaishankar"
+const wordPattern = (text) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(text)}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+
+function getItemText(item) {
+    return `${item.title || item.headline || ''} ${item.description || item.summary || ''}`.replace(/\s+/g, ' ');
+}
+
+export function isRuleActive(rule, now = Date.now()) {
+    return !rule.expiresAt || rule.expiresAt > now;
+}
+
+/**
+ * @param {MuteRule} rule
+ * @returns {(item: Object) => boolean}
+ */
+function compileRule(rule) {
+    const value = rule.value.trim();
+    switch (rule.type) {
+        case 'keyword': {
+            const words = value.split(/\s+/).map(wordPattern);
+            return (item) => {
+                const text = getItemText(item);
+                return words.every(re => re.test(text));
+            };
+        }
+        case 'phrase':
+        case 'entity': {
+            const re = wordPattern(value.replace(/\s+/g, ' '));
+            return (item) => re.test(getItemText(item));
+        }
+        case 'regex': {
+            try {
+                const re = new RegExp(value, 'i');
+                return (item) => re.test(getItemText(item));
+            } catch {
+                return () => false;
+            }
+        }
+        case 'source': {
+            const needle = value.toLowerCase();
+            return (item) => (item.source || '').toLowerCase().includes(needle);
+        }
+        default:
+            return () => false;
+    }
+}
+
+/**
+ * Active rules ready for matching.
+ * @returns {Array<{rule: MuteRule, test: Function}>}
+ */
+export function compileMuteRules(rules, now = Date.now()) {
+    return rules.filter(rule => isRuleActive(rule, now)).map(rule => ({ rule, test: compileRule(rule) }));
+}
+
+/** First rule that mutes the item, or null */
+export function matchMuteRule(item, compiled) {
+    const hit = compiled.find(({ test }) => test(item));
+    return hit ? hit.rule : null;
+}
+
+/**
+ * @returns {{kept: Object[], hidden: Array<{item: Object, rule: MuteRule}>}}
+ */
+export function filterMuted(items, compiled) {
+    const kept = [];
+    const hidden = [];
+    for (const item of items) {
+        const rule = compiled.length ? matchMuteRule(item, compiled) : null;
+        if (rule) hidden.push({ item, rule });
+        else kept.push(item);
+    }
+    return { kept, hidden };
+}
+
+/**
+ * @throws {Error} when the rule is empty, an invalid regex or an unknown entity
+ * @returns {MuteRule[]} same type + value replaces the existing rule (new expiry)
+ */
+export function addMuteRule(rules, { type, value, days = null }, now = Date.now()) {
+    const text = (value || '').trim();
+    if (!RULE_TYPES[type]) throw new Error(`Unknown rule type: ${type}`);
+    if (!text) throw new Error('Enter something to mute');
+    if (type === 'regex') {
+        try {
+            new RegExp(text, 'i');
+        } catch {
+            throw new Error('Invalid regular expression');
+        }
+    }
+
+    let stored = text;
+    if (type === 'entity') {
+        stored = MUTABLE_ENTITIES.find(e => e.toLowerCase() === text.toLowerCase());
+        if (!stored) throw new Error(`"${text}" is not a known entity`);
+    }
+
+    const same = (rule) => rule.type === type && rule.value.toLowerCase() === stored.toLowerCase();
+    return [...rules.filter(rule => !same(rule)), {
+        id: `m_${now.toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        type,
+        value: stored,
+        expiresAt: days ? now + days * DAY_MS : null,
+        createdAt: now
+    }];
+}
+
+export function removeMuteRule(rules, id) {
+    return rules.filter(rule => rule.id !== id);
+}
+
+export function pruneExpiredRules(rules, now = Date.now()) {
+    return rules.filter(rule => isRuleActive(rule, now));
+}
+
+/**
+ * Quick-mute choices for a story card: its source, any known entity, then headline keywords.
+ * @returns {Array<{type: string, value: string}>}
+ */
+export function getMuteSuggestions(item, maxKeywords = 3) {
+    const suggestions = [];
+    if (item.source) suggestions.push({ type: 'source', value: item.source });
+
+    const text = getItemText(item);
+    const entities = MUTABLE_ENTITIES.filter(entity => wordPattern(entity).test(text));
+    // Prefer "Thalapathy Vijay" over the "Vijay" inside it
+    entities
+        .filter(entity => !entities.some(other => other !== entity && other.includes(entity)))
+        .forEach(entity => suggestions.push({ type: 'entity', value: entity }));
+
+    const taken = entities.join(' ').toLowerCase();
+    extractKeywords(item.title || item.headline)
+        .filter(word => !taken.includes(word))
+        .slice(0, maxKeywords)
+        .forEach(word => suggestions.push({ type: 'keyword', value: word }));
+
+    return suggestions;
+}
+
+/** e.g. 'Keyword "ipl" · 6d left' */
+export function describeMuteRule(rule, now = Date.now()) {
+    const label = `${RULE_TYPES[rule.type] || rule.type} "${rule.value}"`;
+    if (!rule.expiresAt) return label;
+    if (rule.expiresAt <= now) return `${label} · expired`;
+    const hoursLeft = Math.ceil((rule.expiresAt - now) / (60 * 60 * 1000));
+    return `${label} · ${hoursLeft >= 24 ? `${Math.ceil(hoursLeft / 24)}d` : `${hoursLeft}h`} left`;
+}
+
+// --- Storage + live updates ---
+
+const store = {
+    cached: { raw: null, rules: [] },
+    hiddenByScope: {},
+    stats: { total: 0, byScope: {}, byRule: {} },
+    subscribers: new Set()
+};
+
+function notify() {
+    store.subscribers.forEach(fn => fn());
+}
+
+/** Stable between changes, so it can back useSyncExternalStore */
+export function getMuteRules() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (raw === store.cached.raw) return store.cached.rules;
+        const parsed = JSON.parse(raw || '[]');
+        store.cached = { raw, rules: Array.isArray(parsed) ? parsed : [] };
+        return store.cached.rules;
+    } catch {
+        return store.cached.rules;
+    }
+}
+
+export function saveMuteRules(rules) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+    } catch (e) {
+        console.warn('[MuteRules] Failed to save:', e);
+    }
+    notify();
+}
+
+export function subscribeMuteRules(fn) {
+    store.subscribers.add(fn);
+    return () => store.subscribers.delete(fn);
+}
+
+/**
+ * What the rules hid in the latest pass of each feed scope this session.
+ * @returns {{total: number, byScope: Object<string, number>, byRule: Object<string, number>}}
+ */
+export function getMuteStats() {
+    return store.stats;
+}
+
+function recordHidden(scope, hidden) {
+    store.hiddenByScope[scope] = hidden.map(({ rule }) => rule.id);
+
+    const byScope = {};
+    const byRule = {};
+    let total = 0;
+    for (const [key, ruleIds] of Object.entries(store.hiddenByScope)) {
+        if (ruleIds.length) byScope[key] = ruleIds.length;
+        ruleIds.forEach(id => { byRule[id] = (byRule[id] || 0) + 1; });
+        total += ruleIds.length;
+    }
+    store.stats = { total, byScope, byRule };
+    notify();
+}
+
+/**
+ * Drops muted stories from a feed and records what was hidden.
+ * @param {Object[]} items
+ * @param {string} scope - e.g. 'world', 'entertainment', 'topic:ISRO', 'upahead'
+ * @returns {Object[]} the stories that are not muted
+ */
+export function applyMuteRules(items, scope) {
+    const { kept, hidden } = filterMuted(items, compileMuteRules(getMuteRules()));
+    if (hidden.length || store.hiddenByScope[scope]?.length) recordHidden(scope, hidden);
+    if (hidden.length) console.log(`[MuteRules] ${scope}: hid ${hidden.length} stories`);
+    return kept;
+}
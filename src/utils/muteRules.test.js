@@ -0,0 +1,94 @@
+import {
+    addMuteRule,
+    removeMuteRule,
+    pruneExpiredRules,
+    compileMuteRules,
+    matchMuteRule,
+    filterMuted,
+    getMuteSuggestions,
+    describeMuteRule,
+    isRuleActive
+} from './muteRules.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = Date.parse('2026-10-19T09:00:00+05:30');
+    const story = (title, source = 'The Hindu', description = '') => ({ id: title, title, source, description });
+    const mutes = (rules, item, at = now) => Boolean(matchMuteRule(item, compileMuteRules(rules, at)));
+
+    console.log('--- Starting Tests: Mute Rules ---');
+
+    // TEST 1: Rule types
+    const keyword = addMuteRule([], { type: 'keyword', value: 'IPL' }, now);
+    assert(mutes(keyword, story('CSK beat MI in IPL opener')), 'Keyword: whole word, case-insensitive');
+    assert(!mutes(keyword, story('Ripple effect on markets')), 'Keyword: no partial-word match');
+    assert(mutes(keyword, story('Auction news', 'ESPN', 'Ahead of the ipl auction')), 'Keyword: description searched too');
+
+    const twoWords = addMuteRule([], { type: 'keyword', value: 'gold price' }, now);
+    assert(mutes(twoWords, story('Price of gold rises again')), 'Keyword: all words, any order');
+
+    const phrase = addMuteRule([], { type: 'phrase', value: 'stock to buy' }, now);
+    assert(mutes(phrase, story('Best stock to buy   today')) && !mutes(phrase, story('Buy this stock')), 'Phrase: exact sequence only');
+
+    const regex = addMuteRule([], { type: 'regex', value: '^horoscope|zodiac' }, now);
+    assert(mutes(regex, story('Horoscope for Monday')) && mutes(regex, story('What your zodiac says')), 'Regex: pattern over text');
+
+    const source = addMuteRule([], { type: 'source', value: 'times of india' }, now);
+    assert(mutes(source, story('Anything', 'The Times of India')) && !mutes(source, story('Anything', 'NDTV')), 'Source: name contains value');
+
+    const entity = addMuteRule([], { type: 'entity', value: 'rajinikanth' }, now);
+    assert(entity[0].value === 'Rajinikanth', 'Entity: stored with ENTITY_OVERRIDES casing');
+    assert(mutes(entity, story('Rajinikanth starts shooting in Chennai')), 'Entity: matched in text');
+
+    // TEST 2: Validation and replacement
+    const throws = (fn) => { try { fn(); return false; } catch { return true; } };
+    assert(throws(() => addMuteRule([], { type: 'regex', value: '([a-z' }, now)), 'Invalid regex rejected');
+    assert(throws(() => addMuteRule([], { type: 'entity', value: 'Nobody Special' }, now)), 'Unknown entity rejected');
+    assert(throws(() => addMuteRule([], { type: 'keyword', value: '  ' }, now)), 'Empty rule rejected');
+    const replaced = addMuteRule(keyword, { type: 'keyword', value: 'ipl', days: 7 }, now);
+    assert(replaced.length === 1 && replaced[0].expiresAt === now + 7 * DAY, 'Same rule replaced with new expiry');
+
+    // TEST 3: Expiry
+    assert(isRuleActive(replaced[0], now + 6 * DAY) && !isRuleActive(replaced[0], now + 8 * DAY), 'Expiry: active until expiresAt');
+    assert(!mutes(replaced, story('IPL final tonight'), now + 8 * DAY), 'Expiry: expired rule no longer mutes');
+    assert(pruneExpiredRules(replaced, now + 8 * DAY).length === 0, 'Expiry: pruned');
+    assert(describeMuteRule(replaced[0], now) === 'Keyword "ipl" · 7d left', 'Describe: days left');
+    assert(describeMuteRule(source[0], now) === 'Source "times of india"', 'Describe: permanent rule');
+
+    // TEST 4: Filtering
+    const rules = [...keyword, ...source];
+    const { kept, hidden } = filterMuted([
+        story('IPL auction live'),
+        story('Monsoon update', 'Times of India'),
+        story('ISRO launch')
+    ], compileMuteRules(rules, now));
+    assert(kept.length === 1 && kept[0].title === 'ISRO launch', 'Filter: only unmuted stories kept');
+    assert(hidden.length === 2 && hidden[1].rule.type === 'source', 'Filter: hidden stories carry their rule');
+    assert(removeMuteRule(rules, rules[0].id).length === 1, 'Remove by id');
+
+    // TEST 5: Quick-mute suggestions
+    const suggestions = getMuteSuggestions(story('Thalapathy Vijay film crosses box office record', 'Cinema Express'));
+    assert(suggestions[0].type === 'source' && suggestions[0].value === 'Cinema Express', 'Suggest: source first');
+    const entities = suggestions.filter(s => s.type === 'entity').map(s => s.value);
+    assert(entities.length === 1 && entities[0] === 'Thalapathy Vijay', 'Suggest: longest entity, not the name inside it');
+    assert(suggestions.some(s => s.type === 'keyword' && s.value === 'film') && !suggestions.some(s => s.value === 'vijay'), 'Suggest: keywords not already covered');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
@@ -15,7 +15,12 @@ function tokenize(text) {
         .filter(w => w.length > 3); // Ignore short words
 }
 
-export function calculateNoveltyScore(title, description, section) {
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.record=true] - add the tokens to the session corpus;
+ *   false scores against it without changing it (e.g. a ranking preview)
+ */
+export function calculateNoveltyScore(title, description, section, { record = true } = {}) {
     const text = `${title} ${description}`;
     const tokens = tokenize(text);
 
@@ -33,7 +38,7 @@ export function calculateNoveltyScore(title, description, section) {
         }
 
         // Update corpus
-        CORPUS_CACHE.set(token, {
+        if (record) CORPUS_CACHE.set(token, {
             count: stats.count + 1,
             lastSeen: Date.now()
         });
@@ -0,0 +1,66 @@
+import { calculateNoveltyScore, getCorpusSize } from './noveltyScorer.js';
+import { BreakingNewsDetector } from './breakingNewsDetector.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const now = Date.parse('2026-10-19T09:00:00+05:30');
+    const minutesAgo = (minutes) => now - minutes * 60 * 1000;
+
+    console.log('--- Starting Tests: Novelty and Breaking History ---');
+
+    // TEST 1: Novelty corpus
+    const fresh = calculateNoveltyScore('Monsoon floods Chennai suburbs', 'Rains lash coastal districts', 'chennai', { record: false });
+    assert(fresh === 1.5 && getCorpusSize() === 0, 'Novelty: read-only check leaves the corpus empty');
+    assert(calculateNoveltyScore('Monsoon floods Chennai suburbs', 'Rains lash coastal districts', 'chennai', { record: false }) === fresh, 'Novelty: read-only check repeats');
+    calculateNoveltyScore('Monsoon floods Chennai suburbs', 'Rains lash coastal districts', 'chennai');
+    calculateNoveltyScore('Monsoon floods Chennai suburbs', 'Rains lash coastal districts', 'chennai');
+    assert(getCorpusSize() > 0 && calculateNoveltyScore('Monsoon floods Chennai suburbs', '', 'chennai', { record: false }) === 1, 'Novelty: recorded stories stop being novel');
+
+    // TEST 2: Breaking detector
+    const detector = new BreakingNewsDetector();
+    detector.checkBreakingNews({ title: 'Quake hits Andaman islands', source: 'The Hindu', publishedAt: minutesAgo(10) }, now);
+    const second = { title: 'Quake hits Andaman islands today', source: 'NDTV', publishedAt: minutesAgo(5) };
+    const peek = detector.checkBreakingNews(second, now, { record: false });
+    assert(peek.isBreaking && detector.getBreakingStories().length === 0 && detector.newsMap.size === 1, 'Breaking: read-only check registers nothing');
+    assert(detector.checkBreakingNews(second, now, { record: false }).multiplier === peek.multiplier, 'Breaking: read-only check repeats');
+    assert(detector.checkBreakingNews(second, now).multiplier === peek.multiplier && detector.getBreakingStories().length === 1, 'Breaking: recording gives the same verdict');
+
+    // TEST 3: Preview ranking is repeatable
+    const items = [
+        { id: 'a', title: 'Cyclone warning for Tamil Nadu coast', description: 'Fishermen told to stay ashore', source: 'The Hindu', publishedAt: minutesAgo(30) },
+        { id: 'b', title: 'Cyclone warning issued for Tamil Nadu coast', description: '', source: 'NDTV', publishedAt: minutesAgo(20) },
+        { id: 'c', title: 'Metro phase two tunnel boring resumes', description: 'Work restarts after the monsoon', source: 'DT Next', publishedAt: minutesAgo(90) }
+    ];
+    const corpusBefore = getCorpusSize();
+    const storiesBefore = detector.newsMap.size;
+    const rank = () => items
+        .map(item => ({
+            id: item.id,
+            score: calculateNoveltyScore(item.title, item.description, 'chennai', { record: false })
+                * detector.checkBreakingNews(item, now, { record: false }).multiplier
+        }))
+        .sort((x, y) => y.score - x.score);
+    const first = rank();
+    const again = rank();
+    assert(first.map(r => r.id).join() === again.map(r => r.id).join(), 'Preview: same order when ranked twice');
+    assert(first.every((r, i) => r.score === again[i].score), 'Preview: same scores when ranked twice');
+    assert(getCorpusSize() === corpusBefore && detector.newsMap.size === storiesBefore, 'Preview: history unchanged');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
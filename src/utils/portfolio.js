@@ -0,0 +1,318 @@
+/**
+ * Portfolio
+ * Locally stored holdings (NSE/BSE stocks by ticker, mutual funds by AMFI
+ * scheme code), their valuation against live quotes, XIRR, and CSV
+ * import/export. Quotes are fetched by services/portfolioService.js.
+ */
+
+const STORAGE_KEY = 'dailyEventAI_portfolio';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Annualising a few days of movement gives absurd numbers; XIRR waits for this much history
+export const MIN_XIRR_DAYS = 30;
+
+export const EXCHANGES = {
+    NSE: { label: 'NSE', type: 'stock', suffix: '.NS' },
+    BSE: { label: 'BSE', type: 'stock', suffix: '.BO' },
+    AMFI: { label: 'Mutual Fund (AMFI code)', type: 'mf', suffix: '' }
+};
+
+const CSV_COLUMNS = ['exchange', 'symbol', 'name', 'quantity', 'buy_price', 'buy_date'];
+
+/**
+ * @typedef {Object} Holding
+ * @property {string} id
+ * @property {'NSE'|'BSE'|'AMFI'} exchange
+ * @property {string} symbol - ticker without suffix (e.g. 'RELIANCE') or AMFI scheme code
+ * @property {string} [name]
+ * @property {number} quantity - shares or units
+ * @property {number} buyPrice - per share / unit, in ₹
+ * @property {string} buyDate - YYYY-MM-DD
+ */
+
+export function getHoldings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveHoldings(holdings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(holdings));
+    } catch (e) {
+        console.warn('[Portfolio] Failed to save holdings:', e);
+    }
+}
+
+/** Yahoo symbol for a stock holding ('RELIANCE' on NSE -> 'RELIANCE.NS'); scheme code for funds */
+export function getQuoteSymbol(holding) {
+    const exchange = EXCHANGES[holding.exchange];
+    return `${holding.symbol}${exchange?.suffix || ''}`;
+}
+
+export function isMutualFund(holding) {
+    return EXCHANGES[holding.exchange]?.type === 'mf';
+}
+
+/**
+ * Validates and normalises holding fields.
+ * @returns {Holding}
+ * @throws {Error} with a user-facing message
+ */
+export function createHolding({ exchange, symbol, name, quantity, buyPrice, buyDate }) {
+    const ex = String(exchange || '').trim().toUpperCase();
+    if (!EXCHANGES[ex]) throw new Error(`Unknown exchange "${exchange}" (use NSE, BSE or AMFI)`);
+
+    let sym = String(symbol || '').trim().toUpperCase();
+    // Accept Yahoo-style tickers too ('TCS.NS')
+    if (EXCHANGES[ex].suffix && sym.endsWith(EXCHANGES[ex].suffix)) sym = sym.slice(0, -EXCHANGES[ex].suffix.length);
+    if (!sym) throw new Error('Symbol is required');
+    if (ex === 'AMFI' && !/^\d+$/.test(sym)) throw new Error('AMFI scheme codes are numeric');
+
+    const qty = Number(quantity);
+    const price = Number(buyPrice);
+    if (!(qty > 0)) throw new Error('Quantity must be greater than 0');
+    if (!(price > 0)) throw new Error('Buy price must be greater than 0');
+
+    const date = String(buyDate || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+        throw new Error('Buy date must be YYYY-MM-DD');
+    }
+
+    return {
+        id: `h_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+        exchange: ex,
+        symbol: sym,
+        name: String(name || '').trim(),
+        quantity: qty,
+        buyPrice: price,
+        buyDate: date
+    };
+}
+
+// ============================================
+// XIRR
+// ============================================
+
+/**
+ * Annualised internal rate of return for dated cash flows
+ * (outflows negative, inflows positive), as Excel's XIRR.
+ * @param {Array<{amount: number, date: number}>} cashflows - date in ms
+ * @returns {number|null} rate (0.12 = 12%), null if it does not converge
+ */
+export function xirr(cashflows) {
+    if (cashflows.length < 2) return null;
+    if (!cashflows.some(cf => cf.amount < 0) || !cashflows.some(cf => cf.amount > 0)) return null;
+
+    const t0 = Math.min(...cashflows.map(cf => cf.date));
+    const flows = cashflows.map(cf => ({ amount: cf.amount, years: (cf.date - t0) / (365 * DAY_MS) }));
+
+    const npv = (rate) => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, f.years), 0);
+    const dnpv = (rate) => flows.reduce((sum, f) => sum - f.years * f.amount / Math.pow(1 + rate, f.years + 1), 0);
+
+    // Newton-Raphson from 10%
+    let rate = 0.1;
+    for (let i = 0; i < 50; i++) {
+        const value = npv(rate);
+        const slope = dnpv(rate);
+        if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) break;
+        const next = rate - value / slope;
+        if (next <= -1) break;
+        if (Math.abs(next - rate) < 1e-7) return next;
+        rate = next;
+    }
+
+    // Bisection fallback; NPV falls as the rate rises for an invest-then-redeem series
+    let lo = -0.9999;
+    let hi = 10;
+    if (npv(lo) * npv(hi) > 0) return null;
+    for (let i = 0; i < 200; i++) {
+        const mid = (lo + hi) / 2;
+        const value = npv(mid);
+        if (Math.abs(value) < 1e-6) return mid;
+        if (npv(lo) * value < 0) hi = mid;
+        else lo = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+// ============================================
+// VALUATION
+// ============================================
+
+function localDateKey(now) {
+    const d = new Date(now);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Values every holding against its quote.
+ * @param {Holding[]} holdings
+ * @param {Object<string, {price: number, prevClose: number, name?: string}>} quotes - keyed by getQuoteSymbol()
+ * @param {number} [now]
+ * @returns {{positions: Array, totals: Object, allocation: Array, byType: Array}}
+ */
+export function valuePortfolio(holdings, quotes, now = Date.now()) {
+    const today = localDateKey(now);
+    const cashflows = [];
+    let invested = 0;
+    let value = 0;
+    let dayPnL = 0;
+    let prevValue = 0;
+    let earliest = now;
+
+    const positions = holdings.map(holding => {
+        const quote = quotes[getQuoteSymbol(holding)];
+        const cost = holding.quantity * holding.buyPrice;
+        const buyTime = Date.parse(holding.buyDate);
+        invested += cost;
+        cashflows.push({ amount: -cost, date: buyTime });
+        earliest = Math.min(earliest, buyTime);
+
+        if (!quote || quote.price == null) {
+            // Unpriced holdings count at cost so totals stay meaningful
+            value += cost;
+            prevValue += cost;
+            return { ...holding, quote: null, value: cost, pnl: null, pnlPercent: null, dayPnL: null };
+        }
+
+        const marketValue = holding.quantity * quote.price;
+        // Bought today: the day's move is measured from the buy price
+        const reference = holding.buyDate >= today ? holding.buyPrice : (quote.prevClose ?? quote.price);
+        const positionDayPnL = holding.quantity * (quote.price - reference);
+
+        value += marketValue;
+        dayPnL += positionDayPnL;
+        prevValue += holding.quantity * reference;
+
+        return {
+            ...holding,
+            name: holding.name || quote.name || holding.symbol,
+            quote,
+            value: marketValue,
+            pnl: marketValue - cost,
+            pnlPercent: ((marketValue - cost) / cost) * 100,
+            dayPnL: positionDayPnL
+        };
+    });
+
+    cashflows.push({ amount: value, date: now });
+    const heldDays = (now - earliest) / DAY_MS;
+
+    const totals = {
+        invested,
+        value,
+        dayPnL,
+        dayPnLPercent: prevValue > 0 ? (dayPnL / prevValue) * 100 : 0,
+        totalPnL: value - invested,
+        totalPnLPercent: invested > 0 ? ((value - invested) / invested) * 100 : 0,
+        xirr: holdings.length > 0 && heldDays >= MIN_XIRR_DAYS ? xirr(cashflows) : null,
+        priced: positions.filter(p => p.quote).length
+    };
+
+    return {
+        positions,
+        totals,
+        allocation: groupAllocation(positions, p => getQuoteSymbol(p), p => p.name || p.symbol, value),
+        byType: groupAllocation(positions, p => (isMutualFund(p) ? 'mf' : 'stock'), p => (isMutualFund(p) ? 'Mutual Funds' : 'Stocks'), value)
+    };
+}
+
+function groupAllocation(positions, keyOf, labelOf, total) {
+    const groups = {};
+    positions.forEach(p => {
+        const key = keyOf(p);
+        if (!groups[key]) groups[key] = { key, label: labelOf(p), value: 0 };
+        groups[key].value += p.value;
+    });
+    return Object.values(groups)
+        .map(g => ({ ...g, percent: total > 0 ? (g.value / total) * 100 : 0 }))
+        .sort((a, b) => b.value - a.value);
+}
+
+// ============================================
+// CSV
+// ============================================
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Splits one CSV line, honouring quoted fields */
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                current += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+/**
+ * @param {Holding[]} holdings
+ * @returns {string} CSV with a header row
+ */
+export function holdingsToCSV(holdings) {
+    const rows = holdings.map(h => [h.exchange, h.symbol, h.name, h.quantity, h.buyPrice, h.buyDate].map(csvField).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Parses a CSV export (columns may be in any order; header required).
+ * @param {string} text
+ * @returns {{holdings: Holding[], errors: string[]}}
+ */
+export function parseHoldingsCSV(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return { holdings: [], errors: ['File is empty'] };
+
+    const header = parseCsvLine(lines[0]).map(h => h.toLowerCase().replace(/\s+/g, '_'));
+    const missing = CSV_COLUMNS.filter(col => col !== 'name' && !header.includes(col));
+    if (missing.length > 0) {
+        return { holdings: [], errors: [`Missing column(s): ${missing.join(', ')}`] };
+    }
+
+    const holdings = [];
+    const errors = [];
+    lines.slice(1).forEach((line, idx) => {
+        const fields = parseCsvLine(line);
+        const row = Object.fromEntries(header.map((col, i) => [col, fields[i]]));
+        try {
+            holdings.push(createHolding({
+                exchange: row.exchange,
+                symbol: row.symbol,
+                name: row.name,
+                quantity: row.quantity,
+                buyPrice: row.buy_price,
+                buyDate: row.buy_date
+            }));
+        } catch (e) {
+            errors.push(`Row ${idx + 2}: ${e.message}`);
+        }
+    });
+
+    return { holdings, errors };
+}
@@ -0,0 +1,84 @@
+import { xirr, valuePortfolio, createHolding, holdingsToCSV, parseHoldingsCSV } from './portfolio.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    console.log('--- Starting Tests: Portfolio ---');
+
+    // TEST 1: XIRR
+    const d = (iso) => Date.parse(`${iso}T00:00:00Z`);
+    const oneYear = xirr([{ amount: -1000, date: d('2025-01-01') }, { amount: 1100, date: d('2026-01-01') }]);
+    assert(Math.abs(oneYear - 0.1) < 1e-4, `XIRR: 10% over one year (got ${oneYear})`);
+
+    // Excel's documented XIRR example: 0.373362535
+    const excel = xirr([
+        { amount: -10000, date: d('2008-01-01') },
+        { amount: 2750, date: d('2008-03-01') },
+        { amount: 4250, date: d('2008-10-30') },
+        { amount: 3250, date: d('2009-02-15') },
+        { amount: 2750, date: d('2009-04-01') }
+    ]);
+    assert(Math.abs(excel - 0.373362535) < 1e-5, `XIRR: matches Excel example (got ${excel})`);
+
+    const loss = xirr([{ amount: -1000, date: d('2025-01-01') }, { amount: 800, date: d('2026-01-01') }]);
+    assert(Math.abs(loss + 0.2) < 1e-4, 'XIRR: -20% loss');
+    assert(xirr([{ amount: -1000, date: d('2025-01-01') }]) === null, 'XIRR: needs an inflow and an outflow');
+
+    // TEST 2: Valuation
+    const NOW = Date.parse('2026-10-19T10:00:00');
+    const holdings = [
+        { ...createHolding({ exchange: 'NSE', symbol: 'reliance', quantity: 10, buyPrice: 2000, buyDate: '2025-10-19' }), id: 'a' },
+        { ...createHolding({ exchange: 'AMFI', symbol: '119551', quantity: 100, buyPrice: 50, buyDate: '2025-10-19' }), id: 'b' },
+        { ...createHolding({ exchange: 'BSE', symbol: 'TCS.BO', quantity: 1, buyPrice: 4000, buyDate: '2026-10-19' }), id: 'c' }
+    ];
+    assert(holdings[0].symbol === 'RELIANCE' && holdings[2].symbol === 'TCS', 'Holdings: symbols normalised');
+
+    const quotes = {
+        'RELIANCE.NS': { price: 2500, prevClose: 2400 },
+        '119551': { price: 60, prevClose: 61 },
+        'TCS.BO': { price: 4100, prevClose: 3900 }
+    };
+    const { totals, positions, allocation, byType } = valuePortfolio(holdings, quotes, NOW);
+    assert(totals.invested === 29000, 'Valuation: invested');
+    assert(totals.value === 25000 + 6000 + 4100, 'Valuation: market value');
+    // Day P&L: 10*100 + 100*(-1) + bought today 1*(4100-4000)
+    assert(totals.dayPnL === 1000 - 100 + 100, 'Valuation: day P&L uses buy price for same-day buys');
+    assert(positions[0].pnl === 5000 && Math.abs(positions[1].pnlPercent - 20) < 1e-9, 'Valuation: per-position P&L');
+    assert(totals.xirr != null && totals.xirr > 0, 'Valuation: XIRR computed after a year');
+    assert(allocation[0].key === 'RELIANCE.NS' && Math.abs(allocation.reduce((s, a) => s + a.percent, 0) - 100) < 1e-9, 'Allocation: sorted and sums to 100%');
+    assert(byType.find(t => t.key === 'mf').value === 6000, 'Allocation: by asset type');
+
+    const unpriced = valuePortfolio(holdings, {}, NOW);
+    assert(unpriced.totals.value === 29000 && unpriced.totals.priced === 0, 'Valuation: unpriced holdings count at cost');
+
+    const recent = valuePortfolio([holdings[2]], quotes, NOW);
+    assert(recent.totals.xirr === null, 'Valuation: no XIRR for very recent holdings');
+
+    // TEST 3: CSV round trip
+    const named = [{ ...holdings[0], name: 'Reliance Industries, Ltd "RIL"' }, holdings[1]];
+    const parsed = parseHoldingsCSV(holdingsToCSV(named));
+    assert(parsed.errors.length === 0 && parsed.holdings.length === 2, 'CSV: round trip parses');
+    assert(parsed.holdings[0].name === named[0].name, 'CSV: quoted names with commas and quotes survive');
+    assert(parsed.holdings[1].exchange === 'AMFI' && parsed.holdings[1].quantity === 100, 'CSV: fields preserved');
+
+    const bad = parseHoldingsCSV('exchange,symbol,quantity,buy_price,buy_date\nNSE,INFY,5,1500,2025-01-02\nNYSE,AAPL,1,100,2025-01-02\nNSE,TCS,-1,100,2025-01-02');
+    assert(bad.holdings.length === 1 && bad.errors.length === 2, 'CSV: invalid rows reported, valid rows kept');
+    assert(parseHoldingsCSV('symbol,quantity\nINFY,1').errors[0].startsWith('Missing column'), 'CSV: missing columns rejected');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
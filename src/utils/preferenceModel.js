@@ -0,0 +1,280 @@
+/**
+ * Preference Model
+ * On-device personal ranking learned from implicit feedback: story opens,
+ * time spent on the story, "not interested" hides and shares. Each signal
+ * nudges per-source, per-section and per-keyword affinities; old signals
+ * fade with a 30-day half-life. Everything stays in localStorage.
+ *
+ * getPreferenceFactor() turns the affinities into a score multiplier
+ * (the 'personal' factor in computeImpactBreakdown).
+ */
+
+const STORAGE_KEY = 'dailyEventAI_preferenceModel';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HALF_LIFE_MS = 30 * DAY_MS;
+
+// Points per signal, before the per-dimension share below
+export const SIGNAL_WEIGHTS = {
+    open: 1,
+    share: 2,
+    hide: -3
+};
+
+// Dwell: under 10s reads as a bounce, then +1 per minute up to +2
+const BOUNCE_MS = 10 * 1000;
+const BOUNCE_WEIGHT = -0.5;
+const DWELL_UNIT_MS = 60 * 1000;
+const DWELL_MAX_WEIGHT = 2;
+// Longer than this and the user most likely just left the tab
+const DWELL_MAX_MS = 20 * 60 * 1000;
+
+// How much of a signal lands on each dimension
+const DIMENSION_SHARE = { sources: 1, sections: 0.5, keywords: 0.5 };
+// How affinities combine into one score
+const DIMENSION_WEIGHT = { sources: 0.4, sections: 0.3, keywords: 0.3 };
+// Net points at which an affinity is ~76% saturated (tanh(1))
+const SATURATION = 5;
+
+const MAX_ENTRIES = { sources: 100, sections: 30, keywords: 300 };
+const MAX_KEYWORDS_PER_STORY = 8;
+const MAX_HIDDEN = 200;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'will', 'says', 'said',
+    'after', 'over', 'more', 'about', 'into', 'amid', 'than', 'their', 'they', 'have', 'has', 'been',
+    'what', 'when', 'where', 'which', 'while', 'who', 'why', 'how', 'new', 'top', 'best', 'news',
+    'update', 'updates', 'latest', 'today', 'live', 'video', 'watch', 'know', 'here', 'could', 'would'
+]);
+
+/**
+ * @typedef {Object} Affinity
+ * @property {number} score - accumulated points at time `t`
+ * @property {number} t - last update
+ */
+
+/**
+ * @typedef {Object} PreferenceModel
+ * @property {Object<string, Affinity>} sources
+ * @property {Object<string, Affinity>} sections
+ * @property {Object<string, Affinity>} keywords
+ * @property {{open: number, dwell: number, hide: number, share: number}} signals - counts
+ * @property {string[]} hidden - story ids marked "not interested"
+ * @property {number|null} updatedAt
+ */
+
+export function createPreferenceModel() {
+    return {
+        sources: {},
+        sections: {},
+        keywords: {},
+        signals: { open: 0, dwell: 0, hide: 0, share: 0 },
+        hidden: [],
+        updatedAt: null
+    };
+}
+
+/** Significant words of a headline, lower-cased and de-duplicated */
+export function extractKeywords(title) {
+    const words = (title || '').toLowerCase().match(/[a-z][a-z0-9-]{3,}/g) || [];
+    return [...new Set(words.filter(w => !STOP_WORDS.has(w)))].slice(0, MAX_KEYWORDS_PER_STORY);
+}
+
+function decayed(entry, now) {
+    if (!entry) return 0;
+    return entry.score * Math.pow(0.5, Math.max(0, now - entry.t) / HALF_LIFE_MS);
+}
+
+function bump(map, key, points, now) {
+    if (!key) return map;
+    return { ...map, [key]: { score: decayed(map[key], now) + points, t: now } };
+}
+
+// Keep the strongest (liked or disliked) entries
+function prune(map, max, now) {
+    const entries = Object.entries(map);
+    if (entries.length <= max) return map;
+    return Object.fromEntries(
+        entries
+            .sort((a, b) => Math.abs(decayed(b[1], now)) - Math.abs(decayed(a[1], now)))
+            .slice(0, max)
+    );
+}
+
+/**
+ * Points for a signal; null when it should be ignored.
+ * @param {'open'|'dwell'|'hide'|'share'} signal
+ * @param {number} [dwellMs]
+ */
+export function getSignalWeight(signal, dwellMs = 0) {
+    if (signal !== 'dwell') return SIGNAL_WEIGHTS[signal] ?? null;
+    if (!(dwellMs > 0) || dwellMs > DWELL_MAX_MS) return null;
+    if (dwellMs < BOUNCE_MS) return BOUNCE_WEIGHT;
+    return Math.min(DWELL_MAX_WEIGHT, dwellMs / DWELL_UNIT_MS);
+}
+
+/**
+ * Folds one feedback signal into the model.
+ * @param {PreferenceModel} model
+ * @param {Object} article - needs source, section and title/headline
+ * @param {'open'|'dwell'|'hide'|'share'} signal
+ * @param {{dwellMs?: number, now?: number}} [options]
+ * @returns {PreferenceModel} a new model (unchanged if the signal is ignored)
+ */
+export function applySignal(model, article, signal, { dwellMs = 0, now = Date.now() } = {}) {
+    const points = getSignalWeight(signal, dwellMs);
+    if (points == null || !article) return model;
+
+    let keywords = model.keywords;
+    for (const word of extractKeywords(article.title || article.headline)) {
+        keywords = bump(keywords, word, points * DIMENSION_SHARE.keywords, now);
+    }
+
+    const hidden = signal === 'hide' && article.id
+        ? [article.id, ...model.hidden.filter(id => id !== article.id)].slice(0, MAX_HIDDEN)
+        : model.hidden;
+
+    return {
+        ...model,
+        sources: prune(bump(model.sources, article.source, points * DIMENSION_SHARE.sources, now), MAX_ENTRIES.sources, now),
+        sections: prune(bump(model.sections, article.section, points * DIMENSION_SHARE.sections, now), MAX_ENTRIES.sections, now),
+        keywords: prune(keywords, MAX_ENTRIES.keywords, now),
+        signals: { ...model.signals, [signal]: (model.signals[signal] || 0) + 1 },
+        hidden,
+        updatedAt: now
+    };
+}
+
+/**
+ * Learned affinity for a story, each part in -1..1.
+ * @returns {{affinity: number, parts: {source: number, section: number, keywords: number}}}
+ */
+export function getAffinity(model, item, now = Date.now()) {
+    const squash = (points) => Math.tanh(points / SATURATION);
+    const keywordPoints = extractKeywords(item.title || item.headline)
+        .reduce((sum, word) => sum + decayed(model.keywords[word], now), 0);
+
+    const parts = {
+        source: squash(decayed(model.sources[item.source], now)),
+        section: squash(decayed(model.sections[item.section], now)),
+        keywords: squash(keywordPoints)
+    };
+
+    return {
+        affinity: parts.source * DIMENSION_WEIGHT.sources +
+            parts.section * DIMENSION_WEIGHT.sections +
+            parts.keywords * DIMENSION_WEIGHT.keywords,
+        parts
+    };
+}
+
+/**
+ * Score multiplier from learned affinity: 1 ± strength (×0.5–1.5 at the default 0.5).
+ * @param {number} strength - 0..1
+ */
+export function getPreferenceFactor(model, item, strength = 0.5, now = Date.now()) {
+    return 1 + strength * getAffinity(model, item, now).affinity;
+}
+
+/**
+ * Strongest learned likes and dislikes per dimension, for the Settings view.
+ * @returns {{sources: Array, sections: Array, keywords: Array}} entries of {key, score}, strongest first
+ */
+export function summarizePreferences(model, now = Date.now(), limit = 8) {
+    const top = (map) => Object.entries(map)
+        .map(([key, entry]) => ({ key, score: decayed(entry, now) }))
+        .filter(entry => Math.abs(entry.score) >= 0.05)
+        .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+        .slice(0, limit);
+
+    return {
+        sources: top(model.sources),
+        sections: top(model.sections),
+        keywords: top(model.keywords)
+    };
+}
+
+/** Drops one learned entry, e.g. forget the 'cricket' keyword */
+export function forgetPreference(model, dimension, key) {
+    const rest = { ...model[dimension] };
+    delete rest[key];
+    return { ...model, [dimension]: rest };
+}
+
+// --- Storage ---
+
+let cached = { raw: null, model: null };
+
+export function getPreferenceModel() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        // Scoring reads the model once per article; skip re-parsing unchanged JSON
+        if (raw === cached.raw && cached.model) return cached.model;
+        const stored = raw ? JSON.parse(raw) : null;
+        const model = { ...createPreferenceModel(), ...stored };
+        cached = { raw, model };
+        return model;
+    } catch {
+        return createPreferenceModel();
+    }
+}
+
+export function savePreferenceModel(model) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(model));
+    } catch (e) {
+        console.warn('[Preferences] Failed to save model:', e);
+    }
+}
+
+export function resetPreferenceModel() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // storage unavailable
+    }
+    cached = { raw: null, model: null };
+}
+
+/**
+ * Records a signal for an article in the stored model.
+ * @param {Object} article
+ * @param {'open'|'dwell'|'hide'|'share'} signal
+ * @param {{dwellMs?: number}} [options]
+ */
+export function recordPreferenceSignal(article, signal, options = {}) {
+    const model = getPreferenceModel();
+    const next = applySignal(model, article, signal, options);
+    if (next !== model) savePreferenceModel(next);
+}
+
+export function isStoryHidden(id) {
+    return Boolean(id) && getPreferenceModel().hidden.includes(id);
+}
+
+// --- Dwell tracking ---
+// Stories open in a new tab; if the app is hidden right after an open, the
+// time until it is visible again is taken as time spent on the story
+// (see useDwellTracking).
+
+const LEAVE_WINDOW_MS = 5000;
+let pendingDwell = null;
+
+export function startDwell(article, now = Date.now()) {
+    pendingDwell = { article, start: now, away: false };
+}
+
+/** App went to the background: counts only if it follows the open */
+export function markDwellAway(now = Date.now()) {
+    if (!pendingDwell) return;
+    if (now - pendingDwell.start <= LEAVE_WINDOW_MS) pendingDwell.away = true;
+    else pendingDwell = null;
+}
+
+/** App is visible again: record the dwell for the story that was opened */
+export function finishDwell(now = Date.now()) {
+    if (!pendingDwell?.away) return;
+    const { article, start } = pendingDwell;
+    pendingDwell = null;
+    recordPreferenceSignal(article, 'dwell', { dwellMs: now - start });
+}
@@ -0,0 +1,81 @@
+import {
+    createPreferenceModel,
+    extractKeywords,
+    getSignalWeight,
+    applySignal,
+    getAffinity,
+    getPreferenceFactor,
+    summarizePreferences,
+    forgetPreference
+} from './preferenceModel.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = Date.parse('2026-10-19T09:00:00+05:30');
+    const cricket = { id: 'a1', title: 'India win cricket series against Australia', source: 'ESPNcricinfo', section: 'sports' };
+    const markets = { id: 'b1', title: 'Sensex falls as banks drag markets lower', source: 'Moneycontrol', section: 'business' };
+
+    console.log('--- Starting Tests: Preference Model ---');
+
+    // TEST 1: Keywords and signal weights
+    assert(extractKeywords('The latest: India win the cricket series').join(',') === 'india,cricket,series', 'Keywords: stop words and short words dropped');
+    assert(getSignalWeight('open') === 1 && getSignalWeight('hide') === -3 && getSignalWeight('share') === 2, 'Weights: open / hide / share');
+    assert(getSignalWeight('dwell', 5000) < 0, 'Dwell: bounce is negative');
+    assert(getSignalWeight('dwell', 90 * 1000) === 1.5 && getSignalWeight('dwell', 10 * 60 * 1000) === 2, 'Dwell: per minute, capped');
+    assert(getSignalWeight('dwell', 60 * 60 * 1000) === null && getSignalWeight('bogus') === null, 'Dwell: abandoned tab / unknown signal ignored');
+
+    // TEST 2: Learning
+    let model = createPreferenceModel();
+    assert(getPreferenceFactor(model, cricket, 0.5, now) === 1, 'Empty model is neutral');
+
+    model = applySignal(model, cricket, 'open', { now });
+    model = applySignal(model, cricket, 'dwell', { dwellMs: 3 * 60 * 1000, now });
+    model = applySignal(model, markets, 'hide', { now });
+    assert(model.signals.open === 1 && model.signals.dwell === 1 && model.signals.hide === 1, 'Signals counted');
+    assert(model.sources.ESPNcricinfo.score === 3 && model.sections.sports.score === 1.5, 'Source and section affinities');
+    assert(model.keywords.cricket.score === 1.5 && model.keywords.sensex.score === -1.5, 'Keyword affinities');
+    assert(model.hidden.includes('b1'), 'Hide remembers the story');
+    assert(applySignal(model, cricket, 'dwell', { dwellMs: 0, now }) === model, 'Ignored signal leaves model unchanged');
+
+    const liked = { title: 'Cricket: India name squad for next series', source: 'ESPNcricinfo', section: 'sports' };
+    const disliked = { title: 'Sensex ends flat', source: 'Moneycontrol', section: 'business' };
+    const likedFactor = getPreferenceFactor(model, liked, 0.5, now);
+    const dislikedFactor = getPreferenceFactor(model, disliked, 0.5, now);
+    assert(likedFactor > 1 && likedFactor <= 1.5, 'Liked story boosted within strength');
+    assert(dislikedFactor < 1 && dislikedFactor >= 0.5, 'Disliked story damped within strength');
+    assert(getPreferenceFactor(model, liked, 1, now) - 1 > likedFactor - 1, 'Strength scales the effect');
+
+    const { parts } = getAffinity(model, { title: 'Unrelated story', source: 'BBC', section: 'world' }, now);
+    assert(parts.source === 0 && parts.section === 0 && parts.keywords === 0, 'Unknown story has no affinity');
+
+    // TEST 3: Decay
+    const later = getAffinity(model, liked, now + 30 * DAY).affinity;
+    assert(Math.abs(later) < getAffinity(model, liked, now).affinity, 'Affinity fades over time');
+    const bumped = applySignal(model, cricket, 'open', { now: now + 30 * DAY });
+    assert(Math.abs(bumped.sources.ESPNcricinfo.score - (1.5 + 1)) < 1e-9, 'New signal adds to decayed score');
+
+    // TEST 4: Inspect and forget
+    const summary = summarizePreferences(model, now);
+    assert(summary.sources[0].key === 'ESPNcricinfo' && summary.sources[1].score < 0, 'Summary: strongest first, dislikes included');
+    const forgotten = forgetPreference(model, 'keywords', 'cricket');
+    assert(!forgotten.keywords.cricket && model.keywords.cricket, 'Forget removes one entry without mutating');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
@@ -1,12 +1,12 @@
 import { getSettings } from './storage.js';
-import { LOCATIONS } from '../data/geolocation.js';
+import { REGIONS } from '../data/geolocation.js';
+import { getLocations } from '../services/locationService.js';
 
 /**
  * Calculates proximity score based on user's location relevance.
- * Checks against hardcoded LOCATIONS and user settings.
+ * Checks against broad REGIONS and the user's saved locations.
  */
-export function calculateProximityScore(title, description) {
-    const settings = getSettings();
+export function calculateProximityScore(title, description, settings = getSettings()) {
 
     // 1. Check if proximity scoring is enabled
     if (settings.enableProximityScoring === false) {
@@ -20,26 +20,24 @@ export function calculateProximityScore(title, description) {
     const cityMatchBoost = settings.rankingWeights?.geo?.cityMatch || 1.5;
     const maxScore = settings.rankingWeights?.geo?.maxScore || 5.0;
 
-    // 2. Check against LOCATIONS list (Hardcoded priorities)
-    for (const [locationName, data] of Object.entries(LOCATIONS)) {
+    // 2. Check against REGIONS list (Hardcoded priorities)
+    for (const [regionName, data] of Object.entries(REGIONS)) {
         // Simple text matching
-        if (text.includes(locationName.toLowerCase())) {
+        if (text.includes(regionName)) {
             if (data.boost > maxBoost) {
                 maxBoost = data.boost;
             }
         }
     }
 
-    // 3. Check against User Configured Cities (Settings)
-    if (settings.weather?.cities) {
-        for (const city of settings.weather.cities) {
-            if (text.includes(city.toLowerCase())) {
-                // Apply the configured city match boost
-                // If this is higher than what we found in LOCATIONS, use it.
-                // Or maybe we should multiply? For now, taking the max seems safer to avoid explosion.
-                if (cityMatchBoost > maxBoost) {
-                    maxBoost = cityMatchBoost;
-                }
+    // 3. Check against the user's saved locations (Settings)
+    // The higher of the location's own boost and the configured city match boost.
+    // Taking the max (not multiplying) avoids explosion when several match.
+    for (const location of getLocations(settings)) {
+        if (text.includes(location.name.toLowerCase())) {
+            const boost = Math.max(location.boost || 0, cityMatchBoost);
+            if (boost > maxBoost) {
+                maxBoost = boost;
             }
         }
     }
@@ -0,0 +1,220 @@
+/**
+ * Ranking Profiles
+ * Named sets of ranking weights ("Serious news", "Weekend leisure", ...)
+ * that can be applied, saved from the current sliders, shared as JSON and
+ * switched automatically per time segment.
+ *
+ * Applying a profile copies its weights into settings.rankingWeights, so the
+ * sliders always show what is in effect. Segment auto-switching is resolved at
+ * scoring time (resolveScoringSettings) and never rewrites settings.
+ */
+
+import { DEFAULT_SETTINGS } from './storage.js';
+import { getCurrentSegment } from './timeSegment.js';
+import { BUILT_IN_PROFILES } from '../data/rankingProfiles.js';
+
+export const PROFILE_FORMAT = 'dailyEventAI.rankingProfile';
+const MAX_NAME_LENGTH = 40;
+// Sane bounds for imported values (hours, boosts and multipliers)
+const MAX_WEIGHT = 200;
+
+// Audit thresholds drive badges, not ranking, so profiles leave them alone
+const RANKING_GROUPS = Object.keys(DEFAULT_SETTINGS.rankingWeights).filter(group => group !== 'audit');
+
+/**
+ * @typedef {Object} RankingProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} icon
+ * @property {string} [description]
+ * @property {boolean} [enableProximityScoring] - left unchanged when absent
+ * @property {Object} rankingWeights - partial; defaults fill the rest
+ * @property {boolean} [builtIn]
+ */
+
+/** Ranking groups of a weights object, complete with defaults */
+export function resolveProfileWeights(profile) {
+    const resolved = {};
+    for (const group of RANKING_GROUPS) {
+        resolved[group] = { ...DEFAULT_SETTINGS.rankingWeights[group], ...profile.rankingWeights?.[group] };
+    }
+    return resolved;
+}
+
+export function getAllProfiles(settings) {
+    return [
+        ...BUILT_IN_PROFILES.map(profile => ({ ...profile, builtIn: true })),
+        ...(settings.rankingProfiles?.custom || [])
+    ];
+}
+
+export function findProfile(settings, id) {
+    return getAllProfiles(settings).find(profile => profile.id === id) || null;
+}
+
+/**
+ * Settings with the profile's weights in effect.
+ * @returns {Object} new settings object
+ */
+export function applyProfile(settings, profile) {
+    return {
+        ...settings,
+        rankingWeights: { ...settings.rankingWeights, ...resolveProfileWeights(profile) },
+        enableProximityScoring: profile.enableProximityScoring ?? settings.enableProximityScoring,
+        rankingProfiles: { ...settings.rankingProfiles, active: profile.id }
+    };
+}
+
+/** True when the sliders no longer match the profile they came from */
+export function isProfileModified(settings, profile) {
+    const expected = resolveProfileWeights(profile);
+    const current = resolveProfileWeights({ rankingWeights: settings.rankingWeights });
+    const weightsDiffer = RANKING_GROUPS.some(group =>
+        Object.keys(expected[group]).some(key => Math.abs((current[group][key] ?? 0) - expected[group][key]) > 1e-9)
+    );
+    const proximityDiffers = profile.enableProximityScoring !== undefined &&
+        Boolean(settings.enableProximityScoring) !== profile.enableProximityScoring;
+    return weightsDiffer || proximityDiffers;
+}
+
+/**
+ * Snapshot of the current sliders as a new custom profile.
+ * @returns {RankingProfile}
+ */
+export function createProfileFromSettings(settings, name, now = Date.now()) {
+    return {
+        id: `custom_${now.toString(36)}`,
+        name: name.trim(),
+        icon: '⭐',
+        enableProximityScoring: Boolean(settings.enableProximityScoring),
+        rankingWeights: resolveProfileWeights({ rankingWeights: settings.rankingWeights })
+    };
+}
+
+/**
+ * Adds a custom profile; one with the same name is replaced (keeping its id).
+ * @throws {Error} when the name is empty, too long or taken by a built-in profile
+ * @returns {Object} new settings object
+ */
+export function saveCustomProfile(settings, profile) {
+    const name = (profile.name || '').trim();
+    if (!name) throw new Error('Give the profile a name');
+    if (name.length > MAX_NAME_LENGTH) throw new Error(`Keep the name under ${MAX_NAME_LENGTH} characters`);
+    if (BUILT_IN_PROFILES.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+        throw new Error(`"${name}" is a built-in profile`);
+    }
+
+    const custom = settings.rankingProfiles?.custom || [];
+    const existing = custom.find(p => p.name.toLowerCase() === name.toLowerCase());
+    const saved = { ...profile, name, id: existing?.id || profile.id };
+
+    return {
+        ...settings,
+        rankingProfiles: {
+            ...settings.rankingProfiles,
+            custom: existing ? custom.map(p => (p.id === existing.id ? saved : p)) : [...custom, saved]
+        }
+    };
+}
+
+/** Removes a custom profile and any segment assignments to it */
+export function deleteCustomProfile(settings, id) {
+    const profiles = settings.rankingProfiles || {};
+    const bySegment = Object.fromEntries(
+        Object.entries(profiles.bySegment || {}).filter(([, profileId]) => profileId !== id)
+    );
+    return {
+        ...settings,
+        rankingProfiles: {
+            ...profiles,
+            custom: (profiles.custom || []).filter(p => p.id !== id),
+            bySegment,
+            active: profiles.active === id ? null : profiles.active
+        }
+    };
+}
+
+/** Shareable JSON for a profile (no id; the importer assigns one) */
+export function exportProfileJSON(profile) {
+    const { name, icon, description, enableProximityScoring } = profile;
+    return JSON.stringify({
+        format: PROFILE_FORMAT,
+        name,
+        icon,
+        description,
+        enableProximityScoring,
+        rankingWeights: resolveProfileWeights(profile)
+    }, null, 2);
+}
+
+/**
+ * Parses shared JSON, keeping only known numeric weights.
+ * @throws {Error} when the text is not a valid ranking profile
+ * @returns {RankingProfile}
+ */
+export function parseProfileJSON(text, now = Date.now()) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Not valid JSON');
+    }
+    if (!data || data.format !== PROFILE_FORMAT) throw new Error('Not a ranking profile');
+    if (typeof data.name !== 'string' || !data.name.trim()) throw new Error('Profile has no name');
+
+    const rankingWeights = {};
+    for (const group of RANKING_GROUPS) {
+        for (const key of Object.keys(DEFAULT_SETTINGS.rankingWeights[group])) {
+            const value = data.rankingWeights?.[group]?.[key];
+            if (typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_WEIGHT) {
+                rankingWeights[group] = { ...rankingWeights[group], [key]: value };
+            }
+        }
+    }
+
+    return {
+        id: `custom_${now.toString(36)}`,
+        name: data.name.trim().slice(0, MAX_NAME_LENGTH),
+        icon: typeof data.icon === 'string' && data.icon.length <= 4 ? data.icon : '⭐',
+        description: typeof data.description === 'string' ? data.description.slice(0, 120) : undefined,
+        enableProximityScoring: typeof data.enableProximityScoring === 'boolean' ? data.enableProximityScoring : undefined,
+        rankingWeights
+    };
+}
+
+/**
+ * Profile assigned to the current time segment, when auto-switching is on.
+ * @returns {RankingProfile|null}
+ */
+export function getSegmentProfile(settings, date = new Date()) {
+    const profiles = settings.rankingProfiles;
+    if (!profiles?.autoSwitch) return null;
+    const id = profiles.bySegment?.[getCurrentSegment(date).id];
+    return id ? findProfile(settings, id) : null;
+}
+
+/** Settings to score with right now: the segment's profile if one is assigned */
+export function resolveScoringSettings(settings, date = new Date()) {
+    const profile = getSegmentProfile(settings, date);
+    return profile ? applyProfile(settings, profile) : settings;
+}
+
+/**
+ * Positions of the same stories under two rankings.
+ * @param {Object[]} rankedA - stories in profile A order
+ * @param {Object[]} rankedB - the same stories in profile B order
+ * @returns {Array<{item: Object, rank: number, previousRank: number|null, change: number}>}
+ *   B's top `limit`, with change > 0 when B ranks the story higher than A
+ */
+export function compareRankings(rankedA, rankedB, limit = 10) {
+    const rankInA = new Map(rankedA.map((item, index) => [item.id, index + 1]));
+    return rankedB.slice(0, limit).map((item, index) => {
+        const previousRank = rankInA.get(item.id) ?? null;
+        return {
+            item,
+            rank: index + 1,
+            previousRank,
+            change: previousRank == null ? 0 : previousRank - (index + 1)
+        };
+    });
+}
@@ -0,0 +1,94 @@
+import {
+    resolveProfileWeights,
+    findProfile,
+    applyProfile,
+    isProfileModified,
+    createProfileFromSettings,
+    saveCustomProfile,
+    deleteCustomProfile,
+    exportProfileJSON,
+    parseProfileJSON,
+    resolveScoringSettings,
+    compareRankings
+} from './rankingProfiles.js';
+import { DEFAULT_SETTINGS } from './storage.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const throws = (fn) => { try { fn(); return false; } catch { return true; } };
+    const now = Date.parse('2026-10-19T09:00:00+05:30');
+    const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+
+    console.log('--- Starting Tests: Ranking Profiles ---');
+
+    // TEST 1: Built-ins and applying
+    const serious = findProfile(settings, 'serious');
+    const weights = resolveProfileWeights(serious);
+    assert(weights.source.tier1Boost === 7 && weights.freshness.decayHours === DEFAULT_SETTINGS.rankingWeights.freshness.decayHours, 'Resolve: overrides over defaults');
+    assert(!('audit' in weights), 'Resolve: audit thresholds untouched');
+
+    const applied = applyProfile(settings, serious);
+    assert(applied.rankingWeights.temporal.entertainmentBoost === 1 && applied.rankingWeights.audit, 'Apply: weights copied, audit kept');
+    assert(applied.rankingProfiles.active === 'serious' && settings.rankingProfiles.active === 'balanced', 'Apply: marks active without mutating input');
+    assert(applyProfile(settings, findProfile(settings, 'local')).enableProximityScoring === true, 'Apply: profile can switch proximity on');
+    assert(!isProfileModified(applied, serious), 'Modified: fresh apply matches');
+    const nudged = { ...applied, rankingWeights: { ...applied.rankingWeights, source: { ...applied.rankingWeights.source, tier1Boost: 6 } } };
+    assert(isProfileModified(nudged, serious), 'Modified: slider change detected');
+
+    // TEST 2: Custom profiles
+    const mine = createProfileFromSettings(nudged, '  Commute ', now);
+    assert(mine.name === 'Commute' && mine.rankingWeights.source.tier1Boost === 6, 'Create: snapshot of current sliders');
+    const withMine = saveCustomProfile(settings, mine);
+    assert(findProfile(withMine, mine.id)?.name === 'Commute', 'Save: findable by id');
+    const resaved = saveCustomProfile(withMine, { ...createProfileFromSettings(settings, 'commute', now + 1000) });
+    assert(resaved.rankingProfiles.custom.length === 1 && resaved.rankingProfiles.custom[0].id === mine.id, 'Save: same name replaces, keeps id');
+    assert(throws(() => saveCustomProfile(settings, { ...mine, name: 'Serious News' })), 'Save: built-in name rejected');
+    assert(throws(() => saveCustomProfile(settings, { ...mine, name: ' ' })), 'Save: empty name rejected');
+
+    const assigned = { ...withMine, rankingProfiles: { ...withMine.rankingProfiles, active: mine.id, bySegment: { morning_news: mine.id } } };
+    const deleted = deleteCustomProfile(assigned, mine.id);
+    assert(deleted.rankingProfiles.custom.length === 0 && !deleted.rankingProfiles.bySegment.morning_news && deleted.rankingProfiles.active === null, 'Delete: removes segment and active references');
+
+    // TEST 3: JSON sharing
+    const imported = parseProfileJSON(exportProfileJSON(serious), now);
+    assert(imported.name === 'Serious news' && imported.rankingWeights.source.tier1Boost === 7 && !imported.builtIn, 'JSON: round trip');
+    assert(throws(() => parseProfileJSON('{oops', now)), 'JSON: invalid text rejected');
+    assert(throws(() => parseProfileJSON('{"name":"x"}', now)), 'JSON: foreign format rejected');
+    const hostile = parseProfileJSON(JSON.stringify({
+        format: 'dailyEventAI.rankingProfile',
+        name: 'Odd',
+        rankingWeights: { source: { tier1Boost: 1e9, tier2Boost: 'x', madeUp: 3 }, freshness: { decayHours: 30 }, evil: { a: 1 } }
+    }), now);
+    assert(hostile.rankingWeights.freshness.decayHours === 30 && !hostile.rankingWeights.source && !hostile.rankingWeights.evil, 'JSON: only known, sane numbers kept');
+
+    // TEST 4: Segment auto-switch (07:30 local is Morning News)
+    const morning = new Date(2026, 9, 19, 7, 30);
+    const auto = { ...settings, rankingProfiles: { ...settings.rankingProfiles, autoSwitch: true, bySegment: { morning_news: 'serious' } } };
+    assert(resolveScoringSettings(auto, morning).rankingWeights.source.tier1Boost === 7, 'Segment: assigned profile used for scoring');
+    assert(resolveScoringSettings(auto, new Date(2026, 9, 19, 21, 0)) === auto, 'Segment: unassigned segment uses current weights');
+    assert(resolveScoringSettings({ ...auto, rankingProfiles: { ...auto.rankingProfiles, autoSwitch: false } }, morning).rankingWeights.source.tier1Boost === DEFAULT_SETTINGS.rankingWeights.source.tier1Boost, 'Segment: off means no switch');
+
+    // TEST 5: Rank comparison
+    const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(id => ({ id }));
+    const rows = compareRankings([a, b, c, d], [c, a, b, d], 3);
+    assert(rows.length === 3 && rows[0].item === c && rows[0].change === 2, 'Compare: risers positive');
+    assert(rows[1].change === -1 && rows[2].change === -1, 'Compare: fallers negative');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
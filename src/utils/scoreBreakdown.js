@@ -0,0 +1,135 @@
+/**
+ * Score Breakdown
+ * Structured explanation of an article's impact score, built by
+ * computeImpactBreakdown (rssAggregator) and extended by the clusterer.
+ *
+ * The score is (sum of additive factors) × (product of multipliers), so:
+ * - an additive factor contributes value × multipliers (these sum to the total)
+ * - a multiplier contributes total − total / value, i.e. the points the
+ *   story would lose (or gain, if below 1) without it
+ */
+
+export const FACTOR_LABELS = {
+    freshness: 'Freshness',
+    source: 'Source credibility',
+    keyword: 'High-impact keywords',
+    sentiment: 'Sentiment',
+    impact: 'Impact',
+    proximity: 'Proximity',
+    novelty: 'Novelty',
+    currency: 'Timeliness',
+    humanInterest: 'Human interest',
+    visual: 'Image',
+    personal: 'Your reading habits',
+    temporal: 'Entertainment / weekend',
+    section: 'Section priority',
+    breaking: 'Breaking news',
+    consensus: 'Multi-source consensus'
+};
+
+/**
+ * @typedef {Object} ScoreFactor
+ * @property {string} key - FACTOR_LABELS key
+ * @property {'additive'|'multiplier'} kind
+ * @property {number} value - points (additive) or ×factor (multiplier)
+ * @property {number} contribution - points of the total attributable to it
+ */
+
+/**
+ * @typedef {Object} ScoreBreakdown
+ * @property {number} total
+ * @property {number} base - sum of additive factors
+ * @property {'classic'|'nine-factor'} mode
+ * @property {ScoreFactor[]} factors
+ */
+
+function withContributions(factors) {
+    const base = factors.filter(f => f.kind === 'additive').reduce((sum, f) => sum + f.value, 0);
+    const multiplier = factors.filter(f => f.kind === 'multiplier').reduce((product, f) => product * f.value, 1);
+    const total = base * multiplier;
+
+    return {
+        total,
+        base,
+        factors: factors.map(f => ({
+            ...f,
+            contribution: f.kind === 'additive'
+                ? f.value * multiplier
+                : (f.value > 0 ? total - total / f.value : 0)
+        }))
+    };
+}
+
+/**
+ * @param {Object} parts
+ * @param {Object<string, number>} parts.additive - e.g. { freshness: 2.1, source: 4 }
+ * @param {Object<string, number>} parts.multipliers - e.g. { section: 1.2, breaking: 1 }
+ * @param {string} parts.mode
+ * @returns {ScoreBreakdown}
+ */
+export function buildScoreBreakdown({ additive, multipliers, mode }) {
+    const factors = [
+        ...Object.entries(additive).map(([key, value]) => ({ key, kind: 'additive', value })),
+        ...Object.entries(multipliers).map(([key, value]) => ({ key, kind: 'multiplier', value }))
+    ];
+    return { mode, ...withContributions(factors) };
+}
+
+/**
+ * Adds (or replaces) a multiplier applied after scoring, e.g. the cluster consensus boost.
+ * @returns {ScoreBreakdown}
+ */
+export function applyBreakdownMultiplier(breakdown, key, value) {
+    const factors = breakdown.factors
+        .filter(f => f.key !== key)
+        .map(({ key: k, kind, value: v }) => ({ key: k, kind, value: v }));
+    return { mode: breakdown.mode, ...withContributions([...factors, { key, kind: 'multiplier', value }]) };
+}
+
+/** "+2.4" / "−0.8" points */
+export function formatContribution(points) {
+    const rounded = Math.round(points * 10) / 10;
+    if (rounded === 0) return '0';
+    return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded).toFixed(1)}`;
+}
+
+/** "2.4 pts" for additive, "×1.20" for multipliers */
+export function formatFactorValue(factor) {
+    return factor.kind === 'additive' ? `${factor.value.toFixed(1)} pts` : `×${factor.value.toFixed(2)}`;
+}
+
+/**
+ * Factors that actually moved the score, largest effect first.
+ * Neutral multipliers (×1) and zero additive factors are dropped.
+ */
+export function getActiveFactors(breakdown) {
+    return (breakdown?.factors || [])
+        .filter(f => (f.kind === 'additive' ? f.value !== 0 : Math.abs(f.value - 1) > 0.005))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+}
+
+/**
+ * Row-by-row comparison of two stories' breakdowns, biggest difference first.
+ * @returns {{rows: Array<{key: string, label: string, kind: string, a: ScoreFactor|null, b: ScoreFactor|null, diff: number}>, totalDiff: number}}
+ */
+export function compareBreakdowns(a, b) {
+    const keys = [...new Set([...(a?.factors || []), ...(b?.factors || [])].map(f => f.key))];
+    const find = (breakdown, key) => breakdown?.factors.find(f => f.key === key) || null;
+
+    const rows = keys
+        .map(key => {
+            const fa = find(a, key);
+            const fb = find(b, key);
+            return {
+                key,
+                label: FACTOR_LABELS[key] || key,
+                kind: (fa || fb).kind,
+                a: fa,
+                b: fb,
+                diff: (fa?.contribution || 0) - (fb?.contribution || 0)
+            };
+        })
+        .sort((x, y) => Math.abs(y.diff) - Math.abs(x.diff));
+
+    return { rows, totalDiff: (a?.total || 0) - (b?.total || 0) };
+}
@@ -0,0 +1,81 @@
+import {
+    buildScoreBreakdown,
+    applyBreakdownMultiplier,
+    getActiveFactors,
+    compareBreakdowns,
+    formatContribution,
+    formatFactorValue
+} from './scoreBreakdown.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+    const factor = (breakdown, key) => breakdown.factors.find(f => f.key === key);
+
+    console.log('--- Starting Tests: Score Breakdown ---');
+
+    // TEST 1: Total and contributions
+    const a = buildScoreBreakdown({
+        mode: 'nine-factor',
+        additive: { freshness: 3, source: 5, keyword: 2, sentiment: 0 },
+        multipliers: { impact: 1.5, section: 1.2, breaking: 1 }
+    });
+    assert(a.base === 10 && close(a.total, 18), 'Total: (3 + 5 + 2) × 1.5 × 1.2');
+    const additiveSum = a.factors.filter(f => f.kind === 'additive').reduce((sum, f) => sum + f.contribution, 0);
+    assert(close(additiveSum, a.total), 'Additive contributions sum to the total');
+    assert(close(factor(a, 'freshness').contribution, 3 * 1.8), 'Additive: value × multipliers');
+    assert(close(factor(a, 'impact').contribution, 18 - 12), 'Multiplier: points lost without it');
+    assert(factor(a, 'breaking').contribution === 0, 'Multiplier: ×1 contributes nothing');
+
+    const damped = buildScoreBreakdown({ mode: 'classic', additive: { freshness: 4 }, multipliers: { visual: 0.8 } });
+    assert(factor(damped, 'visual').contribution < 0, 'Multiplier: below 1 is negative');
+
+    // TEST 2: Active factors
+    const active = getActiveFactors(a).map(f => f.key);
+    assert(!active.includes('sentiment') && !active.includes('breaking'), 'Active: zero / neutral factors dropped');
+    assert(active[0] === 'source' && active[1] === 'impact', 'Active: largest effect first');
+
+    // TEST 3: Cluster consensus
+    const boosted = applyBreakdownMultiplier(a, 'consensus', 1.2);
+    assert(close(boosted.total, 21.6) && boosted.mode === 'nine-factor', 'Consensus: multiplies the total');
+    assert(close(factor(boosted, 'freshness').contribution, 3 * 1.8 * 1.2), 'Consensus: contributions recomputed');
+    const again = applyBreakdownMultiplier(boosted, 'consensus', 1.1);
+    assert(close(again.total, 19.8) && again.factors.filter(f => f.key === 'consensus').length === 1, 'Consensus: replaced, not stacked');
+
+    // TEST 4: Compare
+    const b = buildScoreBreakdown({
+        mode: 'nine-factor',
+        additive: { freshness: 1, source: 5, keyword: 0, sentiment: 0 },
+        multipliers: { impact: 1.5, section: 1.2, breaking: 1 }
+    });
+    const { rows, totalDiff } = compareBreakdowns(a, b);
+    assert(close(totalDiff, 18 - 10.8), 'Compare: total difference');
+    assert(rows[0].key === 'freshness' || rows[0].key === 'keyword', 'Compare: biggest difference first');
+    assert(rows.find(r => r.key === 'freshness').label === 'Freshness', 'Compare: rows labelled');
+
+    const { rows: mixed } = compareBreakdowns(boosted, b);
+    const consensus = mixed.find(r => r.key === 'consensus');
+    assert(consensus && consensus.b === null && consensus.diff > 0, 'Compare: factor missing on one side');
+
+    // TEST 5: Formatting
+    assert(formatContribution(2.44) === '+2.4' && formatContribution(-0.76) === '−0.8' && formatContribution(0.01) === '0', 'Format: signed points');
+    assert(formatFactorValue(factor(a, 'section')) === '×1.20' && formatFactorValue(factor(a, 'source')) === '5.0 pts', 'Format: factor value');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
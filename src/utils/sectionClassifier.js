@@ -1,21 +1,41 @@
 import { SECTION_KEYWORDS } from '../data/sectionKeywords.js';
 import { ENTITY_OVERRIDES } from '../data/entityOverrides.js';
+import { getSectionModel, predictSection } from './sectionModel.js';
+
+// Model alone (no keyword rule fired): needs this posterior and 2+ known words
+const MODEL_CONFIDENCE = 0.75;
+const MODEL_MIN_EVIDENCE = 2;
+// Model overrules the keyword rule only when this sure
+const MODEL_OVERRULE_CONFIDENCE = 0.9;
+// Review queue thresholds
+const REVIEW_DISAGREE_CONFIDENCE = 0.5;
+const REVIEW_LOW_CONFIDENCE = 0.3;
+
+/**
+ * @typedef {Object} SectionClassification
+ * @property {string|null} section - null when nothing is confident enough
+ * @property {number} confidence - model posterior for `section` (1 for entity overrides)
+ * @property {'entity'|'keywords'|'model'|null} method
+ * @property {Object<string, number>} scores - model posterior per section
+ */
 
 /**
  * Classifies an article into a section based on content
  *
  * Algorithm:
  * 1. Check entity overrides (exact match)
- * 2. Score all sections by keyword matches
- * 3. Return highest scoring section (if score >= threshold)
- * 4. Return null if no match (caller should fallback to original section)
+ * 2. Score all sections by keyword matches (>= 2 matches is a rule hit)
+ * 3. Ask the learned model (sectionModel.js): it overrules a rule hit only
+ *    when very sure, and fills in when no rule fired
+ * 4. Return null section if nothing is confident (caller should fallback to original section)
  *
  * @param {string} title
  * @param {string} description
  * @param {string} source
- * @returns {string|null} - The detected section key or null
+ * @param {import('./sectionModel.js').SectionModel} [model]
+ * @returns {SectionClassification}
  */
-export function classifySection(title, description, source = '') {
+export function classifyArticle(title, description, source = '', model = getSectionModel()) {
     // Combine text for analysis
     const text = `${title} ${description}`.toLowerCase();
 
@@ -23,8 +43,7 @@ export function classifySection(title, description, source = '') {
     // We iterate through keys to find if any entity is present in the text
     for (const [entity, section] of Object.entries(ENTITY_OVERRIDES)) {
         if (text.includes(entity.toLowerCase())) {
-            // console.log(`[Classifier] Entity override: "${entity}" → ${section}`);
-            return section;
+            return { section, confidence: 1, method: 'entity', scores: {} };
         }
     }
 
@@ -53,21 +72,74 @@ export function classifySection(title, description, source = '') {
         });
     }
 
-    // Step 3: Find highest scoring section
     const sortedSections = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
     const topSection = sortedSections[0];
-    const topScore = scores[topSection];
-
     // Threshold: require at least 2 keyword matches to confidently re-classify
-    // Exception: If the topScore is high relative to length, or if it's very specific
-    // For now, strict threshold of 2
-    if (topScore >= 2) {
-        // console.log(`[Classifier] "${title.substring(0, 30)}..." → ${topSection} (score: ${topScore})`);
-        return topSection;
+    const ruleSection = scores[topSection] >= 2 ? topSection : null;
+
+    // Step 3: Learned model
+    const prediction = predictSection(model, title, description);
+
+    if (ruleSection) {
+        if (prediction.section && prediction.section !== ruleSection && prediction.confidence >= MODEL_OVERRULE_CONFIDENCE) {
+            return { section: prediction.section, confidence: prediction.confidence, method: 'model', scores: prediction.scores };
+        }
+        return { section: ruleSection, confidence: prediction.scores[ruleSection] ?? 0, method: 'keywords', scores: prediction.scores };
+    }
+
+    if (prediction.confidence >= MODEL_CONFIDENCE && prediction.evidence >= MODEL_MIN_EVIDENCE) {
+        return { section: prediction.section, confidence: prediction.confidence, method: 'model', scores: prediction.scores };
     }
 
     // Step 4: No strong match
-    return null;
+    return { section: null, confidence: prediction.confidence, method: null, scores: prediction.scores };
+}
+
+/**
+ * Section key for an article, or null to keep the feed's section.
+ * @returns {string|null}
+ */
+export function classifySection(title, description, source = '') {
+    return classifyArticle(title, description, source).section;
+}
+
+/**
+ * Loaded stories whose section looks wrong: the model prefers another section,
+ * or is unsure about the current one. Stories already corrected
+ * (settings.sectionOverrides) are skipped.
+ * @param {Object[]} articles
+ * @param {Object<string, string>} [overrides]
+ * @param {number} [limit]
+ * @returns {Array<{article: Object, current: string, suggested: string|null, confidence: number, suggestedConfidence: number, reason: 'disagree'|'uncertain'}>}
+ *   disagreements first (surest first), then least confident
+ */
+export function findReviewCandidates(articles, overrides = {}, limit = 20, model = getSectionModel()) {
+    const seen = new Set();
+    const candidates = [];
+
+    for (const article of articles) {
+        if (!article?.id || seen.has(article.id) || overrides[article.id]) continue;
+        seen.add(article.id);
+        const current = article.section;
+        if (!SECTION_KEYWORDS[current]) continue;
+
+        const prediction = predictSection(model, article.title || article.headline || '', article.summary || article.description || '');
+        const confidence = prediction.scores[current] ?? 0;
+        const entry = { article, current, suggested: prediction.section, confidence, suggestedConfidence: prediction.confidence };
+
+        if (prediction.section && prediction.section !== current && prediction.confidence >= REVIEW_DISAGREE_CONFIDENCE) {
+            candidates.push({ ...entry, reason: 'disagree' });
+        } else if (prediction.evidence > 0 && confidence < REVIEW_LOW_CONFIDENCE) {
+            candidates.push({ ...entry, reason: 'uncertain' });
+        }
+    }
+
+    return candidates
+        .sort((a, b) => {
+            if (a.reason !== b.reason) return a.reason === 'disagree' ? -1 : 1;
+            return a.reason === 'disagree' ? b.suggestedConfidence - a.suggestedConfidence : a.confidence - b.confidence;
+        })
+        .slice(0, limit);
 }
 
 /**
@@ -0,0 +1,204 @@
+/**
+ * Section Model
+ * Multinomial naive Bayes over title/description words, trained on-device
+ * from the SECTION_KEYWORDS seed lists plus every manual section correction.
+ * classifyArticle() (sectionClassifier.js) runs it next to the keyword rules;
+ * its posterior is the confidence shown in the Settings review queue.
+ *
+ * Corrections keep the article text so the model can generalize from them;
+ * settings.sectionOverrides only pins the corrected article itself.
+ */
+
+import { SECTION_KEYWORDS } from '../data/sectionKeywords.js';
+
+const STORAGE_KEY = 'dailyEventAI_sectionCorrections';
+const MAX_CORRECTIONS = 500;
+
+// Every section's seed list carries the same total weight, so long keyword
+// lists (business) don't dilute their own words
+const SEED_MASS = 100;
+// Per word of a corrected article: a handful of corrections should outweigh
+// the seeds for the words they share
+const CORRECTION_WEIGHT = 3;
+// Laplace smoothing
+const ALPHA = 0.5;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'will', 'says', 'said',
+    'after', 'over', 'more', 'about', 'into', 'amid', 'than', 'their', 'they', 'have', 'has', 'been',
+    'what', 'when', 'where', 'which', 'while', 'who', 'why', 'how', 'new', 'top', 'best', 'news',
+    'update', 'updates', 'latest', 'today', 'live', 'video', 'watch', 'know', 'here', 'could', 'would',
+    'in', 'on', 'of', 'to', 'at', 'by', 'is', 'as', 'it', 'an', 'be', 'or', 'its', 'his', 'her', 'he',
+    'she', 'we', 'you', 'not', 'but', 'all', 'out', 'up', 'one', 'two', 'first', 'year', 'day', 'set'
+]);
+
+/**
+ * @typedef {Object} SectionCorrection
+ * @property {string} id - article id (same key as settings.sectionOverrides)
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string|null} from - section it had before the correction
+ * @property {string} section - section the user chose
+ * @property {number} at
+ */
+
+/**
+ * @typedef {Object} SectionModel
+ * @property {string[]} sections
+ * @property {Object<string, Object<string, number>>} counts - token counts per section
+ * @property {Object<string, number>} totals - token total per section
+ * @property {number} vocabularySize
+ * @property {number} corrections - corrections trained on
+ */
+
+/**
+ * Lower-cased words (crude plural folding) plus adjacent-word pairs, so
+ * seeds like "repo rate" or "box office" count as phrases.
+ */
+export function tokenize(text) {
+    const words = ((text || '').toLowerCase().replace(/<[^>]*>/g, ' ').match(/[a-z0-9][a-z0-9+]*/g) || [])
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+    const pairs = words.slice(1).map((word, i) => `${words[i]} ${word}`);
+    return [...words, ...pairs];
+}
+
+function addDocument(model, section, tokens, weight) {
+    if (!model.counts[section]) {
+        model.sections.push(section);
+        model.counts[section] = {};
+        model.totals[section] = 0;
+    }
+    for (const token of tokens) {
+        model.counts[section][token] = (model.counts[section][token] || 0) + weight;
+        model.totals[section] += weight;
+    }
+}
+
+/**
+ * Trains a model from the keyword seeds and the given corrections.
+ * @param {SectionCorrection[]} [corrections]
+ * @returns {SectionModel}
+ */
+export function trainSectionModel(corrections = []) {
+    const model = { sections: [], counts: {}, totals: {}, vocabularySize: 0, corrections: 0 };
+
+    for (const [section, keywords] of Object.entries(SECTION_KEYWORDS)) {
+        const seeds = keywords.map(tokenize);
+        const weight = SEED_MASS / Math.max(1, seeds.reduce((sum, tokens) => sum + tokens.length, 0));
+        seeds.forEach(tokens => addDocument(model, section, tokens, weight));
+    }
+    for (const correction of corrections) {
+        if (!SECTION_KEYWORDS[correction.section]) continue;
+        addDocument(model, correction.section, tokenize(`${correction.title} ${correction.description || ''}`), CORRECTION_WEIGHT);
+        model.corrections++;
+    }
+
+    const vocabulary = new Set();
+    Object.values(model.counts).forEach(counts => Object.keys(counts).forEach(token => vocabulary.add(token)));
+    model.vocabularySize = vocabulary.size;
+    return model;
+}
+
+/**
+ * Posterior over sections with a uniform prior. Words the model has never
+ * seen carry no evidence and are skipped.
+ * @returns {{section: string|null, confidence: number, scores: Object<string, number>, evidence: number}}
+ *   section is null when no known word was found
+ */
+export function predictSection(model, title, description = '') {
+    const tokens = tokenize(`${title} ${description}`)
+        .filter(token => model.sections.some(section => model.counts[section][token]));
+    if (tokens.length === 0) return { section: null, confidence: 0, scores: {}, evidence: 0 };
+
+    const logScores = {};
+    for (const section of model.sections) {
+        const denominator = model.totals[section] + ALPHA * model.vocabularySize;
+        logScores[section] = tokens.reduce(
+            (sum, token) => sum + Math.log(((model.counts[section][token] || 0) + ALPHA) / denominator),
+            0
+        );
+    }
+
+    // Softmax, shifted by the max for numerical stability
+    const max = Math.max(...Object.values(logScores));
+    const exp = Object.fromEntries(Object.entries(logScores).map(([section, log]) => [section, Math.exp(log - max)]));
+    const sum = Object.values(exp).reduce((a, b) => a + b, 0);
+    const scores = Object.fromEntries(Object.entries(exp).map(([section, value]) => [section, value / sum]));
+
+    const section = model.sections.reduce((best, s) => (scores[s] > scores[best] ? s : best));
+    return { section, confidence: scores[section], scores, evidence: tokens.length };
+}
+
+/**
+ * Adds or replaces the correction for an article (newest first, capped).
+ * @returns {SectionCorrection[]} new list
+ */
+export function addCorrection(corrections, article, section, now = Date.now()) {
+    const correction = {
+        id: article.id,
+        title: article.title || article.headline || '',
+        description: (article.summary || article.description || '').slice(0, 300),
+        from: article.section || null,
+        section,
+        at: now
+    };
+    return [correction, ...corrections.filter(c => c.id !== article.id)].slice(0, MAX_CORRECTIONS);
+}
+
+/* ---------- Storage ---------- */
+
+const store = {
+    raw: undefined,
+    corrections: [],
+    model: null
+};
+
+export function getSectionCorrections() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (raw !== store.raw) {
+            const parsed = JSON.parse(raw || '[]');
+            store.raw = raw;
+            store.corrections = Array.isArray(parsed) ? parsed : [];
+            store.model = null;
+        }
+    } catch {
+        // Keep the last good copy
+    }
+    return store.corrections;
+}
+
+export function saveSectionCorrections(corrections) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(corrections));
+    } catch (e) {
+        console.warn('[SectionModel] Failed to save corrections:', e);
+    }
+}
+
+/** Model trained on the stored corrections; retrained only when they change */
+export function getSectionModel() {
+    const corrections = getSectionCorrections();
+    if (!store.model) {
+        store.model = trainSectionModel(corrections);
+        console.log(`[SectionModel] Trained on ${store.model.corrections} corrections`);
+    }
+    return store.model;
+}
+
+export function recordSectionCorrection(article, section) {
+    saveSectionCorrections(addCorrection(getSectionCorrections(), article, section));
+}
+
+export function removeSectionCorrection(id) {
+    saveSectionCorrections(getSectionCorrections().filter(c => c.id !== id));
+}
+
+export function resetSectionCorrections() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // Ignore
+    }
+}
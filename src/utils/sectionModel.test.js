@@ -0,0 +1,72 @@
+import { tokenize, trainSectionModel, predictSection, addCorrection } from './sectionModel.js';
+import { classifyArticle, findReviewCandidates } from './sectionClassifier.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const now = Date.parse('2026-10-19T09:00:00+05:30');
+    const seedModel = trainSectionModel();
+
+    console.log('--- Starting Tests: Section Model ---');
+
+    // TEST 1: Tokens
+    const tokens = tokenize('<b>RBI</b> holds the repo rate; markets cheer');
+    assert(tokens.includes('rbi') && tokens.includes('repo rate') && !tokens.includes('the'), 'Tokenize: words, pairs, no stop words or HTML');
+    assert(tokens.includes('market'), 'Tokenize: plural folded');
+
+    // TEST 2: Seed-only predictions
+    const sports = predictSection(seedModel, 'CSK beat RCB in a thrilling IPL match');
+    assert(sports.section === 'sports' && sports.confidence > 0.75, 'Seeds: clear sports headline');
+    const scoresSum = Object.values(sports.scores).reduce((a, b) => a + b, 0);
+    assert(Math.abs(scoresSum - 1) < 1e-9, 'Seeds: posterior sums to 1');
+    const unknown = predictSection(seedModel, 'Something entirely unremarkable happened');
+    assert(unknown.section === null && unknown.evidence === 0, 'Seeds: no known words, no prediction');
+    assert(classifyArticle('Cricket team lifts trophy at packed stadium', '', '', seedModel).method === 'keywords', 'Classify: keyword rule still fires');
+    assert(classifyArticle('Kohli scores century', '', '', seedModel).section === null, 'Classify: weak single-topic evidence left to the feed');
+
+    // TEST 3: Corrections generalize
+    const metro = (title) => ({ id: title, title, section: 'business' });
+    let corrections = [];
+    ['Metro phase two tunnel boring resumes', 'Metro line extension to airport approved', 'Metro ridership hits record on weekdays']
+        .forEach((title, i) => { corrections = addCorrection(corrections, metro(title), 'chennai', now + i); });
+    assert(corrections.length === 3 && corrections[0].from === 'business' && corrections[0].title.includes('ridership'), 'Corrections: newest first, keep origin');
+    assert(addCorrection(corrections, metro('Metro ridership hits record on weekdays'), 'india', now).length === 3, 'Corrections: same article replaced');
+
+    const trained = trainSectionModel(corrections);
+    assert(trained.corrections === 3, 'Train: corrections counted');
+    const unseen = predictSection(trained, 'Metro tunnel work delays new line');
+    assert(unseen.section === 'chennai' && unseen.confidence > predictSection(seedModel, 'Metro tunnel work delays new line').confidence, 'Train: unseen headline follows corrections');
+    const classified = classifyArticle('Metro tunnel work delays new line', '', '', trained);
+    assert(classified.section === 'chennai' && classified.method === 'model', 'Classify: model fills in when no rule fires');
+    assert(trainSectionModel([{ id: 'x', title: 'Metro', section: 'nowhere' }]).corrections === 0, 'Train: unknown sections ignored');
+
+    // TEST 4: Review queue
+    const articles = [
+        { id: 'a', title: 'CSK beat RCB in a thrilling IPL match', section: 'business' },
+        { id: 'b', title: 'Sensex and Nifty close higher', section: 'business' },
+        { id: 'c', title: 'Box office collection of the Vijay film', section: 'technology' },
+        { id: 'd', title: 'Box office collection of the Vijay film', section: 'local' }
+    ];
+    const queue = findReviewCandidates(articles, {}, 10, seedModel);
+    assert(queue.length === 2 && queue.every(c => c.reason === 'disagree'), 'Review: only disagreements in known sections');
+    assert(queue[0].suggested && queue.some(c => c.article.id === 'a' && c.suggested === 'sports'), 'Review: suggests the likely section');
+    assert(!queue.some(c => c.article.id === 'b'), 'Review: confident stories skipped');
+    assert(findReviewCandidates(articles, { a: 'sports' }, 10, seedModel).every(c => c.article.id !== 'a'), 'Review: corrected stories skipped');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
@@ -1,4 +1,10 @@
 import stringSimilarity from 'string-similarity';
+import { applyBreakdownMultiplier } from './scoreBreakdown.js';
+
+/**
+ * Multi-source consensus multiplier: 1.0 for 1 source, 1.1 for 2, 1.2 for 3, etc.
+ */
+export const getConsensusBoost = (sourceCount) => 1 + ((sourceCount - 1) * 0.1);
 
 /**
  * Cluster similar articles by title similarity
@@ -54,7 +60,7 @@ export const mergeCluster = (cluster) => {
     const sourceCount = sources.length;
 
     // Apply consensus boost: multiple sources = higher relevance
-    const consensusBoost = 1 + ((sourceCount - 1) * 0.1); // 1.0 for 1 source, 1.1 for 2, 1.2 for 3, etc.
+    const consensusBoost = getConsensusBoost(sourceCount);
 
     // Force consensus data if missing
     // (Logging removed for production)
@@ -64,7 +70,10 @@ export const mergeCluster = (cluster) => {
         sourceCount,
         allSources: sources,
         clusteredItems: cluster.length,
+        clusterIds: cluster.map(a => a.id).filter(Boolean),
         impactScore: representative.impactScore * consensusBoost,
+        scoreBreakdown: representative.scoreBreakdown &&
+            applyBreakdownMultiplier(representative.scoreBreakdown, 'consensus', consensusBoost),
         clusterRepresentative: true // Flag for UI
     };
 };
@@ -25,6 +25,14 @@ export const DEFAULT_SETTINGS = {
     filteringMode: 'source', // 'source' | 'keyword'
     rankingMode: 'smart',    // 'smart' | 'legacy'
 
+    // Named weight presets (utils/rankingProfiles.js, built-ins in data/rankingProfiles.js)
+    rankingProfiles: {
+        active: 'balanced',    // Profile last applied to rankingWeights
+        custom: [],            // User-saved / imported profiles
+        autoSwitch: false,     // Score with bySegment[timeSegment id] when set
+        bySegment: {}
+    },
+
     // ========================================
     // RANKING WEIGHTS (CUSTOM RANKING SYSTEM)
     // ========================================
@@ -76,7 +84,14 @@ export const DEFAULT_SETTINGS = {
             gfs: true,     // NOAA GFS (good precipitation)
             icon: true     // DWD ICON (excellent coverage)
         },
-        cities: ['chennai', 'trichy', 'muscat'],
+        // Saved places (services/locationService.js); also drive proximity scoring
+        locations: [
+            { id: 'chennai', name: 'Chennai', lat: 13.0827, lon: 80.2707, timezone: 'Asia/Kolkata', country: 'India', icon: '🏛️', boost: 2.0 },
+            { id: 'trichy', name: 'Trichy', lat: 10.7905, lon: 78.7047, timezone: 'Asia/Kolkata', country: 'India', icon: '🏯', boost: 1.8 },
+            { id: 'muscat', name: 'Muscat', lat: 23.5859, lon: 58.4059, timezone: 'Asia/Muscat', country: 'Oman', icon: '📍', boost: 1.5 }
+        ],
+        cities: ['chennai', 'trichy', 'muscat'], // Location ids shown, in order
+        accuracyWeighting: true, // Weight models by verified accuracy (services/forecastVerification.js)
         showHumidity: true,
         showWind: false,
     },
@@ -121,6 +136,8 @@ export const DEFAULT_SETTINGS = {
     // MARKET SETTINGS
     // ========================================
     market: {
+        showPortfolio: true,      // Holdings in utils/portfolio.js
+        showWatchlist: true,      // Followed symbols + price alerts (utils/marketWatchlist.js)
         showIndices: true,
         showGainers: true,
         showLosers: true,
@@ -130,6 +147,9 @@ export const DEFAULT_SETTINGS = {
         showCommodities: true,    // NEW - Phase 2
         showCurrency: true,       // NEW - Phase 2
         showFIIDII: true,         // NEW - Phase 2
+        showCrypto: true,         // CoinGecko prices (services/marketService.js)
+        showDigest: true,         // Evening market wrap on the home page (utils/marketDigest.js)
+        cryptoCoins: ['bitcoin', 'ethereum', 'solana', 'cardano', 'ripple'], // CoinGecko ids from CRYPTO_COINS
         cacheMinutes: 15,
     },
 
@@ -158,6 +178,40 @@ export const DEFAULT_SETTINGS = {
     // ========================================
     customFeeds: [],
 
+    // ========================================
+    // NETWORK PROXIES (tried in this order)
+    // ========================================
+    // kind: 'rss2json' | 'codetabs' | 'allorigins' | 'direct' | 'template'
+    // 'template' entries also carry { name, template } e.g. "https://my-proxy.dev/?url={url}"
+    proxies: [
+        { id: 'rss2json', kind: 'rss2json', enabled: true },
+        { id: 'codetabs', kind: 'codetabs', enabled: true },
+        { id: 'allorigins', kind: 'allorigins', enabled: true },
+        { id: 'direct', kind: 'direct', enabled: false } // Only for feeds that send CORS headers
+    ],
+
+    // ========================================
+    // WEATHER ALERTS (rules engine in utils/weatherAlerts.js)
+    // ========================================
+    weatherAlerts: {
+        enabled: true,
+        notify: true,   // Send alerts via notifications
+        rules: {
+            // Per-rule overrides of DEFAULT_ALERT_RULES, keyed by rule id
+            // e.g. heavy_rain: { threshold: 30, cityThresholds: { chennai: 40 } }
+        }
+    },
+
+    // ========================================
+    // BACKGROUND CHECKS (service worker, Periodic Background Sync)
+    // ========================================
+    backgroundSync: {
+        enabled: true,
+        topics: true,        // New stories in followed topics
+        breaking: true,      // Stories carried by 2+ top-story feeds within the hour
+        weatherAlerts: true  // Daily forecast crossing alert thresholds
+    },
+
     // ========================================
     // UP AHEAD SETTINGS (NEW)
     // ========================================
@@ -209,6 +263,12 @@ export const DEFAULT_SETTINGS = {
     enableNewScoring: true,      // Master switch for new 9-factor scoring
     enableProximityScoring: false, // Boost local news (default OFF)
 
+    // Learned personal ranking (utils/preferenceModel.js), kept on-device
+    learnedRanking: {
+        enabled: true,
+        strength: 0.5              // Max ± share of the score (×0.5–1.5)
+    },
+
     // Diversity Settings (Phase 6)
     maxTopicPercent: 40,         // Max % of front page for one topic
     maxGeoPercent: 30,           // Max % of front page for one geography
@@ -230,6 +290,11 @@ export const DEFAULT_SETTINGS = {
     // ADVANCED / PERFORMANCE
     // ========================================
     enableCache: true,         // NEW - Phase 6: Enable memory cache for faster loads
+    feedTTLMinutes: {},        // Per-feed TTL overrides: { [feedUrl]: minutes }
+    archive: {
+        enabled: true,         // Keep every fetched article in IndexedDB for search
+        retentionDays: 14
+    },
     crawlerMode: 'auto',
     debugLogs: false,
 };
@@ -0,0 +1,260 @@
+import stringSimilarity from 'string-similarity';
+
+/**
+ * Persistent Story Timeline
+ * Gives clustered headlines a stable story ID that survives refreshes and reloads,
+ * and records how each story evolves:
+ * - when it first appeared
+ * - which sources joined, and when
+ * - how its headline changed
+ * - its peak impact score
+ * Stories that picked up new sources or headlines recently are flagged "developing".
+ */
+
+const STORAGE_KEY = 'dailyEventAI_stories';
+const MAX_STORIES = 300;
+const MAX_EVENTS_PER_STORY = 40;
+const PRUNE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;   // Forget stories unseen for 7 days
+const MATCH_WINDOW_MS = 48 * 60 * 60 * 1000;      // Only match against stories seen in the last 48h
+const DEVELOPING_WINDOW_MS = 12 * 60 * 60 * 1000; // Updates within 12h keep the flag
+const NEW_WINDOW_MS = 2 * 60 * 60 * 1000;
+const TITLE_MATCH_THRESHOLD = 0.6;
+
+/**
+ * @typedef {Object} StoryEvent
+ * @property {'first_seen'|'source_joined'|'headline_changed'|'breaking'} type
+ * @property {number} at
+ * @property {string} [source]
+ * @property {string} [text]
+ */
+
+/**
+ * @typedef {Object} Story
+ * @property {string} id
+ * @property {string} headline - Latest headline
+ * @property {string} url - Link of the latest representative article
+ * @property {string} section
+ * @property {number} firstSeen
+ * @property {number} lastSeen
+ * @property {number} lastUpdateAt - Last source join / headline change
+ * @property {number} peakImpact
+ * @property {number} peakAt
+ * @property {string[]} sources
+ * @property {string[]} articleIds
+ * @property {StoryEvent[]} events
+ */
+
+function normalizeHeadline(title) {
+    return (title || '').toLowerCase().replace(/\s+-\s+[^-]+$/, '').replace(/[^\w\s]/g, '').trim();
+}
+
+function newStoryId(now) {
+    return `story_${now.toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+}
+
+export class StoryTimeline {
+    /**
+     * @param {Object<string, Story>} stories - previously persisted stories
+     */
+    constructor(stories = {}) {
+        this.stories = stories;
+        this.articleIndex = new Map(); // articleId -> storyId
+        Object.values(stories).forEach(story => {
+            story.articleIds.forEach(id => this.articleIndex.set(id, story.id));
+        });
+    }
+
+    /**
+     * Finds the story an article belongs to: same article ID first,
+     * then headline similarity against recently seen stories.
+     */
+    findStory(article, now) {
+        const ids = [article.id, ...(article.clusterIds || [])];
+        for (const id of ids) {
+            const storyId = this.articleIndex.get(id);
+            if (storyId && this.stories[storyId]) return this.stories[storyId];
+        }
+
+        const title = normalizeHeadline(article.title);
+        if (!title) return null;
+
+        let best = null;
+        let bestScore = TITLE_MATCH_THRESHOLD;
+        for (const story of Object.values(this.stories)) {
+            if (now - story.lastSeen > MATCH_WINDOW_MS) continue;
+            // Compare against the last few headlines so a reworded update still matches
+            const recent = story.events.filter(e => e.text).slice(-3).map(e => normalizeHeadline(e.text));
+            for (const headline of recent) {
+                const score = stringSimilarity.compareTwoStrings(title, headline);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = story;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Records clustered articles against their stories.
+     * @param {Array<Object>} articles - deduplicateAndCluster representatives
+     * @param {number} now
+     * @returns {Array<Object>} articles annotated with storyId / storyStatus
+     */
+    track(articles, now = Date.now()) {
+        return articles.map(article => {
+            if (!article || !article.title) return article;
+
+            const sources = article.allSources || [article.source].filter(Boolean);
+            let story = this.findStory(article, now);
+
+            if (!story) {
+                story = {
+                    id: newStoryId(now),
+                    headline: article.title,
+                    url: article.url || article.link,
+                    section: article.section,
+                    firstSeen: now,
+                    lastSeen: now,
+                    lastUpdateAt: now,
+                    peakImpact: article.impactScore || 0,
+                    peakAt: now,
+                    sources: [...sources],
+                    articleIds: [],
+                    events: [{ type: 'first_seen', at: now, source: article.source, text: article.title }]
+                };
+                this.stories[story.id] = story;
+            } else {
+                story.lastSeen = now;
+                story.url = article.url || article.link || story.url;
+
+                sources.forEach(source => {
+                    if (!story.sources.includes(source)) {
+                        story.sources.push(source);
+                        story.events.push({ type: 'source_joined', at: now, source });
+                        story.lastUpdateAt = now;
+                    }
+                });
+
+                // Cluster representatives can flip between refreshes; only a
+                // headline never seen before counts as a change
+                const title = normalizeHeadline(article.title);
+                const knownHeadline = story.events.some(e => e.text && normalizeHeadline(e.text) === title);
+                if (!knownHeadline) {
+                    story.events.push({ type: 'headline_changed', at: now, source: article.source, text: article.title });
+                    story.lastUpdateAt = now;
+                }
+                story.headline = article.title;
+
+                if ((article.impactScore || 0) > story.peakImpact) {
+                    story.peakImpact = article.impactScore;
+                    story.peakAt = now;
+                }
+            }
+
+            if (article.isBreaking && !story.events.some(e => e.type === 'breaking')) {
+                story.events.push({ type: 'breaking', at: now, source: article.source });
+            }
+
+            if (story.events.length > MAX_EVENTS_PER_STORY) {
+                // Keep the first_seen event, drop the oldest updates
+                story.events = [story.events[0], ...story.events.slice(-(MAX_EVENTS_PER_STORY - 1))];
+            }
+
+            [article.id, ...(article.clusterIds || [])].forEach(id => {
+                if (id && !story.articleIds.includes(id)) {
+                    story.articleIds.push(id);
+                    this.articleIndex.set(id, story.id);
+                }
+            });
+
+            return {
+                ...article,
+                storyId: story.id,
+                storyStatus: this.getStatus(story, now),
+                storyFirstSeen: story.firstSeen
+            };
+        });
+    }
+
+    /**
+     * @returns {'developing'|'new'|null}
+     */
+    getStatus(story, now = Date.now()) {
+        const hasUpdates = story.events.some(e => e.type === 'source_joined' || e.type === 'headline_changed');
+        if (hasUpdates && now - story.lastUpdateAt < DEVELOPING_WINDOW_MS) return 'developing';
+        if (now - story.firstSeen < NEW_WINDOW_MS) return 'new';
+        return null;
+    }
+
+    /** Drops stale stories and caps the total, least recently seen first */
+    prune(now = Date.now()) {
+        let list = Object.values(this.stories).filter(s => now - s.lastSeen < PRUNE_AFTER_MS);
+        if (list.length > MAX_STORIES) {
+            list = list.sort((a, b) => b.lastSeen - a.lastSeen).slice(0, MAX_STORIES);
+        }
+        this.stories = Object.fromEntries(list.map(s => [s.id, s]));
+        this.articleIndex.clear();
+        list.forEach(story => story.articleIds.forEach(id => this.articleIndex.set(id, story.id)));
+    }
+}
+
+function load() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : {};
+    } catch {
+        return {};
+    }
+}
+
+function save(stories) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stories));
+    } catch {
+        // storage full — silent
+    }
+}
+
+let timeline = null;
+
+function getTimeline() {
+    if (!timeline) timeline = new StoryTimeline(load());
+    return timeline;
+}
+
+/**
+ * Tracks clustered articles and persists the updated stories.
+ * @param {Array<Object>} articles
+ * @returns {Array<Object>} annotated articles
+ */
+export function trackStories(articles) {
+    const tl = getTimeline();
+    const annotated = tl.track(articles);
+    tl.prune();
+    save(tl.stories);
+    return annotated;
+}
+
+/**
+ * @param {string} storyId
+ * @returns {Story|null}
+ */
+export function getStory(storyId) {
+    return getTimeline().stories[storyId] || null;
+}
+
+/**
+ * Stories currently flagged developing, most recently updated first.
+ */
+export function getDevelopingStories(now = Date.now()) {
+    const tl = getTimeline();
+    return Object.values(tl.stories)
+        .filter(s => tl.getStatus(s, now) === 'developing')
+        .sort((a, b) => b.lastUpdateAt - a.lastUpdateAt);
+}
+
+export function clearStories() {
+    timeline = new StoryTimeline({});
+    localStorage.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,101 @@
+import { StoryTimeline, trackStories, getStory, clearStories } from './storyTimeline.js';
+
+// Minimal in-memory localStorage for node
+const memory = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (memory.has(key) ? memory.get(key) : null),
+    setItem: (key, value) => memory.set(key, String(value)),
+    removeItem: (key) => memory.delete(key)
+};
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    const HOUR = 60 * 60 * 1000;
+    const start = Date.parse('2026-10-19T06:00:00+05:30');
+    const article = (id, title, source, extra = {}) => ({ id, title, source, section: 'chennai', url: `https://example.com/${id}`, ...extra });
+
+    console.log('--- Starting Tests: Story Timeline ---');
+
+    // TEST 1: Stable ids
+    const timeline = new StoryTimeline();
+    const [first] = timeline.track([article('a1', 'Chennai metro phase two tunnel boring resumes', 'The Hindu', { impactScore: 5 })], start);
+    assert(first.storyId && first.storyStatus === 'new' && first.storyFirstSeen === start, 'Track: new story gets an id');
+
+    const [republished] = timeline.track([article('a9', 'Chennai metro phase two tunnel boring resumes - The Hindu', 'The Hindu')], start + HOUR);
+    const story = timeline.stories[first.storyId];
+    assert(republished.storyId === first.storyId, 'Track: re-published headline keeps its story id');
+    assert(story.events.length === 1 && republished.storyStatus === 'new', 'Track: same headline is not an update');
+
+    const [sameArticle] = timeline.track([article('a1', 'Completely reworded title about something', 'The Hindu')], start + 2 * HOUR);
+    assert(sameArticle.storyId === first.storyId, 'Track: same article id matches regardless of title');
+
+    const [unrelated] = timeline.track([article('b1', 'Sensex closes higher on bank stocks', 'Mint')], start + 2 * HOUR);
+    assert(unrelated.storyId !== first.storyId, 'Track: different headline, different story');
+
+    // TEST 2: Updates and the developing flag
+    const [joined] = timeline.track([article('a2', 'Chennai metro phase two tunnel boring resumes', 'DT Next', {
+        allSources: ['The Hindu', 'DT Next'],
+        impactScore: 8
+    })], start + 3 * HOUR);
+    const joinEvent = story.events.find(e => e.type === 'source_joined');
+    assert(joinEvent?.source === 'DT Next' && joinEvent.at === start + 3 * HOUR, 'Update: joining source adds an event');
+    assert(joined.storyStatus === 'developing' && story.sources.length === 2, 'Update: story flagged developing');
+    assert(story.peakImpact === 8 && story.peakAt === start + 3 * HOUR, 'Update: peak score tracked');
+
+    timeline.track([article('a3', 'Chennai metro phase two tunnel boring resumes', 'The Hindu', { impactScore: 3 })], start + 4 * HOUR);
+    assert(story.peakImpact === 8 && story.peakAt === start + 3 * HOUR, 'Update: lower score keeps the peak');
+
+    assert(timeline.getStatus(story, start + 3 * HOUR + 11 * HOUR) === 'developing', 'Developing: still flagged within 12h');
+    assert(timeline.getStatus(story, start + 3 * HOUR + 13 * HOUR) === null, 'Developing: flag expires after 12h');
+
+    // TEST 3: Match window
+    const [late] = timeline.track([article('c1', 'Chennai metro phase two tunnel boring resumes', 'The Hindu')], start + 4 * HOUR + 49 * HOUR);
+    assert(late.storyId !== first.storyId, 'Window: headline unseen for 48h starts a new story');
+
+    // TEST 4: Caps
+    const busy = new StoryTimeline();
+    const [busyStory] = busy.track([article('d0', 'Cyclone warning for Tamil Nadu coast', 'Source 0')], start);
+    for (let i = 1; i <= 50; i++) {
+        busy.track([article(`d${i}`, 'Cyclone warning for Tamil Nadu coast', `Source ${i}`)], start + i * 1000);
+    }
+    const events = busy.stories[busyStory.storyId].events;
+    assert(events.length === 40 && events[0].type === 'first_seen' && events[39].source === 'Source 50', 'Caps: 40 events, first_seen and newest kept');
+
+    const seeded = Object.fromEntries(Array.from({ length: 310 }, (_, i) => [`s${i}`, {
+        id: `s${i}`,
+        lastSeen: start + i * 1000,
+        articleIds: [`e${i}`],
+        events: []
+    }]));
+    const crowded = new StoryTimeline(seeded);
+    crowded.prune(start + 310 * 1000);
+    const kept = Object.values(crowded.stories);
+    assert(kept.length === 300 && !kept.some(s => s.articleIds.includes('e9')) && kept.some(s => s.articleIds.includes('e10')), 'Caps: 300 stories, least recently seen dropped');
+    crowded.prune(start + 8 * 24 * HOUR);
+    assert(Object.keys(crowded.stories).length === 0, 'Prune: stories unseen for 7 days dropped');
+
+    // TEST 5: Persistence
+    clearStories();
+    const [tracked] = trackStories([article('p1', 'ISRO schedules next PSLV launch', 'The Hindu')]);
+    const reloaded = new StoryTimeline(JSON.parse(localStorage.getItem('dailyEventAI_stories')));
+    assert(getStory(tracked.storyId)?.headline === 'ISRO schedules next PSLV launch', 'Persist: story readable by id');
+    assert(reloaded.track([article('p2', 'ISRO schedules next PSLV launch', 'NDTV')])[0].storyId === tracked.storyId, 'Persist: id survives a reload');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();
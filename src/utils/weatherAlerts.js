@@ -0,0 +1,235 @@
+/**
+ * Weather Alert Rules Engine
+ * Evaluates user-editable threshold rules against each model's hourly forecast
+ * (ECMWF/GFS/ICON) and reports how many models agree.
+ *
+ * A rule fires for a city when at least `minModels` models (capped at the
+ * number that returned data) cross the threshold within the rule's window.
+ */
+import { getRainStatus } from './weatherUtils.js';
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string} id
+ * @property {string} label
+ * @property {string} icon
+ * @property {'precipitation'|'uv_index'|'heat_index'|'temperature_2m'|'wind_speed_10m'|'visibility'} metric
+ * @property {'sum'|'max'|'min'} aggregate - how hourly values in the window combine
+ * @property {'>'|'<'} operator
+ * @property {number} threshold
+ * @property {Object<string, number>} [cityThresholds] - per-city overrides, keyed by city key
+ * @property {string[]} [cities] - restrict to these cities (empty = all)
+ * @property {number} windowHours - hours ahead of now to inspect
+ * @property {number[]} [hourRange] - [from, to] local hours of day, inclusive (e.g. midday)
+ * @property {number} minModels
+ * @property {'warning'|'severe'} severity
+ * @property {boolean} enabled
+ */
+
+/** @type {AlertRule[]} */
+export const DEFAULT_ALERT_RULES = [
+    {
+        id: 'heavy_rain', label: 'Heavy rain', icon: '⛈️',
+        metric: 'precipitation', aggregate: 'sum', operator: '>', threshold: 20,
+        windowHours: 6, minModels: 2, severity: 'severe', enabled: true
+    },
+    {
+        id: 'uv_midday', label: 'Very high UV', icon: '☀️',
+        metric: 'uv_index', aggregate: 'max', operator: '>', threshold: 8,
+        windowHours: 24, hourRange: [11, 14], minModels: 2, severity: 'warning', enabled: true
+    },
+    {
+        id: 'heat_index', label: 'Dangerous heat index', icon: '🥵',
+        metric: 'heat_index', aggregate: 'max', operator: '>', threshold: 41,
+        cityThresholds: { muscat: 40 },
+        windowHours: 24, minModels: 2, severity: 'severe', enabled: true
+    },
+    {
+        id: 'strong_wind', label: 'Strong wind', icon: '💨',
+        metric: 'wind_speed_10m', aggregate: 'max', operator: '>', threshold: 40,
+        windowHours: 12, minModels: 2, severity: 'warning', enabled: true
+    },
+    {
+        id: 'low_visibility', label: 'Low visibility / fog', icon: '🌫️',
+        metric: 'visibility', aggregate: 'min', operator: '<', threshold: 1000,
+        windowHours: 12, minModels: 2, severity: 'warning', enabled: true
+    }
+];
+
+export const METRIC_UNITS = {
+    precipitation: 'mm',
+    uv_index: '',
+    heat_index: '°C',
+    temperature_2m: '°C',
+    wind_speed_10m: 'km/h',
+    visibility: 'm'
+};
+
+/**
+ * Heat index (NOAA Rothfusz regression), °C in / °C out.
+ * Below ~27°C the simple Steadman formula is used, as NOAA does.
+ */
+export function heatIndex(tempC, humidity) {
+    if (tempC == null || humidity == null) return null;
+    const T = tempC * 9 / 5 + 32;
+    const R = humidity;
+
+    let hi = 0.5 * (T + 61 + (T - 68) * 1.2 + R * 0.094);
+    if ((hi + T) / 2 >= 80) {
+        hi = -42.379 + 2.04901523 * T + 10.14333127 * R - 0.22475541 * T * R
+            - 0.00683783 * T * T - 0.05481717 * R * R + 0.00122874 * T * T * R
+            + 0.00085282 * T * R * R - 0.00000199 * T * T * R * R;
+    }
+    return (hi - 32) * 5 / 9;
+}
+
+function hourlyValue(hourly, metric, idx) {
+    if (metric === 'heat_index') {
+        return heatIndex(hourly.temperature_2m?.[idx], hourly.relative_humidity_2m?.[idx]);
+    }
+    return hourly[metric]?.[idx] ?? null;
+}
+
+/**
+ * Hourly indices covered by a rule, in the city's local time.
+ * Open-Meteo hourly arrays start at local midnight; time strings carry no offset.
+ */
+function windowIndices(hourly, rule, now) {
+    if (!hourly?.time?.length) return [];
+    const localNowHours = (now / 1000 + (hourly.utcOffsetSeconds || 0)) / 3600;
+    const firstHour = Date.parse(`${hourly.time[0]}Z`) / 3600000;
+    const start = Math.max(0, Math.floor(localNowHours - firstHour));
+    const end = Math.min(hourly.time.length, start + rule.windowHours);
+
+    const indices = [];
+    for (let i = start; i < end; i++) {
+        if (rule.hourRange) {
+            const hourOfDay = parseInt(hourly.time[i].slice(11, 13), 10);
+            if (hourOfDay < rule.hourRange[0] || hourOfDay > rule.hourRange[1]) continue;
+        }
+        indices.push(i);
+    }
+    return indices;
+}
+
+function aggregate(values, mode) {
+    if (values.length === 0) return null;
+    if (mode === 'sum') return values.reduce((a, b) => a + b, 0);
+    if (mode === 'min') return Math.min(...values);
+    return Math.max(...values);
+}
+
+/** Resolved threshold for a city */
+export function getRuleThreshold(rule, cityKey) {
+    return rule.cityThresholds?.[cityKey] ?? rule.threshold;
+}
+
+function confidenceLabel(agreeing, available) {
+    if (available > 1 && agreeing === available) return 'high';
+    if (agreeing >= 2) return 'medium';
+    return 'low';
+}
+
+/**
+ * Evaluates one rule for one city.
+ * @param {AlertRule} rule
+ * @param {string} cityKey
+ * @param {Object} cityWeather - fetchWeather() result (uses modelHourly)
+ * @param {number} now
+ * @returns {Object|null} alert
+ */
+export function evaluateRule(rule, cityKey, cityWeather, now = Date.now()) {
+    if (!rule.enabled) return null;
+    if (rule.cities?.length && !rule.cities.includes(cityKey)) return null;
+
+    const threshold = getRuleThreshold(rule, cityKey);
+    const perModel = {};
+
+    Object.entries(cityWeather?.modelHourly || {}).forEach(([model, hourly]) => {
+        const values = windowIndices(hourly, rule, now)
+            .map(idx => hourlyValue(hourly, rule.metric, idx))
+            .filter(v => v != null);
+        const value = aggregate(values, rule.aggregate);
+        if (value != null) perModel[model] = value;
+    });
+
+    const available = Object.keys(perModel);
+    if (available.length === 0) return null;
+
+    const crosses = (v) => rule.operator === '<' ? v < threshold : v > threshold;
+    const agreeing = available.filter(model => crosses(perModel[model]));
+    const required = Math.min(rule.minModels || 1, available.length);
+    if (agreeing.length < required) return null;
+
+    // Report the agreeing models' mean
+    const value = agreeing.reduce((sum, m) => sum + perModel[m], 0) / agreeing.length;
+    const unit = METRIC_UNITS[rule.metric] || '';
+
+    return {
+        id: `${cityKey}:${rule.id}`,
+        ruleId: rule.id,
+        city: cityKey,
+        cityName: cityWeather.name || cityKey,
+        label: rule.label,
+        icon: rule.icon,
+        severity: rule.severity,
+        value: Math.round(value * 10) / 10,
+        threshold,
+        unit,
+        windowHours: rule.windowHours,
+        hourRange: rule.hourRange,
+        perModel,
+        agreeing,
+        modelCount: available.length,
+        confidence: confidenceLabel(agreeing.length, available.length),
+        intensity: rule.metric === 'precipitation' ? getRainStatus(0, value)?.intensity : undefined
+    };
+}
+
+/**
+ * Default rules with the user's edits applied.
+ * settings.weatherAlerts.rules holds per-rule overrides keyed by rule id:
+ * { heat_index: { threshold: 42, cityThresholds: { muscat: 45 }, enabled: false } }
+ * @param {Object} settings
+ * @returns {AlertRule[]}
+ */
+export function getAlertRules(settings) {
+    const overrides = settings?.weatherAlerts?.rules || {};
+    return DEFAULT_ALERT_RULES.map(rule => ({
+        ...rule,
+        ...overrides[rule.id],
+        cityThresholds: { ...rule.cityThresholds, ...overrides[rule.id]?.cityThresholds }
+    }));
+}
+
+/**
+ * Evaluates every rule for every city.
+ * @param {Object<string, Object>} weatherData - { cityKey: fetchWeather() result }
+ * @param {AlertRule[]} rules
+ * @returns {Array<Object>} alerts, severe first
+ */
+export function evaluateWeatherAlerts(weatherData, rules = DEFAULT_ALERT_RULES, now = Date.now()) {
+    if (!weatherData) return [];
+    const alerts = [];
+
+    Object.entries(weatherData).forEach(([cityKey, cityWeather]) => {
+        if (!cityWeather) return;
+        rules.forEach(rule => {
+            const alert = evaluateRule(rule, cityKey, cityWeather, now);
+            if (alert) alerts.push(alert);
+        });
+    });
+
+    const severityRank = { severe: 0, warning: 1 };
+    return alerts.sort((a, b) => (severityRank[a.severity] ?? 2) - (severityRank[b.severity] ?? 2));
+}
+
+/**
+ * One-line description, e.g. "Heavy rain in Chennai: 24mm in 6h (2/3 models)".
+ */
+export function describeAlert(alert) {
+    const windowText = alert.hourRange
+        ? `between ${alert.hourRange[0]}:00-${alert.hourRange[1]}:00`
+        : `in ${alert.windowHours}h`;
+    return `${alert.label} in ${alert.cityName}: ${alert.value}${alert.unit} ${windowText} (${alert.agreeing.length}/${alert.modelCount} models)`;
+}
@@ -0,0 +1,91 @@
+import { evaluateWeatherAlerts, getAlertRules, heatIndex, DEFAULT_ALERT_RULES } from './weatherAlerts.js';
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    function assert(condition, message) {
+        if (condition) {
+            console.log(`✅ PASS: ${message}`);
+            passed++;
+        } else {
+            console.error(`❌ FAIL: ${message}`);
+            failed++;
+        }
+    }
+
+    console.log('--- Starting Tests: WeatherAlerts ---');
+
+    // NOW: 2026-06-01 08:00 local in a UTC+4 city (Muscat), i.e. 04:00 UTC
+    const NOW = Date.parse('2026-06-01T04:00:00Z');
+    const time = Array.from({ length: 48 }, (_, i) => {
+        const day = i < 24 ? '01' : '02';
+        return `2026-06-${day}T${String(i % 24).padStart(2, '0')}:00`;
+    });
+    const series = (fn) => time.map((_, i) => fn(i));
+
+    const model = (overrides) => ({
+        time,
+        utcOffsetSeconds: 4 * 3600,
+        temperature_2m: series(() => 30),
+        relative_humidity_2m: series(() => 40),
+        precipitation: series(() => 0),
+        uv_index: series(() => 5),
+        wind_speed_10m: series(() => 10),
+        visibility: series(() => 20000),
+        ...overrides
+    });
+
+    // TEST 1: Heavy rain in the next 6h, two of three models agree
+    const rainy = series(i => (i >= 8 && i < 14 ? 5 : 0)); // 30mm from 08:00-13:00
+    const weatherData = {
+        chennai: {
+            name: 'Chennai',
+            modelHourly: {
+                ecmwf: model({ precipitation: rainy }),
+                gfs: model({ precipitation: rainy }),
+                icon: model({})
+            }
+        }
+    };
+    let alerts = evaluateWeatherAlerts(weatherData, DEFAULT_ALERT_RULES, NOW);
+    const rain = alerts.find(a => a.ruleId === 'heavy_rain');
+    assert(!!rain, 'Heavy rain alert fires when 2 of 3 models exceed 20mm in 6h');
+    assert(rain && rain.agreeing.length === 2 && rain.confidence === 'medium', 'Rain alert reports 2/3 agreement as medium confidence');
+    assert(rain && rain.value === 30, `Rain alert value is the agreeing mean (30mm), Got ${rain?.value}`);
+
+    // TEST 2: A single model is not enough when the rule needs two
+    weatherData.chennai.modelHourly.gfs = model({});
+    alerts = evaluateWeatherAlerts(weatherData, DEFAULT_ALERT_RULES, NOW);
+    assert(!alerts.some(a => a.ruleId === 'heavy_rain'), 'No rain alert when only 1 of 3 models agrees');
+
+    // TEST 3: Midday UV window ignores early-morning peaks
+    const uvMorning = series(i => (i === 9 ? 11 : 3));
+    const uvNoon = series(i => (i === 12 ? 10 : 3));
+    alerts = evaluateWeatherAlerts({
+        muscat: { name: 'Muscat', modelHourly: { ecmwf: model({ uv_index: uvMorning }), gfs: model({ uv_index: uvMorning }) } }
+    }, DEFAULT_ALERT_RULES, NOW);
+    assert(!alerts.some(a => a.ruleId === 'uv_midday'), 'UV peak at 09:00 does not trigger the midday rule');
+    alerts = evaluateWeatherAlerts({
+        muscat: { name: 'Muscat', modelHourly: { ecmwf: model({ uv_index: uvNoon }), gfs: model({ uv_index: uvNoon }) } }
+    }, DEFAULT_ALERT_RULES, NOW);
+    const uv = alerts.find(a => a.ruleId === 'uv_midday');
+    assert(uv && uv.confidence === 'high', 'UV 10 at 12:00 triggers midday rule with all models agreeing');
+
+    // TEST 4: Heat index and per-city thresholds
+    assert(Math.round(heatIndex(35, 60)) === 45, `Heat index 35°C/60% ≈ 45°C, Got ${heatIndex(35, 60)?.toFixed(1)}`);
+    const hot = { temperature_2m: series(() => 36), relative_humidity_2m: series(() => 40) }; // HI ≈ 39°C
+    const rules = getAlertRules({ weatherAlerts: { rules: { heat_index: { cityThresholds: { muscat: 37 } } } } });
+    alerts = evaluateWeatherAlerts({
+        muscat: { name: 'Muscat', modelHourly: { ecmwf: model(hot), gfs: model(hot) } },
+        chennai: { name: 'Chennai', modelHourly: { ecmwf: model(hot), gfs: model(hot) } }
+    }, rules, NOW);
+    assert(alerts.some(a => a.id === 'muscat:heat_index'), 'City override (Muscat > 37°C) fires');
+    assert(!alerts.some(a => a.id === 'chennai:heat_index'), 'Default threshold (41°C) does not fire for Chennai');
+
+    console.log(`\nTests Completed: ${passed} Passed, ${failed} Failed`);
+
+    if (failed > 0) throw new Error(`${failed} tests failed`);
+}
+
+runTests();